@@ -6,6 +6,8 @@ import Home from './pages/Home';
 import Result from './pages/Result';
 import Ootd from './pages/Ootd';
 import Wishlist from './pages/Wishlist';
+import Profile from './pages/Profile';
+import Searches from './pages/Searches';
 
 // Protected Route Component
 const ProtectedRoute: React.FC<{ children: React.ReactNode }> = ({ children }) => {
@@ -67,6 +69,22 @@ const AppContent: React.FC = () => {
             </ProtectedRoute>
           } 
         />
+        <Route 
+          path="/profile" 
+          element={
+            <ProtectedRoute>
+              <Profile />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/searches" 
+          element={
+            <ProtectedRoute>
+              <Searches />
+            </ProtectedRoute>
+          } 
+        />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </Router>
@@ -137,6 +137,46 @@ const ComparisonView: React.FC<ComparisonViewProps> = ({
           </div>
         )}
 
+        {/* Same item at several sellers */}
+        {comparison.matches && comparison.matches.length > 0 && (
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Same Item, Multiple Sellers</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {comparison.matches.slice(0, 6).map((match) => (
+                <div key={match.id} className="border border-gray-200 rounded-lg p-4 bg-white">
+                  <p className="text-sm font-medium text-gray-900 line-clamp-2 mb-1">{match.title}</p>
+                  <p className="text-xs text-gray-500 mb-3">
+                    {match.sellers} sellers · cheapest at {match.cheapest.source}
+                    {match.savings > 0 && ` · save ${formatPrice(match.savings)}`}
+                  </p>
+                  <div className="space-y-1">
+                    {match.offers.map((offer, index) => (
+                      <div key={`${offer.source}-${index}`} className="flex items-center justify-between text-sm">
+                        <span className={index === 0 ? 'font-medium text-green-700' : 'text-gray-600'}>{offer.source}</span>
+                        <span className="flex items-center space-x-3">
+                          <span className={index === 0 ? 'font-bold text-green-600' : 'text-gray-900'}>
+                            {offer.priceNumber != null ? formatPrice(offer.priceNumber) : offer.price || '—'}
+                          </span>
+                          {offer.link && (
+                            <a
+                              href={offer.link}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-600 hover:text-blue-700 font-medium hover:underline"
+                            >
+                              View →
+                            </a>
+                          )}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Best Deals */}
         {comparison.bestDeals.length > 0 && (
           <div className="mb-6">
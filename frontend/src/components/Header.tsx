@@ -11,10 +11,13 @@ import {
   Home,
   Menu,
   X,
-  ChevronDown
+  ChevronDown,
+  UserCircle,
+  History
 } from 'lucide-react';
 import { api } from '../utils/api';
 import Toast, { ToastType } from './Toast';
+import NotificationBell from './NotificationBell';
 
 interface HeaderProps {
   showBackButton?: boolean;
@@ -115,6 +118,8 @@ const Header: React.FC<HeaderProps> = ({
     { path: '/', label: 'Home', icon: <Home size={18} /> },
     { path: '/wishlist', label: 'Wishlist', icon: <Heart size={18} /> },
     { path: '/ootd', label: 'OOTD', icon: <Camera size={18} /> },
+    { path: '/searches', label: 'Searches', icon: <History size={18} /> },
+    { path: '/profile', label: 'Profile', icon: <UserCircle size={18} /> },
   ];
 
   return (
@@ -179,6 +184,8 @@ const Header: React.FC<HeaderProps> = ({
 
             {/* Right section */}
             <div className="flex items-center space-x-4">
+              {user && <NotificationBell />}
+
               {/* User Menu */}
               <div className="relative">
                 <button
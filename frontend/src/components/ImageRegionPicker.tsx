@@ -0,0 +1,101 @@
+import React, { useRef, useState } from 'react';
+import { DetectedItem, ImageRegion } from '../types';
+
+// Drags shorter than this (as a fraction of the image) are treated as clicks, not boxes
+const MIN_DRAG = 0.03;
+
+interface ImageRegionPickerProps {
+  src: string;
+  items: DetectedItem[];
+  region: ImageRegion | null;
+  selectedItemId: string | null;
+  onItemSelect: (item: DetectedItem) => void;
+  // A box drawn by hand
+  onRegionChange: (region: ImageRegion) => void;
+}
+
+const boxStyle = (region: ImageRegion): React.CSSProperties => ({
+  left: `${region.x * 100}%`,
+  top: `${region.y * 100}%`,
+  width: `${region.width * 100}%`,
+  height: `${region.height * 100}%`,
+});
+
+// The search image with detected items to click and a crop box to drag out over any other part of it
+const ImageRegionPicker: React.FC<ImageRegionPickerProps> = ({ src, items, region, selectedItemId, onItemSelect, onRegionChange }) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [dragStart, setDragStart] = useState<{ x: number; y: number } | null>(null);
+  const [draft, setDraft] = useState<ImageRegion | null>(null);
+
+  const pointAt = (e: React.PointerEvent) => {
+    const rect = containerRef.current!.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+    };
+  };
+
+  const regionBetween = (a: { x: number; y: number }, b: { x: number; y: number }): ImageRegion => ({
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y),
+  });
+
+  const handlePointerDown = (e: React.PointerEvent<HTMLDivElement>) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragStart(pointAt(e));
+  };
+
+  const handlePointerMove = (e: React.PointerEvent<HTMLDivElement>) => {
+    if (dragStart) setDraft(regionBetween(dragStart, pointAt(e)));
+  };
+
+  const handlePointerUp = (e: React.PointerEvent<HTMLDivElement>) => {
+    if (!dragStart) return;
+    const drawn = regionBetween(dragStart, pointAt(e));
+    setDragStart(null);
+    setDraft(null);
+    if (drawn.width >= MIN_DRAG && drawn.height >= MIN_DRAG) onRegionChange(drawn);
+  };
+
+  const shownRegion = draft || (selectedItemId ? null : region);
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative max-w-sm mx-auto select-none cursor-crosshair touch-none rounded-lg overflow-hidden bg-gray-100"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+    >
+      <img src={src} alt="Search" draggable={false} className="block w-full h-auto pointer-events-none" />
+      {items.map(item => (
+        <button
+          key={item.id}
+          type="button"
+          style={boxStyle(item.bbox)}
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={() => onItemSelect(item)}
+          className={`absolute border-2 rounded-md transition-colors duration-150 ${
+            item.id === selectedItemId ? 'border-blue-600 bg-blue-600/15' : 'border-white/90 hover:border-blue-400 bg-black/5'
+          }`}
+        >
+          <span
+            className={`absolute left-1 top-1 px-2 py-0.5 rounded text-xs font-medium ${
+              item.id === selectedItemId ? 'bg-blue-600 text-white' : 'bg-white/90 text-gray-800'
+            }`}
+          >
+            {item.label}
+          </span>
+        </button>
+      ))}
+      {shownRegion && (
+        <div style={boxStyle(shownRegion)} className="absolute border-2 border-dashed border-blue-600 bg-blue-600/10 pointer-events-none" />
+      )}
+    </div>
+  );
+};
+
+export default ImageRegionPicker;
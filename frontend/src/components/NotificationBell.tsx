@@ -0,0 +1,116 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Bell, TrendingDown, Search } from 'lucide-react';
+import { AppNotification } from '../types';
+import { api } from '../utils/api';
+
+// Price alerts are checked in the background on the server; poll so new ones show up without a reload
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const NotificationBell: React.FC = () => {
+  const [items, setItems] = useState<AppNotification[]>([]);
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await api('/notifications');
+      setItems(response.items);
+      setUnread(response.unread);
+    } catch {
+      // Not logged in or server unavailable; the bell just stays empty
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  const markRead = async (notification: AppNotification) => {
+    if (notification.readAt) return;
+    setItems(prev => prev.map(n => (n._id === notification._id ? { ...n, readAt: new Date().toISOString() } : n)));
+    setUnread(prev => Math.max(0, prev - 1));
+    try {
+      await api(`/notifications/${notification._id}/read`, { method: 'POST' });
+    } catch (error) {
+      console.error('Failed to mark notification read:', error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api('/notifications/read-all', { method: 'POST' });
+      setItems(prev => prev.map(n => (n.readAt ? n : { ...n, readAt: new Date().toISOString() })));
+      setUnread(0);
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-50 rounded-lg transition-colors duration-200"
+        title="Notifications"
+      >
+        <Bell size={20} />
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-[10px] font-semibold rounded-full flex items-center justify-center">
+            {unread > 9 ? '9+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-lg border border-gray-100 z-50">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+              <p className="text-sm font-semibold text-gray-900">Notifications</p>
+              {unread > 0 && (
+                <button onClick={markAllRead} className="text-xs text-primary-600 hover:text-primary-700">
+                  Mark all read
+                </button>
+              )}
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+              {items.length === 0 ? (
+                <p className="px-4 py-6 text-sm text-center text-gray-500">
+                  No notifications yet. Set a price alert on a wishlist item or an alert on a saved search.
+                </p>
+              ) : (
+                items.map(notification => (
+                  <a
+                    key={notification._id}
+                    href={notification.link || '#'}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={() => markRead(notification)}
+                    className={`flex items-start space-x-3 px-4 py-3 hover:bg-gray-50 border-b border-gray-50 ${
+                      notification.readAt ? '' : 'bg-primary-50/50'
+                    }`}
+                  >
+                    {notification.type === 'saved_search' ? (
+                      <Search size={16} className="mt-0.5 text-blue-600 flex-shrink-0" />
+                    ) : (
+                      <TrendingDown size={16} className="mt-0.5 text-green-600 flex-shrink-0" />
+                    )}
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 line-clamp-2">{notification.title}</p>
+                      <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>
+                      <p className="text-[11px] text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                    </div>
+                  </a>
+                ))
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Bell, BellOff } from 'lucide-react';
+import { WishlistItem } from '../types';
+import { api } from '../utils/api';
+
+interface PriceAlertControlProps {
+  item: WishlistItem;
+  onChange: (item: WishlistItem) => void;
+  onError?: (message: string) => void;
+}
+
+type AlertMode = 'target' | 'percent';
+
+const formatINR = (value: number): string =>
+  new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value);
+
+const PriceAlertControl: React.FC<PriceAlertControlProps> = ({ item, onChange, onError }) => {
+  const [editing, setEditing] = useState(false);
+  const [mode, setMode] = useState<AlertMode>('target');
+  const [value, setValue] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const alert = item.alert;
+
+  const describeAlert = (): string => {
+    if (!alert) return '';
+    const parts: string[] = [];
+    if (alert.targetPrice) parts.push(`at ${formatINR(alert.targetPrice)}`);
+    if (alert.dropPercent) parts.push(`on ${alert.dropPercent}% drop`);
+    return `Alert ${parts.join(' or ')}`;
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const amount = Number(value);
+    if (!amount || amount <= 0) {
+      onError?.('Enter a positive number.');
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await api(`/wishlist/${item._id}/alert`, {
+        method: 'PUT',
+        body: JSON.stringify(mode === 'target' ? { targetPrice: amount } : { dropPercent: amount }),
+      });
+      onChange(response.item);
+      setEditing(false);
+      setValue('');
+    } catch (error: any) {
+      onError?.(error.message || 'Failed to set price alert.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setSaving(true);
+    try {
+      const response = await api(`/wishlist/${item._id}/alert`, { method: 'DELETE' });
+      onChange(response.item);
+    } catch (error: any) {
+      onError?.(error.message || 'Failed to remove price alert.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <form onSubmit={handleSubmit} className="mt-2 p-3 bg-white border border-gray-200 rounded-lg space-y-2">
+        <div className="flex space-x-2 text-xs">
+          <button
+            type="button"
+            onClick={() => setMode('target')}
+            className={`px-2 py-1 rounded ${mode === 'target' ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-600'}`}
+          >
+            Target price
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode('percent')}
+            className={`px-2 py-1 rounded ${mode === 'percent' ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-600'}`}
+          >
+            % drop
+          </button>
+        </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="number"
+            min={1}
+            max={mode === 'percent' ? 90 : undefined}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={mode === 'target' ? 'e.g. 999' : 'e.g. 20'}
+            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-200 rounded focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <span className="text-xs text-gray-500">{mode === 'target' ? '₹' : '%'}</span>
+        </div>
+        <div className="flex space-x-2">
+          <button type="submit" disabled={saving} className="flex-1 text-xs py-1.5 bg-primary-600 text-white rounded hover:bg-primary-700 disabled:opacity-50">
+            {saving ? 'Saving...' : 'Set alert'}
+          </button>
+          <button type="button" onClick={() => setEditing(false)} className="text-xs px-3 py-1.5 bg-gray-100 text-gray-700 rounded hover:bg-gray-200">
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="mt-2 flex items-center justify-between text-xs">
+      {alert ? (
+        <>
+          <span className="flex items-center text-primary-700">
+            <Bell size={12} className="mr-1" />
+            {describeAlert()}
+          </span>
+          <button onClick={handleRemove} disabled={saving} className="flex items-center text-gray-500 hover:text-red-600" title="Remove alert">
+            <BellOff size={12} className="mr-1" />
+            Remove
+          </button>
+        </>
+      ) : (
+        <button onClick={() => setEditing(true)} className="flex items-center text-gray-600 hover:text-primary-700">
+          <Bell size={12} className="mr-1" />
+          Alert me when the price drops
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PriceAlertControl;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { TrendingDown, TrendingUp } from 'lucide-react';
+import { PriceHistory } from '../types';
+import { api } from '../utils/api';
+
+interface PriceSparklineProps {
+  itemId: string;
+  // Bump to re-fetch after prices were refreshed
+  refreshKey?: number;
+}
+
+const WIDTH = 120;
+const HEIGHT = 28;
+
+const formatINR = (value: number): string =>
+  new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value);
+
+const VERDICT_LABELS: Record<string, { text: string; className: string }> = {
+  lowest: { text: 'Lowest price seen', className: 'text-green-700 bg-green-50' },
+  below_average: { text: 'Below usual price', className: 'text-green-700 bg-green-50' },
+  typical: { text: 'Usual price', className: 'text-gray-600 bg-gray-100' },
+  above_average: { text: 'Above usual price', className: 'text-red-700 bg-red-50' },
+};
+
+const PriceSparkline: React.FC<PriceSparklineProps> = ({ itemId, refreshKey = 0 }) => {
+  const [history, setHistory] = useState<PriceHistory | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api(`/wishlist/${itemId}/history`)
+      .then((data: PriceHistory) => {
+        if (!cancelled) setHistory(data);
+      })
+      .catch(() => {
+        // History is optional; the card still shows the saved price
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [itemId, refreshKey]);
+
+  const summary = history?.summary;
+  if (!history || !summary) return null;
+
+  const prices = history.observations.map(o => o.price);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const range = max - min || 1;
+  const step = prices.length > 1 ? WIDTH / (prices.length - 1) : 0;
+  const points = prices
+    .map((price, i) => `${(i * step).toFixed(1)},${(HEIGHT - 2 - ((price - min) / range) * (HEIGHT - 4)).toFixed(1)}`)
+    .join(' ');
+  const verdict = VERDICT_LABELS[summary.verdict] || VERDICT_LABELS.typical;
+  const falling = summary.changePercent < 0;
+
+  return (
+    <div className="mt-2 px-3 py-2 bg-white border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between">
+        {prices.length > 1 ? (
+          <svg width={WIDTH} height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} aria-label="Price history">
+            <polyline
+              points={points}
+              fill="none"
+              stroke={falling ? '#16a34a' : '#6b7280'}
+              strokeWidth={1.5}
+              strokeLinejoin="round"
+            />
+          </svg>
+        ) : (
+          <span className="text-xs text-gray-400">Tracking since {new Date(summary.since).toLocaleDateString()}</span>
+        )}
+        <span className={`text-xs font-medium px-2 py-0.5 rounded ${verdict.className}`}>{verdict.text}</span>
+      </div>
+      <div className="mt-1 flex items-center justify-between text-xs text-gray-500">
+        <span>
+          Low {formatINR(summary.lowest)} · High {formatINR(summary.highest)}
+        </span>
+        {summary.changePercent !== 0 && (
+          <span className={`flex items-center ${falling ? 'text-green-600' : 'text-red-600'}`}>
+            {falling ? <TrendingDown size={12} /> : <TrendingUp size={12} />}
+            <span className="ml-0.5">{Math.abs(summary.changePercent)}%</span>
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PriceSparkline;
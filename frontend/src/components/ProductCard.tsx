@@ -1,7 +1,15 @@
 import React, { useState } from 'react';
-import { Product, WishlistItem } from '../types';
-import { Heart, ExternalLink } from 'lucide-react';
+import { Product, RecommendedSize, WishlistItem } from '../types';
+import { Heart, ExternalLink, Tag, Star, Truck, Check, Ruler } from 'lucide-react';
 import { api } from '../utils/api';
+import { trackEvent } from '../utils/feedback';
+
+const MEASUREMENT_LABELS = { chest: 'Chest', waist: 'Waist', footLength: 'Foot length' };
+
+// e.g. "Chest 98 cm · L fits 98–106 cm on this brand's chart"
+const recommendedSizeTitle = (size: RecommendedSize): string =>
+  `${MEASUREMENT_LABELS[size.measurement]} ${size.bodyCm} cm · ${size.label} fits ${size.rangeCm[0]}–${size.rangeCm[1]} cm` +
+  (size.chart === 'brand' ? " on this brand's chart" : '');
 
 interface ProductCardProps {
   product: Product;
@@ -9,6 +17,10 @@ interface ProductCardProps {
   onRemove?: (id: string) => void;
   isSaved?: boolean;
   showSaveButton?: boolean;
+  // Search the card was shown for; clicks and saves are reported as feedback for it
+  searchQuery?: string;
+  // Sizes the search asked for, named in the "available in your size" badge
+  requestedSizes?: string[];
 }
 
 const ProductCard: React.FC<ProductCardProps> = ({
@@ -17,6 +29,8 @@ const ProductCard: React.FC<ProductCardProps> = ({
   onRemove,
   isSaved = false,
   showSaveButton = true,
+  searchQuery,
+  requestedSizes,
 }) => {
   const [saving, setSaving] = useState(false);
   const [saved, setSaved] = useState(isSaved);
@@ -47,6 +61,7 @@ const ProductCard: React.FC<ProductCardProps> = ({
         });
         setSaved(true);
         onSave(response.item);
+        if (searchQuery !== undefined) trackEvent('wishlist', product, searchQuery);
       }
     } catch (error: any) {
       console.error('Failed to toggle save:', error);
@@ -150,6 +165,9 @@ const ProductCard: React.FC<ProductCardProps> = ({
     return priceString;
   };
 
+  const formatCount = (count: number): string =>
+    count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count);
+
   const handleImageError = (e: React.SyntheticEvent<HTMLImageElement>) => {
     e.currentTarget.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjQwMCIgdmlld0JveD0iMCAwIDMwMCA0MDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iNDAwIiBmaWxsPSIjRjNGNEY2Ii8+CjxwYXRoIGQ9Ik0xNTAgMTgwQzE2Ni41NjkgMTgwIDE4MCAxNjYuNTY5IDE4MCAxNTBDMTgwIDEzMy40MzEgMTY2LjU2OSAxMjAgMTUwIDEyMEMxMzMuNDMxIDEyMCAxMjAgMTMzLjQzMSAxMjAgMTUwQzEyMCAxNjYuNTY5IDEzMy40MzEgMTgwIDE1MCAxODBaIiBmaWxsPSIjOUI5QkEwIi8+CjxwYXRoIGQ9Ik0xNTAgMjAwQzE2Ni41NjkgMjAwIDE4MCAxODYuNTY5IDE4MCAxNzBDMTgwIDE1My40MzEgMTY2LjU2OSAxNDAgMTUwIDE0MEMxMzMuNDMxIDE0MCAxMjAgMTUzLjQzMSAxMjAgMTcwQzEyMCAxODYuNTY5IDEzMy40MzEgMjAwIDE1MCAyMDBaIiBmaWxsPSIjOUI5QkEwIi8+Cjx0ZXh0IHg9IjE1MCIgeT0iMjUwIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmaWxsPSIjNjc3NDhCIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiPk5vIEltYWdlPC90ZXh0Pgo8L3N2Zz4K';
   };
@@ -178,6 +196,16 @@ const ProductCard: React.FC<ProductCardProps> = ({
             <Heart size={18} fill={saved ? 'currentColor' : 'none'} />
           </button>
         )}
+
+        {(product.availability === 'out_of_stock' || product.availability === 'limited') && (
+          <span
+            className={`absolute bottom-3 left-3 px-2 py-0.5 rounded text-xs font-medium ${
+              product.availability === 'out_of_stock' ? 'bg-gray-900/80 text-white' : 'bg-orange-500 text-white'
+            }`}
+          >
+            {product.availability === 'out_of_stock' ? 'Out of stock' : 'Few left'}
+          </span>
+        )}
       </div>
       
       <div className="space-y-2">
@@ -186,22 +214,96 @@ const ProductCard: React.FC<ProductCardProps> = ({
         </h3>
         
         {product.price && (
-          <p className="text-lg font-semibold text-gray-900">
-            {formatPrice(product.price)}
+          <p className="flex items-baseline flex-wrap gap-x-2">
+            <span className="text-lg font-semibold text-gray-900">{formatPrice(product.price)}</span>
+            {product.mrp && (
+              <span className="text-sm text-gray-400 line-through">{formatPrice(String(product.mrp))}</span>
+            )}
+            {product.discountPercent && (
+              <span className="text-sm font-medium text-green-600">{product.discountPercent}% off</span>
+            )}
+          </p>
+        )}
+
+        {product.rating && (
+          <p className="flex items-center text-sm text-gray-600">
+            <Star size={14} className="mr-1 text-yellow-400 fill-current" />
+            <span className="font-medium text-gray-800">{product.rating.toFixed(1)}</span>
+            {product.reviews ? <span className="ml-1 text-gray-500">({formatCount(product.reviews)})</span> : null}
           </p>
         )}
+
+        {product.offers && product.offers.length > 0 && (
+          <ul className="space-y-0.5">
+            {product.offers.slice(0, 2).map(offer => (
+              <li key={offer.text} className="flex items-start text-xs text-gray-600" title={offer.text}>
+                <Tag size={12} className="mr-1 mt-0.5 flex-shrink-0 text-primary-600" />
+                <span className="line-clamp-1">{offer.text}</span>
+              </li>
+            ))}
+          </ul>
+        )}
         
         {product.source && (
           <p className="text-sm text-gray-500">
             {product.source}
           </p>
         )}
+
+        {product.recommendedSize && (
+          <p
+            className="flex items-center text-xs text-gray-600"
+            title={recommendedSizeTitle(product.recommendedSize)}
+          >
+            <Ruler size={12} className="mr-1 flex-shrink-0" />
+            {product.recommendedSize.fit === 'good' ? 'Your size' : 'Closest size'}:{' '}
+            <span className="ml-1 font-medium text-gray-800">{product.recommendedSize.label}</span>
+            {product.recommendedSize.available === false && <span className="ml-1 text-gray-400">(sold out)</span>}
+          </p>
+        )}
+
+        {product.sizeAvailable && (
+          <p
+            className="flex items-center text-xs font-medium text-green-700"
+            title={product.sizes?.filter(size => size.available !== false).map(size => size.label).join(', ')}
+          >
+            <Check size={12} className="mr-1 flex-shrink-0" />
+            Available in your size{requestedSizes && requestedSizes.length > 0 ? ` (${requestedSizes.join(', ')})` : ''}
+          </p>
+        )}
+
+        {product.shipping && (
+          <p className="flex items-center text-xs text-gray-500" title={product.shipping}>
+            <Truck size={12} className="mr-1 flex-shrink-0" />
+            <span className="line-clamp-1">{product.shipping}</span>
+          </p>
+        )}
+
+        {product.match && (
+          <p className="text-xs text-green-700 bg-green-50 rounded px-2 py-1">
+            Same item, {product.match.sellers} sellers · cheapest at{' '}
+            {product.match.cheapestLink ? (
+              <a
+                href={product.match.cheapestLink}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-medium hover:underline"
+              >
+                {product.match.cheapestSource}
+              </a>
+            ) : (
+              <span className="font-medium">{product.match.cheapestSource}</span>
+            )}
+            {product.match.cheapestPrice && ` (${formatPrice(product.match.cheapestPrice)})`}
+          </p>
+        )}
         
         {product.link ? (
           <a
             href={product.link}
             target="_blank"
             rel="noopener noreferrer"
+            onClick={() => searchQuery !== undefined && trackEvent('click', product, searchQuery)}
             className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700 font-medium hover:underline"
           >
             <span>View Deal</span>
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Bookmark } from 'lucide-react';
+import { SavedSearch, SavedSearchAlert } from '../types';
+import { api } from '../utils/api';
+
+export const ALERT_OPTIONS: { value: SavedSearchAlert; label: string }[] = [
+  { value: 'off', label: 'No alerts' },
+  { value: 'daily', label: 'Alert me daily' },
+  { value: 'weekly', label: 'Alert me weekly' },
+];
+
+interface SaveSearchFormProps {
+  historyId: string;
+  defaultName: string;
+  // The search's pagination.searchId, so results already shown don't come back as new
+  searchId?: string;
+  onSaved: (item: SavedSearch) => void;
+  onCancel: () => void;
+  onError: (message: string) => void;
+}
+
+// Name a search from the history and choose whether to be alerted about new items
+const SaveSearchForm: React.FC<SaveSearchFormProps> = ({ historyId, defaultName, searchId, onSaved, onCancel, onError }) => {
+  const [name, setName] = useState(defaultName.slice(0, 80));
+  const [alert, setAlert] = useState<SavedSearchAlert>('off');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api('/saved-searches', {
+        method: 'POST',
+        body: JSON.stringify({ historyId, name, alert, searchId }),
+      });
+      onSaved(response.item);
+    } catch (error: any) {
+      console.error('Failed to save search:', error);
+      onError(error.message || 'Failed to save search.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+      <input
+        type="text"
+        value={name}
+        maxLength={80}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name this search"
+        className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+        autoFocus
+      />
+      <select
+        value={alert}
+        onChange={(e) => setAlert(e.target.value as SavedSearchAlert)}
+        className="px-3 py-2 border border-gray-200 rounded-lg text-sm"
+      >
+        {ALERT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      <button
+        type="submit"
+        disabled={saving || !name.trim()}
+        className="flex items-center justify-center space-x-1 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Bookmark size={14} />
+        <span>{saving ? 'Saving...' : 'Save'}</span>
+      </button>
+      <button type="button" onClick={onCancel} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800">
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+export default SaveSearchForm;
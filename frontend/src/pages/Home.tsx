@@ -12,23 +12,60 @@ import {
   Zap,
   Users,
   Star,
-  ArrowRight
+  ArrowRight,
+  History,
+  Scan,
+  Crop
 } from 'lucide-react';
 import { api } from '../utils/api';
-import { Product, WishlistItem } from '../types';
+import { setPendingSearch } from '../utils/searchStream';
+import { Product, WishlistItem, SearchSuggestion, DetectedItem, ImageRegion, DetectItemsResponse } from '../types';
 import Header from '../components/Header';
+import ImageRegionPicker from '../components/ImageRegionPicker';
 import ProductCard from '../components/ProductCard';
 import Toast, { ToastType } from '../components/Toast';
 
+// Small JPEG preview of an uploaded image, kept with the search in the user's history
+const THUMBNAIL_SIZE = 160;
+
+const makeThumbnail = (file: File): Promise<string | null> =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d')?.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    img.src = url;
+  });
+
+const SUGGEST_DEBOUNCE_MS = 150;
+
 const Home: React.FC = () => {
   const navigate = useNavigate();
   const [searchText, setSearchText] = useState('');
   const [imageFile, setImageFile] = useState<File | null>(null);
   const [imageUrl, setImageUrl] = useState('');
-  const [loading, setLoading] = useState(false);
   const [trendingProducts, setTrendingProducts] = useState<Product[]>([]);
   const [wishlistItems, setWishlistItems] = useState<WishlistItem[]>([]);
   const [toast, setToast] = useState<{ type: ToastType; message: string } | null>(null);
+  const [suggestions, setSuggestions] = useState<SearchSuggestion[]>([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const [previewSrc, setPreviewSrc] = useState('');
+  const [detectedItems, setDetectedItems] = useState<DetectedItem[]>([]);
+  const [selectedItem, setSelectedItem] = useState<DetectedItem | null>(null);
+  const [region, setRegion] = useState<ImageRegion | null>(null);
+  const [detecting, setDetecting] = useState(false);
 
   useEffect(() => {
     loadTrendingProducts();
@@ -39,6 +76,66 @@ const Home: React.FC = () => {
     }
   }, []);
 
+  // Completions for the search box, fetched once typing pauses
+  useEffect(() => {
+    const q = searchText.trim();
+    if (!q) {
+      setSuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api(`/suggest?q=${encodeURIComponent(searchText)}&limit=8`);
+        if (!cancelled) {
+          setSuggestions(response.suggestions);
+          setActiveSuggestion(-1);
+        }
+      } catch (error) {
+        console.error('Failed to load suggestions:', error);
+      }
+    }, SUGGEST_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchText]);
+
+  // A new image starts without detected items or a crop box
+  useEffect(() => {
+    setDetectedItems([]);
+    setSelectedItem(null);
+    setRegion(null);
+    if (!imageFile) {
+      setPreviewSrc(imageUrl);
+      return;
+    }
+    const url = URL.createObjectURL(imageFile);
+    setPreviewSrc(url);
+    return () => URL.revokeObjectURL(url);
+  }, [imageFile, imageUrl]);
+
+  const pickSuggestion = (suggestion: SearchSuggestion) => {
+    setSearchText(suggestion.text);
+    setShowSuggestions(false);
+  };
+
+  const handleSearchKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (!showSuggestions || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion(prev => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+      e.preventDefault();
+      pickSuggestion(suggestions[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
   const loadTrendingProducts = async () => {
     try {
       const response = await api('/trending?limit=8');
@@ -69,37 +166,83 @@ const Home: React.FC = () => {
       return;
     }
 
-    setLoading(true);
-    try {
-      const formData = new FormData();
-      
-      if (imageFile) {
-        formData.append('image', imageFile);
-      }
-      
-      if (imageUrl) {
-        formData.append('imageUrl', imageUrl);
+    const formData = new FormData();
+    
+    if (imageFile) {
+      formData.append('image', imageFile);
+      const thumbnail = await makeThumbnail(imageFile);
+      if (thumbnail) {
+        formData.append('thumbnail', thumbnail);
       }
-      
-      if (searchText) {
-        formData.append('text', searchText);
+    }
+    
+    if (imageUrl) {
+      formData.append('imageUrl', imageUrl);
+    }
+    
+    if (searchText) {
+      formData.append('text', searchText);
+    }
+
+    // Only the chosen part of the image is searched; a detected item brings its own query
+    if ((imageFile || imageUrl) && region) {
+      formData.append('bbox', JSON.stringify(region));
+      if (selectedItem) {
+        formData.append('itemQuery', selectedItem.query);
       }
+    }
 
-      const response = await api('/search', {
-        method: 'POST',
-        body: formData,
-      });
+    // Result streams the search from /search/stream and renders as providers answer
+    setPendingSearch(formData);
+    navigate('/result');
+  };
 
-      sessionStorage.setItem('searchResults', JSON.stringify(response));
-      navigate('/result');
-    } catch (error: any) {
-      console.error('Search error:', error);
-      showToast('error', error.message || 'Search failed. Please try again.');
+  const handleDetectItems = async () => {
+    const formData = new FormData();
+    if (imageFile) {
+      formData.append('image', imageFile);
+    } else {
+      formData.append('imageUrl', imageUrl);
+    }
+    formData.append('detectItems', '1');
+
+    setDetecting(true);
+    try {
+      const response: DetectItemsResponse = await api('/search', { method: 'POST', body: formData });
+      setDetectedItems(response.items);
+      setSelectedItem(null);
+      setRegion(null);
+      if (response.items.length === 0) {
+        showToast('info', 'No items found. Drag a box around the one you want instead.');
+      }
+    } catch (error) {
+      console.error('Failed to detect items:', error);
+      showToast('error', 'Could not find items in this image. Drag a box around the one you want instead.');
     } finally {
-      setLoading(false);
+      setDetecting(false);
     }
   };
 
+  const handleItemSelect = (item: DetectedItem) => {
+    if (selectedItem?.id === item.id) {
+      setSelectedItem(null);
+      setRegion(null);
+      return;
+    }
+    setSelectedItem(item);
+    setRegion(item.bbox);
+  };
+
+  const handleRegionChange = (drawn: ImageRegion) => {
+    setSelectedItem(null);
+    setRegion(drawn);
+  };
+
+  const handleWholeImage = () => {
+    setSelectedItem(null);
+    setRegion(null);
+  };
+
   const handleClear = () => {
     setSearchText('');
     setImageFile(null);
@@ -248,11 +391,47 @@ const Home: React.FC = () => {
                       id="searchText"
                       type="text"
                       value={searchText}
-                      onChange={(e) => setSearchText(e.target.value)}
+                      onChange={(e) => {
+                        setSearchText(e.target.value);
+                        setShowSuggestions(true);
+                      }}
+                      onFocus={() => setShowSuggestions(true)}
+                      onBlur={() => setShowSuggestions(false)}
+                      onKeyDown={handleSearchKeyDown}
+                      autoComplete="off"
                       className="input-field pl-12 py-4 text-lg border-2 group-hover:border-blue-300 transition-all duration-200"
                       placeholder="e.g., vintage leather jacket, summer floral dress, minimalist white sneakers..."
                     />
                     <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 group-hover:text-blue-500 transition-colors" size={20} />
+                    {showSuggestions && suggestions.length > 0 && (
+                      <ul className="absolute z-20 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-xl shadow-lg overflow-hidden">
+                        {suggestions.map((suggestion, index) => (
+                          <li key={suggestion.text}>
+                            <button
+                              type="button"
+                              // mousedown, so the pick lands before the input's blur hides the list
+                              onMouseDown={(e) => {
+                                e.preventDefault();
+                                pickSuggestion(suggestion);
+                              }}
+                              className={`w-full flex items-center space-x-3 px-4 py-2 text-left text-sm ${
+                                index === activeSuggestion ? 'bg-blue-50' : 'hover:bg-gray-50'
+                              }`}
+                            >
+                              {suggestion.type === 'history' ? (
+                                <History size={14} className="text-gray-400 flex-shrink-0" />
+                              ) : suggestion.type === 'popular' || suggestion.type === 'trending' ? (
+                                <TrendingUp size={14} className="text-gray-400 flex-shrink-0" />
+                              ) : (
+                                <Search size={14} className="text-gray-400 flex-shrink-0" />
+                              )}
+                              <span className="flex-1 text-gray-800">{suggestion.text}</span>
+                              {suggestion.type === 'brand' && <span className="text-xs text-gray-400">Brand</span>}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
                 </div>
 
@@ -329,22 +508,75 @@ const Home: React.FC = () => {
                   </div>
                 </div>
 
+                {/* Garment picker: search one item or a dragged-out part of the image */}
+                {previewSrc && (
+                  <div className="p-4 bg-gray-50 border border-gray-200 rounded-xl space-y-4">
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                      <div>
+                        <p className="text-sm font-semibold text-gray-700 flex items-center">
+                          <Crop className="inline mr-2" size={16} />
+                          Choose what to shop
+                        </p>
+                        <p className="text-xs text-gray-500">Pick a detected item or drag a box around any part of the image</p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={handleDetectItems}
+                        disabled={detecting}
+                        className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg text-sm font-semibold hover:border-blue-400 hover:text-blue-600 transition-colors duration-200 flex items-center justify-center space-x-2 disabled:opacity-50"
+                      >
+                        <Scan size={16} />
+                        <span>{detecting ? 'Finding items...' : 'Find items in photo'}</span>
+                      </button>
+                    </div>
+
+                    <ImageRegionPicker
+                      src={previewSrc}
+                      items={detectedItems}
+                      region={region}
+                      selectedItemId={selectedItem?.id || null}
+                      onItemSelect={handleItemSelect}
+                      onRegionChange={handleRegionChange}
+                    />
+
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        type="button"
+                        onClick={handleWholeImage}
+                        className={`px-3 py-1 rounded-full text-sm border transition-colors duration-200 ${
+                          region ? 'bg-white border-gray-300 text-gray-700 hover:border-blue-400' : 'bg-blue-600 border-blue-600 text-white'
+                        }`}
+                      >
+                        Whole image
+                      </button>
+                      {detectedItems.map(item => (
+                        <button
+                          key={item.id}
+                          type="button"
+                          onClick={() => handleItemSelect(item)}
+                          className={`px-3 py-1 rounded-full text-sm border capitalize transition-colors duration-200 ${
+                            selectedItem?.id === item.id ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:border-blue-400'
+                          }`}
+                        >
+                          {item.label}
+                        </button>
+                      ))}
+                      {region && !selectedItem && (
+                        <span className="px-3 py-1 rounded-full text-sm bg-blue-600 text-white">Custom area</span>
+                      )}
+                    </div>
+                  </div>
+                )}
+
                 {/* Action Buttons */}
                 <div className="flex flex-col sm:flex-row gap-4 pt-4">
                   <button
                     type="submit"
-                    disabled={loading}
-                    className="flex-1 bg-gradient-to-r from-blue-600 to-purple-600 text-white px-8 py-4 rounded-xl font-semibold hover:from-blue-700 hover:to-purple-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2 shadow-lg"
+                    className="flex-1 bg-gradient-to-r from-blue-600 to-purple-600 text-white px-8 py-4 rounded-xl font-semibold hover:from-blue-700 hover:to-purple-700 transition-all duration-200 flex items-center justify-center space-x-2 shadow-lg"
                   >
-                    {loading ? (
-                      <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                    ) : (
-                      <>
-                        <Search size={20} />
-                        <span>Find My Style</span>
-                        <ArrowRight size={20} />
-                      </>
-                    )}
+                    <Search size={20} />
+                    <span>Find My Style</span>
+                    <ArrowRight size={20} />
                   </button>
                   <button
                     type="button"
@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { UserCircle } from 'lucide-react';
+import { UserProfile, ProfileDepartment } from '../types';
+import { api } from '../utils/api';
+import Header from '../components/Header';
+import Toast, { ToastType } from '../components/Toast';
+
+const DEPARTMENTS: ProfileDepartment[] = ['men', 'women', 'kids', 'unisex'];
+// Same vocabulary as the query parser's fits (FIT_TERMS in lib/queryParser.js)
+const FIT_OPTIONS = ['slim', 'regular', 'relaxed', 'oversized', 'tapered', 'bootcut', 'wide leg', 'bodycon', 'a-line'];
+const TOP_SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', '3XL'];
+const BOTTOM_SIZES = ['26', '28', '30', '32', '34', '36', '38', '40', 'XS', 'S', 'M', 'L', 'XL', 'XXL'];
+const SHOE_SYSTEMS = ['UK', 'EU', 'US'];
+const RETAILER_OPTIONS = ['myntra', 'ajio', 'amazon', 'flipkart', 'snapdeal'];
+const MEASUREMENT_FIELDS: { field: 'chest' | 'waist' | 'footLength'; label: string }[] = [
+  { field: 'chest', label: 'Chest / bust' },
+  { field: 'waist', label: 'Waist' },
+  { field: 'footLength', label: 'Foot length' },
+];
+
+interface ProfileForm {
+  department: string;
+  fit: string;
+  tops: string;
+  bottoms: string;
+  shoeSystem: string;
+  shoeSize: string;
+  chest: string;
+  waist: string;
+  footLength: string;
+  budgetMin: string;
+  budgetMax: string;
+  retailers: string[];
+}
+
+const EMPTY_FORM: ProfileForm = {
+  department: '',
+  fit: '',
+  tops: '',
+  bottoms: '',
+  shoeSystem: 'UK',
+  shoeSize: '',
+  chest: '',
+  waist: '',
+  footLength: '',
+  budgetMin: '',
+  budgetMax: '',
+  retailers: [],
+};
+
+const toForm = (profile: UserProfile): ProfileForm => {
+  const [shoeSystem, shoeSize] = (profile.sizes.shoes || '').split(' ');
+  return {
+    department: profile.department || '',
+    fit: profile.fit || '',
+    tops: profile.sizes.tops || '',
+    bottoms: profile.sizes.bottoms || '',
+    shoeSystem: shoeSize ? shoeSystem : 'UK',
+    shoeSize: shoeSize || '',
+    chest: profile.measurements.chest != null ? String(profile.measurements.chest) : '',
+    waist: profile.measurements.waist != null ? String(profile.measurements.waist) : '',
+    footLength: profile.measurements.footLength != null ? String(profile.measurements.footLength) : '',
+    budgetMin: profile.budget?.min != null ? String(profile.budget.min) : '',
+    budgetMax: profile.budget?.max != null ? String(profile.budget.max) : '',
+    retailers: profile.retailers,
+  };
+};
+
+const Profile: React.FC = () => {
+  const navigate = useNavigate();
+  const [form, setForm] = useState<ProfileForm>(EMPTY_FORM);
+  const [shoeSizes, setShoeSizes] = useState<UserProfile['shoeSizes']>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [toast, setToast] = useState<{ type: ToastType; message: string } | null>(null);
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        const response = await api('/profile');
+        setForm(toForm(response.profile));
+        setShoeSizes(response.profile.shoeSizes);
+      } catch (error) {
+        console.error('Failed to load profile:', error);
+        setToast({ type: 'error', message: 'Failed to load your profile.' });
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadProfile();
+  }, []);
+
+  const update = (field: keyof ProfileForm, value: string) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleRetailer = (retailer: string) => {
+    setForm(prev => ({
+      ...prev,
+      retailers: prev.retailers.includes(retailer)
+        ? prev.retailers.filter(r => r !== retailer)
+        : [...prev.retailers, retailer],
+    }));
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api('/profile', {
+        method: 'PUT',
+        body: JSON.stringify({
+          department: form.department || null,
+          fit: form.fit || null,
+          sizes: {
+            tops: form.tops || null,
+            bottoms: form.bottoms || null,
+            shoes: form.shoeSize ? `${form.shoeSystem} ${form.shoeSize}` : null,
+          },
+          measurements: {
+            chest: form.chest || null,
+            waist: form.waist || null,
+            footLength: form.footLength || null,
+          },
+          budget: { min: form.budgetMin || null, max: form.budgetMax || null },
+          retailers: form.retailers,
+        }),
+      });
+      setForm(toForm(response.profile));
+      setShoeSizes(response.profile.shoeSizes);
+      setToast({ type: 'success', message: 'Profile saved. Your searches will use it.' });
+    } catch (error: any) {
+      console.error('Failed to save profile:', error);
+      setToast({ type: 'error', message: error.message || 'Failed to save profile.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gray-900 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading profile...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header showBackButton onBackClick={() => navigate('/')} backText="Back to search" />
+
+      <main className="max-w-3xl mx-auto px-6 py-8">
+        <div className="flex items-center space-x-2 mb-2">
+          <UserCircle className="text-blue-600" size={28} />
+          <h1 className="text-3xl font-bold text-gray-900">Sizes & Preferences</h1>
+        </div>
+        <p className="text-gray-600 mb-8">
+          Searches and outfit suggestions use these unless your search says otherwise.
+        </p>
+
+        <form onSubmit={handleSave} className="space-y-6">
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Sizes</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Tops</label>
+                <select
+                  value={form.tops}
+                  onChange={(e) => update('tops', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                >
+                  <option value="">Not set</option>
+                  {TOP_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Bottoms (waist or size)</label>
+                <select
+                  value={form.bottoms}
+                  onChange={(e) => update('bottoms', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                >
+                  <option value="">Not set</option>
+                  {BOTTOM_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Shoes</label>
+                <div className="flex space-x-2">
+                  <select
+                    value={form.shoeSystem}
+                    onChange={(e) => update('shoeSystem', e.target.value)}
+                    className="px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                  >
+                    {SHOE_SYSTEMS.map(system => <option key={system} value={system}>{system}</option>)}
+                  </select>
+                  <input
+                    type="number"
+                    min={1}
+                    max={50}
+                    step={0.5}
+                    value={form.shoeSize}
+                    onChange={(e) => update('shoeSize', e.target.value)}
+                    placeholder="e.g. 8"
+                    className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                  />
+                </div>
+                {shoeSizes && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {shoeSizes.UK} · {shoeSizes.EU} · {shoeSizes.US}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Measurements</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Optional. With these, each product shows the size to order on its brand's own chart; without them your sizes above are used.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {MEASUREMENT_FIELDS.map(({ field, label }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">{label} (cm)</label>
+                  <input
+                    type="number"
+                    min={0}
+                    step={0.5}
+                    value={form[field]}
+                    onChange={(e) => update(field, e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Style</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Shop in</label>
+                <select
+                  value={form.department}
+                  onChange={(e) => update('department', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                >
+                  <option value="">Any department</option>
+                  {DEPARTMENTS.map(department => (
+                    <option key={department} value={department}>
+                      {department.charAt(0).toUpperCase() + department.slice(1)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Preferred fit</label>
+                <select
+                  value={form.fit}
+                  onChange={(e) => update('fit', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                >
+                  <option value="">No preference</option>
+                  {FIT_OPTIONS.map(fit => <option key={fit} value={fit}>{fit}</option>)}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Budget & Retailers</h2>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Min price (₹)</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={form.budgetMin}
+                  onChange={(e) => update('budgetMin', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Max price (₹)</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={form.budgetMax}
+                  onChange={(e) => update('budgetMax', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                />
+              </div>
+            </div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Only show these retailers</label>
+            <div className="flex flex-wrap gap-4">
+              {RETAILER_OPTIONS.map(retailer => (
+                <label key={retailer} className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={form.retailers.includes(retailer)}
+                    onChange={() => toggleRetailer(retailer)}
+                    className="rounded border-gray-300"
+                  />
+                  <span className="text-sm capitalize">{retailer}</span>
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Leave all unchecked to search every retailer.</p>
+          </div>
+
+          <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+            {saving ? 'Saving...' : 'Save profile'}
+          </button>
+        </form>
+      </main>
+
+      {toast && (
+        <Toast
+          type={toast.type}
+          message={toast.message}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Profile;
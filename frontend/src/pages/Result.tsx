@@ -1,12 +1,27 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Filter, BarChart3 } from 'lucide-react';
-import { SearchResponse, Product, WishlistItem, SearchFilters, SortOptions } from '../types';
+import { Filter, BarChart3, Bookmark } from 'lucide-react';
+import { SearchResponse, SearchPageResponse, Product, WishlistItem, SearchFilters, SortOptions } from '../types';
+import { api } from '../utils/api';
+import { streamSearch, getPendingSearch, clearPendingSearch } from '../utils/searchStream';
+import { trackEvent } from '../utils/feedback';
 import Header from '../components/Header';
 import ProductCard from '../components/ProductCard';
 import ComparisonView from '../components/ComparisonView';
+import SaveSearchForm from '../components/SaveSearchForm';
 import Toast, { ToastType } from '../components/Toast';
 
+const MIN_DISCOUNT_OPTIONS = [10, 20, 30, 40, 50, 70];
+const MIN_RATING_OPTIONS = [4.5, 4, 3.5, 3];
+const LANGUAGE_NAMES = { hi: 'Hindi', gu: 'Gujarati', hinglish: 'Hinglish' };
+
+// Sorts that default to highest first, with tie-breakers, mirroring applySort on the server
+const DESCENDING_SORT_KEYS: Record<string, Array<(product: Product) => number | null | undefined>> = {
+  discount: [product => product.discountPercent],
+  rating: [product => product.rating, product => product.reviews],
+  popularity: [product => product.reviews, product => product.rating],
+};
+
 const Result: React.FC = () => {
   const navigate = useNavigate();
   const [searchData, setSearchData] = useState<SearchResponse | null>(null);
@@ -15,6 +30,12 @@ const Result: React.FC = () => {
   const [showFilters, setShowFilters] = useState(false);
   const [showComparison, setShowComparison] = useState(true); // Show comparison by default
   const [toast, setToast] = useState<{ type: ToastType; message: string } | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [streaming, setStreaming] = useState(false);
+  const [savingSearch, setSavingSearch] = useState(false);
+  const [savedSearchName, setSavedSearchName] = useState<string | null>(null);
+  const loadMoreRef = useRef<HTMLDivElement | null>(null);
+  const reportedImpressions = useRef<Set<string>>(new Set());
 
   // Filter states
   const [filters, setFilters] = useState<SearchFilters>({});
@@ -96,7 +117,7 @@ const Result: React.FC = () => {
       .map(s => s!)
     )).sort();
 
-    // Extract colors from product titles
+    // Extract colors from product titles and the thumbnail colors the server looked up
     const commonColors = [
       'black', 'white', 'red', 'blue', 'green', 'yellow', 'pink', 'purple', 
       'brown', 'gray', 'grey', 'orange', 'navy', 'beige', 'cream', 'gold', 
@@ -111,6 +132,7 @@ const Result: React.FC = () => {
           foundColors.add(color);
         }
       });
+      product.imageColors?.forEach(color => foundColors.add(color));
     });
     const colors = Array.from(foundColors).sort();
 
@@ -192,7 +214,7 @@ const Result: React.FC = () => {
       filtered = filtered.filter(product => {
         const title = product.title.toLowerCase();
         return filters.colors!.some(color =>
-          title.includes(color.toLowerCase())
+          title.includes(color.toLowerCase()) || product.imageColors?.includes(color.toLowerCase())
         );
       });
     }
@@ -210,8 +232,39 @@ const Result: React.FC = () => {
           });
         }
 
+    // Apply minimum discount; products without a known discount are left out
+    if (filters.minDiscount) {
+      filtered = filtered.filter(product => (product.discountPercent ?? 0) >= filters.minDiscount!);
+    }
+
+    // Apply minimum rating; unrated products are left out
+    if (filters.minRating) {
+      filtered = filtered.filter(product => (product.rating ?? 0) >= filters.minRating!);
+    }
+
+    // Stock is rarely known, so only drop products known to be unavailable
+    if (filters.inStockOnly) {
+      filtered = filtered.filter(product => product.availability !== 'out_of_stock');
+    }
+
     // Apply sorting
-    if (sortOptions.sortBy === 'price') {
+    const sortKeys = sortOptions.sortBy ? DESCENDING_SORT_KEYS[sortOptions.sortBy] : undefined;
+    if (sortKeys) {
+      const dir = sortOptions.sortOrder === 'asc' ? 1 : -1;
+      filtered.sort((a, b) => {
+        for (const key of sortKeys) {
+          const valueA = key(a) ?? null;
+          const valueB = key(b) ?? null;
+
+          // Handle products without the value (put them at the end)
+          if (valueA === null && valueB === null) continue;
+          if (valueA === null) return 1;
+          if (valueB === null) return -1;
+          if (valueA !== valueB) return (valueA - valueB) * dir;
+        }
+        return 0;
+      });
+    } else if (sortOptions.sortBy === 'price') {
       filtered.sort((a, b) => {
         const priceA = parsePrice(a.price);
         const priceB = parsePrice(b.price);
@@ -228,6 +281,32 @@ const Result: React.FC = () => {
     setFilteredProducts(filtered);
   }, [searchData, filters, sortOptions]);
 
+  // Fetch the next page of the stored server-side result set
+  const loadMoreResults = useCallback(async () => {
+    const cursor = searchData?.pagination?.nextCursor;
+    if (!searchData || !cursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const response: SearchPageResponse = await api('/search', {
+        method: 'POST',
+        body: JSON.stringify({ cursor }),
+      });
+      const updated: SearchResponse = {
+        ...searchData,
+        products: [...searchData.products, ...response.products],
+        pagination: response.pagination,
+      };
+      setSearchData(updated);
+      extractAvailableFilters(updated.products);
+    } catch (error: any) {
+      console.error('Failed to load more results:', error);
+      showToast('error', error.message || 'Failed to load more results.');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [searchData, loadingMore, extractAvailableFilters]);
+
   const handleSaveToWishlist = (item: WishlistItem) => {
     setWishlistItems(prev => [item, ...prev]);
     showToast('success', 'Added to wishlist!');
@@ -253,7 +332,7 @@ const Result: React.FC = () => {
   const handleSortChange = (sortBy: string, sortOrder: string) => {
     console.log(`Sort change: ${sortBy} - ${sortOrder}`);
     const newSortOptions = { 
-      sortBy: sortBy === 'relevance' ? undefined : sortBy as 'price' | 'date', 
+      sortBy: sortBy === 'relevance' ? undefined : sortBy as SortOptions['sortBy'], 
       sortOrder: sortOrder as 'asc' | 'desc' 
     };
     console.log('New sort options:', newSortOptions);
@@ -272,19 +351,142 @@ const Result: React.FC = () => {
 
   // useEffect hooks after function declarations
   useEffect(() => {
-    loadSearchResults();
     loadWishlist();
-  }, [loadSearchResults, loadWishlist]);
+  }, [loadWishlist]);
+
+  // A search submitted from Home is streamed; otherwise show the last results from sessionStorage
+  useEffect(() => {
+    const pending = getPendingSearch();
+    if (!pending) {
+      loadSearchResults();
+      return;
+    }
+
+    const controller = new AbortController();
+    setStreaming(true);
+    setSearchData({
+      query: '',
+      products: [],
+      providers: [],
+      comparison: { companies: [], companyGroups: {}, priceStats: null, bestDeals: [], totalProducts: 0, priceRange: null },
+    });
+
+    const finish = () => {
+      clearPendingSearch();
+      setStreaming(false);
+    };
+
+    streamSearch(pending, {
+      onQuery: ({ query, attributes }) => {
+        setSearchData(prev => prev && { ...prev, query, attributes });
+      },
+      onProvider: ({ provider, products }) => {
+        setSearchData(prev => prev && {
+          ...prev,
+          products: [...prev.products, ...products],
+          providers: [...(prev.providers || []), provider],
+        });
+      },
+      onResults: (data) => {
+        setSearchData(data);
+        extractAvailableFilters(data.products);
+      },
+      onPrice: ({ link, ...update }) => {
+        setSearchData(prev => prev && {
+          ...prev,
+          products: prev.products.map(p => (p.link === link ? { ...p, ...update } : p)),
+        });
+      },
+      onDone: finish,
+      onError: (message) => {
+        finish();
+        showToast('error', message);
+      },
+    }, controller.signal).catch((error) => {
+      if (error.name === 'AbortError') return;
+      console.error('Search stream error:', error);
+      finish();
+      showToast('error', error.message || 'Search failed. Please try again.');
+    });
+
+    return () => controller.abort();
+  }, [loadSearchResults, extractAvailableFilters]);
+
+  // Persist finished results so a reload or Back from a product keeps them
+  useEffect(() => {
+    if (searchData && !streaming) {
+      sessionStorage.setItem('searchResults', JSON.stringify(searchData));
+    }
+  }, [searchData, streaming]);
 
   // Apply filters and sorting whenever filters or sort options change
   useEffect(() => {
     applyFiltersAndSort();
   }, [applyFiltersAndSort]);
 
+  // Infinite scroll: load the next page when the sentinel below the grid comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !searchData?.pagination?.hasMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreResults();
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [searchData, loadMoreResults]);
+
+  // Report each ranked result once per query as an impression (feeds popularity ranking)
+  useEffect(() => {
+    if (streaming || !searchData?.query) return;
+    filteredProducts.forEach((product) => {
+      const key = `${searchData.query}|${product.link || product.title}`;
+      if (reportedImpressions.current.has(key)) return;
+      reportedImpressions.current.add(key);
+      trackEvent('impression', product, searchData.query);
+    });
+  }, [filteredProducts, searchData?.query, streaming]);
+
   if (!searchData) {
     return <div>Loading...</div>;
   }
 
+  // Chips for what the query parser understood, e.g. "shirt", "black", "under ₹1500"
+  const attributes = searchData.attributes;
+  const queryAttributeLabels = attributes
+    ? [
+        attributes.gender,
+        attributes.brand,
+        attributes.color,
+        attributes.material,
+        attributes.fit && `${attributes.fit} fit`,
+        attributes.category,
+        attributes.occasion,
+        attributes.size && `size ${attributes.size}`,
+        attributes.minPrice != null && attributes.maxPrice != null
+          ? `₹${attributes.minPrice}–₹${attributes.maxPrice}`
+          : attributes.maxPrice != null
+            ? `under ₹${attributes.maxPrice}`
+            : attributes.minPrice != null
+              ? `over ₹${attributes.minPrice}`
+              : null,
+      ].filter((label): label is string => Boolean(label))
+    : [];
+
+  // What the saved profile filled in, e.g. "size M", "₹500–₹2500", "myntra, ajio"
+  const appliedFilters = searchData.filters;
+  const profileDefaultLabels = (searchData.profileDefaults || [])
+    .map(key => {
+      if (key === 'sizes') return appliedFilters?.sizes?.length ? `size ${appliedFilters.sizes.join(' / ')}` : null;
+      if (key === 'maxPrice') return appliedFilters?.maxPrice != null ? `up to ₹${appliedFilters.maxPrice}` : null;
+      if (key === 'minPrice') return appliedFilters?.minPrice != null ? `from ₹${appliedFilters.minPrice}` : null;
+      if (key === 'retailers') return appliedFilters?.retailers?.length ? appliedFilters.retailers.join(', ') : null;
+      return null;
+    })
+    .filter((label): label is string => Boolean(label));
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Header showBackButton onBackClick={() => navigate('/')} />
@@ -296,12 +498,98 @@ const Result: React.FC = () => {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
               <p className="text-sm text-gray-600">Query</p>
-              <p className="font-medium text-gray-900">{searchData.query}</p>
-            </div>
-            <div>
-
+              <p className="font-medium text-gray-900">{searchData.query || (streaming ? 'Understanding your search...' : '')}</p>
+              {attributes?.translation && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Translated from {LANGUAGE_NAMES[attributes.translation.language]}: {attributes.translation.from}
+                </p>
+              )}
+              {attributes?.corrections && attributes.corrections.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Corrected: {attributes.corrections.map(c => `${c.from} → ${c.to}`).join(', ')}
+                </p>
+              )}
+              {queryAttributeLabels.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {queryAttributeLabels.map((label) => (
+                    <span key={label} className="px-2 py-1 rounded bg-primary-50 text-primary-700 text-xs font-medium">
+                      {label}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {profileDefaultLabels.length > 0 && (
+                <p className="text-xs text-gray-500 mt-2">
+                  From your profile: {profileDefaultLabels.join(' · ')}{' '}
+                  <button onClick={() => navigate('/profile')} className="text-primary-600 hover:underline">
+                    Edit
+                  </button>
+                </p>
+              )}
             </div>
+            {searchData.providers && searchData.providers.length > 0 && (
+              <div>
+                <p className="text-sm text-gray-600">Sources</p>
+                <div className="flex flex-wrap gap-2 mt-1">
+                  {searchData.providers.map((provider) => (
+                    <span
+                      key={provider.name}
+                      title={provider.error || `${provider.count} results in ${provider.durationMs}ms`}
+                      className={`px-2 py-1 rounded text-xs font-medium ${
+                        provider.status === 'ok'
+                          ? 'bg-green-50 text-green-700'
+                          : provider.status === 'disabled'
+                            ? 'bg-gray-100 text-gray-500'
+                            : 'bg-red-50 text-red-700'
+                      }`}
+                    >
+                      {provider.name} · {provider.status === 'ok' ? provider.count : provider.status}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
+          {searchData.newCount != null && (
+            <p className="text-sm text-gray-600 mt-4">
+              {searchData.newCount > 0
+                ? `${searchData.newCount} new since you last ran this search`
+                : 'Nothing new since you last ran this search'}
+            </p>
+          )}
+          {searchData.historyId && !streaming && !searchData.savedSearchId && (
+            <div className="mt-4 pt-4 border-t border-gray-100">
+              {savedSearchName ? (
+                <p className="text-sm text-gray-600">
+                  Saved as "{savedSearchName}".{' '}
+                  <button onClick={() => navigate('/searches')} className="text-primary-600 hover:underline">
+                    Manage saved searches
+                  </button>
+                </p>
+              ) : savingSearch ? (
+                <SaveSearchForm
+                  historyId={searchData.historyId}
+                  defaultName={searchData.query}
+                  searchId={searchData.pagination?.searchId}
+                  onSaved={(item) => {
+                    setSavingSearch(false);
+                    setSavedSearchName(item.name);
+                    showToast('success', 'Search saved!');
+                  }}
+                  onCancel={() => setSavingSearch(false)}
+                  onError={(message) => showToast('error', message)}
+                />
+              ) : (
+                <button
+                  onClick={() => setSavingSearch(true)}
+                  className="flex items-center space-x-2 text-sm text-primary-600 hover:text-primary-700"
+                >
+                  <Bookmark size={16} />
+                  <span>Save this search</span>
+                </button>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Filters and Sort */}
@@ -340,12 +628,15 @@ const Result: React.FC = () => {
                 <option value="relevance-asc">Relevance</option>
                 <option value="price-asc">Price: Low to High</option>
                 <option value="price-desc">Price: High to Low</option>
+                <option value="discount-desc">Discount: High to Low</option>
+                <option value="rating-desc">Customer Rating</option>
+                <option value="popularity-desc">Popularity</option>
               </select>
             </div>
           </div>
           
           <p className="text-sm text-gray-600">
-            {filteredProducts.length} of {searchData.products.length} results
+            {filteredProducts.length} of {searchData.pagination?.total ?? searchData.products.length} results
           </p>
         </div>
 
@@ -397,6 +688,55 @@ const Result: React.FC = () => {
                 </div>
               )}
 
+              {/* Discount */}
+              {searchData.products.some(product => product.discountPercent) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Discount
+                  </label>
+                  <select
+                    value={filters.minDiscount ?? ''}
+                    onChange={(e) => handleFilterChange('minDiscount', e.target.value === '' ? undefined : Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                  >
+                    <option value="">Any discount</option>
+                    {MIN_DISCOUNT_OPTIONS.map(pct => (
+                      <option key={pct} value={pct}>
+                        {pct}% off or more
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Rating & stock */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Rating
+                </label>
+                <select
+                  value={filters.minRating ?? ''}
+                  onChange={(e) => handleFilterChange('minRating', e.target.value === '' ? undefined : Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                >
+                  <option value="">Any rating</option>
+                  {MIN_RATING_OPTIONS.map(stars => (
+                    <option key={stars} value={stars}>
+                      {stars}★ & up
+                    </option>
+                  ))}
+                </select>
+                <label className="flex items-center space-x-2 mt-3">
+                  <input
+                    type="checkbox"
+                    checked={filters.inStockOnly || false}
+                    onChange={(e) => handleFilterChange('inStockOnly', e.target.checked || undefined)}
+                    className="rounded border-gray-300"
+                  />
+                  <span className="text-sm">Hide out of stock</span>
+                </label>
+              </div>
+
               {/* Colors */}
               {availableFilters.colors.length > 0 && (
                 <div>
@@ -469,6 +809,13 @@ const Result: React.FC = () => {
         )}
 
         {/* Results Grid */}
+        {streaming && (
+          <div className="flex items-center space-x-3 mb-6 text-sm text-gray-600">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-900"></div>
+            <span>Searching retailers... results will keep updating</span>
+          </div>
+        )}
+
         {filteredProducts.length > 0 ? (
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
             {filteredProducts.map((product, index) => (
@@ -478,10 +825,12 @@ const Result: React.FC = () => {
                 onSave={handleSaveToWishlist}
                 onRemove={handleRemoveFromWishlist}
                 isSaved={wishlistItems.some(item => item.title === product.title)}
+                searchQuery={searchData.query}
+                requestedSizes={searchData.filters?.sizes}
               />
             ))}
           </div>
-        ) : (
+        ) : !streaming && (
           <div className="text-center py-12">
             <p className="text-gray-500 text-lg">No products found matching your filters.</p>
             <button
@@ -492,6 +841,15 @@ const Result: React.FC = () => {
             </button>
           </div>
         )}
+
+        {/* Infinite scroll sentinel */}
+        {searchData.pagination?.hasMore && (
+          <div ref={loadMoreRef} className="flex justify-center py-8">
+            {loadingMore && (
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-900"></div>
+            )}
+          </div>
+        )}
       </main>
 
       {toast && (
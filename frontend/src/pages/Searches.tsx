@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { History, Bookmark, Play, Trash2, Image as ImageIcon } from 'lucide-react';
+import { SearchHistoryEntry, SavedSearch, SavedSearchAlert } from '../types';
+import { api, API_BASE } from '../utils/api';
+import Header from '../components/Header';
+import SaveSearchForm, { ALERT_OPTIONS } from '../components/SaveSearchForm';
+import Toast, { ToastType } from '../components/Toast';
+
+// Uploaded-image thumbnails are stored as /uploads paths on the API server
+const thumbnailSrc = (thumbnail?: string | null) =>
+  thumbnail && thumbnail.startsWith('/uploads/') ? `${API_BASE}${thumbnail}` : thumbnail || undefined;
+
+const SearchThumbnail: React.FC<{ entry: SearchHistoryEntry | SavedSearch }> = ({ entry }) => (
+  entry.thumbnail ? (
+    <img src={thumbnailSrc(entry.thumbnail)} alt="" className="w-12 h-12 rounded-lg object-cover flex-shrink-0 bg-gray-100" />
+  ) : (
+    <div className="w-12 h-12 rounded-lg flex-shrink-0 bg-gray-100 flex items-center justify-center text-gray-400">
+      {entry.imageUrl ? <ImageIcon size={18} /> : <History size={18} />}
+    </div>
+  )
+);
+
+const Searches: React.FC = () => {
+  const navigate = useNavigate();
+  const [history, setHistory] = useState<SearchHistoryEntry[]>([]);
+  const [saved, setSaved] = useState<SavedSearch[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState<string | null>(null);
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const [toast, setToast] = useState<{ type: ToastType; message: string } | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [historyResponse, savedResponse] = await Promise.all([
+          api('/search/history?limit=50'),
+          api('/saved-searches'),
+        ]);
+        setHistory(historyResponse.items);
+        setSaved(savedResponse.items);
+      } catch (error) {
+        console.error('Failed to load searches:', error);
+        setToast({ type: 'error', message: 'Failed to load your searches.' });
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  // Re-runs answer with the same body as /search; Result picks it up from sessionStorage
+  const runSearch = async (path: string, id: string) => {
+    setRunning(id);
+    try {
+      const response = await api(path, { method: 'POST', body: JSON.stringify({}) });
+      sessionStorage.setItem('searchResults', JSON.stringify(response));
+      navigate('/result');
+    } catch (error: any) {
+      console.error('Failed to run search:', error);
+      setToast({ type: 'error', message: error.message || 'Failed to run search.' });
+      setRunning(null);
+    }
+  };
+
+  const deleteHistoryEntry = async (id: string) => {
+    try {
+      await api(`/search/history/${id}`, { method: 'DELETE' });
+      setHistory(prev => prev.filter(entry => entry._id !== id));
+    } catch (error) {
+      console.error('Failed to delete search:', error);
+      setToast({ type: 'error', message: 'Failed to delete search.' });
+    }
+  };
+
+  const clearHistory = async () => {
+    if (!window.confirm('Clear your whole search history? Saved searches are kept.')) return;
+    try {
+      await api('/search/history', { method: 'DELETE' });
+      setHistory([]);
+    } catch (error) {
+      console.error('Failed to clear history:', error);
+      setToast({ type: 'error', message: 'Failed to clear search history.' });
+    }
+  };
+
+  const updateAlert = async (id: string, alert: SavedSearchAlert) => {
+    try {
+      const response = await api(`/saved-searches/${id}`, { method: 'PUT', body: JSON.stringify({ alert }) });
+      setSaved(prev => prev.map(item => (item._id === id ? response.item : item)));
+      setToast({ type: 'success', message: alert === 'off' ? 'Alerts turned off.' : `We'll check ${alert} for new items.` });
+    } catch (error: any) {
+      console.error('Failed to update saved search:', error);
+      setToast({ type: 'error', message: error.message || 'Failed to update saved search.' });
+    }
+  };
+
+  const deleteSaved = async (id: string) => {
+    try {
+      await api(`/saved-searches/${id}`, { method: 'DELETE' });
+      setSaved(prev => prev.filter(item => item._id !== id));
+    } catch (error) {
+      console.error('Failed to delete saved search:', error);
+      setToast({ type: 'error', message: 'Failed to delete saved search.' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gray-900 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading searches...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header showBackButton onBackClick={() => navigate('/')} backText="Back to search" />
+
+      <main className="max-w-4xl mx-auto px-6 py-8 space-y-8">
+        <section>
+          <div className="flex items-center space-x-2 mb-4">
+            <Bookmark className="text-blue-600" size={24} />
+            <h1 className="text-2xl font-bold text-gray-900">Saved Searches</h1>
+          </div>
+          {saved.length === 0 ? (
+            <div className="card text-sm text-gray-500">
+              Nothing saved yet. Save a search from your results or from the history below to re-run it any time
+              or get alerted when new items match it.
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {saved.map(item => (
+                <div key={item._id} className="card flex items-center space-x-4">
+                  <SearchThumbnail entry={item} />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{item.name}</p>
+                    <p className="text-sm text-gray-500 truncate">{item.query}</p>
+                    {item.lastRunAt && (
+                      <p className="text-xs text-gray-400 mt-1">
+                        Last checked {new Date(item.lastRunAt).toLocaleString()}
+                        {item.lastNewCount ? ` · ${item.lastNewCount} new` : ''}
+                      </p>
+                    )}
+                  </div>
+                  <select
+                    value={item.alert}
+                    onChange={(e) => updateAlert(item._id, e.target.value as SavedSearchAlert)}
+                    className="px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                  >
+                    {ALERT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                  </select>
+                  <button
+                    onClick={() => runSearch(`/saved-searches/${item._id}/run`, item._id)}
+                    disabled={running !== null}
+                    className="flex items-center space-x-1 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    <Play size={14} />
+                    <span>{running === item._id ? 'Running...' : 'Run'}</span>
+                  </button>
+                  <button
+                    onClick={() => deleteSaved(item._id)}
+                    title="Delete saved search"
+                    className="p-2 text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+
+        <section>
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-2">
+              <History className="text-blue-600" size={24} />
+              <h2 className="text-2xl font-bold text-gray-900">Recent Searches</h2>
+            </div>
+            {history.length > 0 && (
+              <button onClick={clearHistory} className="text-sm text-gray-500 hover:text-red-600">
+                Clear history
+              </button>
+            )}
+          </div>
+          {history.length === 0 ? (
+            <div className="card text-sm text-gray-500">Searches you run while signed in show up here.</div>
+          ) : (
+            <div className="card divide-y divide-gray-100 p-0">
+              {history.map(entry => (
+                <div key={entry._id} className="px-4 py-3">
+                  <div className="flex items-center space-x-4">
+                    <SearchThumbnail entry={entry} />
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{entry.text || 'Image search'}</p>
+                      <p className="text-sm text-gray-500 truncate">
+                        {entry.query}
+                        {entry.resultCount != null ? ` · ${entry.resultCount} results` : ''}
+                      </p>
+                      <p className="text-xs text-gray-400">{new Date(entry.createdAt).toLocaleString()}</p>
+                    </div>
+                    <button
+                      onClick={() => runSearch(`/search/history/${entry._id}/run`, entry._id)}
+                      disabled={running !== null}
+                      title="Run again"
+                      className="p-2 text-gray-500 hover:text-blue-600 disabled:opacity-50"
+                    >
+                      <Play size={16} />
+                    </button>
+                    <button
+                      onClick={() => setSavingId(savingId === entry._id ? null : entry._id)}
+                      title="Save search"
+                      className="p-2 text-gray-500 hover:text-blue-600"
+                    >
+                      <Bookmark size={16} />
+                    </button>
+                    <button
+                      onClick={() => deleteHistoryEntry(entry._id)}
+                      title="Remove from history"
+                      className="p-2 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                  {savingId === entry._id && (
+                    <div className="mt-3">
+                      <SaveSearchForm
+                        historyId={entry._id}
+                        defaultName={entry.text || entry.query}
+                        onSaved={(item) => {
+                          setSaved(prev => [item, ...prev]);
+                          setSavingId(null);
+                          setToast({ type: 'success', message: 'Search saved.' });
+                        }}
+                        onCancel={() => setSavingId(null)}
+                        onError={(message) => setToast({ type: 'error', message })}
+                      />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      </main>
+
+      {toast && (
+        <Toast
+          type={toast.type}
+          message={toast.message}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Searches;
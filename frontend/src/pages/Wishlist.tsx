@@ -5,13 +5,18 @@ import { WishlistItem } from '../types';
 import { api } from '../utils/api';
 import Header from '../components/Header';
 import ProductCard from '../components/ProductCard';
+import PriceSparkline from '../components/PriceSparkline';
+import PriceAlertControl from '../components/PriceAlertControl';
 import Toast, { ToastType } from '../components/Toast';
 
+const REFRESH_BATCH_SIZE = 30;
+
 const Wishlist: React.FC = () => {
   const navigate = useNavigate();
   const [wishlistItems, setWishlistItems] = useState<WishlistItem[]>([]);
   const [loading, setLoading] = useState(true);
   const [toast, setToast] = useState<{ type: ToastType; message: string } | null>(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
 
   const loadWishlist = useCallback(async () => {
     try {
@@ -52,12 +57,18 @@ const Wishlist: React.FC = () => {
       setLoading(true);
       showToast('info', 'Refreshing prices... This may take a moment.');
       
-      const response = await api('/refresh-prices', {
-        method: 'POST',
-        body: JSON.stringify({ products: wishlistItems }),
-      });
+      // The server accepts a bounded batch per request
+      const refreshed: WishlistItem[] = [];
+      for (let i = 0; i < wishlistItems.length; i += REFRESH_BATCH_SIZE) {
+        const response = await api('/refresh-prices', {
+          method: 'POST',
+          body: JSON.stringify({ products: wishlistItems.slice(i, i + REFRESH_BATCH_SIZE) }),
+        });
+        refreshed.push(...response.products);
+      }
       
-      setWishlistItems(response.products);
+      setWishlistItems(refreshed);
+      setHistoryVersion(v => v + 1);
       showToast('success', 'Prices refreshed successfully!');
     } catch (error) {
       console.error('Failed to refresh prices:', error);
@@ -246,6 +257,12 @@ const Wishlist: React.FC = () => {
                   isSaved={true}
                   showSaveButton={false}
                 />
+                <PriceSparkline itemId={item._id} refreshKey={historyVersion} />
+                <PriceAlertControl
+                  item={item}
+                  onChange={(updated) => setWishlistItems(prev => prev.map(i => (i._id === updated._id ? updated : i)))}
+                  onError={(message) => showToast('error', message)}
+                />
                 
                 {/* Remove Button */}
                 <button
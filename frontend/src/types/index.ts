@@ -12,10 +12,88 @@ export interface Product {
   link?: string;
   source?: string;
   thumbnail?: string;
-  rating?: number;
-  reviews?: number;
-  availability?: string;
-  shipping?: string;
+  // Stars out of 5 and the number of ratings behind them
+  rating?: number | null;
+  reviews?: number | null;
+  availability?: ProductAvailability | null;
+  // Delivery estimate as the retailer words it
+  shipping?: string | null;
+  currency?: string;
+  // List price and whole-percent discount off it, when the retailer shows one
+  mrp?: number | null;
+  discountPercent?: number | null;
+  offers?: ProductOffer[];
+  // Sizes on the product page, and whether the searched size is in stock (only when a size was searched)
+  sizes?: ProductSize[];
+  sizeAvailable?: boolean | null;
+  // Size to order for the signed-in user's measurements or saved sizes (lib/sizeCharts.js)
+  recommendedSize?: RecommendedSize;
+  match?: ProductMatch;
+  // Main colors of the thumbnail (lib/imageColors.js), looked up when a color filter was applied
+  imageColors?: string[];
+}
+
+export interface RecommendedSize {
+  label: string;
+  // 'closest' when no size's range holds the measurement
+  fit: 'good' | 'closest';
+  measurement: 'chest' | 'waist' | 'footLength';
+  bodyCm: number;
+  rangeCm: [number, number];
+  chart: 'brand' | 'generic';
+  basis: 'measurements' | 'size';
+  available: boolean | null;
+}
+
+// available is null when the page lists the size without saying whether it is in stock
+export interface ProductSize {
+  label: string;
+  available: boolean | null;
+}
+
+export type ProductAvailability = 'in_stock' | 'limited' | 'out_of_stock' | 'preorder';
+
+export type ProductOfferType = 'bank' | 'emi' | 'cashback' | 'coupon' | 'deal' | 'delivery' | 'discount' | 'other';
+
+// Bank offers, coupons, deal badges and the like (see lib/pricing.js)
+export interface ProductOffer {
+  type: ProductOfferType;
+  text: string;
+}
+
+// Same item found at several retailers (see lib/productMatching.js)
+export interface ProductMatch {
+  id: string;
+  sellers: number;
+  cheapestSource: string;
+  cheapestPrice: string | null;
+  cheapestLink: string | null;
+}
+
+export interface MatchOffer {
+  source: string;
+  title: string;
+  price: string | null;
+  priceNumber: number | null;
+  link: string | null;
+  thumbnail: string | null;
+}
+
+export interface MatchCluster {
+  id: string;
+  brand: string | null;
+  category: string | null;
+  title: string;
+  sellers: number;
+  listings: number;
+  cheapest: {
+    source: string;
+    price: string | null;
+    priceNumber: number | null;
+    link: string | null;
+  };
+  savings: number;
+  offers: MatchOffer[];
 }
 
 export interface WishlistItem {
@@ -26,6 +104,54 @@ export interface WishlistItem {
   image?: string;
   source?: string;
   createdAt?: string;
+  alert?: PriceAlert | null;
+}
+
+export interface PriceAlert {
+  targetPrice?: number | null;
+  dropPercent?: number | null;
+  basePrice?: number | null;
+  armed?: boolean;
+  lastNotifiedPrice?: number | null;
+  lastCheckedAt?: string;
+  createdAt?: string;
+}
+
+export interface AppNotification {
+  _id: string;
+  type: 'price_drop' | 'saved_search';
+  title: string;
+  message: string;
+  link?: string;
+  image?: string;
+  wishlistItemId?: string;
+  readAt?: string | null;
+  createdAt: string;
+}
+
+export interface PriceObservation {
+  price: number;
+  currency: string;
+  source: 'search' | 'realtime' | 'refresh';
+  retailer?: string | null;
+  observedAt: string;
+}
+
+export interface PriceHistorySummary {
+  count: number;
+  since: string;
+  current: number;
+  lowest: number;
+  highest: number;
+  average: number;
+  changePercent: number;
+  verdict: 'lowest' | 'below_average' | 'typical' | 'above_average';
+}
+
+export interface PriceHistory {
+  days: number;
+  observations: PriceObservation[];
+  summary: PriceHistorySummary | null;
 }
 
 export interface Ootd {
@@ -52,6 +178,7 @@ export interface ComparisonData {
     product: Product;
     price: number;
   }>;
+  matches?: MatchCluster[];
   totalProducts: number;
   priceRange: {
     lowest: number;
@@ -60,21 +187,157 @@ export interface ComparisonData {
   } | null;
 }
 
+export interface ProviderReport {
+  name: string;
+  status: 'ok' | 'failed' | 'timeout' | 'disabled';
+  count: number;
+  durationMs: number;
+  error?: string;
+}
+
+export interface SearchPagination {
+  searchId: string;
+  page: number;
+  pageSize: number;
+  total: number;
+  totalPages: number;
+  hasMore: boolean;
+  nextCursor: string | null;
+}
+
+export interface SearchPageResponse {
+  query: string;
+  products: Product[];
+  pagination: SearchPagination;
+}
+
+export interface QueryAttributes {
+  category: string | null;
+  color: string | null;
+  material: string | null;
+  gender: string | null;
+  fit: string | null;
+  occasion: string | null;
+  size: string | null;
+  brand: string | null;
+  minPrice: number | null;
+  maxPrice: number | null;
+  keywords: string[];
+  parser: 'gemini' | 'local';
+  // Set when the text was Hindi, Gujarati or Hinglish and was translated to English before parsing
+  translation?: { language: 'hi' | 'gu' | 'hinglish'; from: string; to: string };
+  // Words the offline spell checker changed before parsing, e.g. { from: 'jens', to: 'jeans' }
+  corrections?: { from: string; to: string }[];
+}
+
 export interface SearchResponse {
   query: string;
+  attributes?: QueryAttributes | null;
   products: Product[];
   comparison: ComparisonData;
+  providers?: ProviderReport[];
+  pagination?: SearchPagination;
+  cache?: {
+    backend: string;
+    query: 'hit' | 'miss' | 'bypass' | 'off';
+    products: 'hit' | 'miss' | 'off';
+  };
   filters?: {
     minPrice?: number;
     maxPrice?: number;
+    minDiscount?: number;
+    minRating?: number;
+    inStockOnly?: boolean;
     colors?: string[];
     sizes?: string[];
     brands?: string[];
+    retailers?: string[];
   };
+  // Filters filled in from the signed-in user's profile
+  profileDefaults?: string[];
   sort?: {
     sortBy?: string;
     sortOrder?: string;
   };
+  // Search history entry recorded for a signed-in user, used to save the search
+  historyId?: string | null;
+  // Re-runs of a saved search: its id and how many items weren't seen in earlier runs
+  savedSearchId?: string;
+  newCount?: number;
+}
+
+// A search box completion (GET /suggest)
+export interface SearchSuggestion {
+  text: string;
+  type: 'history' | 'popular' | 'trending' | 'category' | 'color' | 'material' | 'brand';
+  score: number;
+}
+
+// Part of a search image as fractions (0-1) of its width and height, from the top-left corner
+export interface ImageRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// A garment found in a photo (POST /search with detectItems), searchable on its own
+export interface DetectedItem {
+  id: string;
+  type: 'top' | 'bottom' | 'dress' | 'outerwear' | 'shoes' | 'bag' | 'accessory';
+  label: string;
+  query: string;
+  bbox: ImageRegion;
+}
+
+export interface DetectItemsResponse {
+  items: DetectedItem[];
+  // 'layout' when Gemini wasn't available and the usual places of top, bottom and shoes were used
+  detector: 'gemini' | 'layout';
+}
+
+// A past search (GET /search/history); saved searches keep the same fields
+export interface SearchHistoryEntry {
+  _id: string;
+  text?: string | null;
+  query: string;
+  attributes?: QueryAttributes | null;
+  filters?: SearchResponse['filters'];
+  sort?: SearchResponse['sort'];
+  platform?: string;
+  imageUrl?: string | null;
+  // The image URL searched, or a small copy of an uploaded image under /uploads
+  thumbnail?: string | null;
+  resultCount?: number;
+  createdAt: string;
+}
+
+export type SavedSearchAlert = 'off' | 'daily' | 'weekly';
+
+export interface SavedSearch extends Omit<SearchHistoryEntry, 'resultCount'> {
+  name: string;
+  alert: SavedSearchAlert;
+  nextRunAt?: string | null;
+  lastRunAt?: string | null;
+  lastNewCount?: number | null;
+}
+
+export type ProfileSizeGroup = 'tops' | 'bottoms' | 'shoes';
+
+export type ProfileDepartment = 'men' | 'women' | 'kids' | 'unisex';
+
+// Saved sizes and shopping preferences, used as search defaults (GET/PUT /profile)
+export interface UserProfile {
+  sizes: Record<ProfileSizeGroup, string | null>;
+  // The shoe size in every system, worked out by the server
+  shoeSizes?: { UK: string; EU: string; US: string } | null;
+  // Body measurements in cm; chest is the bust for women's sizes
+  measurements: { chest: number | null; waist: number | null; footLength: number | null };
+  fit: string | null;
+  department: ProfileDepartment | null;
+  budget: { min: number | null; max: number | null } | null;
+  retailers: string[];
+  updatedAt?: string | null;
 }
 
 export interface TrendingResponse {
@@ -96,12 +359,15 @@ export interface AuthResponse {
 export interface SearchFilters {
   minPrice?: number;
   maxPrice?: number;
+  minDiscount?: number;
+  minRating?: number;
+  inStockOnly?: boolean;
   colors?: string[];
   sizes?: string[];
   brands?: string[];
 }
 
 export interface SortOptions {
-  sortBy?: 'price' | 'date';
+  sortBy?: 'price' | 'date' | 'discount' | 'rating' | 'popularity';
   sortOrder?: 'asc' | 'desc';
 }
@@ -1,5 +1,5 @@
 // Use same-origin by default when frontend is served by the backend build
-const API_BASE = process.env.REACT_APP_API_BASE || window.location.origin;
+export const API_BASE = process.env.REACT_APP_API_BASE || window.location.origin;
 
 export const getToken = (): string | null => {
   try {
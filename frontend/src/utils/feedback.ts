@@ -0,0 +1,51 @@
+import { API_BASE } from './api';
+import { Product } from '../types';
+
+export type FeedbackEventType = 'impression' | 'click' | 'wishlist' | 'comparison';
+
+interface FeedbackEvent {
+  type: FeedbackEventType;
+  query?: string;
+  product: { link?: string; title: string };
+}
+
+// Events are batched and sent to POST /events; they only feed anonymous popularity counters
+const FLUSH_DELAY_MS = 2000;
+const MAX_BATCH = 100;
+
+let queue: FeedbackEvent[] = [];
+let flushTimer: ReturnType<typeof setTimeout> | null = null;
+
+const flush = () => {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  while (queue.length) {
+    const events = queue.splice(0, MAX_BATCH);
+    // keepalive lets the request finish when the user is navigating away to a retailer
+    fetch(`${API_BASE}/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ events }),
+      keepalive: true,
+    }).catch(() => {
+      // Feedback is best-effort
+    });
+  }
+};
+
+export const trackEvent = (type: FeedbackEventType, product: Product, query?: string) => {
+  if (!product.link && !product.title) return;
+  queue.push({ type, query, product: { link: product.link, title: product.title } });
+  if (type === 'impression' && queue.length < MAX_BATCH) {
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  } else {
+    // Clicks and saves are sent right away
+    flush();
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', flush);
+}
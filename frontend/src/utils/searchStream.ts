@@ -0,0 +1,96 @@
+import { API_BASE, getToken } from './api';
+import { Product, ProductAvailability, ProductOffer, ProviderReport, QueryAttributes, SearchResponse } from '../types';
+
+export interface SearchStreamHandlers {
+  onQuery?: (data: { query: string; attributes?: QueryAttributes | null }) => void;
+  onProvider?: (data: { provider: ProviderReport; products: Product[] }) => void;
+  onResults?: (data: SearchResponse) => void;
+  onPrice?: (data: {
+    link: string;
+    price: string;
+    mrp?: number | null;
+    discountPercent?: number | null;
+    offers?: ProductOffer[];
+    rating?: number | null;
+    reviews?: number | null;
+    availability?: ProductAvailability | null;
+    shipping?: string | null;
+  }) => void;
+  onDone?: () => void;
+  onError?: (message: string) => void;
+}
+
+// The search form kept in memory between Home and Result (FormData can't go in sessionStorage)
+let pendingSearch: FormData | null = null;
+
+export const setPendingSearch = (formData: FormData): void => {
+  pendingSearch = formData;
+};
+
+export const getPendingSearch = (): FormData | null => pendingSearch;
+
+export const clearPendingSearch = (): void => {
+  pendingSearch = null;
+};
+
+// POST the search form to /search/stream and dispatch Server-Sent Events as they arrive
+export const streamSearch = async (
+  body: FormData,
+  handlers: SearchStreamHandlers,
+  signal?: AbortSignal
+): Promise<void> => {
+  const token = getToken();
+  const response = await fetch(`${API_BASE}/search/stream`, {
+    method: 'POST',
+    body,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const dispatch = (event: string, data: any) => {
+    switch (event) {
+      case 'query': handlers.onQuery?.(data); break;
+      case 'provider': handlers.onProvider?.(data); break;
+      case 'results': handlers.onResults?.(data); break;
+      case 'price': handlers.onPrice?.(data); break;
+      case 'done': handlers.onDone?.(); break;
+      case 'error': handlers.onError?.(data?.error || 'Search failed'); break;
+    }
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      let event = 'message';
+      const dataLines: string[] = [];
+      for (const line of chunk.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      }
+      if (!dataLines.length) continue;
+
+      try {
+        dispatch(event, JSON.parse(dataLines.join('\n')));
+      } catch (error) {
+        console.error('Failed to parse search event:', error);
+      }
+    }
+  }
+};
@@ -0,0 +1,121 @@
+// TTL cache used in front of Gemini query rewriting and provider searches
+//
+// SEARCH_CACHE=memory (default) | mongo | off
+// memory keeps entries in-process (lost on restart, bounded by SEARCH_CACHE_MAX_ENTRIES, and by
+// maxBytes of sizeOf(value) when the caller gives both);
+// mongo stores them in the `cacheentries` collection with a TTL index so they
+// are shared between instances and survive restarts.
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const cacheEntrySchema = new mongoose.Schema({
+  key: { type: String, unique: true, required: true },
+  value: mongoose.Schema.Types.Mixed,
+  expiresAt: { type: Date, index: { expires: 0 } }
+});
+
+const CacheEntry = mongoose.models.CacheEntry || mongoose.model('CacheEntry', cacheEntrySchema);
+
+// Normalize free text so "Red  Shirt " and "red shirt" share a key
+export function normalizeQuery(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+export function hashValue(value) {
+  return crypto.createHash('sha1').update(String(value || '')).digest('hex');
+}
+
+export function cacheKey(namespace, parts) {
+  return `${namespace}:${hashValue(JSON.stringify(parts))}`;
+}
+
+function createMemoryStore(maxEntries, { maxBytes = Infinity, sizeOf = () => 0 } = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+  const remove = key => {
+    totalBytes -= entries.get(key).bytes;
+    entries.delete(key);
+  };
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSec) {
+      const bytes = sizeOf(value);
+      if (bytes > maxBytes) return;
+      if (entries.has(key)) remove(key);
+      // Map keeps insertion order, so the first key is the oldest
+      while (entries.size && (entries.size >= maxEntries || totalBytes + bytes > maxBytes)) {
+        remove(entries.keys().next().value);
+      }
+      entries.set(key, { value, bytes, expiresAt: Date.now() + ttlSec * 1000 });
+      totalBytes += bytes;
+    }
+  };
+}
+
+function createMongoStore() {
+  // Treat the cache as empty until Mongo is connected rather than failing searches
+  const ready = () => mongoose.connection.readyState === 1;
+  return {
+    async get(key) {
+      if (!ready()) return undefined;
+      const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      return entry ? entry.value : undefined;
+    },
+    async set(key, value, ttlSec) {
+      if (!ready()) return;
+      await CacheEntry.updateOne(
+        { key },
+        { key, value, expiresAt: new Date(Date.now() + ttlSec * 1000) },
+        { upsert: true }
+      );
+    }
+  };
+}
+
+export function createCache({ backend = 'memory', maxEntries = 500, maxBytes, sizeOf } = {}) {
+  const mode = String(backend).toLowerCase();
+  const store = mode === 'mongo' ? createMongoStore() : mode === 'off' ? null : createMemoryStore(maxEntries, { maxBytes, sizeOf });
+
+  return {
+    backend: store ? mode : 'off',
+
+    async get(key) {
+      return store ? store.get(key) : undefined;
+    },
+
+    async set(key, value, ttlSec) {
+      if (store && ttlSec > 0) await store.set(key, value, ttlSec);
+    },
+
+    // Returns { value, status } where status is 'hit', 'miss' or 'off'.
+    // shouldStore(value) lets callers skip caching empty or failed results.
+    async wrap(key, ttlSec, fn, { shouldStore = () => true } = {}) {
+      if (!store || !(ttlSec > 0)) return { value: await fn(), status: 'off' };
+
+      try {
+        const cachedValue = await store.get(key);
+        if (cachedValue !== undefined) return { value: cachedValue, status: 'hit' };
+      } catch (error) {
+        console.error('Cache read failed:', error.message);
+      }
+
+      const value = await fn();
+      if (shouldStore(value)) {
+        try {
+          await store.set(key, value, ttlSec);
+        } catch (error) {
+          console.error('Cache write failed:', error.message);
+        }
+      }
+      return { value, status: 'miss' };
+    }
+  };
+}
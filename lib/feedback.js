@@ -0,0 +1,238 @@
+// Click/save feedback aggregated into popularity signals for the ranker
+//
+// FEEDBACK_STORE=memory (default) | mongo | off
+// Privacy: raw events, user ids and IPs are never stored. Each event only increments
+// counters keyed by a hash of the normalized query and a hash of the product link, so
+// the store can answer "how often is this listing opened for this query" and nothing else.
+// Per-query counters are only used once the query has FEEDBACK_MIN_QUERY_IMPRESSIONS
+// impressions; rarer queries fall back to the global (all-queries) counters.
+//
+// createFeedbackGuard sits in front of record() for events sent by clients, so one script can't push a
+// listing up everyone's results: each client (a hash of its user id or IP, kept in memory only) may send
+// FEEDBACK_RATE_LIMIT events a minute, and each (client, type, product) counts once per
+// FEEDBACK_DEDUPE_WINDOW_SEC.
+import mongoose from 'mongoose';
+import { normalizeQuery, hashValue } from './cache.js';
+
+// Event type -> counter it increments
+export const FEEDBACK_EVENT_TYPES = {
+  impression: 'impressions',
+  click: 'clicks',
+  wishlist: 'saves',
+  comparison: 'compares'
+};
+
+// How much each interaction says about relevance, relative to a click
+const ENGAGEMENT_WEIGHTS = { clicks: 1, saves: 3, compares: 2 };
+// Pseudo-impressions added to every item so a couple of clicks don't make a listing "popular"
+const SMOOTHING_IMPRESSIONS = 20;
+// Weight of the per-query signal when it is available (the rest comes from global counters)
+const QUERY_SIGNAL_SHARE = 0.7;
+
+const feedbackStatSchema = new mongoose.Schema({
+  queryHash: { type: String, default: '' }, // '' = global counters
+  itemKey: { type: String, required: true },
+  impressions: { type: Number, default: 0 },
+  clicks: { type: Number, default: 0 },
+  saves: { type: Number, default: 0 },
+  compares: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now }
+});
+feedbackStatSchema.index({ queryHash: 1, itemKey: 1 }, { unique: true });
+
+const FeedbackStat = mongoose.models.FeedbackStat || mongoose.model('FeedbackStat', feedbackStatSchema);
+
+// Stable key for a listing: link without query string, else title
+export function feedbackItemKey(product) {
+  const link = String(product?.link || '').split('?')[0].toLowerCase();
+  return hashValue(link || normalizeQuery(product?.title));
+}
+
+function feedbackQueryHash(query) {
+  const normalized = normalizeQuery(query);
+  return normalized ? hashValue(normalized) : '';
+}
+
+function minQueryImpressions() {
+  return Number(process.env.FEEDBACK_MIN_QUERY_IMPRESSIONS || 10);
+}
+
+function emptyCounters() {
+  return { impressions: 0, clicks: 0, saves: 0, compares: 0 };
+}
+
+// Sum a batch of events into { 'queryHash|itemKey': counters } increments
+function aggregate(events) {
+  const increments = new Map();
+  const bump = (queryHash, itemKey, field) => {
+    const key = `${queryHash}|${itemKey}`;
+    if (!increments.has(key)) increments.set(key, { queryHash, itemKey, counters: emptyCounters() });
+    increments.get(key).counters[field] += 1;
+  };
+  for (const event of events) {
+    const field = FEEDBACK_EVENT_TYPES[event.type];
+    const itemKey = feedbackItemKey(event.product);
+    bump('', itemKey, field);
+    const queryHash = feedbackQueryHash(event.query);
+    if (queryHash) bump(queryHash, itemKey, field);
+  }
+  return [...increments.values()];
+}
+
+function createMemoryStore(maxEntries) {
+  const stats = new Map();
+  return {
+    async increment(rows) {
+      for (const { queryHash, itemKey, counters } of rows) {
+        const key = `${queryHash}|${itemKey}`;
+        const current = stats.get(key) || emptyCounters();
+        stats.delete(key);
+        if (stats.size >= maxEntries) stats.delete(stats.keys().next().value);
+        for (const field of Object.keys(counters)) current[field] += counters[field];
+        stats.set(key, current);
+      }
+    },
+    async load(queryHashes, itemKeys) {
+      const out = [];
+      for (const queryHash of queryHashes) {
+        for (const itemKey of itemKeys) {
+          const counters = stats.get(`${queryHash}|${itemKey}`);
+          if (counters) out.push({ queryHash, itemKey, ...counters });
+        }
+      }
+      return out;
+    }
+  };
+}
+
+function createMongoStore() {
+  // Feedback is best-effort: drop events and report no popularity until Mongo is connected
+  const ready = () => mongoose.connection.readyState === 1;
+  return {
+    async increment(rows) {
+      if (!ready() || !rows.length) return;
+      await FeedbackStat.bulkWrite(rows.map(({ queryHash, itemKey, counters }) => ({
+        updateOne: {
+          filter: { queryHash, itemKey },
+          update: { $inc: counters, $set: { updatedAt: new Date() } },
+          upsert: true
+        }
+      })), { ordered: false });
+    },
+    async load(queryHashes, itemKeys) {
+      if (!ready() || !itemKeys.length) return [];
+      return FeedbackStat.find({ queryHash: { $in: queryHashes }, itemKey: { $in: itemKeys } }).lean();
+    }
+  };
+}
+
+const RATE_WINDOW_MS = 60 * 1000;
+// Distinct (type, product) pairs remembered per client; past this a client's new events are dropped
+const MAX_SEEN_PER_CLIENT = 2000;
+
+// -> { admit(client, events) => { events, limited } }: the events to record, and whether the client was over
+// its rate limit. A client idle for longer than both windows is forgotten; past maxClients the least recently
+// active go first.
+export function createFeedbackGuard({ maxEvents = 300, dedupeWindowMs = 3600 * 1000, maxClients = 10000 } = {}) {
+  // client hash -> { lastSeenAt, rateStart, rateCount, seen: Map of 'type|itemKey' -> first seen at },
+  // least recently active first
+  const clients = new Map();
+  const idleMs = Math.max(RATE_WINDOW_MS, dedupeWindowMs);
+
+  const clientState = (key, now) => {
+    for (const [oldest, state] of clients) {
+      if (now - state.lastSeenAt < idleMs) break;
+      clients.delete(oldest);
+    }
+    let state = clients.get(key);
+    if (state) {
+      clients.delete(key);
+    } else {
+      if (clients.size >= maxClients) clients.delete(clients.keys().next().value);
+      state = { lastSeenAt: now, rateStart: now, rateCount: 0, seen: new Map() };
+    }
+    state.lastSeenAt = now;
+    clients.set(key, state);
+    return state;
+  };
+
+  return {
+    admit(client, events, now = Date.now()) {
+      const state = clientState(hashValue(String(client || 'unknown')), now);
+      if (now - state.rateStart >= RATE_WINDOW_MS) {
+        state.rateStart = now;
+        state.rateCount = 0;
+      }
+      for (const [key, seenAt] of state.seen) {
+        if (now - seenAt < dedupeWindowMs) break;
+        state.seen.delete(key);
+      }
+
+      // Duplicates use up the budget too, so resending the same click doesn't get a client around it
+      const budget = Math.max(0, maxEvents - state.rateCount);
+      state.rateCount += events.length;
+      const admitted = [];
+      for (const event of events.slice(0, budget)) {
+        const key = `${event.type}|${feedbackItemKey(event.product)}`;
+        if (state.seen.has(key) || state.seen.size >= MAX_SEEN_PER_CLIENT) continue;
+        state.seen.set(key, now);
+        admitted.push(event);
+      }
+      return { events: admitted, limited: events.length > budget };
+    }
+  };
+}
+
+function engagementRate(counters) {
+  const engagement = Object.entries(ENGAGEMENT_WEIGHTS)
+    .reduce((sum, [field, weight]) => sum + weight * (counters[field] || 0), 0);
+  return Math.min(1, engagement / ((counters.impressions || 0) + SMOOTHING_IMPRESSIONS));
+}
+
+export function createFeedbackStore({ backend = 'memory', maxEntries = 20000 } = {}) {
+  const mode = String(backend).toLowerCase();
+  const store = mode === 'mongo' ? createMongoStore() : mode === 'off' ? null : createMemoryStore(maxEntries);
+
+  return {
+    backend: store ? mode : 'off',
+
+    // events: [{ type, query?, product: { link?, title? } }], already validated
+    async record(events) {
+      if (!store || !events.length) return;
+      await store.increment(aggregate(events));
+    },
+
+    // Map of feedbackItemKey -> 0..1 popularity for these products under this query
+    async popularity(query, products) {
+      const scores = new Map();
+      if (!store || !products.length) return scores;
+
+      const itemKeys = [...new Set(products.map(feedbackItemKey))];
+      const queryHash = feedbackQueryHash(query);
+      let rows = [];
+      try {
+        rows = await store.load(queryHash ? ['', queryHash] : [''], itemKeys);
+      } catch (error) {
+        console.error('Feedback read failed:', error.message);
+        return scores;
+      }
+
+      const global = new Map();
+      const perQuery = new Map();
+      for (const row of rows) (row.queryHash ? perQuery : global).set(row.itemKey, row);
+      const queryImpressions = [...perQuery.values()].reduce((sum, row) => sum + (row.impressions || 0), 0);
+      const useQuery = queryImpressions >= minQueryImpressions();
+
+      for (const itemKey of itemKeys) {
+        const globalRate = global.has(itemKey) ? engagementRate(global.get(itemKey)) : 0;
+        if (useQuery) {
+          const queryRate = perQuery.has(itemKey) ? engagementRate(perQuery.get(itemKey)) : 0;
+          scores.set(itemKey, QUERY_SIGNAL_SHARE * queryRate + (1 - QUERY_SIGNAL_SHARE) * globalRate);
+        } else {
+          scores.set(itemKey, globalRate);
+        }
+      }
+      return scores;
+    }
+  };
+}
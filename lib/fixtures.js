@@ -0,0 +1,96 @@
+// Offline record/replay layer for outbound API calls (Gemini, SerpAPI, retailer pages)
+//
+// FIXTURES=off     call the real APIs (default)
+// FIXTURES=record  call the real APIs and save every response under FIXTURES_DIR
+// FIXTURES=replay  never touch the network; serve saved responses instead
+// MOCK=1 implies FIXTURES=replay unless FIXTURES is set explicitly.
+//
+// Fixtures live in FIXTURES_DIR/<kind>/<key>.json where <key> is a hash of the
+// request arguments. When no exact fixture exists, replay falls back to
+// FIXTURES_DIR/<kind>/_default.json, then to the wrapper's `fallback`, and
+// otherwise throws so the caller's own error handling kicks in.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+function isTruthy(v) {
+  const s = String(v || '').toLowerCase();
+  return s === '1' || s === 'true';
+}
+
+// Read lazily: server.js loads .env after imports are evaluated
+export function fixtureMode() {
+  const mode = String(process.env.FIXTURES || '').toLowerCase();
+  if (mode === 'record' || mode === 'replay' || mode === 'off') return mode;
+  return isTruthy(process.env.MOCK) ? 'replay' : 'off';
+}
+
+export function isReplay() {
+  return fixtureMode() === 'replay';
+}
+
+function fixturesDir() {
+  return process.env.FIXTURES_DIR ? path.resolve(process.env.FIXTURES_DIR) : DEFAULT_DIR;
+}
+
+// Long strings (image base64) are replaced by their hash so keys stay stable
+// and recorded fixtures stay small and readable.
+function summarizeRequest(parts) {
+  return JSON.parse(JSON.stringify(parts, (k, v) => {
+    if (typeof v === 'string' && v.length > 512) {
+      return `sha1:${crypto.createHash('sha1').update(v).digest('hex')}`;
+    }
+    return v;
+  }) ?? 'null');
+}
+
+export function fixtureKey(parts) {
+  return crypto.createHash('sha1').update(JSON.stringify(summarizeRequest(parts))).digest('hex').slice(0, 16);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Wrap an async function with record/replay.
+//   kind     - fixture folder name, e.g. 'serpapi_shopping'
+//   fn       - the real implementation
+//   keyOf    - maps call arguments to the request parts used for the key
+//              (must drop non-serialisable things like AbortSignals)
+//   fallback - optional (...args) => value used in replay when no fixture exists
+export function withFixtures(kind, fn, { keyOf = (...args) => args, fallback } = {}) {
+  return async function (...args) {
+    const mode = fixtureMode();
+    if (mode === 'off') return fn(...args);
+
+    const request = summarizeRequest(keyOf(...args));
+    const key = fixtureKey(request);
+    const dir = path.join(fixturesDir(), kind);
+    const file = path.join(dir, `${key}.json`);
+
+    if (mode === 'replay') {
+      const exact = readJson(file) || readJson(path.join(dir, '_default.json'));
+      if (exact) return exact.response;
+      if (fallback) return fallback(...args);
+      throw new Error(`No ${kind} fixture for request ${key}`);
+    }
+
+    // record
+    const response = await fn(...args);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ kind, request, response }, null, 2));
+      console.log(`Recorded ${kind} fixture ${key}`);
+    } catch (error) {
+      console.error(`Failed to record ${kind} fixture:`, error.message);
+    }
+    return response;
+  };
+}
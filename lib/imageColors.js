@@ -0,0 +1,219 @@
+// Dominant colors of an image, named with the query parser's color vocabulary
+//
+// extractPalette(buffer) -> [{ name, hex, share }] biggest share first, or null when the image can't be
+// decoded (only JPEG and PNG are, with jpeg-js and pngjs):
+//   1. up to MAX_SAMPLES pixels are sampled on a grid; transparent ones are skipped
+//   2. when the border is one flat color (the white or grey backdrop of most product shots) pixels close
+//      to it are dropped, so the backdrop doesn't come out as the product's color
+//   3. k-means (k = PALETTE_SIZE) groups the rest; each center is named after the nearest of
+//      NAMED_COLORS in Lab space and clusters with the same name are merged
+// paletteColorNames(palette) keeps the names covering at least MIN_SHARE of the image.
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { COLOR_TERMS } from './queryParser.js';
+
+const MAX_SAMPLES = 4096;
+const PALETTE_SIZE = 5;
+const KMEANS_ITERATIONS = 12;
+const MIN_SHARE = 0.15;
+// RGB distance within which a pixel counts as backdrop, and how much of the border must be that close
+const BACKGROUND_DISTANCE = 40;
+const BACKGROUND_BORDER_SHARE = 0.8;
+// Refuse to decode anything bigger (jpeg-js holds the whole bitmap in memory)
+const MAX_RESOLUTION_MP = 24;
+
+// Reference RGB per name; several references may share a name (light and dark blue are both "blue")
+const NAMED_COLORS = [
+  ['black', [20, 20, 20]], ['black', [45, 45, 50]],
+  ['white', [245, 245, 245]], ['white', [225, 225, 220]],
+  ['grey', [128, 128, 128]], ['grey', [180, 180, 180]], ['grey', [80, 80, 85]],
+  ['navy', [25, 35, 80]], ['navy', [40, 50, 100]],
+  ['blue', [40, 90, 200]], ['blue', [100, 150, 220]], ['blue', [150, 190, 230]], ['blue', [60, 90, 130]],
+  ['red', [200, 30, 40]], ['red', [230, 60, 60]],
+  ['maroon', [110, 20, 35]], ['maroon', [140, 40, 60]],
+  ['pink', [240, 150, 180]], ['pink', [220, 80, 140]], ['pink', [250, 200, 210]],
+  ['purple', [110, 50, 150]], ['purple', [170, 130, 200]],
+  ['green', [40, 150, 70]], ['green', [20, 90, 50]], ['green', [130, 200, 140]],
+  ['olive', [110, 110, 50]], ['olive', [85, 90, 45]],
+  ['yellow', [245, 220, 50]], ['yellow', [250, 240, 150]],
+  ['mustard', [210, 160, 40]],
+  ['orange', [240, 130, 30]], ['orange', [250, 160, 100]],
+  ['brown', [120, 75, 40]], ['brown', [90, 55, 35]], ['brown', [165, 115, 70]],
+  ['beige', [220, 200, 165]], ['beige', [200, 180, 150]],
+  ['gold', [200, 165, 80]],
+  ['silver', [195, 195, 200]]
+];
+
+// A shade counts as its broader color too: a navy shirt matches a "blue" filter
+const COLOR_FAMILIES = { navy: 'blue', maroon: 'red', olive: 'green', mustard: 'yellow' };
+
+function srgbToLinear(c) {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function rgbToLab([r, g, b]) {
+  const [lr, lg, lb] = [r, g, b].map(srgbToLinear);
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+  const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+const NAMED_LAB = NAMED_COLORS.map(([name, rgb]) => ({ name, lab: rgbToLab(rgb) }));
+
+function squaredDistance(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// { width, height, data: RGBA bytes } or null for formats other than JPEG and PNG
+export function decodeImage(buffer) {
+  if (!buffer || buffer.length < 8) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_RESOLUTION_MP });
+  }
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    const png = PNG.sync.read(buffer);
+    if (png.width * png.height > MAX_RESOLUTION_MP * 1e6) return null;
+    return png;
+  }
+  return null;
+}
+
+// [[r, g, b], ...] on an even grid over the image, opaque pixels only
+function samplePixels({ width, height, data }) {
+  const step = Math.max(1, Math.sqrt((width * height) / MAX_SAMPLES));
+  const pixels = [];
+  for (let y = step / 2; y < height; y += step) {
+    for (let x = step / 2; x < width; x += step) {
+      const i = (Math.floor(y) * width + Math.floor(x)) * 4;
+      if (data[i + 3] >= 128) pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+  }
+  return pixels;
+}
+
+// The backdrop color when the image's border is (almost) all one color, else null
+function backgroundColor({ width, height, data }) {
+  const border = [];
+  const at = (x, y) => {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] >= 128) border.push([data[i], data[i + 1], data[i + 2]]);
+  };
+  const stepX = Math.max(1, Math.floor(width / 64));
+  const stepY = Math.max(1, Math.floor(height / 64));
+  for (let x = 0; x < width; x += stepX) {
+    at(x, 0);
+    at(x, height - 1);
+  }
+  for (let y = 0; y < height; y += stepY) {
+    at(0, y);
+    at(width - 1, y);
+  }
+  if (!border.length) return null;
+  const mean = [0, 1, 2].map(c => border.reduce((sum, p) => sum + p[c], 0) / border.length);
+  const close = border.filter(p => squaredDistance(p, mean) <= BACKGROUND_DISTANCE ** 2).length;
+  return close / border.length >= BACKGROUND_BORDER_SHARE ? mean : null;
+}
+
+// k-means with farthest-point seeding, so the same image always gives the same palette.
+// -> [{ center: [r, g, b], count }]
+export function kMeans(points, k, iterations = KMEANS_ITERATIONS) {
+  if (!points.length) return [];
+  const centers = [points[Math.floor(points.length / 2)]];
+  while (centers.length < Math.min(k, points.length)) {
+    let farthest = null;
+    let farthestDistance = 0;
+    for (const p of points) {
+      const d = Math.min(...centers.map(c => squaredDistance(p, c)));
+      if (d > farthestDistance) {
+        farthest = p;
+        farthestDistance = d;
+      }
+    }
+    if (!farthest) break;
+    centers.push(farthest);
+  }
+
+  let assignment = new Array(points.length).fill(0);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let moved = false;
+    assignment = points.map((p, i) => {
+      let best = 0;
+      for (let c = 1; c < centers.length; c++) {
+        if (squaredDistance(p, centers[c]) < squaredDistance(p, centers[best])) best = c;
+      }
+      if (best !== assignment[i]) moved = true;
+      return best;
+    });
+    for (let c = 0; c < centers.length; c++) {
+      const members = points.filter((_, i) => assignment[i] === c);
+      if (members.length) centers[c] = [0, 1, 2].map(ch => members.reduce((sum, p) => sum + p[ch], 0) / members.length);
+    }
+    if (!moved && iteration > 0) break;
+  }
+
+  return centers.map((center, c) => ({ center, count: assignment.filter(a => a === c).length }));
+}
+
+export function nearestColorName(rgb) {
+  const lab = rgbToLab(rgb);
+  let best = NAMED_LAB[0];
+  for (const named of NAMED_LAB) {
+    if (squaredDistance(lab, named.lab) < squaredDistance(lab, best.lab)) best = named;
+  }
+  return best.name;
+}
+
+// Palette of decoded pixels (see decodeImage); [] when nothing but backdrop is left
+export function paletteOfImage(image) {
+  const background = backgroundColor(image);
+  let pixels = samplePixels(image);
+  if (background) {
+    const foreground = pixels.filter(p => squaredDistance(p, background) > BACKGROUND_DISTANCE ** 2);
+    // A plain swatch of the backdrop color is still that color
+    if (foreground.length >= pixels.length * 0.05) pixels = foreground;
+  }
+  const clusters = kMeans(pixels, PALETTE_SIZE).filter(c => c.count);
+  const total = clusters.reduce((sum, c) => sum + c.count, 0);
+  const byName = new Map();
+  for (const { center, count } of clusters.sort((a, b) => b.count - a.count)) {
+    const name = nearestColorName(center);
+    const entry = byName.get(name);
+    if (entry) entry.share += count / total;
+    else byName.set(name, { name, hex: toHex(center), share: count / total });
+  }
+  return [...byName.values()]
+    .map(entry => ({ ...entry, share: Math.round(entry.share * 100) / 100 }))
+    .sort((a, b) => b.share - a.share);
+}
+
+export function extractPalette(buffer) {
+  const image = decodeImage(buffer);
+  return image ? paletteOfImage(image) : null;
+}
+
+// Color names worth filtering on: those covering at least minShare of the image
+export function paletteColorNames(palette, { minShare = MIN_SHARE } = {}) {
+  return (palette || []).filter(entry => entry.share >= minShare).map(entry => entry.name);
+}
+
+// Canonical color for a filter value ("gray" -> "grey", "navy blue" -> "navy"), or the value itself
+function canonicalColor(value) {
+  const v = String(value || '').toLowerCase().trim();
+  for (const [name, phrases] of Object.entries(COLOR_TERMS)) {
+    if (phrases.includes(v)) return name;
+  }
+  return v;
+}
+
+// Whether an image's color names satisfy a wanted color, counting shades as their family
+export function imageHasColor(names, wanted) {
+  const color = canonicalColor(wanted);
+  return (names || []).some(name => name === color || COLOR_FAMILIES[name] === color);
+}
@@ -0,0 +1,126 @@
+// Regions of a search image: the crop box /search accepts and the garments detected in an outfit photo
+//
+// A region is { x, y, width, height } as fractions (0-1) of the image, top-left origin, so it holds for
+// the original upload and any resized preview alike.
+// A detected item is { id, type, label, query, bbox }:
+//   type   one of ITEM_TYPES
+//   label  what it is in a few words ("navy denim jacket")
+//   query  a shopping query for just that item
+//   bbox   its region
+// Gemini reports boxes as box_2d [ymin, xmin, ymax, xmax] on a 0-1000 scale; normalizeDetectedItems
+// turns them into regions. Without Gemini, layoutItems guesses the usual places of top, bottom and
+// shoes in a full-length photo and names each after its dominant color.
+import jpeg from 'jpeg-js';
+import { decodeImage, paletteOfImage, paletteColorNames } from './imageColors.js';
+
+export const ITEM_TYPES = ['top', 'bottom', 'dress', 'outerwear', 'shoes', 'bag', 'accessory'];
+
+const MAX_ITEMS = 6;
+// Smallest region side worth searching, as a fraction of the image
+const MIN_REGION_SIDE = 0.03;
+// Crops are scaled down to this many pixels on the long side before they're sent to Gemini
+const MAX_CROP_SIDE = 1024;
+const CROP_JPEG_QUALITY = 90;
+
+// Where each garment usually is in a full-length outfit photo, and the words to search it with
+const OUTFIT_LAYOUT = [
+  { type: 'top', label: 'top', query: 'top', bbox: { x: 0.15, y: 0.12, width: 0.7, height: 0.36 } },
+  { type: 'bottom', label: 'bottom', query: 'pants', bbox: { x: 0.2, y: 0.45, width: 0.6, height: 0.38 } },
+  { type: 'shoes', label: 'shoes', query: 'shoes', bbox: { x: 0.2, y: 0.83, width: 0.6, height: 0.17 } }
+];
+
+const clamp01 = n => Math.min(1, Math.max(0, n));
+const round = n => Math.round(n * 1000) / 1000;
+
+// Validate a bbox from the request body: an object or its JSON string (multipart fields are strings).
+// -> { bbox } | { error }; bbox is null when none was sent.
+export function normalizeBbox(input) {
+  if (input == null || input === '') return { bbox: null };
+  let raw = input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return { error: 'bbox must be JSON like {"x":0.1,"y":0.2,"width":0.5,"height":0.4}' };
+    }
+  }
+  const values = ['x', 'y', 'width', 'height'].map(key => Number(raw?.[key]));
+  if (values.some(v => !Number.isFinite(v))) return { error: 'bbox needs numeric x, y, width and height' };
+  const [x, y] = values.map(clamp01);
+  const width = Math.min(values[2], 1 - x);
+  const height = Math.min(values[3], 1 - y);
+  if (width < MIN_REGION_SIDE || height < MIN_REGION_SIDE) {
+    return { error: 'bbox x, y, width and height are fractions of the image (0-1) and the box must not be empty' };
+  }
+  return { bbox: { x: round(x), y: round(y), width: round(width), height: round(height) } };
+}
+
+// The part of a decoded image (see decodeImage) inside a region, scaled down to maxSide if bigger
+export function cropImage(image, bbox, { maxSide = MAX_CROP_SIDE } = {}) {
+  const left = Math.floor(bbox.x * image.width);
+  const top = Math.floor(bbox.y * image.height);
+  const cropWidth = Math.max(1, Math.min(image.width - left, Math.round(bbox.width * image.width)));
+  const cropHeight = Math.max(1, Math.min(image.height - top, Math.round(bbox.height * image.height)));
+  const scale = Math.min(1, maxSide / Math.max(cropWidth, cropHeight));
+  const width = Math.max(1, Math.round(cropWidth * scale));
+  const height = Math.max(1, Math.round(cropHeight * scale));
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sourceY = top + Math.min(cropHeight - 1, Math.floor(y / scale));
+    for (let x = 0; x < width; x++) {
+      const sourceX = left + Math.min(cropWidth - 1, Math.floor(x / scale));
+      const from = (sourceY * image.width + sourceX) * 4;
+      data.set(image.data.subarray(from, from + 4), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// JPEG of a region of an encoded image -> { buffer, contentType }, or null when the format can't be
+// decoded here (only JPEG and PNG can)
+export function cropImageBuffer(buffer, bbox) {
+  const image = decodeImage(buffer);
+  if (!image) return null;
+  const { data } = jpeg.encode(cropImage(image, bbox), CROP_JPEG_QUALITY);
+  return { buffer: data, contentType: 'image/jpeg' };
+}
+
+// Detected items from Gemini's JSON ({ items: [...] } or a bare array), invalid entries dropped
+export function normalizeDetectedItems(raw) {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.items) ? raw.items : [];
+  const items = [];
+  for (const entry of list) {
+    const type = String(entry?.type || '').toLowerCase().trim();
+    const box = entry?.box_2d;
+    if (!ITEM_TYPES.includes(type) || !Array.isArray(box) || box.length !== 4) continue;
+    const [ymin, xmin, ymax, xmax] = box.map(v => Number(v) / 1000);
+    const { bbox } = normalizeBbox({ x: xmin, y: ymin, width: xmax - xmin, height: ymax - ymin });
+    if (!bbox) continue;
+    const label = String(entry.label || type).replace(/\s+/g, ' ').trim().slice(0, 60);
+    const query = String(entry.query || label).replace(/\s+/g, ' ').trim().slice(0, 120);
+    items.push({ id: `item-${items.length + 1}`, type, label, query, bbox });
+    if (items.length >= MAX_ITEMS) break;
+  }
+  return items;
+}
+
+// Top, bottom and shoes at their usual places, each named after its region's dominant color when the
+// image can be decoded ("navy top", "beige pants")
+export function layoutItems(buffer) {
+  let image = null;
+  try {
+    image = buffer ? decodeImage(buffer) : null;
+  } catch {
+    // Corrupt images just get the plain names
+  }
+  return OUTFIT_LAYOUT.map((item, i) => {
+    const [color] = image ? paletteColorNames(paletteOfImage(cropImage(image, item.bbox, { maxSide: 256 }))) : [];
+    return {
+      id: `item-${i + 1}`,
+      type: item.type,
+      label: color ? `${color} ${item.label}` : item.label,
+      query: color ? `${color} ${item.query}` : item.query,
+      bbox: item.bbox
+    };
+  });
+}
@@ -0,0 +1,63 @@
+// Star rating, review count, stock state and delivery estimate for a listing
+//
+// Products carry:
+//   rating        average stars out of 5, one decimal
+//   reviews       number of ratings/reviews behind it
+//   availability  in_stock | limited | out_of_stock | preorder
+//   shipping      the retailer's delivery line, e.g. "FREE delivery by Wed, 23 Oct"
+// Providers and lib/pageParser.js pass whatever form the source has; listingFields() cleans it up.
+
+const MAX_SHIPPING_LENGTH = 80;
+
+// "4.3", 4.3, "4.3 out of 5 stars", 86 (percent) -> 4.3
+export function toRating(value) {
+  if (value == null || value === '') return null;
+  const n = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, '.').match(/\d+(?:\.\d+)?/)?.[0]);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  const stars = n > 5 && n <= 100 ? n / 20 : n;
+  return stars <= 5 ? Math.round(stars * 10) / 10 : null;
+}
+
+// "5,231 Ratings", "1.2K", 311 -> 5231 / 1200 / 311
+export function toReviewCount(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  const m = String(value).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kKmM](?![a-z]))?/);
+  if (!m) return null;
+  const scale = { k: 1e3, m: 1e6 }[(m[2] || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(m[1]) * scale);
+}
+
+// schema.org URLs, meta values and retailer phrases -> one of the four labels
+export function availabilityLabel(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'boolean') return value ? 'in_stock' : 'out_of_stock';
+  const v = String(value).toLowerCase().replace(/[\s_-]+/g, ' ');
+  if (/out ?of ?stock|sold ?out|(?:currently|not) (?:un)?available|discontinued|^unavailable$/.test(v)) return 'out_of_stock';
+  if (/pre ?order/.test(v)) return 'preorder';
+  if (/limited|low ?stock|only \d+ left|few left|hurry/.test(v)) return 'limited';
+  if (/in ?stock|available/.test(v)) return 'in_stock';
+  return null;
+}
+
+// Phrases that read as a delivery estimate rather than marketing copy
+const DELIVERY_TEXT = /\b(?:free delivery|free shipping|delivery by|deliver(?:ed|s)? by|get it by|arrives? by|delivery in \d|delivered in \d|ships? in \d|dispatch(?:ed)? in \d)/i;
+
+export function deliveryText(value) {
+  const lines = [].concat(value || []).map(v => String(v).replace(/\s+/g, ' ').trim());
+  const line = lines.find(l => DELIVERY_TEXT.test(l));
+  if (!line) return null;
+  return line.length > MAX_SHIPPING_LENGTH ? `${line.slice(0, MAX_SHIPPING_LENGTH - 1)}…` : line;
+}
+
+// { rating, reviews, availability, shipping } from a product's raw fields
+export function listingFields(product) {
+  const rating = toRating(product.rating);
+  return {
+    rating,
+    // A review count without a rating can't be shown or ranked on
+    reviews: rating != null ? toReviewCount(product.reviews) : null,
+    availability: availabilityLabel(product.availability),
+    shipping: deliveryText(product.shipping)
+  };
+}
@@ -0,0 +1,165 @@
+// Outgoing email behind a pluggable transport
+//
+// MAILER=log (default) | smtp | off
+// log prints messages to the console. smtp speaks plain SMTP to SMTP_HOST:SMTP_PORT (default
+// localhost:1025, which is where `node smtp-sink.js`, MailHog or smtp4dev listen), with implicit
+// TLS when SMTP_SECURE=1 and AUTH PLAIN when SMTP_USER is set. Other transports can be added with
+// registerMailTransport(name, options => ({ send(message) })).
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+const SMTP_TIMEOUT_MS = 10000;
+
+function smtpConfig() {
+  return {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT || 1025),
+    secure: ['1', 'true'].includes(String(process.env.SMTP_SECURE || '').toLowerCase()),
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || ''
+  };
+}
+
+function defaultFrom() {
+  return process.env.MAIL_FROM || 'Fashion Search <alerts@fashion-search.local>';
+}
+
+// "Name <a@b>" -> "a@b"
+function addressOf(value) {
+  const m = String(value).match(/<([^>]+)>/);
+  return (m ? m[1] : String(value)).trim();
+}
+
+function encodeHeader(value) {
+  const text = String(value || '');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+// RFC 5322 message with a text part and an optional HTML alternative
+export function buildMimeMessage({ from, to, subject, text, html }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${addressOf(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0'
+  ];
+  let body;
+  if (html) {
+    const boundary = `alt_${crypto.randomBytes(8).toString('hex')}`;
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body = [
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      text || '',
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      html,
+      `--${boundary}--`
+    ].join('\r\n');
+  } else {
+    headers.push('Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: 8bit');
+    body = text || '';
+  }
+  return `${headers.join('\r\n')}\r\n\r\n${body.replace(/\r?\n/g, '\r\n')}`;
+}
+
+// One SMTP session per message: enough for alert volumes, no pooling
+function smtpSend(config, { from, to, raw }) {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+      : net.connect({ host: config.host, port: config.port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+
+    let buffer = '';
+    let waiting = null;
+    const fail = error => {
+      socket.destroy();
+      reject(error);
+    };
+    socket.on('error', fail);
+    // A reply ends with a line whose code is followed by a space ("250 OK", not "250-SIZE")
+    const deliver = () => {
+      const lines = buffer.split('\r\n');
+      const last = lines.findIndex(line => /^\d{3} /.test(line));
+      if (last === -1 || !waiting) return;
+      const reply = lines.slice(0, last + 1).join('\n');
+      buffer = lines.slice(last + 1).join('\r\n');
+      const next = waiting;
+      waiting = null;
+      next(reply);
+    };
+    socket.on('data', chunk => {
+      buffer += chunk;
+      deliver();
+    });
+
+    const expect = (code, command) => new Promise((ok, ko) => {
+      waiting = reply => (reply.startsWith(String(code)) ? ok(reply) : ko(new Error(`SMTP ${command || 'greeting'} failed: ${reply}`)));
+      if (command) socket.write(`${command}\r\n`);
+      else deliver();
+    });
+
+    (async () => {
+      await expect(220);
+      await expect(250, `EHLO ${os.hostname() || 'localhost'}`);
+      if (config.user) {
+        const token = Buffer.from(`\0${config.user}\0${config.pass}`).toString('base64');
+        await expect(235, `AUTH PLAIN ${token}`);
+      }
+      await expect(250, `MAIL FROM:<${addressOf(from)}>`);
+      await expect(250, `RCPT TO:<${addressOf(to)}>`);
+      await expect(354, 'DATA');
+      // Dot-stuffing: a line starting with "." gets another "."
+      await expect(250, `${raw.replace(/\r\n\./g, '\r\n..')}\r\n.`);
+      socket.end('QUIT\r\n');
+      resolve({ accepted: [addressOf(to)] });
+    })().catch(fail);
+  });
+}
+
+const MAIL_TRANSPORTS = {
+  log: () => ({
+    async send(message) {
+      console.log(`📧 [mail:log] To: ${message.to} | ${message.subject}\n${message.text || ''}`);
+      return { accepted: [addressOf(message.to)] };
+    }
+  }),
+  smtp: (options = {}) => {
+    const config = { ...smtpConfig(), ...options };
+    return {
+      async send(message) {
+        return smtpSend(config, { from: message.from, to: message.to, raw: buildMimeMessage(message) });
+      }
+    };
+  }
+};
+
+export function registerMailTransport(name, factory) {
+  MAIL_TRANSPORTS[String(name).toLowerCase()] = factory;
+}
+
+// mailer.send({ to, subject, text, html? }) -> { accepted } or null when mail is off
+export function createMailer({ transport = 'log', from = defaultFrom(), ...options } = {}) {
+  const name = String(transport).toLowerCase();
+  const factory = name === 'off' ? null : MAIL_TRANSPORTS[name];
+  if (name !== 'off' && !factory) console.warn(`Unknown MAILER "${transport}", email disabled`);
+  const impl = factory ? factory(options) : null;
+
+  return {
+    transport: impl ? name : 'off',
+    async send(message) {
+      if (!impl || !message?.to) return null;
+      return impl.send({ from, ...message });
+    }
+  };
+}
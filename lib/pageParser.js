@@ -0,0 +1,497 @@
+// Product page parsing shared by every retailer price fetcher
+//
+// parseProductPage(html, { site }) tries, in order:
+//   1. JSON-LD Product / Offer / AggregateOffer (schema.org)
+//   2. OpenGraph / meta tags (product:price:amount, og:price:amount)
+//   3. Embedded state blobs (window.__myx, __PRELOADED_STATE__, __INITIAL_STATE__, __NEXT_DATA__)
+//   4. Per-site markup rules (SITE_RULES), the old class-name regexes, as a last resort
+// The list price (MRP) is taken from the same strategy when it has one, else from the state blobs
+// or the site's MRP markup; bank offers, coupons and deal badges come from the page text.
+// Rating, review count, stock state and delivery estimate are read the same way (JSON-LD, state,
+// site markup, page text) whichever strategy found the price, and so is the size list (extractSizes).
+// Saved pages in fixtures/pages/ cover each retailer; run `node test-page-parser.js` after changes.
+
+import { collectOffers } from './pricing.js';
+import { availabilityLabel, deliveryText, toRating, toReviewCount } from './listingDetails.js';
+import { isSizeLabel, normalizeSize } from './sizes.js';
+
+// Prices below this are almost always ratings, counts or EMI amounts picked up by mistake
+const MIN_PLAUSIBLE_PRICE = 50;
+
+// Which retailer a product belongs to, from its source label or link
+export function siteForProduct({ source, link } = {}) {
+  const hay = `${source || ''} ${link || ''}`.toLowerCase();
+  for (const site of Object.keys(SITE_RULES)) {
+    if (hay.includes(site)) return site;
+  }
+  return null;
+}
+
+export function toPriceNumber(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= MIN_PLAUSIBLE_PRICE ? Math.round(value) : null;
+  // First number in the text, so the dot in "Rs. 1,899" isn't read as a decimal point
+  const digits = String(value).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  if (!digits) return null;
+  const n = parseFloat(digits[0]);
+  return Number.isFinite(n) && n >= MIN_PLAUSIBLE_PRICE ? Math.round(n) : null;
+}
+
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#8377;/g, '₹');
+}
+
+function safeJsonParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+// --- 1. JSON-LD ---
+
+function typesOf(node) {
+  const t = node && node['@type'];
+  return (Array.isArray(t) ? t : [t]).filter(Boolean).map(String);
+}
+
+// Every object in the JSON-LD scripts, with @graph and nested arrays flattened
+export function extractJsonLd(html) {
+  const nodes = [];
+  const visit = value => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return;
+    nodes.push(value);
+    if (value['@graph']) visit(value['@graph']);
+  };
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const parsed = safeJsonParse(m[1].trim()) ?? safeJsonParse(decodeEntities(m[1].trim()));
+    if (parsed !== undefined) visit(parsed);
+  }
+  return nodes;
+}
+
+function jsonLdProduct(html) {
+  return extractJsonLd(html).find(node => typesOf(node).includes('Product')) || null;
+}
+
+// schema.org marks the struck-through price as a priceSpecification with priceType ListPrice
+function jsonLdListPrice(offer) {
+  const spec = [].concat(offer.priceSpecification || []).find(s => /ListPrice|StrikethroughPrice|MSRP/i.test(String(s?.priceType || '')));
+  return toPriceNumber(spec?.price);
+}
+
+function parseJsonLd(html) {
+  const product = jsonLdProduct(html);
+  if (!product) return null;
+  const offers = [].concat(product.offers || []);
+  for (const offer of offers) {
+    const types = typesOf(offer);
+    const sale = [].concat(offer.priceSpecification || []).find(s => s?.price != null && !/ListPrice|StrikethroughPrice|MSRP/i.test(String(s.priceType || '')));
+    const price = toPriceNumber(
+      types.includes('AggregateOffer') ? offer.lowPrice ?? offer.price : offer.price ?? sale?.price
+    );
+    if (price == null) continue;
+    return {
+      price,
+      mrp: jsonLdListPrice(offer),
+      currency: offer.priceCurrency || offer.priceSpecification?.priceCurrency || null,
+      availability: availabilityLabel(offer.availability),
+      title: product.name || null,
+      method: 'json-ld'
+    };
+  }
+  return null;
+}
+
+// --- 2. OpenGraph / meta ---
+
+export function extractMetaTags(html) {
+  const meta = {};
+  const re = /<meta\s+[^>]*>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const tag = m[0];
+    const key = tag.match(/(?:property|name|itemprop)=["']([^"']+)["']/i)?.[1];
+    const content = tag.match(/content=["']([^"']*)["']/i)?.[1];
+    if (key && content != null && meta[key.toLowerCase()] == null) meta[key.toLowerCase()] = decodeEntities(content);
+  }
+  return meta;
+}
+
+// product:sale_price:amount is the selling price when present; product:price:amount is then the list price
+function parseOpenGraph(html) {
+  const meta = extractMetaTags(html);
+  const listed = toPriceNumber(meta['product:price:amount'] ?? meta['og:price:amount'] ?? meta['price']);
+  const sale = toPriceNumber(meta['product:sale_price:amount']);
+  const price = sale ?? listed;
+  if (price == null) return null;
+  return {
+    price,
+    mrp: toPriceNumber(meta['product:original_price:amount']) ?? (sale != null ? listed : null),
+    currency: meta['product:price:currency'] || meta['og:price:currency'] || meta['pricecurrency'] || null,
+    availability: availabilityLabel(meta['product:availability'] || meta['og:availability']),
+    title: meta['og:title'] || null,
+    method: 'opengraph'
+  };
+}
+
+// --- 3. Embedded state blobs ---
+
+// Read the balanced {...} literal starting at `start`
+function readJsonObject(text, start) {
+  let depth = 0;
+  let inString = false;
+  let quote = '';
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === quote) inString = false;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      inString = true;
+      quote = ch;
+    } else if (ch === '{') depth++;
+    else if (ch === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+const STATE_MARKERS = [
+  /window\.__myx\s*=\s*/,
+  /window\.__PRELOADED_STATE__\s*=\s*/,
+  /window\.__INITIAL_STATE__\s*=\s*/,
+  /<script[^>]*id=["']__NEXT_DATA__["'][^>]*>\s*/
+];
+
+export function extractStateBlobs(html) {
+  const blobs = [];
+  for (const marker of STATE_MARKERS) {
+    const m = marker.exec(html);
+    if (!m) continue;
+    const start = html.indexOf('{', m.index + m[0].length - 1);
+    if (start === -1) continue;
+    const raw = readJsonObject(html, start);
+    const parsed = raw && safeJsonParse(raw);
+    if (parsed) blobs.push(parsed);
+  }
+  return blobs;
+}
+
+// Depth-first search for the first plausible value under one of `keys` (in key priority order).
+// `parse` turns a raw value into the wanted number/label, or null when it isn't plausible.
+function findInState(state, keys, parse = toPriceNumber) {
+  for (const key of keys) {
+    const stack = [state];
+    let visited = 0;
+    while (stack.length && visited < 50000) {
+      const node = stack.pop();
+      visited++;
+      if (!node || typeof node !== 'object') continue;
+      if (Object.prototype.hasOwnProperty.call(node, key)) {
+        const value = node[key];
+        const parsed = parse(typeof value === 'object' && value ? value.value ?? value.amount ?? value.price : value);
+        if (parsed != null) return parsed;
+      }
+      for (const child of Object.values(node)) {
+        if (child && typeof child === 'object') stack.push(child);
+      }
+    }
+  }
+  return null;
+}
+
+// Selling-price keys first; MRP keys only tell us the list price
+const STATE_PRICE_KEYS = ['discountedPrice', 'discounted', 'sellingPrice', 'finalPrice', 'offerPrice', 'salePrice', 'price'];
+const STATE_MRP_KEYS = ['mrp', 'wasPriceData', 'listPrice', 'originalPrice'];
+const STATE_RATING_KEYS = ['averageRating', 'avgRating', 'ratingValue', 'averageStarRating'];
+const STATE_REVIEW_KEYS = ['ratingCount', 'totalCount', 'reviewCount', 'totalRatings', 'noOfRatings'];
+const STATE_STOCK_KEYS = ['stockStatus', 'inventoryStatus', 'inStock', 'isInStock', 'availability'];
+
+function parseState(html, rule) {
+  const keys = [...(rule?.stateKeys || []), ...STATE_PRICE_KEYS];
+  for (const state of extractStateBlobs(html)) {
+    const price = findInState(state, keys);
+    if (price == null) continue;
+    return { price, mrp: findInState(state, STATE_MRP_KEYS), currency: 'INR', method: 'state' };
+  }
+  return null;
+}
+
+function stateMrp(html) {
+  for (const state of extractStateBlobs(html)) {
+    const mrp = findInState(state, STATE_MRP_KEYS);
+    if (mrp != null) return mrp;
+  }
+  return null;
+}
+
+// --- 4. Per-site markup rules ---
+
+// Any "₹1,299" in the page; Myntra, Ajio and Flipkart redesign often enough that this
+// loose match is still worth keeping behind the class-name rules
+const RUPEE_TEXT = /(?:₹|&#8377;|Rs\.?)\s*([\d,]{3,})/i;
+
+// "4.1 out of 5 stars" and "5,231 ratings" wherever they appear in the markup
+const RATING_TEXT = /([\d.]+)\s*out of\s*5\s*stars/i;
+const REVIEW_COUNT_TEXT = /([\d,]+)\s*(?:global\s+)?(?:ratings|reviews)\b/i;
+
+// "M.R.P.: ₹4,999" text most retailers print next to the struck-through price
+const MRP_TEXT = /M\.?R\.?P\.?\s*:?\s*(?:<[^>]+>\s*)*(?:₹|&#8377;|Rs\.?)\s*([\d,]{3,}(?:\.\d{2})?)/i;
+
+// Class-name patterns per retailer; the first capture group holds the price text.
+// mrpPatterns do the same for the list price.
+export const SITE_RULES = {
+  amazon: {
+    patterns: [
+      /<span[^>]*class="[^"]*a-price[^"]*"[^>]*>\s*<span[^>]*class="[^"]*a-offscreen[^"]*"[^>]*>([^<]+)<\/span>/i,
+      /<span[^>]*class="[^"]*a-price-whole[^"]*"[^>]*>([^<]+)</i,
+      /<span[^>]*id="priceblock_(?:ourprice|dealprice)"[^>]*>([^<]+)<\/span>/i
+    ],
+    mrpPatterns: [
+      /<span[^>]*class="[^"]*a-text-price[^"]*"[^>]*>\s*<span[^>]*class="[^"]*a-offscreen[^"]*"[^>]*>([^<]+)<\/span>/i,
+      MRP_TEXT
+    ],
+    ratingPatterns: [
+      /<span[^>]*id="acrPopover"[^>]*title="([^"]+)"/i,
+      /<div[^>]*id="averageCustomerReviews"[^>]*>\s*<span[^>]*>\s*([\d.]+)\s*</i
+    ],
+    reviewPatterns: [/<span[^>]*id="acrCustomerReviewText"[^>]*>([^<]+)</i],
+    availabilityPatterns: [/<div[^>]*id="availability"[^>]*>\s*<span[^>]*>\s*([^<]+)</i],
+    // Size dropdown options: class dropdownAvailable / dropdownUnavailable, label in data-a-html-content
+    sizeOptionPattern: /<option[^>]*class="[^"]*dropdown(Available|Unavailable)[^"]*"[^>]*data-a-html-content="([^"]+)"/gi
+  },
+  myntra: {
+    stateKeys: ['discounted'],
+    patterns: [
+      /<span[^>]*class="[^"]*pdp-(?:discounted-)?price[^"]*"[^>]*>(?:<strong>)?([^<]+)/i,
+      /<span[^>]*data-testid="[^"]*price[^"]*"[^>]*>([^<]+)<\/span>/i,
+      RUPEE_TEXT
+    ],
+    mrpPatterns: [/<span[^>]*class="[^"]*pdp-mrp[^"]*"[^>]*>(?:<s>)?([^<]+)/i, MRP_TEXT]
+  },
+  ajio: {
+    stateKeys: ['offerPrice', 'price'],
+    patterns: [
+      /<div[^>]*class="[^"]*prod-sp[^"]*"[^>]*>([^<]+)<\/div>/i,
+      /<span[^>]*class="[^"]*prod-sp[^"]*"[^>]*>([^<]+)<\/span>/i,
+      RUPEE_TEXT
+    ],
+    mrpPatterns: [/<(?:div|span)[^>]*class="[^"]*prod-(?:cp|mrp)[^"]*"[^>]*>([^<]+)</i, MRP_TEXT]
+  },
+  flipkart: {
+    stateKeys: ['finalPrice', 'sellingPrice'],
+    patterns: [
+      /<div[^>]*class="[^"]*(?:_30jeq3|Nx9bqj|_16Jk6d|1vC4OE)[^"]*"[^>]*>([^<]+)<\/div>/i,
+      RUPEE_TEXT
+    ],
+    mrpPatterns: [/<div[^>]*class="[^"]*(?:_3I9_wc|yRaY8j)[^"]*"[^>]*>([^<]+)<\/div>/i, MRP_TEXT],
+    ratingPatterns: [/<div[^>]*class="[^"]*(?:XQDdHH|_3LWZlK)[^"]*"[^>]*>\s*([\d.]+)/i],
+    reviewPatterns: [/<span[^>]*class="[^"]*(?:Wphh3N|_2_R_DZ)[^"]*"[^>]*>(?:<span>)?([\d,]+\s*Ratings)/i],
+    availabilityPatterns: [/<div[^>]*class="[^"]*(?:Z8JjpR|_16FRp0)[^"]*"[^>]*>([^<]+)<\/div>/i]
+  },
+  snapdeal: {
+    patterns: [
+      /<span[^>]*class="[^"]*(?:payBlkBig|pdp-final-price)[^"]*"[^>]*>([^<]+)<\/span>/i
+    ],
+    mrpPatterns: [/<span[^>]*class="[^"]*pdpCutPrice[^"]*"[^>]*>([^<]+)<\/span>/i, MRP_TEXT]
+  }
+};
+
+function matchValue(html, patterns = [], parse = toPriceNumber) {
+  for (const pattern of patterns) {
+    const m = html.match(pattern);
+    const value = m && parse(decodeEntities(m[1]));
+    if (value != null) return value;
+  }
+  return null;
+}
+
+function parseSiteRules(html, rule) {
+  const price = matchValue(html, rule?.patterns);
+  return price != null ? { price, currency: 'INR', method: 'site-rule' } : null;
+}
+
+// --- Offers ---
+
+// Lines of page text worth reading as offers; plain "EMI starts at" or delivery blurbs are left out
+const PAGE_OFFER_TEXT = /bank offer|deal of the day|limited time deal|lightning deal|coupon|cashback|cash back|no cost emi|special price/i;
+
+// Visible text split at block boundaries, so "<li><span>Bank Offer</span><span>10% off…</span></li>" is one line
+function textLines(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<\/(?:li|div|p|tr|h\d)>|<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').replace(/ ([.,;:!?])/g, '$1').trim())
+    .filter(line => line.length >= 6 && line.length <= 200);
+}
+
+export function extractPageOffers(html) {
+  return collectOffers(textLines(html).filter(line => PAGE_OFFER_TEXT.test(line)));
+}
+
+// --- Rating, reviews, stock, delivery ---
+
+// { rating, reviews, availability, shipping }; each field is null when the page doesn't show it
+export function extractListingDetails(html, { site } = {}) {
+  const rule = site ? SITE_RULES[site] : null;
+  const aggregate = jsonLdProduct(html)?.aggregateRating;
+  const states = extractStateBlobs(html);
+  const fromState = (keys, parse) => {
+    for (const state of states) {
+      const value = findInState(state, keys, parse);
+      if (value != null) return value;
+    }
+    return null;
+  };
+
+  const rating = toRating(aggregate?.ratingValue)
+    ?? fromState(STATE_RATING_KEYS, toRating)
+    ?? matchValue(html, [...(rule?.ratingPatterns || []), RATING_TEXT], toRating);
+  const reviews = rating == null ? null : toReviewCount(aggregate?.reviewCount ?? aggregate?.ratingCount)
+    ?? fromState(STATE_REVIEW_KEYS, toReviewCount)
+    ?? matchValue(html, [...(rule?.reviewPatterns || []), REVIEW_COUNT_TEXT], toReviewCount);
+  return {
+    rating,
+    reviews,
+    availability: fromState(STATE_STOCK_KEYS, availabilityLabel)
+      ?? matchValue(html, rule?.availabilityPatterns, availabilityLabel),
+    shipping: deliveryText(textLines(html))
+  };
+}
+
+// --- Sizes ---
+
+// Arrays under keys like these in state blobs hold one entry per size
+const STATE_SIZE_LIST_KEY = /^(?:sizes|sizeOptions|sizeList|sizeVariants|variantOptions|variants|swatches|skus)$/i;
+const SIZE_LABEL_KEYS = ['label', 'sizeLabel', 'displaySize', 'scDisplaySize', 'size', 'sizeValue', 'value'];
+const SIZE_STOCK_KEYS = ['available', 'isAvailable', 'inStock', 'isInStock', 'stockLevelStatus', 'stock', 'inventory', 'quantity', 'availability'];
+
+// true / false from booleans, counts, schema.org URLs and stock phrases; null when unknown
+function sizeStock(value) {
+  if (value == null) return null;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value > 0;
+  if (typeof value === 'object') return sizeStock(value.stockLevelStatus ?? value.status ?? value.available ?? value.quantity);
+  const label = availabilityLabel(value);
+  return label ? label !== 'out_of_stock' : null;
+}
+
+function sizeEntry(node) {
+  if (!node || typeof node !== 'object') return null;
+  const rawLabel = SIZE_LABEL_KEYS.map(key => node[key]).find(v => typeof v === 'string' || typeof v === 'number');
+  const label = rawLabel != null && String(rawLabel).length <= 12 ? normalizeSize(rawLabel) : null;
+  if (!isSizeLabel(label)) return null;
+  const stock = SIZE_STOCK_KEYS.map(key => sizeStock(node[key])).find(v => v != null);
+  return { label, available: stock ?? null };
+}
+
+function jsonLdSizes(html) {
+  const sizes = [];
+  for (const node of extractJsonLd(html)) {
+    const types = typesOf(node);
+    // ProductGroup (or Product) with one variant per size
+    for (const variant of [].concat(node.hasVariant || [])) {
+      const offer = [].concat(variant.offers || [])[0];
+      if (variant.size) sizes.push({ label: normalizeSize(variant.size?.name ?? variant.size), available: sizeStock(offer?.availability) });
+    }
+    // Product with one offer per size
+    if (types.includes('Product')) {
+      for (const offer of [].concat(node.offers || [])) {
+        const size = offer.itemOffered?.size ?? offer.size;
+        if (size) sizes.push({ label: normalizeSize(size?.name ?? size), available: sizeStock(offer.availability) });
+      }
+    }
+  }
+  return sizes.filter(size => size.label);
+}
+
+function stateSizes(html) {
+  for (const state of extractStateBlobs(html)) {
+    const stack = [state];
+    let visited = 0;
+    while (stack.length && visited < 50000) {
+      const node = stack.pop();
+      visited++;
+      if (!node || typeof node !== 'object') continue;
+      for (const [key, value] of Object.entries(node)) {
+        if (Array.isArray(value) && STATE_SIZE_LIST_KEY.test(key)) {
+          const sizes = value.map(sizeEntry).filter(Boolean);
+          if (sizes.length) return sizes;
+        }
+        if (value && typeof value === 'object') stack.push(value);
+      }
+    }
+  }
+  return [];
+}
+
+function markupSizes(html, rule) {
+  if (!rule?.sizeOptionPattern) return [];
+  return [...html.matchAll(rule.sizeOptionPattern)]
+    .map(m => ({ label: normalizeSize(decodeEntities(m[2])), available: m[1].toLowerCase() === 'available' }))
+    .filter(size => size.label);
+}
+
+// [{ label, available }] with canonical labels (lib/sizes.js); available is null when the page lists the
+// size without saying whether it is in stock. Empty when the page shows no sizes.
+export function extractSizes(html, { site } = {}) {
+  if (!html) return [];
+  const rule = site ? SITE_RULES[site] : null;
+  for (const source of [jsonLdSizes, stateSizes, h => markupSizes(h, rule)]) {
+    const found = source(html);
+    if (!found.length) continue;
+    // One entry per size; in stock if any variant of it is
+    const bySize = new Map();
+    for (const size of found) {
+      const seen = bySize.get(size.label);
+      if (!seen) bySize.set(size.label, { ...size });
+      else if (size.available === true || (seen.available == null && size.available === false)) seen.available = size.available;
+    }
+    return [...bySize.values()];
+  }
+  return [];
+}
+
+// Structured data first, per-site rules last. Returns null when no strategy finds a price.
+export function parseProductPage(html, { site } = {}) {
+  if (!html) return null;
+  const rule = site ? SITE_RULES[site] : null;
+  const strategies = [parseJsonLd, parseOpenGraph, h => parseState(h, rule), h => parseSiteRules(h, rule)];
+  for (const strategy of strategies) {
+    const result = strategy(html);
+    if (!result) continue;
+    const mrp = [result.mrp, stateMrp(html), matchValue(html, rule?.mrpPatterns)]
+      .find(value => value != null && value > result.price) ?? null;
+    const details = extractListingDetails(html, { site });
+    return {
+      title: null,
+      ...details,
+      ...result,
+      availability: result.availability ?? details.availability,
+      mrp,
+      offers: extractPageOffers(html),
+      sizes: extractSizes(html, { site }),
+      currency: result.currency || 'INR'
+    };
+  }
+  return null;
+}
@@ -0,0 +1,76 @@
+// Price-drop alert rules for wishlist items
+//
+// An alert is { targetPrice?, dropPercent?, basePrice, armed }. It fires when the checked price is at
+// or below its threshold: the target price, or basePrice less dropPercent (the higher of the two when
+// both are set). After firing it is disarmed so the same drop isn't reported on every check; it re-arms
+// when the price climbs back above the threshold, and also fires again if the price keeps falling by
+// another REPEAT_DROP_PERCENT below the last notified price.
+const REPEAT_DROP_PERCENT = 5;
+const MAX_DROP_PERCENT = 90;
+
+// Validate a { targetPrice, dropPercent } request body; basePrice is the item's price when the alert is set
+export function normalizeAlertInput(input = {}, currentPrice = null) {
+  const targetPrice = input.targetPrice == null || input.targetPrice === '' ? null : Number(input.targetPrice);
+  const dropPercent = input.dropPercent == null || input.dropPercent === '' ? null : Number(input.dropPercent);
+
+  if (targetPrice == null && dropPercent == null) return { error: 'targetPrice or dropPercent required' };
+  if (targetPrice != null && (!Number.isFinite(targetPrice) || targetPrice <= 0)) {
+    return { error: 'targetPrice must be a positive number' };
+  }
+  if (dropPercent != null && (!Number.isFinite(dropPercent) || dropPercent <= 0 || dropPercent > MAX_DROP_PERCENT)) {
+    return { error: `dropPercent must be between 0 and ${MAX_DROP_PERCENT}` };
+  }
+  if (dropPercent != null && !currentPrice) return { error: 'Item has no known price to measure a percent drop from' };
+
+  return {
+    alert: {
+      targetPrice: targetPrice != null ? Math.round(targetPrice) : null,
+      dropPercent,
+      basePrice: currentPrice || null,
+      armed: true,
+      lastNotifiedPrice: null,
+      createdAt: new Date()
+    }
+  };
+}
+
+export function alertThreshold(alert) {
+  if (!alert) return null;
+  const candidates = [];
+  if (alert.targetPrice) candidates.push(alert.targetPrice);
+  if (alert.dropPercent && alert.basePrice) candidates.push(Math.floor(alert.basePrice * (1 - alert.dropPercent / 100)));
+  return candidates.length ? Math.max(...candidates) : null;
+}
+
+// -> { notify, armed, threshold } for a freshly checked price
+export function evaluateAlert(alert, price) {
+  const threshold = alertThreshold(alert);
+  if (threshold == null || !Number.isFinite(price)) return { notify: false, armed: alert?.armed !== false, threshold };
+  if (price > threshold) return { notify: false, armed: true, threshold };
+
+  const armed = alert.armed !== false;
+  const fellFurther = alert.lastNotifiedPrice
+    && price <= alert.lastNotifiedPrice * (1 - REPEAT_DROP_PERCENT / 100);
+  return { notify: armed || Boolean(fellFurther), armed: false, threshold };
+}
+
+function formatINR(value) {
+  return `₹${Math.round(value).toLocaleString('en-IN')}`;
+}
+
+// In-app notification and email content for a crossed alert
+export function priceDropMessage({ item, price, previousPrice, alert }) {
+  const reason = alert.targetPrice && price <= alert.targetPrice
+    ? `at or below your target of ${formatINR(alert.targetPrice)}`
+    : `${Math.round((1 - price / alert.basePrice) * 100)}% below ${formatINR(alert.basePrice)} when you set the alert`;
+  const title = `Price drop: ${item.title}`;
+  const message = `Now ${formatINR(price)}${previousPrice && previousPrice !== price ? ` (was ${formatINR(previousPrice)})` : ''}, ${reason}.`;
+  return {
+    title,
+    message,
+    email: {
+      subject: `${title} is now ${formatINR(price)}`,
+      text: `${item.title}\n${message}\n\n${item.link || ''}\n\nYou set this alert on your Fashion Search wishlist.`
+    }
+  };
+}
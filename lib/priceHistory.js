@@ -0,0 +1,187 @@
+// Price observations per product link, behind wishlist/comparison price history
+//
+// PRICE_HISTORY_STORE=mongo (default) | memory | off
+// Every price the server sees for a link (search results, real-time page fetches, wishlist
+// refreshes) is appended to the `priceobservations` collection. Repeats of the same price for
+// the same link are dropped for PRICE_HISTORY_MIN_INTERVAL_MIN minutes (default 360) so popular
+// listings don't write a row per search; a changed price is always recorded. The last price per link
+// is remembered in memory and, after a restart or on another process, read back from the store.
+// Observations older than PRICE_HISTORY_RETENTION_DAYS (default 365) are deleted by a TTL index;
+// MongoDB keeps the index's first expiry, so changing the setting later needs a collMod on the index.
+import mongoose from 'mongoose';
+import { hashValue } from './cache.js';
+
+function retentionDays() {
+  const days = Number(process.env.PRICE_HISTORY_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 365;
+}
+
+// Where an observation came from
+export const PRICE_SOURCES = ['search', 'realtime', 'refresh'];
+
+const priceObservationSchema = new mongoose.Schema({
+  linkKey: { type: String, required: true },
+  link: String,
+  retailer: String,
+  price: { type: Number, required: true },
+  currency: { type: String, default: 'INR' },
+  source: { type: String, enum: PRICE_SOURCES },
+  observedAt: { type: Date, default: Date.now }
+});
+priceObservationSchema.index({ linkKey: 1, observedAt: -1 });
+priceObservationSchema.index({ observedAt: 1 }, { expireAfterSeconds: retentionDays() * 24 * 3600 });
+
+const PriceObservation = mongoose.models.PriceObservation || mongoose.model('PriceObservation', priceObservationSchema);
+
+// Tracking parameters change between searches; the path identifies the product
+function canonicalLink(link) {
+  return String(link || '').split(/[?#]/)[0].replace(/\/+$/, '').toLowerCase();
+}
+
+export function priceLinkKey(link) {
+  const canonical = canonicalLink(link);
+  return canonical ? hashValue(canonical) : null;
+}
+
+function minIntervalMs() {
+  return Number(process.env.PRICE_HISTORY_MIN_INTERVAL_MIN || 360) * 60 * 1000;
+}
+
+function createMemoryStore(maxEntries) {
+  const rows = [];
+  return {
+    async insert(observations) {
+      rows.push(...observations);
+      const cutoff = Date.now() - retentionDays() * 24 * 3600 * 1000;
+      const expired = rows.findIndex(row => row.observedAt >= cutoff);
+      rows.splice(0, Math.max(rows.length - maxEntries, expired === -1 ? rows.length : expired));
+    },
+    async latest(linkKeys) {
+      const keys = new Set(linkKeys);
+      const out = new Map();
+      for (const row of rows) if (keys.has(row.linkKey)) out.set(row.linkKey, row);
+      return out;
+    },
+    async find(linkKey, since, limit) {
+      return rows
+        .filter(row => row.linkKey === linkKey && row.observedAt >= since)
+        .slice(-limit);
+    }
+  };
+}
+
+function createMongoStore() {
+  // History is best-effort: skip writes and return nothing until Mongo is connected
+  const ready = () => mongoose.connection.readyState === 1;
+  return {
+    async insert(observations) {
+      if (!ready() || !observations.length) return;
+      await PriceObservation.insertMany(observations, { ordered: false });
+    },
+    // linkKey -> newest row, for the links given
+    async latest(linkKeys) {
+      if (!ready() || !linkKeys.length) return new Map();
+      const rows = await PriceObservation.aggregate([
+        { $match: { linkKey: { $in: linkKeys } } },
+        { $sort: { linkKey: 1, observedAt: -1 } },
+        { $group: { _id: '$linkKey', price: { $first: '$price' }, observedAt: { $first: '$observedAt' } } }
+      ]);
+      return new Map(rows.map(row => [row._id, row]));
+    },
+    async find(linkKey, since, limit) {
+      if (!ready()) return [];
+      const rows = await PriceObservation.find({ linkKey, observedAt: { $gte: since } })
+        .sort({ observedAt: -1 })
+        .limit(limit)
+        .lean();
+      return rows.reverse();
+    }
+  };
+}
+
+// Where the latest price sits in its history: is "₹1,299" actually a deal?
+export function summarizePriceHistory(observations, currentPrice = null) {
+  if (!observations.length) return null;
+  const prices = observations.map(o => o.price);
+  const current = currentPrice ?? prices[prices.length - 1];
+  const lowest = Math.min(...prices, current);
+  const highest = Math.max(...prices, current);
+  const average = Math.round(prices.reduce((sum, p) => sum + p, 0) / prices.length);
+  const first = prices[0];
+
+  let verdict = 'typical';
+  if (highest > lowest && current <= lowest) verdict = 'lowest';
+  else if (current < average * 0.95) verdict = 'below_average';
+  else if (current > average * 1.05) verdict = 'above_average';
+
+  return {
+    count: observations.length,
+    since: observations[0].observedAt,
+    current,
+    lowest,
+    highest,
+    average,
+    changePercent: first ? Math.round(((current - first) / first) * 1000) / 10 : 0,
+    verdict
+  };
+}
+
+export function createPriceHistory({ backend = 'mongo', maxEntries = 50000 } = {}) {
+  const mode = String(backend).toLowerCase();
+  const store = mode === 'memory' ? createMemoryStore(maxEntries) : mode === 'off' ? null : createMongoStore();
+  // linkKey -> { price, at } of the last row written, for dropping repeats
+  const lastWritten = new Map();
+
+  return {
+    backend: store ? mode : 'off',
+
+    // products: [{ link, price?, priceNumber?, source? }]; prices are numbers in rupees
+    async record(products, source, { parsePrice = p => p.priceNumber } = {}) {
+      if (!store || !PRICE_SOURCES.includes(source)) return 0;
+      const now = Date.now();
+      const priced = (products || [])
+        .map(product => ({ product, linkKey: priceLinkKey(product?.link), price: Number(parsePrice(product)) }))
+        .filter(({ linkKey, price }) => linkKey && Number.isFinite(price) && price > 0);
+
+      // Links this process hasn't written yet may have rows from before a restart or from another process
+      const unknown = [...new Set(priced.map(p => p.linkKey).filter(key => !lastWritten.has(key)))];
+      if (unknown.length) {
+        const stored = await store.latest(unknown);
+        for (const [linkKey, row] of stored) {
+          if (lastWritten.size >= maxEntries) lastWritten.delete(lastWritten.keys().next().value);
+          lastWritten.set(linkKey, { price: row.price, at: new Date(row.observedAt).getTime() });
+        }
+      }
+
+      const observations = [];
+      for (const { product, linkKey, price } of priced) {
+        const last = lastWritten.get(linkKey);
+        if (last && last.price === price && now - last.at < minIntervalMs()) continue;
+        lastWritten.delete(linkKey);
+        if (lastWritten.size >= maxEntries) lastWritten.delete(lastWritten.keys().next().value);
+        lastWritten.set(linkKey, { price, at: now });
+
+        observations.push({
+          linkKey,
+          link: canonicalLink(product.link),
+          retailer: product.source || null,
+          price,
+          currency: 'INR',
+          source,
+          observedAt: new Date(now)
+        });
+      }
+      await store.insert(observations);
+      return observations.length;
+    },
+
+    // Observations for a link over the last `days`, oldest first
+    async history(link, { days = 90, limit = 500 } = {}) {
+      const linkKey = priceLinkKey(link);
+      if (!store || !linkKey) return [];
+      const since = new Date(Date.now() - days * 24 * 3600 * 1000);
+      const rows = await store.find(linkKey, since, limit);
+      return rows.map(({ price, currency, source, retailer, observedAt }) => ({ price, currency, source, retailer, observedAt }));
+    }
+  };
+}
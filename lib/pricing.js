@@ -0,0 +1,111 @@
+// List price, discount and offer fields shared by providers, page fetches and normalizeProduct
+//
+// Products carry, next to the display `price` string:
+//   currency         ISO code ('INR' unless the price says otherwise)
+//   mrp              list price in rupees, only when above the selling price
+//   discountPercent  whole percent off mrp (or the retailer's own "30% off" when mrp is unknown)
+//   offers[]         { type, text } with type bank | emi | cashback | coupon | deal | delivery | discount
+
+const MAX_OFFERS = 5;
+const MAX_OFFER_LENGTH = 160;
+
+const CURRENCY_SYMBOLS = [
+  ['₹', 'INR'],
+  ['Rs', 'INR'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP']
+];
+
+// First match wins, so specific kinds come before the generic ones
+const OFFER_TYPES = [
+  ['bank', /\bbank offer\b|\b(?:credit|debit) card\b|\b(?:hdfc|icici|sbi|axis|kotak|idfc|rbl|citi|amex)\b/i],
+  ['deal', /\bspecial price\b|\bdeal of the day\b|\blimited time deal\b|\blightning deal\b/i],
+  ['emi', /\bemi\b/i],
+  ['cashback', /\bcash ?back\b/i],
+  ['coupon', /\bcoupon\b|\bpromo ?code\b|\buse code\b/i],
+  ['deal', /\bdeal\b|\bsale\b|\bbest ?seller\b/i],
+  ['delivery', /\bfree delivery\b|\bfree shipping\b/i],
+  ['discount', /\b\d{1,2}\s*%\s*off\b|\bsave\s*(?:₹|rs\.?)/i]
+];
+
+// Whole rupees from a number or a "₹1,299.00" string
+export function toAmount(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+  const digits = String(value).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  const n = digits ? parseFloat(digits[0]) : NaN;
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+export function currencyOf(price, fallback = 'INR') {
+  if (price == null) return fallback;
+  const text = String(price).trim();
+  const code = text.match(/\b(INR|USD|EUR|GBP)\b/i)?.[1];
+  if (code) return code.toUpperCase();
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => text.startsWith(s));
+  return symbol ? symbol[1] : fallback;
+}
+
+// "30% off", "Save 45%", "-20%" -> 30 / 45 / 20
+export function parseDiscountText(text) {
+  if (text == null) return null;
+  const m = String(text).match(/(\d{1,2}(?:\.\d+)?)\s*%\s*(?:off|discount)|(?:save|flat|-)\s*(\d{1,2}(?:\.\d+)?)\s*%/i);
+  if (!m) return null;
+  const pct = Math.round(parseFloat(m[1] ?? m[2]));
+  return pct > 0 && pct < 100 ? pct : null;
+}
+
+export function discountPercentOf(price, mrp) {
+  if (!price || !mrp || mrp <= price) return null;
+  const pct = Math.round((1 - price / mrp) * 100);
+  return pct > 0 ? pct : null;
+}
+
+export function classifyOffer(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').replace(/\s*(?:T&C|Terms|Know more|View details)$/i, '').trim();
+  if (!clean) return null;
+  const match = OFFER_TYPES.find(([, re]) => re.test(clean));
+  if (!match) return null;
+  return { type: match[0], text: clean.length > MAX_OFFER_LENGTH ? `${clean.slice(0, MAX_OFFER_LENGTH - 1)}…` : clean };
+}
+
+// Offers from provider tags/extensions and page text: only recognised kinds, deduplicated, capped.
+// Accepts strings or already-built { type, text } entries.
+export function collectOffers(...sources) {
+  const offers = [];
+  const seen = new Set();
+  for (const entry of sources.flat(2)) {
+    if (!entry) continue;
+    const offer = typeof entry === 'object'
+      ? (entry.text ? { type: entry.type || classifyOffer(entry.text)?.type || 'other', text: String(entry.text).trim() } : null)
+      : classifyOffer(entry);
+    if (!offer) continue;
+    const key = offer.text.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    offers.push(offer);
+    if (offers.length >= MAX_OFFERS) break;
+  }
+  return offers;
+}
+
+// { currency, mrp, discountPercent, offers } for a product whose selling price is priceNumber.
+// An mrp at or below the selling price is dropped; the discount is computed from mrp when both are
+// known and otherwise taken from the product's own discountPercent or a "% off" offer.
+export function pricingFields(product, priceNumber) {
+  const offers = collectOffers(product.offers || []);
+  const mrpAmount = toAmount(product.mrp);
+  const mrp = priceNumber != null && mrpAmount != null && mrpAmount > priceNumber ? mrpAmount : null;
+  const stated = Number(product.discountPercent);
+  const discountPercent = discountPercentOf(priceNumber, mrp)
+    ?? (stated > 0 && stated < 100 ? Math.round(stated) : null)
+    ?? offers.map(o => parseDiscountText(o.text)).find(pct => pct != null)
+    ?? null;
+  return {
+    currency: product.currency || currencyOf(product.price),
+    mrp,
+    discountPercent,
+    offers
+  };
+}
@@ -0,0 +1,220 @@
+// Cross-retailer product matching: cluster listings of the same item sold by different
+// retailers ("Levi's 511 Slim Fit Jeans" on Amazon, Flipkart and Myntra) using the
+// normalized brand, model tokens and the attributes the query parser understands.
+import crypto from 'crypto';
+import { FASHION_BRANDS } from './titleAttributes.js';
+import {
+  parseQueryLocal,
+  CATEGORY_TERMS,
+  COLOR_TERMS,
+  MATERIAL_TERMS,
+  GENDER_TERMS,
+  FIT_TERMS,
+  OCCASION_TERMS
+} from './queryParser.js';
+
+// Retailers appear in FASHION_BRANDS (and in titles) but are never the product's brand
+const RETAILERS = new Set(['myntra', 'ajio', 'amazon', 'flipkart', 'snapdeal', 'meesho', 'nykaa', 'tata cliq']);
+
+// Listing noise that says nothing about which product it is
+const NOISE_WORDS = new Set('pack,combo,set,stylish,trendy,fashion,fashionable,designer,premium,quality,comfortable,comfort,solid,printed,plain,pure,original,genuine,branded,latest,new,sale,offer,free,delivery,online,india,full,half,sleeve,sleeves,round,neck,collar,casual,clothing,apparel'.split(','));
+
+// Words already captured as attributes; they are compared as attributes, not as model tokens
+const ATTRIBUTE_WORDS = new Set(
+  [CATEGORY_TERMS, COLOR_TERMS, MATERIAL_TERMS, GENDER_TERMS, FIT_TERMS, OCCASION_TERMS]
+    .flatMap(terms => Object.values(terms).flat())
+    .flatMap(phrase => [phrase, ...phrase.split(/[^a-z0-9]+/)])
+    .filter(Boolean)
+);
+ATTRIBUTE_WORDS.add('fit');
+ATTRIBUTE_WORDS.add('for');
+ATTRIBUTE_WORDS.add('with');
+ATTRIBUTE_WORDS.add('and');
+
+const MIN_TOKEN_SIMILARITY = 0.5;
+// Listings more than this far apart in price are treated as different items even if titles agree
+const MAX_PRICE_RATIO = 2.5;
+
+export function normalizeSource(source) {
+  return String(source || 'unknown')
+    .toLowerCase()
+    .replace(/^www\./, '')
+    .replace(/\.(com|in|co\.in)$/g, '')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .trim() || 'unknown';
+}
+
+function normalizeBrand(title, attrs) {
+  if (attrs.brand && !RETAILERS.has(attrs.brand)) return attrs.brand;
+  const lower = title.toLowerCase();
+  for (const brand of FASHION_BRANDS) {
+    if (!RETAILERS.has(brand) && lower.includes(brand)) return brand;
+  }
+  // Indian listings usually lead with the brand ("Roadster Men Black Slim Fit Jeans")
+  const first = lower.split(/\s+/)[0]?.replace(/[^a-z0-9&]/g, '') || '';
+  if (first.length > 1 && !RETAILERS.has(first) && attrs.keywords.includes(first)) return first;
+  return null;
+}
+
+// { brand, category, color, gender, tokens } for one listing title
+export function productSignature(product) {
+  const title = String(product.title || '');
+  const attrs = parseQueryLocal(title.replace(/\|/g, ' '));
+  const brand = normalizeBrand(title, attrs);
+  const brandWords = new Set((brand || '').split(/\s+/));
+  const tokens = new Set(
+    title
+      .toLowerCase()
+      .replace(/'s\b/g, '')
+      .split(/[^a-z0-9-]+/)
+      .map(t => t.replace(/^-+|-+$/g, ''))
+      .filter(t => t.length > 1 && !brandWords.has(t) && !brandWords.has(t.replace(/s$/, '')))
+      .filter(t => !ATTRIBUTE_WORDS.has(t) && !NOISE_WORDS.has(t) && !RETAILERS.has(t))
+  );
+  return {
+    brand,
+    category: attrs.category,
+    color: attrs.color,
+    gender: attrs.gender,
+    tokens
+  };
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Model codes like "511", "ua-3024" or "rx5" identify a product on their own
+function sharesModelCode(a, b) {
+  for (const t of a) {
+    if (/\d/.test(t) && /^[a-z0-9-]{3,}$/.test(t) && b.has(t)) return true;
+  }
+  return false;
+}
+
+// Titles that both carry model numbers but none in common are different models ("Air Max 90" vs
+// "Air Max 270", "511" vs "512"), however much of the rest of the title agrees
+function hasConflictingModelCodes(a, b) {
+  const codesA = [...a].filter(t => /\d/.test(t));
+  const codesB = [...b].filter(t => /\d/.test(t));
+  return codesA.length > 0 && codesB.length > 0 && !codesA.some(t => b.has(t));
+}
+
+function conflicts(a, b) {
+  return a != null && b != null && a !== b;
+}
+
+function isSameProduct(a, b) {
+  if (!a.sig.brand || conflicts(a.sig.brand, b.sig.brand)) return false;
+  if (conflicts(a.sig.category, b.sig.category)) return false;
+  if (conflicts(a.sig.color, b.sig.color)) return false;
+  if (conflicts(a.sig.gender, b.sig.gender)) return false;
+  if (a.price != null && b.price != null) {
+    const ratio = Math.max(a.price, b.price) / Math.max(Math.min(a.price, b.price), 1);
+    if (ratio > MAX_PRICE_RATIO) return false;
+  }
+  if (hasConflictingModelCodes(a.sig.tokens, b.sig.tokens)) return false;
+  if (sharesModelCode(a.sig.tokens, b.sig.tokens)) return true;
+  // Titles that are nothing but brand + attributes ("Roadster Men Black Cotton T-shirt") match on attributes alone
+  if (!a.sig.tokens.size && !b.sig.tokens.size) {
+    return Boolean(a.sig.category && a.sig.color && a.sig.category === b.sig.category && a.sig.color === b.sig.color);
+  }
+  return jaccard(a.sig.tokens, b.sig.tokens) >= MIN_TOKEN_SIMILARITY;
+}
+
+// Cluster products that are the same item across retailers.
+// Returns { clusters, matchFor(product) } where clusters only include items sold by 2+ sellers,
+// cheapest first, and matchFor gives the { id, sellers, cheapest* } summary for a listing.
+export function matchProducts(products, { priceOf = p => p.priceNumber } = {}) {
+  const entries = (products || []).map((product, index) => ({
+    product,
+    index,
+    source: normalizeSource(product.source),
+    price: priceOf(product) ?? null,
+    sig: productSignature(product)
+  }));
+
+  // Union-find over pairwise matches; result sets are at most a few hundred listings
+  const parent = entries.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (find(i) === find(j)) continue;
+      if (isSameProduct(entries[i], entries[j])) parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const root = find(entry.index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  }
+
+  const clusters = [];
+  const byProduct = new Map();
+  for (const members of groups.values()) {
+    // Cheapest listing per seller
+    const bySeller = new Map();
+    for (const m of members) {
+      const current = bySeller.get(m.source);
+      if (!current || (m.price != null && (current.price == null || m.price < current.price))) {
+        bySeller.set(m.source, m);
+      }
+    }
+    if (bySeller.size < 2) continue;
+
+    const offers = [...bySeller.values()]
+      .sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity))
+      .map(m => ({
+        source: m.product.source || 'Unknown',
+        title: m.product.title,
+        price: m.product.price || null,
+        priceNumber: m.price,
+        link: m.product.link || null,
+        thumbnail: m.product.thumbnail || null
+      }));
+    const priced = offers.filter(o => o.priceNumber != null);
+    const cheapest = priced[0] || offers[0];
+    const sig = members[0].sig;
+    const id = crypto
+      .createHash('sha1')
+      .update(members.map(m => `${m.product.link || ''}|${m.product.title}`).sort().join('\n'))
+      .digest('hex')
+      .slice(0, 12);
+
+    const cluster = {
+      id,
+      brand: sig.brand,
+      category: sig.category,
+      title: cheapest.title,
+      sellers: offers.length,
+      listings: members.length,
+      cheapest: { source: cheapest.source, price: cheapest.price, priceNumber: cheapest.priceNumber, link: cheapest.link },
+      savings: priced.length > 1 ? priced[priced.length - 1].priceNumber - priced[0].priceNumber : 0,
+      offers
+    };
+    clusters.push(cluster);
+    for (const m of members) byProduct.set(m.product, cluster);
+  }
+
+  clusters.sort((a, b) => b.sellers - a.sellers || b.savings - a.savings);
+
+  return {
+    clusters,
+    matchFor(product) {
+      const cluster = byProduct.get(product);
+      if (!cluster) return null;
+      return {
+        id: cluster.id,
+        sellers: cluster.sellers,
+        cheapestSource: cluster.cheapest.source,
+        cheapestPrice: cluster.cheapest.price,
+        cheapestLink: cluster.cheapest.link
+      };
+    }
+  };
+}
@@ -0,0 +1,253 @@
+// Hindi, Gujarati and Hinglish search text turned into the English the query parser and providers know
+//
+// detectLanguage(text) -> 'hi' (Devanagari), 'gu' (Gujarati script), 'hinglish' (romanized Hindi or
+// Gujarati words in Latin text, e.g. "kala kurta ladkon ke liye") or 'en'.
+// translateQuery(text) -> { text, language }, in three steps:
+//   1. digits of either script become ASCII and price phrases in Hindi word order ("2000 से कम",
+//      "2000 se kam", "2000 થી ઓછું") become "under 2000"
+//   2. words and phrases of the language's dictionary become English, longest first; grammar words
+//      ("के", "wala", "નો") are dropped
+//   3. Devanagari or Gujarati words still left are transliterated ("नाइकी" -> "naiki"), so brand and
+//      garment names reach the spell checker and parser in Latin letters
+// The result reads like "men for black jeans under 2000", which parseQueryLocal handles like any English query.
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+const GUJARATI = /[઀-૿]/;
+// Gujarati mirrors the Devanagari block 0x180 code points higher, so it is transliterated through it
+const GUJARATI_OFFSET = 0x180;
+
+// English for Devanagari words; '' drops the word
+const HINDI_PHRASES = {
+  // Garments
+  'कुर्ता': 'kurta', 'कुर्ते': 'kurta', 'कुर्ती': 'kurti', 'कुर्तियां': 'kurtis', 'कुर्तियाँ': 'kurtis',
+  'साड़ी': 'saree', 'साडी': 'saree', 'साड़ियां': 'sarees', 'लहंगा': 'lehenga', 'लहँगा': 'lehenga',
+  'लहंगा चोली': 'lehenga choli', 'घाघरा': 'ghagra', 'दुपट्टा': 'dupatta', 'चुन्नी': 'dupatta',
+  'सलवार': 'salwar', 'सलवार सूट': 'salwar suit', 'शेरवानी': 'sherwani', 'कमीज': 'shirt', 'कमीज़': 'shirt',
+  'शर्ट': 'shirt', 'टीशर्ट': 'tshirt', 'टी-शर्ट': 't-shirt', 'टी शर्ट': 't-shirt', 'पैंट': 'pants',
+  'पतलून': 'trousers', 'जींस': 'jeans', 'जीन्स': 'jeans', 'जूते': 'shoes', 'जूता': 'shoes',
+  'चप्पल': 'chappal', 'सैंडल': 'sandals', 'जूती': 'jutti', 'जूतियां': 'juttis', 'मोजड़ी': 'mojari',
+  'ड्रेस': 'dress', 'फ्रॉक': 'dress', 'स्कर्ट': 'skirt', 'जैकेट': 'jacket', 'नेहरू जैकेट': 'nehru jacket',
+  'स्वेटर': 'sweater', 'कोट': 'coat', 'ब्लाउज': 'blouse', 'हुडी': 'hoodie', 'शॉर्ट्स': 'shorts',
+  'पायजामा': 'pajama', 'धोती': 'dhoti', 'बैग': 'bag', 'पर्स': 'handbag', 'घड़ी': 'watch',
+  'चश्मा': 'sunglasses', 'टोपी': 'cap', 'कपड़े': 'clothes',
+  // Colors
+  'लाल': 'red', 'काला': 'black', 'काली': 'black', 'काले': 'black', 'सफेद': 'white', 'सफ़ेद': 'white',
+  'नीला': 'blue', 'नीली': 'blue', 'नीले': 'blue', 'हरा': 'green', 'हरी': 'green', 'हरे': 'green',
+  'पीला': 'yellow', 'पीली': 'yellow', 'पीले': 'yellow', 'गुलाबी': 'pink', 'बैंगनी': 'purple',
+  'नारंगी': 'orange', 'केसरिया': 'orange', 'भूरा': 'brown', 'भूरी': 'brown', 'भूरे': 'brown',
+  'स्लेटी': 'grey', 'सुनहरा': 'gold', 'सुनहरी': 'gold', 'चांदी': 'silver', 'मैरून': 'maroon', 'रंग': '',
+  // Materials
+  'सूती': 'cotton', 'कॉटन': 'cotton', 'रेशमी': 'silk', 'रेशम': 'silk', 'सिल्क': 'silk', 'चमड़ा': 'leather',
+  'चमड़े': 'leather', 'ऊनी': 'wool', 'डेनिम': 'denim', 'खादी': 'khadi', 'लिनन': 'linen',
+  // Gender
+  'पुरुष': 'men', 'पुरुषों': 'men', 'आदमी': 'men', 'मर्द': 'men', 'मर्दों': 'men', 'लड़के': 'men',
+  'लड़कों': 'men', 'महिला': 'women', 'महिलाओं': 'women', 'औरत': 'women', 'औरतों': 'women',
+  'लड़की': 'women', 'लड़कियों': 'women', 'बच्चे': 'kids', 'बच्चों': 'kids',
+  // Occasions
+  'शादी': 'wedding', 'विवाह': 'wedding', 'पार्टी': 'party', 'त्योहार': 'festive', 'त्यौहार': 'festive',
+  'दिवाली': 'diwali', 'नवरात्रि': 'navratri', 'ऑफिस': 'office', 'दफ्तर': 'office', 'रोज़ाना': 'casual',
+  'कैज़ुअल': 'casual', 'फॉर्मल': 'formal', 'जिम': 'gym',
+  // Everything else
+  'के लिए': 'for', 'के लिये': 'for', 'सस्ता': 'cheap', 'सस्ती': 'cheap', 'सस्ते': 'cheap', 'और': 'and',
+  'में': 'in', 'साइज': 'size', 'साइज़': 'size', 'ढीला': 'loose', 'ढीली': 'loose', 'टाइट': 'slim',
+  'का': '', 'की': '', 'के': '', 'वाला': '', 'वाली': '', 'वाले': '', 'मुझे': '', 'चाहिए': '', 'दिखाओ': '',
+  'दिखाइए': '', 'रुपये': '', 'रुपए': '', 'रु': ''
+};
+
+const GUJARATI_PHRASES = {
+  // Garments
+  'કુર્તા': 'kurta', 'કુર્તી': 'kurti', 'સાડી': 'saree', 'ચણિયા ચોળી': 'chaniya choli', 'ચણિયાચોળી': 'chaniya choli',
+  'લહેંગા': 'lehenga', 'ઘાઘરા': 'ghagra', 'દુપટ્ટો': 'dupatta', 'ઓઢણી': 'dupatta', 'શર્ટ': 'shirt',
+  'ટીશર્ટ': 'tshirt', 'પેન્ટ': 'pants', 'જીન્સ': 'jeans', 'બૂટ': 'shoes', 'જૂતા': 'shoes', 'ચંપલ': 'chappal',
+  'મોજડી': 'mojari', 'ડ્રેસ': 'dress', 'સ્કર્ટ': 'skirt', 'જેકેટ': 'jacket', 'સ્વેટર': 'sweater',
+  'બેગ': 'bag', 'પર્સ': 'handbag', 'ઘડિયાળ': 'watch', 'ચશ્મા': 'sunglasses', 'કપડાં': 'clothes',
+  // Colors (ભૂરો is blue in Gujarati)
+  'લાલ': 'red', 'કાળો': 'black', 'કાળી': 'black', 'કાળા': 'black', 'સફેદ': 'white', 'વાદળી': 'blue',
+  'ભૂરો': 'blue', 'ભૂરી': 'blue', 'ભૂરા': 'blue', 'લીલો': 'green', 'લીલી': 'green', 'લીલા': 'green',
+  'પીળો': 'yellow', 'પીળી': 'yellow', 'પીળા': 'yellow', 'ગુલાબી': 'pink', 'જાંબલી': 'purple',
+  'નારંગી': 'orange', 'કેસરી': 'orange', 'કથ્થઈ': 'brown', 'સોનેરી': 'gold', 'રંગ': '',
+  // Materials
+  'સુતરાઉ': 'cotton', 'કોટન': 'cotton', 'રેશમી': 'silk', 'સિલ્ક': 'silk', 'ચામડું': 'leather',
+  'ચામડાના': 'leather', 'ઊની': 'wool', 'ડેનિમ': 'denim', 'ખાદી': 'khadi',
+  // Gender
+  'પુરુષ': 'men', 'પુરુષો': 'men', 'પુરુષોના': 'men', 'છોકરા': 'men', 'છોકરાઓ': 'men', 'સ્ત્રી': 'women',
+  'સ્ત્રીઓ': 'women', 'મહિલા': 'women', 'મહિલાઓ': 'women', 'છોકરી': 'women', 'છોકરીઓ': 'women',
+  'બાળકો': 'kids', 'બાળક': 'kids',
+  // Occasions
+  'લગ્ન': 'wedding', 'પાર્ટી': 'party', 'તહેવાર': 'festive', 'દિવાળી': 'diwali', 'નવરાત્રી': 'navratri',
+  'નવરાત્રિ': 'navratri', 'ઓફિસ': 'office',
+  // Everything else
+  'માટે': 'for', 'સસ્તું': 'cheap', 'સસ્તી': 'cheap', 'સસ્તા': 'cheap', 'અને': 'and', 'માં': 'in',
+  'સાઇઝ': 'size', 'નો': '', 'ની': '', 'નું': '', 'ના': '', 'વાળો': '', 'વાળી': '', 'મને': '', 'જોઈએ': '',
+  'બતાવો': '', 'રૂપિયા': '', 'રૂ': ''
+};
+
+// Romanized words, only applied once the text is detected as Hinglish; garment words like "kurti" and
+// "chappal" are already in the parser's vocabulary
+const HINGLISH_PHRASES = {
+  'kala': 'black', 'kali': 'black', 'kale': 'black', 'kaala': 'black', 'kaali': 'black', 'laal': 'red',
+  'lal': 'red', 'safed': 'white', 'neela': 'blue', 'neeli': 'blue', 'nila': 'blue', 'hara': 'green',
+  'hari': 'green', 'peela': 'yellow', 'peeli': 'yellow', 'pila': 'yellow', 'gulabi': 'pink',
+  'bhura': 'brown', 'sunehra': 'gold', 'sooti': 'cotton', 'resham': 'silk', 'reshmi': 'silk',
+  'joote': 'shoes', 'joota': 'shoes', 'jootey': 'shoes', 'kapde': 'clothes', 'kapda': 'clothes',
+  'kapdey': 'clothes', 'ghadi': 'watch', 'topi': 'cap',
+  'aadmi': 'men', 'mard': 'men', 'mardon': 'men', 'purush': 'men', 'ladke': 'men', 'ladkon': 'men',
+  'aurat': 'women', 'auraton': 'women', 'mahila': 'women', 'mahilaon': 'women', 'ladki': 'women',
+  'ladkiyon': 'women', 'bachche': 'kids', 'bachon': 'kids', 'bacchon': 'kids', 'bachchon': 'kids',
+  'shaadi': 'wedding', 'shadi': 'wedding', 'tyohar': 'festive', 'tyohaar': 'festive', 'lagan': 'wedding',
+  'ke liye': 'for', 'ke liyee': 'for', 'maate': 'for', 'sasta': 'cheap', 'sasti': 'cheap', 'saste': 'cheap',
+  'aur': 'and', 'mein': 'in', 'dheela': 'loose', 'dheeli': 'loose',
+  'ka': '', 'ki': '', 'ke': '', 'wala': '', 'wali': '', 'wale': '', 'waala': '', 'waali': '', 'mujhe': '',
+  'chahiye': '', 'dikhao': '', 'rupaye': '', 'rupay': ''
+};
+
+// Words that only show up in romanized Hindi or Gujarati, so one of them marks the text as Hinglish
+const HINGLISH_MARKERS = new Set([
+  ...Object.keys(HINGLISH_PHRASES).filter(phrase => !phrase.includes(' ')),
+  'liye', 'se', 'tak', 'kam', 'zyada', 'jyada', 'upar', 'neeche', 'niche', 'andar', 'beech', 'hai', 'chahiye'
+]);
+
+const AMOUNT = '(\\d+(?:\\.\\d+)?\\s*k?)';
+// Only as a word of its own, so "trousers 500 se 1000 tak" keeps its "rs"
+const CURRENCY = '(?:(?<![\\p{L}\\p{M}])(?:₹|rs\\.?|रुपये|रुपए|रु\\.?|રૂપિયા|રૂ\\.?|rupaye|rupees))?';
+
+// Price phrases with the amount first, as Hindi and Gujarati word order puts it
+const PRICE_PATTERNS = [
+  { re: `${CURRENCY}\\s*${AMOUNT}\\s*${CURRENCY}\\s*(?:से|se|થી)\\s*${CURRENCY}\\s*${AMOUNT}\\s*${CURRENCY}\\s*(?:तक|के बीच|tak|ke beech|ની વચ્ચે|સુધી)`, to: 'between $1 and $2' },
+  { re: `${CURRENCY}\\s*${AMOUNT}\\s*${CURRENCY}\\s*(?:से कम|से नीचे|के अंदर|के अन्दर|तक|se kam|se neeche|se niche|ke andar|tak|થી ઓછું|થી ઓછા|થી ઓછી|થી નીચે|ની અંદર|સુધી|સુધીના)`, to: 'under $1' },
+  { re: `${CURRENCY}\\s*${AMOUNT}\\s*${CURRENCY}\\s*(?:से ज्यादा|से ज़्यादा|से ऊपर|से अधिक|se zyada|se jyada|se upar|થી વધુ|થી ઉપર)`, to: 'above $1' }
+].map(({ re, to }) => ({ re: new RegExp(re, 'giu'), to }));
+
+// Devanagari -> Latin, in the spelling Hinglish uses ("कुर्ती" -> "kurti")
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n', 'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n', 'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'f', 'ब': 'b', 'भ': 'bh', 'म': 'm', 'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+// The consonant with a nukta dot below
+const NUKTA_CONSONANTS = { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f', 'य': 'y' };
+const VOWELS = {
+  'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o',
+  'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+const VOWEL_SIGNS = {
+  'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au',
+  'ॉ': 'o', 'ॅ': 'e'
+};
+const NUKTA = '़';
+const VIRAMA = '्';
+const NASALS = { 'ँ': 'n', 'ं': 'n', 'ः': 'h' };
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// [{ re, to }] longest phrase first, matching whole words of any script
+function compilePhrases(phrases) {
+  return Object.entries(phrases)
+    .map(([phrase, to]) => [phrase.normalize('NFC'), to])
+    .sort((a, b) => b[0].length - a[0].length)
+    .map(([phrase, to]) => ({
+      re: new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(phrase)}(?![\\p{L}\\p{M}\\p{N}])`, 'gu'),
+      to
+    }));
+}
+
+const COMPILED = {
+  hi: compilePhrases(HINDI_PHRASES),
+  gu: compilePhrases(GUJARATI_PHRASES),
+  hinglish: compilePhrases(HINGLISH_PHRASES)
+};
+
+function normalizeText(text) {
+  return String(text || '').normalize('NFC').replace(/[‌‍]/g, '').toLowerCase();
+}
+
+function toAsciiDigits(text) {
+  return text
+    .replace(/[०-९]/g, d => String(d.charCodeAt(0) - 0x0966))
+    .replace(/[૦-૯]/g, d => String(d.charCodeAt(0) - 0x0AE6));
+}
+
+export function detectLanguage(text) {
+  const t = normalizeText(text);
+  let devanagari = 0;
+  let gujarati = 0;
+  for (const ch of t) {
+    if (DEVANAGARI.test(ch)) devanagari++;
+    else if (GUJARATI.test(ch)) gujarati++;
+  }
+  if (devanagari || gujarati) return gujarati > devanagari ? 'gu' : 'hi';
+  const words = t.split(/[^a-z]+/).filter(Boolean);
+  return words.some(w => HINGLISH_MARKERS.has(w)) ? 'hinglish' : 'en';
+}
+
+// Latin spelling of one Devanagari or Gujarati word. The inherent "a" of a consonant is dropped at the
+// end of the word and between two sounded syllables, as Hindi speech drops it ("सलवार" -> "salwar",
+// "नेहरू" -> "nehru", not "salavara", "neharu").
+export function transliterate(word) {
+  const chars = [...String(word || '').normalize('NFC')].map(ch => {
+    const code = ch.charCodeAt(0);
+    return code >= 0x0A80 && code <= 0x0AFF ? String.fromCharCode(code - GUJARATI_OFFSET) : ch;
+  });
+
+  // One unit per consonant or vowel letter: { latin, vowel, inherent, nasal }
+  const units = [];
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    if (CONSONANTS[ch]) {
+      const unit = { latin: CONSONANTS[ch], vowel: 'a', inherent: true, nasal: '' };
+      if (chars[i + 1] === NUKTA) {
+        unit.latin = NUKTA_CONSONANTS[ch] || unit.latin;
+        i++;
+      }
+      if (VOWEL_SIGNS[chars[i + 1]]) {
+        unit.vowel = VOWEL_SIGNS[chars[++i]];
+        unit.inherent = false;
+      } else if (chars[i + 1] === VIRAMA) {
+        unit.vowel = '';
+        unit.inherent = false;
+        i++;
+      }
+      units.push(unit);
+    } else if (VOWELS[ch]) {
+      units.push({ latin: '', vowel: VOWELS[ch], inherent: false, nasal: '' });
+    } else if (NASALS[ch] && units.length) {
+      units[units.length - 1].nasal = NASALS[ch];
+    }
+  }
+
+  const last = units[units.length - 1];
+  if (units.length > 1 && last.inherent && !last.nasal) last.vowel = '';
+  for (let i = 1; i < units.length - 1; i++) {
+    const unit = units[i];
+    if (unit.inherent && !unit.nasal && units[i - 1].vowel && units[i + 1].vowel) unit.vowel = '';
+  }
+
+  // "व" is "w" after a consonant ("स्वेटर" -> "sweter", "सलवार" -> "salwar")
+  return units
+    .map(u => u.latin + u.vowel + u.nasal)
+    .join('')
+    .replace(/([bcdfghjklmnpqrstz])v/g, '$1w');
+}
+
+// -> { text, language }; English text comes back unchanged
+export function translateQuery(text) {
+  const language = detectLanguage(text);
+  if (language === 'en') return { text: String(text || ''), language };
+
+  let t = toAsciiDigits(normalizeText(text)).replace(/[।॥]/g, ' ');
+  for (const { re, to } of PRICE_PATTERNS) t = t.replace(re, (...m) => ` ${to.replace(/\$(\d)/g, (_, n) => m[n].replace(/\s+/g, ''))} `);
+
+  // Mixed text ("nike के जूते") gets every dictionary that can apply to it
+  const dictionaries = [COMPILED.hinglish];
+  if (DEVANAGARI.test(t)) dictionaries.unshift(COMPILED.hi);
+  if (GUJARATI.test(t)) dictionaries.unshift(COMPILED.gu);
+  for (const compiled of dictionaries) {
+    for (const { re, to } of compiled) t = t.replace(re, ` ${to} `);
+  }
+
+  t = t.replace(/[ऀ-ॿ઀-૿]+/g, word => ` ${transliterate(word)} `);
+  return { text: t.replace(/\s+/g, ' ').trim(), language };
+}
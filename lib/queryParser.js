@@ -0,0 +1,363 @@
+// Structured query understanding: turn "black slim fit cotton shirt for men under 1500"
+// into { category, color, material, gender, fit, occasion, size, brand, minPrice, maxPrice, keywords }.
+//
+// parseQueryLocal is the deterministic parser used when Gemini is unavailable (or fails);
+// normalizeAttributes cleans up Gemini's JSON output against the same vocabulary.
+// buildSearchQuery and attributesToFilters turn the attributes into a provider query
+// and applyFilters defaults.
+import { FASHION_BRANDS } from './titleAttributes.js';
+
+// canonical value -> phrases that mean it (matched on word boundaries, longest phrase first)
+export const CATEGORY_TERMS = {
+  't-shirt': ['t-shirt', 't-shirts', 't shirt', 't shirts', 'tshirt', 'tshirts', 'tee', 'tees'],
+  'polo': ['polo', 'polos', 'polo shirt'],
+  'shirt': ['shirt', 'shirts'],
+  'top': ['top', 'tops', 'blouse', 'blouses', 'tunic', 'tunics', 'crop top'],
+  'kurta': ['kurta', 'kurtas'],
+  'kurti': ['kurti', 'kurtis'],
+  'saree': ['saree', 'sarees', 'sari', 'saris'],
+  'lehenga': ['lehenga', 'lehengas', 'lehenga choli', 'ghagra', 'ghagras', 'ghaghra', 'chaniya choli'],
+  'salwar': ['salwar', 'salwars', 'salwar kameez', 'salwar suit', 'churidar', 'churidars', 'patiala'],
+  'sherwani': ['sherwani', 'sherwanis'],
+  'dupatta': ['dupatta', 'dupattas', 'chunni', 'chunri', 'odhni'],
+  'dress': ['dress', 'dresses', 'gown', 'gowns', 'frock', 'frocks', 'maxi', 'midi'],
+  'jeans': ['jeans', 'jean', 'denims'],
+  'trousers': ['trousers', 'trouser', 'pants', 'pant', 'chinos', 'chino', 'joggers', 'jogger', 'track pants', 'palazzo', 'palazzos'],
+  'shorts': ['shorts'],
+  'skirt': ['skirt', 'skirts'],
+  'jacket': ['jacket', 'jackets'],
+  'coat': ['coat', 'coats', 'overcoat'],
+  'blazer': ['blazer', 'blazers', 'suit', 'suits'],
+  'hoodie': ['hoodie', 'hoodies'],
+  'sweatshirt': ['sweatshirt', 'sweatshirts'],
+  'sweater': ['sweater', 'sweaters', 'pullover', 'cardigan', 'cardigans', 'jumper'],
+  'sneakers': ['sneakers', 'sneaker', 'trainers'],
+  'shoes': ['shoes', 'shoe', 'footwear', 'loafers', 'loafer', 'sports shoes', 'running shoes', 'formal shoes'],
+  'boots': ['boots', 'boot'],
+  'sandals': ['sandals', 'sandal', 'slides', 'flip flops', 'flip-flops', 'slippers', 'chappal', 'chappals', 'kolhapuri', 'kolhapuris'],
+  'jutti': ['jutti', 'juttis', 'jooti', 'jootis', 'mojari', 'mojaris', 'nagra', 'nagras'],
+  'heels': ['heels', 'heel', 'pumps', 'stilettos'],
+  'handbag': ['handbag', 'handbags', 'purse', 'purses', 'tote', 'sling bag', 'clutch'],
+  'backpack': ['backpack', 'backpacks'],
+  'bag': ['bag', 'bags'],
+  'watch': ['watch', 'watches'],
+  'sunglasses': ['sunglasses', 'shades', 'chashma'],
+  'jewellery': ['jewellery', 'jewelry', 'necklace', 'earrings', 'bracelet']
+};
+
+export const COLOR_TERMS = {
+  'black': ['black'],
+  'white': ['white', 'off white', 'off-white'],
+  'grey': ['grey', 'gray', 'charcoal'],
+  'navy': ['navy', 'navy blue'],
+  'blue': ['blue', 'sky blue', 'royal blue'],
+  'red': ['red'],
+  'maroon': ['maroon', 'burgundy', 'wine'],
+  'pink': ['pink'],
+  'purple': ['purple', 'lavender', 'violet'],
+  'green': ['green'],
+  'olive': ['olive'],
+  'yellow': ['yellow'],
+  'mustard': ['mustard'],
+  'orange': ['orange'],
+  'brown': ['brown', 'tan', 'camel'],
+  'beige': ['beige', 'cream', 'khaki', 'nude'],
+  'gold': ['gold', 'golden'],
+  'silver': ['silver'],
+  'multicolor': ['multicolor', 'multicolour', 'multi color', 'multi colour']
+};
+
+export const MATERIAL_TERMS = {
+  'cotton': ['cotton'],
+  'linen': ['linen'],
+  'denim': ['denim'],
+  'leather': ['leather', 'faux leather', 'pu leather'],
+  'suede': ['suede'],
+  'silk': ['silk'],
+  'satin': ['satin'],
+  'wool': ['wool', 'woollen', 'woolen'],
+  'polyester': ['polyester'],
+  'rayon': ['rayon', 'viscose'],
+  'chiffon': ['chiffon'],
+  'georgette': ['georgette'],
+  'velvet': ['velvet'],
+  'khadi': ['khadi'],
+  'fleece': ['fleece'],
+  'corduroy': ['corduroy']
+};
+
+export const GENDER_TERMS = {
+  'men': ['men', 'mens', "men's", 'man', 'male', 'gents', 'boys', 'boy'],
+  'women': ['women', 'womens', "women's", 'woman', 'female', 'ladies', 'girls', 'girl'],
+  'kids': ['kids', 'kid', 'children', 'child', 'baby'],
+  'unisex': ['unisex']
+};
+
+export const FIT_TERMS = {
+  'slim': ['slim', 'slim fit', 'skinny', 'skinny fit'],
+  'regular': ['regular', 'regular fit', 'straight', 'straight fit'],
+  'relaxed': ['relaxed', 'relaxed fit', 'loose', 'loose fit', 'baggy'],
+  'oversized': ['oversized', 'oversize', 'oversized fit'],
+  'tapered': ['tapered', 'tapered fit'],
+  'bootcut': ['bootcut', 'boot cut', 'flared', 'flare'],
+  'wide leg': ['wide leg', 'wide-leg'],
+  'bodycon': ['bodycon'],
+  'a-line': ['a-line', 'a line']
+};
+
+export const OCCASION_TERMS = {
+  'casual': ['casual', 'everyday', 'daily wear'],
+  'formal': ['formal', 'formals'],
+  'office': ['office', 'work', 'workwear', 'office wear'],
+  'party': ['party', 'partywear', 'party wear', 'club', 'night out'],
+  'wedding': ['wedding', 'bridal', 'sangeet', 'reception'],
+  'festive': ['festive', 'diwali', 'eid', 'navratri', 'puja', 'ethnic'],
+  'sports': ['sports', 'sport', 'gym', 'running', 'training', 'workout', 'yoga'],
+  'beach': ['beach', 'vacation', 'holiday'],
+  'lounge': ['lounge', 'loungewear', 'nightwear', 'sleepwear']
+};
+
+const LETTER_SIZES = ['xxs', 'xs', 's', 'm', 'l', 'xl', 'xxl', 'xxxl', '2xl', '3xl', '4xl'];
+// Sizes that are unambiguous on their own; s/m/l need a "size" prefix
+const STANDALONE_SIZES = new Set(['xxs', 'xs', 'xl', 'xxl', 'xxxl', '2xl', '3xl', '4xl']);
+
+// Words that carry no product meaning once the attributes are extracted
+const FILLER_WORDS = new Set('a,an,the,and,or,of,in,on,for,with,to,from,by,is,are,me,my,i,want,need,looking,show,find,buy,some,any,good,nice,best,latest,new,online,please,size,fit,wear,rs,inr,price,budget,cheap'.split(','));
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// [{ phrase, value, re }] sorted so "navy blue" wins over "blue"
+function compileTerms(terms) {
+  const entries = [];
+  for (const [value, phrases] of Object.entries(terms)) {
+    for (const phrase of phrases) {
+      entries.push({ phrase, value, re: new RegExp(`(^|[^a-z0-9'])${escapeRegExp(phrase)}(?=$|[^a-z0-9'])`) });
+    }
+  }
+  return entries.sort((a, b) => b.phrase.length - a.phrase.length);
+}
+
+const COMPILED = {
+  category: compileTerms(CATEGORY_TERMS),
+  color: compileTerms(COLOR_TERMS),
+  material: compileTerms(MATERIAL_TERMS),
+  gender: compileTerms(GENDER_TERMS),
+  fit: compileTerms(FIT_TERMS),
+  occasion: compileTerms(OCCASION_TERMS)
+};
+
+// Find the first (longest) phrase of a vocabulary in text; returns { value, phrase, rest } with the phrase blanked out
+function takeTerm(text, compiled) {
+  for (const { value, phrase, re } of compiled) {
+    const m = re.exec(text);
+    if (m) {
+      const start = m.index + m[1].length;
+      const end = m.index + m[0].length;
+      return { value, phrase, rest: `${text.slice(0, start)} ${text.slice(end)}` };
+    }
+  }
+  return { value: null, phrase: null, rest: text };
+}
+
+// Words of a matched category phrase that the canonical value drops ("running shoes" -> ["running"], "chinos" -> ["chinos"])
+function qualifierWords(phrase, value) {
+  const compactValue = value.replace(/[^a-z0-9]/g, '');
+  return phrase.split(/[\s-]+/).filter(w => {
+    const stem = w.replace(/[^a-z0-9]/g, '').replace(/(es|s)$/, '');
+    return stem && !compactValue.includes(stem);
+  });
+}
+
+// "1.5k" -> 1500, "1,299" -> 1299
+function parseAmount(raw) {
+  if (!raw) return null;
+  const m = String(raw).toLowerCase().replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k)?/);
+  if (!m) return null;
+  const n = Number(m[1]) * (m[2] ? 1000 : 1);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+// The currency prefix is a word of its own, so a word ending in "rs" keeps its letters ("trousers 500-1000")
+const AMOUNT = '(?:\\b(?:rs\\.?|inr)|₹)?\\s*(\\d[\\d,]*(?:\\.\\d+)?\\s*k?)(?:\\s*(?:rs|rupees|inr|/-))?';
+const PRICE_PATTERNS = [
+  { re: new RegExp(`\\b(?:between|from)\\s+${AMOUNT}\\s+(?:and|to|-)\\s+${AMOUNT}`), kind: 'range' },
+  { re: new RegExp(`(?<![a-z0-9.,])${AMOUNT}\\s*(?:-|to)\\s*${AMOUNT}(?=\\s|$)`), kind: 'range' },
+  // "max" alone is part of product names ("air max 90"), so it needs "price"/"budget" or a currency after it
+  { re: new RegExp(`\\b(?:under|below|less than|upto|up to|within|max(?:imum)?\\s+(?:price|budget)(?:\\s+(?:of|is))?|max(?=\\s*(?:₹|rs\\b|inr\\b))|cheaper than|<)\\s*${AMOUNT}`), kind: 'max' },
+  { re: new RegExp(`\\b(?:above|over|more than|min|starting|from|>)\\s*${AMOUNT}`), kind: 'min' }
+];
+
+function takePrice(text) {
+  for (const { re, kind } of PRICE_PATTERNS) {
+    const m = re.exec(text);
+    if (!m) continue;
+    const rest = `${text.slice(0, m.index)} ${text.slice(m.index + m[0].length)}`;
+    if (kind === 'range') {
+      const a = parseAmount(m[1]);
+      const b = parseAmount(m[2]);
+      if (a == null || b == null) continue;
+      return { minPrice: Math.min(a, b), maxPrice: Math.max(a, b), rest };
+    }
+    const amount = parseAmount(m[1]);
+    if (amount == null) continue;
+    return kind === 'max' ? { minPrice: null, maxPrice: amount, rest } : { minPrice: amount, maxPrice: null, rest };
+  }
+  return { minPrice: null, maxPrice: null, rest: text };
+}
+
+// "size m", "size 32", "uk 8", "xl", "free size"
+function takeSize(text) {
+  const patterns = [
+    /\bfree\s+size\b/,
+    /\bsize\s*[:-]?\s*(uk|eu|us)?\s*([a-z0-9]{1,4})\b/,
+    /\b(uk|eu|us)\s*(\d{1,2}(?:\.5)?)\b/,
+    /\b(\d{2})\s*(?:waist|w)\b/
+  ];
+  for (const re of patterns) {
+    const m = re.exec(text);
+    if (!m) continue;
+    const rest = `${text.slice(0, m.index)} ${text.slice(m.index + m[0].length)}`;
+    if (re === patterns[0]) return { size: 'free size', rest };
+    if (re === patterns[3]) return { size: m[1], rest };
+    const system = m[1] ? m[1].toUpperCase() : '';
+    const value = m[2];
+    if (!system && !/^\d+$/.test(value) && !LETTER_SIZES.includes(value)) continue;
+    return { size: system ? `${system} ${value}` : value, rest };
+  }
+  const words = text.split(/\s+/);
+  const idx = words.findIndex(w => STANDALONE_SIZES.has(w));
+  if (idx !== -1) {
+    const size = words[idx];
+    words.splice(idx, 1);
+    return { size, rest: words.join(' ') };
+  }
+  return { size: null, rest: text };
+}
+
+function takeBrand(text) {
+  for (const brand of [...FASHION_BRANDS].sort((a, b) => b.length - a.length)) {
+    const re = new RegExp(`(^|[^a-z0-9])${escapeRegExp(brand)}(?:'?s)?(?=$|[^a-z0-9])`);
+    const m = re.exec(text);
+    if (m) {
+      const start = m.index + m[1].length;
+      return { brand, rest: `${text.slice(0, start)} ${text.slice(m.index + m[0].length)}` };
+    }
+  }
+  return { brand: null, rest: text };
+}
+
+function emptyAttributes() {
+  return {
+    category: null,
+    color: null,
+    material: null,
+    gender: null,
+    fit: null,
+    occasion: null,
+    size: null,
+    brand: null,
+    minPrice: null,
+    maxPrice: null,
+    keywords: []
+  };
+}
+
+// Deterministic parser: vocabulary lookups plus regexes for price and size.
+// Anything left over (e.g. "floral", "summer", "high waisted") is kept in keywords.
+export function parseQueryLocal(text) {
+  const attrs = emptyAttributes();
+  let rest = ` ${String(text || '').toLowerCase().replace(/\s+/g, ' ').trim()} `;
+
+  ({ minPrice: attrs.minPrice, maxPrice: attrs.maxPrice, rest } = takePrice(rest));
+  ({ size: attrs.size, rest } = takeSize(rest));
+  ({ brand: attrs.brand, rest } = takeBrand(rest));
+  const qualifiers = [];
+  for (const field of ['category', 'color', 'material', 'gender', 'fit', 'occasion']) {
+    const found = takeTerm(rest, COMPILED[field]);
+    attrs[field] = found.value;
+    rest = found.rest;
+    if (field === 'category' && found.value) qualifiers.push(...qualifierWords(found.phrase, found.value));
+  }
+
+  // Numbers used as a price or size are gone from rest by now; the ones left are model or style
+  // numbers ("511", "air max 90") and stay
+  attrs.keywords = `${qualifiers.join(' ')} ${rest}`
+    .split(/[^a-z0-9-]+/)
+    .map(w => w.replace(/^-+|-+$/g, ''))
+    .filter(w => w && !FILLER_WORDS.has(w));
+  return attrs;
+}
+
+// Map a free-form value (e.g. from Gemini) onto the vocabulary; unknown values are kept as-is
+function canonical(value, field) {
+  if (value == null) return null;
+  const v = String(Array.isArray(value) ? value[0] || '' : value).toLowerCase().trim();
+  if (!v || v === 'null' || v === 'none' || v === 'any') return null;
+  const compiled = COMPILED[field];
+  if (!compiled) return v;
+  const exact = compiled.find(entry => entry.phrase === v);
+  if (exact) return exact.value;
+  return takeTerm(` ${v} `, compiled).value || v;
+}
+
+// Clean Gemini's JSON against the vocabulary and fill anything it missed from the local parser
+export function normalizeAttributes(raw, text) {
+  const local = parseQueryLocal(text);
+  const attrs = emptyAttributes();
+  const src = raw && typeof raw === 'object' ? raw : {};
+
+  for (const field of ['category', 'color', 'material', 'gender', 'fit', 'occasion']) {
+    attrs[field] = canonical(src[field], field) || local[field];
+  }
+  attrs.size = src.size != null && String(src.size).trim() ? String(src.size).toLowerCase().trim() : local.size;
+  attrs.brand = src.brand != null && String(src.brand).trim() ? String(src.brand).toLowerCase().trim() : local.brand;
+  attrs.minPrice = parseAmount(src.minPrice) ?? local.minPrice;
+  attrs.maxPrice = parseAmount(src.maxPrice) ?? local.maxPrice;
+  if (attrs.minPrice != null && attrs.maxPrice != null && attrs.minPrice > attrs.maxPrice) {
+    [attrs.minPrice, attrs.maxPrice] = [attrs.maxPrice, attrs.minPrice];
+  }
+  const keywords = Array.isArray(src.keywords) ? src.keywords : local.keywords;
+  attrs.keywords = keywords
+    .map(k => String(k).toLowerCase().trim())
+    .filter(k => k && !FILLER_WORDS.has(k))
+    .slice(0, 6);
+  return attrs;
+}
+
+// Provider query from attributes: "women black cotton slim a-line dress party floral"
+export function buildSearchQuery(attrs) {
+  if (!attrs) return 'fashion clothing';
+  const parts = [
+    attrs.gender && attrs.gender !== 'unisex' ? attrs.gender : null,
+    attrs.brand,
+    attrs.color,
+    attrs.material,
+    attrs.fit && attrs.fit !== 'regular' ? `${attrs.fit} fit` : null,
+    attrs.category,
+    attrs.occasion && attrs.occasion !== attrs.category ? `${attrs.occasion} wear` : null,
+    ...(attrs.keywords || [])
+  ].filter(Boolean);
+  if (!attrs.category && !parts.length) return 'fashion clothing';
+  if (!attrs.category) parts.push('clothing');
+  // drop repeated words ("party wear party" -> "party wear")
+  const seen = new Set();
+  return parts
+    .join(' ')
+    .split(' ')
+    .filter(w => (seen.has(w) ? false : seen.add(w)))
+    .join(' ');
+}
+
+// Default applyFilters arguments implied by the query (price intent, color, size, brand)
+export function attributesToFilters(attrs) {
+  if (!attrs) return {};
+  const filters = {};
+  if (attrs.minPrice != null) filters.minPrice = attrs.minPrice;
+  if (attrs.maxPrice != null) filters.maxPrice = attrs.maxPrice;
+  if (attrs.color && attrs.color !== 'multicolor') filters.colors = [...(COLOR_TERMS[attrs.color] || [attrs.color])];
+  if (attrs.size && attrs.size !== 'free size') filters.sizes = [attrs.size];
+  if (attrs.brand) filters.brands = [attrs.brand];
+  return filters;
+}
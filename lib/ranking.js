@@ -0,0 +1,154 @@
+// Relevance ranking for /search: field-weighted BM25 over title, brand and category,
+// plus small feature bonuses (price available, real image, trusted source) and the
+// click/save popularity learned from feedback events (lib/feedback.js).
+//
+// Weights default to DEFAULT_WEIGHTS and can be overridden with RANKING_WEIGHTS (JSON,
+// merged over the defaults), e.g. RANKING_WEIGHTS='{"fields":{"brand":3},"realImage":0}'.
+// Run `node test-ranking.js` to measure a change against fixtures/relevance/judgements.json.
+import { tokenize, documentFrequencies } from './textVectors.js';
+import { productSignature, normalizeSource } from './productMatching.js';
+
+export const DEFAULT_WEIGHTS = {
+  // BM25 weight per field; brand/category hits are worth more than a stray title word
+  fields: { title: 1, brand: 2, category: 1.5 },
+  k1: 1.2,
+  b: 0.75,
+  // Feature bonuses, added to the BM25 score
+  priceAvailable: 0.6,
+  realImage: 0.4,
+  sourceTrust: 0.8,
+  // 0..1 engagement rate from feedback events
+  popularity: 2
+};
+
+// 0..1 trust per retailer; unknown sellers (marketplace long tail) get `default`
+export const SOURCE_TRUST = {
+  myntra: 1,
+  ajio: 1,
+  amazon: 0.9,
+  flipkart: 0.9,
+  'tata cliq': 0.9,
+  nykaa: 0.9,
+  'nykaa fashion': 0.9,
+  snapdeal: 0.6,
+  meesho: 0.6,
+  default: 0.4
+};
+
+const PLACEHOLDER_IMAGE = /via\.placeholder\.com|placehold|^data:image\/svg/i;
+
+function mergeWeights(base, override) {
+  if (!override || typeof override !== 'object') return base;
+  return {
+    ...base,
+    ...override,
+    fields: { ...base.fields, ...(override.fields || {}) }
+  };
+}
+
+let envWeights;
+export function getRankingWeights() {
+  if (envWeights === undefined) {
+    envWeights = null;
+    if (process.env.RANKING_WEIGHTS) {
+      try {
+        envWeights = JSON.parse(process.env.RANKING_WEIGHTS);
+      } catch (e) {
+        console.warn('Ignoring invalid RANKING_WEIGHTS:', e.message);
+      }
+    }
+  }
+  return mergeWeights(DEFAULT_WEIGHTS, envWeights);
+}
+
+export function sourceTrust(source) {
+  const key = normalizeSource(source);
+  if (SOURCE_TRUST[key] != null) return SOURCE_TRUST[key];
+  const known = Object.keys(SOURCE_TRUST).find(name => name !== 'default' && key.includes(name));
+  return known ? SOURCE_TRUST[known] : SOURCE_TRUST.default;
+}
+
+export function hasRealImage(product) {
+  return Boolean(product.thumbnail) && !PLACEHOLDER_IMAGE.test(product.thumbnail);
+}
+
+function hasPrice(product) {
+  if (product.priceNumber != null) return true;
+  return Boolean(product.price) && product.price !== 'null' && /\d/.test(String(product.price));
+}
+
+function productFields(product) {
+  const sig = productSignature(product);
+  return {
+    title: tokenize(product.title),
+    brand: tokenize(sig.brand || ''),
+    category: tokenize(sig.category || '')
+  };
+}
+
+// Score every product for a query. Returns [{ product, score, features }] in input order;
+// features holds each component so ranking changes can be inspected.
+// popularityOf(product) returns the 0..1 feedback signal (none by default).
+export function scoreProducts(products, query, { weights = getRankingWeights(), popularityOf = () => 0 } = {}) {
+  const w = mergeWeights(DEFAULT_WEIGHTS, weights);
+  const queryTokens = [...new Set(tokenize(query))];
+  const docs = products.map(productFields);
+  const fieldNames = Object.keys(w.fields);
+
+  // Per-field statistics over this result set
+  const stats = {};
+  for (const field of fieldNames) {
+    const fieldDocs = docs.map(d => d[field] || []);
+    const totalLen = fieldDocs.reduce((sum, d) => sum + d.length, 0);
+    stats[field] = {
+      df: documentFrequencies(fieldDocs),
+      avgLen: totalLen / (fieldDocs.length || 1) || 1
+    };
+  }
+  const N = products.length;
+
+  return products.map((product, i) => {
+    let bm25 = 0;
+    for (const field of fieldNames) {
+      const tokens = docs[i][field] || [];
+      if (!tokens.length) continue;
+      const tf = new Map();
+      for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+      const { df, avgLen } = stats[field];
+      let fieldScore = 0;
+      for (const q of queryTokens) {
+        const f = tf.get(q);
+        if (!f) continue;
+        const n = df.get(q) || 0;
+        // Same smoothed idf as buildTfIdfEmbeddings: result sets are small and most listings
+        // share the query's core terms, so classic BM25 idf would flatten toward zero
+        const idf = Math.log((N + 1) / (n + 1)) + 1;
+        fieldScore += idf * (f * (w.k1 + 1)) / (f + w.k1 * (1 - w.b + w.b * tokens.length / avgLen));
+      }
+      bm25 += w.fields[field] * fieldScore;
+    }
+
+    const features = {
+      bm25,
+      priceAvailable: hasPrice(product) ? 1 : 0,
+      realImage: hasRealImage(product) ? 1 : 0,
+      sourceTrust: sourceTrust(product.source),
+      popularity: popularityOf(product) || 0
+    };
+    const score = bm25
+      + w.priceAvailable * features.priceAvailable
+      + w.realImage * features.realImage
+      + w.sourceTrust * features.sourceTrust
+      + w.popularity * features.popularity;
+    return { product, score, features };
+  });
+}
+
+// Products ordered by relevance to the query (stable for equal scores)
+export function rankProducts(products, query, options = {}) {
+  if (!products.length) return products;
+  return scoreProducts(products, query, options)
+    .map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.product);
+}
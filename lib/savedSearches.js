@@ -0,0 +1,83 @@
+// Saved searches: a named search the user can re-run, optionally checked on a schedule for new items
+//
+// A saved search keeps what is needed to run it again without Gemini: the rewritten query, its
+// attributes, the filters and sort that were applied, and the platform. With an alert of daily or
+// weekly, the `saved-search-alerts` job re-runs it when nextRunAt is due and notifies about products
+// not in seenKeys (the productKey of every item seen so far, newest first, capped at MAX_SEEN_KEYS).
+// The first run only records what is there, so saving a search never reports its whole result set.
+const MAX_NAME_LENGTH = 80;
+const MAX_SEEN_KEYS = 500;
+const MAX_ITEMS_IN_MESSAGE = 3;
+
+// Hours between alert runs; 'off' saves the search without checking it
+export const ALERT_SCHEDULES = { off: null, daily: 24, weekly: 24 * 7 };
+
+// Validate the name and alert of a POST/PUT /saved-searches body. With `partial`, missing fields are
+// left out of the result instead of defaulting.
+export function normalizeSavedSearchInput(input = {}, { partial = false } = {}) {
+  const savedSearch = {};
+
+  if (input.name != null || !partial) {
+    const name = String(input.name ?? '').replace(/\s+/g, ' ').trim();
+    if (!name) return { error: 'name required' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+    savedSearch.name = name;
+  }
+
+  if (input.alert != null || !partial) {
+    const alert = String(input.alert ?? 'off').toLowerCase();
+    if (!Object.hasOwn(ALERT_SCHEDULES, alert)) return { error: `alert must be one of ${Object.keys(ALERT_SCHEDULES).join(', ')}` };
+    savedSearch.alert = alert;
+  }
+
+  return { savedSearch };
+}
+
+// When the alert job should next run a search: one schedule period after its last run, right away
+// when it has never run (to record what is there), null when its alert is off
+export function nextAlertRun(alert, lastRunAt = null) {
+  const hours = ALERT_SCHEDULES[alert];
+  if (!hours) return null;
+  return lastRunAt ? new Date(new Date(lastRunAt).getTime() + hours * 3600 * 1000) : new Date();
+}
+
+// Products whose key isn't in seenKeys, and the seen list with their keys added in front
+export function findNewItems(products, seenKeys = [], keyOf) {
+  const seen = new Set(seenKeys);
+  const fresh = [];
+  for (const product of products) {
+    const key = keyOf(product);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    fresh.push({ key, product });
+  }
+  return {
+    items: fresh.map(f => f.product),
+    seenKeys: [...fresh.map(f => f.key), ...seenKeys].slice(0, MAX_SEEN_KEYS)
+  };
+}
+
+// In-app notification and email content for new items found by a saved search
+export function newItemsMessage({ savedSearch, items }) {
+  const count = items.length;
+  const title = `${count} new ${count === 1 ? 'item' : 'items'} for "${savedSearch.name}"`;
+  const shown = items.slice(0, MAX_ITEMS_IN_MESSAGE);
+  const describe = item => `${item.title}${item.price ? ` (${item.price})` : ''}`;
+  const more = count > shown.length ? ` and ${count - shown.length} more` : '';
+  const message = `${shown.map(describe).join(', ')}${more}.`;
+  return {
+    title,
+    message,
+    email: {
+      subject: title,
+      text: [
+        `New matches for your saved search "${savedSearch.name}" (${savedSearch.query}):`,
+        '',
+        ...shown.map(item => `${describe(item)}\n${item.link || ''}`),
+        ...(more ? [`Plus ${count - shown.length} more.`] : []),
+        '',
+        `You set a ${savedSearch.alert} alert on this saved search on Fashion Search.`
+      ].join('\n')
+    }
+  };
+}
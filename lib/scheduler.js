@@ -0,0 +1,370 @@
+// Background jobs on cron schedules, persisted so they survive restarts
+//
+// JOB_SCHEDULER=mongo (default) | memory | off
+// mongo keeps job state in `scheduledjobs` and run history in `jobruns` (kept JOB_RUN_RETENTION_DAYS,
+// default 30). A job is claimed with an atomic lock (lockedBy/lockedUntil), so with several server
+// instances only one runs it. memory is for a single instance without a database.
+// Failed runs are retried with exponential backoff (backoffMs, 2x, 4x, ... capped at maxBackoffMs)
+// up to maxAttempts, then the job waits for its next scheduled time.
+// JOB_<NAME>_CRON overrides a job's schedule (e.g. JOB_UPLOADS_CLEANUP_CRON="0 4 * * *"); "off" disables it.
+import crypto from 'crypto';
+import os from 'os';
+import mongoose from 'mongoose';
+
+// --- Cron expressions ---
+// Five fields: minute hour day-of-month month day-of-week, in server local time.
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10) and @hourly/@daily/@weekly/@monthly.
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${name}: "${text}"`);
+    let [from, to] = m[1] === '*' ? [min, max] : m[1].split('-').map(Number);
+    if (to === undefined) to = m[2] ? max : from;
+    const step = m[2] ? Number(m[2]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron ${name}: "${text}"`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+export function parseCron(expression) {
+  const expr = CRON_ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = expr.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron needs 5 fields: "${expression}"`);
+  const fields = {};
+  CRON_FIELDS.forEach((field, i) => { fields[field.name] = parseCronField(parts[i], field); });
+  if (fields.dayOfWeek.has(7)) fields.dayOfWeek.add(0);
+  // Standard cron: when both day fields are restricted, either may match
+  fields.anyDayOfMonth = parts[2] === '*';
+  fields.anyDayOfWeek = parts[4] === '*';
+  return fields;
+}
+
+// First time strictly after `from` that matches the expression
+export function nextCronTime(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const t = new Date(from);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+
+  const dayMatches = () => {
+    const dom = cron.dayOfMonth.has(t.getDate());
+    const dow = cron.dayOfWeek.has(t.getDay());
+    if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+    if (cron.anyDayOfMonth) return dow;
+    if (cron.anyDayOfWeek) return dom;
+    return dom || dow;
+  };
+
+  for (let i = 0; i < 100000; i++) {
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!dayMatches()) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+    } else {
+      return t;
+    }
+  }
+  throw new Error(`Cron never matches: "${expression}"`);
+}
+
+export function backoffDelay(attempt, { backoffMs, maxBackoffMs }) {
+  return Math.min(maxBackoffMs, backoffMs * 2 ** Math.max(0, attempt - 1));
+}
+
+// --- Stores ---
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: { type: String, unique: true, required: true },
+  schedule: String,
+  nextRunAt: Date,
+  attempt: { type: Number, default: 0 }, // failed attempts since the last success
+  lockedBy: String,
+  lockedUntil: Date,
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: String, // succeeded | failed | retrying
+  lastError: String
+}, { timestamps: true });
+
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, index: true },
+  status: { type: String, index: true }, // running | succeeded | failed
+  trigger: String, // schedule | retry | manual
+  attempt: Number,
+  instance: String,
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  durationMs: Number,
+  error: String,
+  willRetry: Boolean,
+  result: mongoose.Schema.Types.Mixed
+});
+jobRunSchema.index({ startedAt: -1 });
+jobRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: Number(process.env.JOB_RUN_RETENTION_DAYS || 30) * 24 * 3600, name: 'startedAt_ttl' }
+);
+
+const ScheduledJob = mongoose.models.ScheduledJob || mongoose.model('ScheduledJob', scheduledJobSchema);
+const JobRun = mongoose.models.JobRun || mongoose.model('JobRun', jobRunSchema);
+
+function createMongoStore() {
+  const ready = () => mongoose.connection.readyState === 1;
+  return {
+    ready,
+    async ensure(name, schedule, nextRunAt) {
+      const existing = await ScheduledJob.findOne({ name }).lean();
+      if (!existing) {
+        await ScheduledJob.updateOne({ name }, { $setOnInsert: { name, schedule, nextRunAt, attempt: 0 } }, { upsert: true });
+      } else if (existing.schedule !== schedule) {
+        await ScheduledJob.updateOne({ name }, { $set: { schedule, nextRunAt, attempt: 0 } });
+      }
+    },
+    async claim(name, { now, instance, lockMs, force }) {
+      const filter = {
+        name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      };
+      if (!force) filter.nextRunAt = { $lte: now };
+      return ScheduledJob.findOneAndUpdate(
+        filter,
+        { $set: { lockedBy: instance, lockedUntil: new Date(now.getTime() + lockMs), lastRunAt: now } },
+        { new: true }
+      ).lean();
+    },
+    async release(name, instance, update) {
+      await ScheduledJob.updateOne({ name, lockedBy: instance }, { $set: { ...update, lockedBy: null, lockedUntil: null } });
+    },
+    async startRun(run) {
+      const doc = await JobRun.create(run);
+      return String(doc._id);
+    },
+    async finishRun(id, update) {
+      await JobRun.updateOne({ _id: id }, { $set: update });
+    },
+    async listJobs() {
+      return ScheduledJob.find().sort({ name: 1 }).lean();
+    },
+    async listRuns({ job, status, limit }) {
+      const filter = {};
+      if (job) filter.job = job;
+      if (status) filter.status = status;
+      return JobRun.find(filter).sort({ startedAt: -1 }).limit(limit).lean();
+    }
+  };
+}
+
+function createMemoryStore(maxRuns = 500) {
+  const jobs = new Map();
+  const runs = [];
+  let nextRunId = 1;
+  return {
+    ready: () => true,
+    async ensure(name, schedule, nextRunAt) {
+      const existing = jobs.get(name);
+      if (!existing) jobs.set(name, { name, schedule, nextRunAt, attempt: 0 });
+      else if (existing.schedule !== schedule) Object.assign(existing, { schedule, nextRunAt, attempt: 0 });
+    },
+    async claim(name, { now, instance, lockMs, force }) {
+      const job = jobs.get(name);
+      if (!job) return null;
+      if (job.lockedUntil && job.lockedUntil > now) return null;
+      if (!force && !(job.nextRunAt && job.nextRunAt <= now)) return null;
+      Object.assign(job, { lockedBy: instance, lockedUntil: new Date(now.getTime() + lockMs), lastRunAt: now });
+      return { ...job };
+    },
+    async release(name, instance, update) {
+      const job = jobs.get(name);
+      if (job && job.lockedBy === instance) Object.assign(job, update, { lockedBy: null, lockedUntil: null });
+    },
+    async startRun(run) {
+      const id = String(nextRunId++);
+      runs.push({ _id: id, ...run });
+      if (runs.length > maxRuns) runs.shift();
+      return id;
+    },
+    async finishRun(id, update) {
+      const run = runs.find(r => r._id === id);
+      if (run) Object.assign(run, update);
+    },
+    async listJobs() {
+      return [...jobs.values()].map(job => ({ ...job })).sort((a, b) => a.name.localeCompare(b.name));
+    },
+    async listRuns({ job, status, limit }) {
+      return runs
+        .filter(r => (!job || r.job === job) && (!status || r.status === status))
+        .slice(-limit)
+        .reverse();
+    }
+  };
+}
+
+// --- Scheduler ---
+
+function envScheduleFor(name, fallback) {
+  const key = `JOB_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_CRON`;
+  return process.env[key] || fallback;
+}
+
+export function createScheduler({
+  backend = 'mongo',
+  tickMs = 30 * 1000,
+  instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`
+} = {}) {
+  const mode = String(backend).toLowerCase();
+  const store = mode === 'memory' ? createMemoryStore() : mode === 'off' ? null : createMongoStore();
+  const definitions = new Map();
+  const running = new Set();
+  let synced = false;
+  let timer = null;
+
+  async function sync() {
+    if (synced || !store?.ready()) return synced;
+    for (const def of definitions.values()) {
+      await store.ensure(def.name, def.schedule, nextCronTime(def.cron));
+    }
+    synced = true;
+    return synced;
+  }
+
+  async function execute(def, job, trigger) {
+    running.add(def.name);
+    const attempt = (job.attempt || 0) + 1;
+    const startedAt = new Date();
+    let runId = null;
+    try {
+      runId = await store.startRun({ job: def.name, status: 'running', trigger, attempt, instance: instanceId, startedAt });
+    } catch (error) {
+      console.error(`Job ${def.name}: could not record run:`, error.message);
+    }
+
+    let update;
+    let runUpdate;
+    try {
+      const result = await def.handler({ attempt, trigger, startedAt });
+      update = { attempt: 0, nextRunAt: nextCronTime(def.cron), lastStatus: 'succeeded', lastError: null };
+      runUpdate = { status: 'succeeded', result: result ?? null };
+      console.log(`⏱️ Job ${def.name} succeeded in ${Date.now() - startedAt.getTime()}ms`);
+    } catch (error) {
+      const willRetry = attempt < def.maxAttempts;
+      update = willRetry
+        ? { attempt, nextRunAt: new Date(Date.now() + backoffDelay(attempt, def)), lastStatus: 'retrying', lastError: error.message }
+        : { attempt: 0, nextRunAt: nextCronTime(def.cron), lastStatus: 'failed', lastError: error.message };
+      runUpdate = { status: 'failed', error: error.stack || error.message, willRetry };
+      console.error(`⏱️ Job ${def.name} failed (attempt ${attempt}/${def.maxAttempts}${willRetry ? `, retry at ${update.nextRunAt.toISOString()}` : ''}):`, error.message);
+    } finally {
+      running.delete(def.name);
+    }
+
+    const finishedAt = new Date();
+    try {
+      await store.release(def.name, instanceId, { ...update, lastFinishedAt: finishedAt });
+      if (runId) await store.finishRun(runId, { ...runUpdate, finishedAt, durationMs: finishedAt - startedAt });
+    } catch (error) {
+      console.error(`Job ${def.name}: could not save state:`, error.message);
+    }
+    return { job: def.name, attempt, ...runUpdate, finishedAt };
+  }
+
+  async function tick() {
+    if (!(await sync())) return;
+    const now = new Date();
+    for (const def of definitions.values()) {
+      if (running.has(def.name)) continue;
+      try {
+        const job = await store.claim(def.name, { now, instance: instanceId, lockMs: def.lockMs, force: false });
+        if (job) execute(def, job, job.attempt ? 'retry' : 'schedule');
+      } catch (error) {
+        console.error(`Job ${def.name}: claim failed:`, error.message);
+      }
+    }
+  }
+
+  return {
+    backend: store ? mode : 'off',
+    instanceId,
+
+    // handler({ attempt, trigger, startedAt }) -> result stored on the run (keep it small)
+    define(name, handler, { schedule, maxAttempts = 3, backoffMs = 60 * 1000, maxBackoffMs = 60 * 60 * 1000, lockMs = 15 * 60 * 1000 } = {}) {
+      const effective = envScheduleFor(name, schedule);
+      if (!effective || String(effective).toLowerCase() === 'off') {
+        console.log(`Job ${name} disabled`);
+        return;
+      }
+      definitions.set(name, { name, handler, schedule: effective, cron: parseCron(effective), maxAttempts, backoffMs, maxBackoffMs, lockMs });
+      synced = false;
+    },
+
+    start() {
+      if (!store || timer) return;
+      timer = setInterval(() => tick().catch(error => console.error('Scheduler tick failed:', error)), tickMs);
+      timer.unref();
+      tick().catch(error => console.error('Scheduler tick failed:', error));
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    // Run a job now, outside its schedule; null when it is already running somewhere
+    async runNow(name) {
+      const def = definitions.get(name);
+      if (!def) throw new Error(`Unknown job: ${name}`);
+      if (!store || !(await sync())) throw new Error('Scheduler store unavailable');
+      if (running.has(name)) return null;
+      const job = await store.claim(name, { now: new Date(), instance: instanceId, lockMs: def.lockMs, force: true });
+      return job ? execute(def, job, 'manual') : null;
+    },
+
+    async status() {
+      const stored = store && store.ready() ? await store.listJobs() : [];
+      const byName = new Map(stored.map(job => [job.name, job]));
+      return [...definitions.values()].map(def => {
+        const job = byName.get(def.name) || {};
+        return {
+          name: def.name,
+          schedule: def.schedule,
+          maxAttempts: def.maxAttempts,
+          nextRunAt: job.nextRunAt || null,
+          attempt: job.attempt || 0,
+          running: running.has(def.name) || Boolean(job.lockedUntil && new Date(job.lockedUntil) > new Date()),
+          lockedBy: job.lockedBy || null,
+          lastRunAt: job.lastRunAt || null,
+          lastFinishedAt: job.lastFinishedAt || null,
+          lastStatus: job.lastStatus || null,
+          lastError: job.lastError || null
+        };
+      });
+    },
+
+    async runs({ job, status, limit = 50 } = {}) {
+      if (!store || !store.ready()) return [];
+      return store.listRuns({ job, status, limit });
+    }
+  };
+}
@@ -0,0 +1,339 @@
+// Shared outbound HTTP client for scraping retailer pages
+//
+// Every product-page fetch goes through one client so that, per domain, we:
+//   - identify ourselves (SCRAPER_USER_AGENT) instead of posing as a browser
+//   - honour robots.txt for that user agent, including Crawl-delay (cached SCRAPER_ROBOTS_TTL_SEC)
+//   - run at most SCRAPER_DOMAIN_CONCURRENCY requests at once, started at least
+//     SCRAPER_MIN_INTERVAL_MS apart, with at most SCRAPER_MAX_QUEUE waiting
+//   - stop for a while after SCRAPER_BREAKER_THRESHOLD consecutive 403/429/503 responses (circuit
+//     breaker: open for SCRAPER_BREAKER_COOLDOWN_SEC, doubling each time a trial request fails again)
+// Successful responses are cached per URL for SCRAPER_CACHE_TTL_SEC (SCRAPER_CACHE=memory|mongo|off). Pages
+// can be MAX_HTML_BYTES each, so the memory cache holds at most SCRAPER_CACHE_MAX_ENTRIES pages and
+// SCRAPER_CACHE_MAX_MB of HTML, oldest dropped first.
+import fetch from 'node-fetch';
+import { createCache, cacheKey } from './cache.js';
+
+const DEFAULT_USER_AGENT = 'FashionSearchBot/1.0 (+https://github.com/MaitrikMakwana/fashion_search_engine)';
+// Statuses that mean "you are being blocked or overloading us"
+const BREAKER_STATUSES = new Set([403, 429, 503]);
+const MAX_BREAKER_COOLDOWN_MS = 60 * 60 * 1000;
+const MAX_HTML_BYTES = 3 * 1024 * 1024;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && process.env[name] !== '' ? value : fallback;
+}
+
+function scraperConfig() {
+  return {
+    userAgent: process.env.SCRAPER_USER_AGENT || DEFAULT_USER_AGENT,
+    concurrency: envNumber('SCRAPER_DOMAIN_CONCURRENCY', 2),
+    minIntervalMs: envNumber('SCRAPER_MIN_INTERVAL_MS', 1000),
+    maxQueue: envNumber('SCRAPER_MAX_QUEUE', 20),
+    timeoutMs: envNumber('SCRAPER_TIMEOUT_MS', 8000),
+    cacheTtlSec: envNumber('SCRAPER_CACHE_TTL_SEC', 600),
+    robotsTtlSec: envNumber('SCRAPER_ROBOTS_TTL_SEC', 6 * 3600),
+    breakerThreshold: envNumber('SCRAPER_BREAKER_THRESHOLD', 3),
+    breakerCooldownMs: envNumber('SCRAPER_BREAKER_COOLDOWN_SEC', 300) * 1000,
+    respectRobots: !['0', 'false'].includes(String(process.env.SCRAPER_RESPECT_ROBOTS || '').toLowerCase())
+  };
+}
+
+// --- robots.txt ---
+
+// Groups of { agents[], rules[{ allow, pattern }], crawlDelay } in file order
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+    if (field === 'user-agent') {
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything; skip it rather than matching every path
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+  return groups;
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The group for our agent: the most specific matching user-agent token, else "*"
+function groupFor(groups, userAgent) {
+  const ua = userAgent.toLowerCase();
+  let best = null;
+  let bestLength = -1;
+  for (const group of groups) {
+    for (const agent of group.agents) {
+      const matches = agent === '*' ? true : ua.includes(agent);
+      const length = agent === '*' ? 0 : agent.length;
+      if (matches && length > bestLength) {
+        best = group;
+        bestLength = length;
+      }
+    }
+  }
+  return best;
+}
+
+// Longest matching rule wins; Allow wins a tie. No rule -> allowed.
+export function robotsAllows(groups, userAgent, pathWithQuery) {
+  const group = groupFor(groups, userAgent);
+  if (!group) return { allowed: true, crawlDelay: null };
+  let verdict = null;
+  for (const rule of group.rules) {
+    if (!patternToRegExp(rule.pattern).test(pathWithQuery)) continue;
+    const length = rule.pattern.length;
+    if (!verdict || length > verdict.length || (length === verdict.length && rule.allow)) {
+      verdict = { allow: rule.allow, length };
+    }
+  }
+  return { allowed: verdict ? verdict.allow : true, crawlDelay: group.crawlDelay };
+}
+
+// --- Client ---
+
+export class ScrapeBlockedError extends Error {
+  constructor(reason, domain) {
+    super(`Scrape of ${domain} blocked: ${reason}`);
+    this.name = 'ScrapeBlockedError';
+    this.reason = reason; // robots | circuit_open | queue_full
+    this.domain = domain;
+  }
+}
+
+export function createScrapeClient(overrides = {}) {
+  const config = { ...scraperConfig(), ...overrides };
+  const responseCache = createCache({
+    backend: overrides.cacheBackend || process.env.SCRAPER_CACHE || 'memory',
+    maxEntries: envNumber('SCRAPER_CACHE_MAX_ENTRIES', 100),
+    maxBytes: envNumber('SCRAPER_CACHE_MAX_MB', 32) * 1024 * 1024,
+    sizeOf: result => Buffer.byteLength(result.text || '')
+  });
+  const domains = new Map();
+
+  function domainState(domain) {
+    if (!domains.has(domain)) {
+      domains.set(domain, {
+        active: 0,
+        queue: [],
+        nextStartAt: 0,
+        robots: null, // { groups, expiresAt } or a pending promise
+        failures: 0,
+        openUntil: 0,
+        cooldownMs: config.breakerCooldownMs,
+        trialInFlight: false,
+        timer: null,
+        stats: { requests: 0, cached: 0, blockedByRobots: 0, rejected: 0, errors: 0 }
+      });
+    }
+    return domains.get(domain);
+  }
+
+  async function loadRobots(origin, state) {
+    if (state.robots?.expiresAt > Date.now()) return state.robots.groups;
+    if (state.robots?.pending) return state.robots.pending;
+
+    const pending = (async () => {
+      let groups = [];
+      let ttlMs = config.robotsTtlSec * 1000;
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+      try {
+        const resp = await fetch(`${origin}/robots.txt`, {
+          headers: { 'User-Agent': config.userAgent },
+          signal: controller.signal
+        });
+        if (resp.ok) {
+          groups = parseRobotsTxt(await resp.text());
+        } else if (resp.status >= 500) {
+          // Server error: assume everything is disallowed and ask again soon
+          groups = [{ agents: ['*'], rules: [{ allow: false, pattern: '/' }], crawlDelay: null }];
+          ttlMs = Math.min(ttlMs, 10 * 60 * 1000);
+        }
+        // Other 4xx: no robots.txt, everything allowed
+      } catch (error) {
+        groups = [{ agents: ['*'], rules: [{ allow: false, pattern: '/' }], crawlDelay: null }];
+        ttlMs = Math.min(ttlMs, 10 * 60 * 1000);
+        console.warn(`robots.txt fetch failed for ${origin}:`, error.message);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+      state.robots = { groups, expiresAt: Date.now() + ttlMs };
+      return groups;
+    })();
+    state.robots = { pending };
+    return pending;
+  }
+
+  // Start queued requests while there are free slots and the domain's interval has passed
+  function pump(state) {
+    while (state.queue.length && state.active < config.concurrency) {
+      const wait = state.nextStartAt - Date.now();
+      if (wait > 0) {
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            pump(state);
+          }, wait);
+        }
+        return;
+      }
+      const next = state.queue.shift();
+      state.active++;
+      state.nextStartAt = Date.now() + next.intervalMs;
+      next.resolve();
+    }
+  }
+
+  function acquire(domain, state, intervalMs) {
+    if (state.queue.length >= config.maxQueue) {
+      state.stats.rejected++;
+      return Promise.reject(new ScrapeBlockedError('queue_full', domain));
+    }
+    return new Promise(resolve => {
+      state.queue.push({ resolve, intervalMs });
+      pump(state);
+    });
+  }
+
+  function release(state) {
+    state.active--;
+    pump(state);
+  }
+
+  function breakerAllows(state) {
+    if (state.openUntil === 0) return true;
+    if (Date.now() < state.openUntil || state.trialInFlight) return false;
+    // Half-open: let a single trial request through
+    state.trialInFlight = true;
+    return true;
+  }
+
+  function recordOutcome(state, domain, status) {
+    const wasTrial = state.trialInFlight;
+    state.trialInFlight = false;
+    if (BREAKER_STATUSES.has(status)) {
+      state.failures++;
+      if (wasTrial || state.failures >= config.breakerThreshold) {
+        if (wasTrial) state.cooldownMs = Math.min(MAX_BREAKER_COOLDOWN_MS, state.cooldownMs * 2);
+        state.openUntil = Date.now() + state.cooldownMs;
+        console.warn(`Circuit open for ${domain} for ${Math.round(state.cooldownMs / 1000)}s after ${state.failures} blocked responses (last ${status})`);
+      }
+    } else {
+      state.failures = 0;
+      state.openUntil = 0;
+      state.cooldownMs = config.breakerCooldownMs;
+    }
+  }
+
+  return {
+    userAgent: config.userAgent,
+
+    // -> { status, ok, text, fromCache }; throws ScrapeBlockedError when robots, the breaker or the queue refuse
+    async fetchPage(url, { timeoutMs = config.timeoutMs } = {}) {
+      const target = new URL(url);
+      const domain = target.hostname.replace(/^www\./, '');
+      const state = domainState(domain);
+      const key = cacheKey('scrape', [target.href]);
+
+      const cached = await responseCache.get(key).catch(() => undefined);
+      if (cached) {
+        state.stats.cached++;
+        return { ...cached, fromCache: true };
+      }
+
+      if (!breakerAllows(state)) {
+        state.stats.rejected++;
+        throw new ScrapeBlockedError('circuit_open', domain);
+      }
+
+      let crawlDelay = null;
+      if (config.respectRobots) {
+        const verdict = robotsAllows(await loadRobots(target.origin, state), config.userAgent, target.pathname + target.search);
+        if (!verdict.allowed) {
+          state.trialInFlight = false;
+          state.stats.blockedByRobots++;
+          throw new ScrapeBlockedError('robots', domain);
+        }
+        crawlDelay = verdict.crawlDelay;
+      }
+
+      const intervalMs = Math.max(config.minIntervalMs, (crawlDelay || 0) * 1000);
+      try {
+        await acquire(domain, state, intervalMs);
+      } catch (error) {
+        state.trialInFlight = false;
+        throw error;
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+      state.stats.requests++;
+      try {
+        const resp = await fetch(target.href, {
+          headers: {
+            'User-Agent': config.userAgent,
+            'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-IN,en;q=0.8'
+          },
+          signal: controller.signal,
+          size: MAX_HTML_BYTES
+        });
+        recordOutcome(state, domain, resp.status);
+        const result = { status: resp.status, ok: resp.ok, text: resp.ok ? await resp.text() : '' };
+        if (resp.ok && config.cacheTtlSec > 0) {
+          responseCache.set(key, result, config.cacheTtlSec).catch(() => {});
+        }
+        return { ...result, fromCache: false };
+      } catch (error) {
+        state.trialInFlight = false;
+        state.stats.errors++;
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+        release(state);
+      }
+    },
+
+    // Per-domain queue, breaker and counters, for the admin endpoint
+    stats() {
+      const now = Date.now();
+      return [...domains.entries()].map(([domain, state]) => ({
+        domain,
+        active: state.active,
+        queued: state.queue.length,
+        circuit: state.openUntil === 0 ? 'closed' : now < state.openUntil ? 'open' : 'half-open',
+        openUntil: state.openUntil ? new Date(state.openUntil).toISOString() : null,
+        consecutiveBlocks: state.failures,
+        robotsCached: Boolean(state.robots?.groups),
+        ...state.stats
+      }));
+    }
+  };
+}
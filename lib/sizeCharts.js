@@ -0,0 +1,174 @@
+// Size charts: what body measurements a product's size labels fit, and the size to pick for a shopper
+//
+// Every label is turned into a range in cm of one measurement:
+//   tops     chest (bust for women's)    "M", "40" (men's chest in inches), "UK 10" (women's)
+//   bottoms  waist                       "32" (inches), "L"
+//   shoes    foot length                 "UK 8", "EU 42", "US 9", "8"
+// The generic ranges follow the usual Indian retail charts. Brands that cut smaller or larger shift them
+// (BRAND_OFFSETS), and retailers differ in how they print women's numeric sizes (RETAILER_LABELS).
+// recommendSize() picks the label whose range holds the shopper's measurement (lib/userProfile.js).
+import { parseQueryLocal } from './queryParser.js';
+import { normalizeSize, convertShoeSize } from './sizes.js';
+import { sizeGroupOf } from './userProfile.js';
+import { siteForProduct } from './pageParser.js';
+
+const INCH = 2.54;
+
+// Measurement each size group is charted against, as stored in profile.measurements
+export const GROUP_MEASUREMENTS = { tops: 'chest', bottoms: 'waist', shoes: 'footLength' };
+
+const LETTER_CHARTS = {
+  tops: {
+    men: { XS: [81, 86], S: [86, 94], M: [94, 102], L: [102, 110], XL: [110, 118], XXL: [118, 126], '3XL': [126, 134] },
+    women: { XS: [76, 81], S: [81, 86], M: [86, 91], L: [91, 97], XL: [97, 104], XXL: [104, 112], '3XL': [112, 120] }
+  },
+  bottoms: {
+    men: { XS: [66, 71], S: [71, 79], M: [79, 86], L: [86, 94], XL: [94, 102], XXL: [102, 110], '3XL': [110, 118] },
+    women: { XS: [61, 66], S: [66, 71], M: [71, 76], L: [76, 81], XL: [81, 89], XXL: [89, 97], '3XL': [97, 105] }
+  }
+};
+
+// Women's numeric clothing sizes by UK size; US runs 4 below UK and EU 28 above
+const WOMEN_UK_LETTERS = { 6: 'XS', 8: 'S', 10: 'M', 12: 'L', 14: 'XL', 16: 'XXL', 18: '3XL' };
+const WOMEN_SYSTEM_OFFSETS = { UK: 0, US: 4, EU: -28 };
+
+// Labels offered when the product's own size list is unknown
+const DEFAULT_LABELS = {
+  tops: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '3XL'],
+  bottoms: { men: ['28', '30', '32', '34', '36', '38', '40'], women: ['XS', 'S', 'M', 'L', 'XL', 'XXL'] },
+  shoes: ['UK 3', 'UK 4', 'UK 5', 'UK 6', 'UK 7', 'UK 8', 'UK 9', 'UK 10', 'UK 11', 'UK 12']
+};
+
+// cm added to every range of a brand's chart: negative when the brand runs small (its M fits a smaller
+// chest than the generic M), positive when it runs large. Private labels of the big retailers included.
+const BRAND_OFFSETS = {
+  'zara': { tops: -4, bottoms: -2 },
+  'mango': { tops: -3, bottoms: -2 },
+  'uniqlo': { tops: -4, bottoms: -2 },
+  'h&m': { tops: -2 },
+  'bershka': { tops: -4, bottoms: -3 },
+  'only': { tops: -2, bottoms: -2 },
+  'levi': { bottoms: 1 },
+  'roadster': { tops: 2 },
+  'hrx': { tops: 2 },
+  'dnmx': { tops: 2, bottoms: 1 },
+  'nike': { shoes: -0.4 },
+  'adidas': { shoes: -0.2 }
+};
+
+// How each retailer prints a women's numeric size without a system: Amazon.in carries many US-sized
+// imports, the Indian fashion sites use UK sizes
+const RETAILER_LABELS = {
+  amazon: { womenNumeric: 'US' },
+  myntra: { womenNumeric: 'UK' },
+  ajio: { womenNumeric: 'UK' },
+  flipkart: { womenNumeric: 'UK' },
+  snapdeal: { womenNumeric: 'UK' }
+};
+
+// Foot length in cm that a UK shoe size is made for (the Mondopoint-style rule most charts follow)
+function footLength(uk) {
+  return Math.round((uk + 23) * 0.846 * 10) / 10;
+}
+
+function brandOf(title) {
+  const text = ` ${String(title || '').toLowerCase()} `;
+  return Object.keys(BRAND_OFFSETS).find(brand => text.includes(` ${brand} `) || text.includes(` ${brand}'`)) || null;
+}
+
+// [min, max) in cm for a label under the generic chart, or null when the label can't be read
+export function labelRange(label, { group, department = 'men', retailer = null } = {}) {
+  const size = normalizeSize(label);
+  if (!size || !GROUP_MEASUREMENTS[group]) return null;
+  const dept = department === 'women' ? 'women' : 'men';
+
+  if (group === 'shoes') {
+    const converted = convertShoeSize(size, dept);
+    if (!converted) return null;
+    // A shoe fits feet up to its length; whole sizes cover the half size below them too
+    const uk = parseFloat(converted.UK.slice(3));
+    return [footLength(uk - (Number.isInteger(uk) ? 1 : 0.5)), footLength(uk)];
+  }
+
+  const letters = LETTER_CHARTS[group][dept];
+  if (letters[size]) return letters[size];
+
+  const numeric = size.match(/^(?:(UK|US|EU) )?(\d{1,3})$/);
+  if (!numeric) return null;
+  const n = Number(numeric[2]);
+  if (group === 'bottoms' && !numeric[1] && n >= 22 && n <= 48) {
+    // Waist in inches; a 32 fits a 31.5-33.5 inch waist
+    return [Math.round((n - 0.5) * INCH), Math.round((n + 1.5) * INCH)];
+  }
+  if (group === 'tops' && dept === 'men' && !numeric[1] && n >= 34 && n <= 52) {
+    // Men's shirts sized by chest in inches
+    return [Math.round((n - 1) * INCH), Math.round((n + 1) * INCH)];
+  }
+  if (dept === 'women') {
+    const system = numeric[1] || RETAILER_LABELS[retailer]?.womenNumeric || 'UK';
+    const letter = WOMEN_UK_LETTERS[n + WOMEN_SYSTEM_OFFSETS[system]];
+    return letter ? letters[letter] : null;
+  }
+  return null;
+}
+
+// The shopper's measurement for a group: the one saved in the profile, or else the middle of the
+// generic range of the size they saved, so a saved "M" still translates across brand charts
+export function bodyMeasurement(profile, group, department = 'men') {
+  const field = GROUP_MEASUREMENTS[group];
+  if (!profile || !field) return null;
+  const saved = Number(profile.measurements?.[field]);
+  if (Number.isFinite(saved) && saved > 0) return { value: saved, basis: 'measurements' };
+  const size = profile.sizes?.[group];
+  const range = size ? labelRange(size, { group, department }) : null;
+  return range ? { value: Math.round(((range[0] + range[1]) / 2) * 10) / 10, basis: 'size' } : null;
+}
+
+// { label, fit, measurement, bodyCm, rangeCm, chart, basis, available } for a product, or null when the
+// product isn't sized clothing/footwear or the profile has nothing to go on.
+//   fit: 'good' when the measurement falls in the label's range, 'closest' when no label's range holds it
+//   chart: 'brand' when a BRAND_OFFSETS entry applied, otherwise 'generic'
+// Labels come from the product page's size list when known (sold-out sizes only when nothing else fits).
+export function recommendSize(product, profile) {
+  if (!product?.title || !profile) return null;
+  const attrs = parseQueryLocal(product.title);
+  const group = sizeGroupOf(attrs.category);
+  if (!group) return null;
+  const department = attrs.gender === 'women' || (!attrs.gender && profile.department === 'women') ? 'women' : 'men';
+  const body = bodyMeasurement(profile, group, department);
+  if (!body) return null;
+
+  const retailer = siteForProduct(product);
+  const brand = brandOf(product.title);
+  const offset = BRAND_OFFSETS[brand]?.[group] ?? 0;
+  const known = Array.isArray(product.sizes) && product.sizes.length ? product.sizes : null;
+  const defaults = group === 'bottoms' ? DEFAULT_LABELS.bottoms[department] : DEFAULT_LABELS[group];
+  const candidates = (known || defaults.map(label => ({ label, available: null })))
+    .map(size => {
+      const range = labelRange(size.label, { group, department, retailer });
+      return range ? { ...size, range: [range[0] + offset, range[1] + offset] } : null;
+    })
+    .filter(Boolean);
+  if (!candidates.length) return null;
+
+  const distance = ({ range }) => body.value < range[0] ? range[0] - body.value : body.value >= range[1] ? body.value - range[1] + 0.01 : 0;
+  const pick = list => list.reduce((best, c) => (distance(c) < distance(best) ? c : best), list[0]);
+  const inStock = candidates.filter(c => c.available !== false);
+  let best = pick(inStock.length ? inStock : candidates);
+  if (distance(best) > 0 && inStock.length && inStock.length < candidates.length) {
+    // Nothing in stock fits: name the size that would, even if it's sold out
+    const overall = pick(candidates);
+    if (distance(overall) === 0) best = overall;
+  }
+
+  return {
+    label: best.label,
+    fit: distance(best) === 0 ? 'good' : 'closest',
+    measurement: GROUP_MEASUREMENTS[group],
+    bodyCm: body.value,
+    rangeCm: best.range.map(v => Math.round(v * 10) / 10),
+    chart: offset ? 'brand' : 'generic',
+    basis: body.basis,
+    available: best.available ?? null
+  };
+}
@@ -0,0 +1,94 @@
+// Size labels as retailers and shoppers write them, reduced to one canonical form
+//
+// "Medium", "m", "M (38)" -> "M";  "X-Large", "xl" -> "XL";  "2XL", "xxl" -> "XXL"
+// "UK 8", "uk8", "8 UK" -> "UK 8";  "32", "W32", "32W x 32L" -> "32";  "One Size" -> "FREE SIZE"
+// Used to read size lists off product pages (lib/pageParser.js), to check a requested size against them
+// and to convert the shoe size saved in a profile (lib/userProfile.js).
+
+const LETTER_ALIASES = {
+  'xxs': 'XXS', 'xs': 'XS', 'extra small': 'XS', 'x small': 'XS',
+  's': 'S', 'small': 'S',
+  'm': 'M', 'medium': 'M',
+  'l': 'L', 'large': 'L',
+  'xl': 'XL', 'x large': 'XL', 'extra large': 'XL',
+  'xxl': 'XXL', '2xl': 'XXL', 'xx large': 'XXL',
+  'xxxl': '3XL', '3xl': '3XL', 'xxx large': '3XL',
+  '4xl': '4XL', 'xxxxl': '4XL',
+  '5xl': '5XL',
+  'free size': 'FREE SIZE', 'free': 'FREE SIZE', 'one size': 'FREE SIZE', 'onesize': 'FREE SIZE'
+};
+
+const SIZE_SYSTEMS = ['UK', 'EU', 'US', 'IND'];
+
+export function normalizeSize(label) {
+  if (label == null) return null;
+  const text = String(label).toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  // "uk 8", "8 uk", "uk8", "euro 42"
+  const system = text.match(/^(uk|eu|euro|us|ind|india)\s*(\d{1,2}(?:\.5)?)$/) || text.match(/^(\d{1,2}(?:\.5)?)\s*(uk|eu|euro|us|ind|india)$/);
+  if (system) {
+    const [name, value] = /^\d/.test(system[1]) ? [system[2], system[1]] : [system[1], system[2]];
+    const code = { euro: 'EU', india: 'IND' }[name] || name.toUpperCase();
+    return SIZE_SYSTEMS.includes(code) ? `${code} ${value}` : null;
+  }
+
+  // "m (38)", "xl / 42": the letter size before any bracketed measurement
+  const lead = text.split(/\s*[(/|]\s*/)[0].trim();
+  if (LETTER_ALIASES[lead]) return LETTER_ALIASES[lead];
+  if (LETTER_ALIASES[text]) return LETTER_ALIASES[text];
+
+  // Waist/chest and kids' sizes: "32", "w32", "32w x 32l", "size 32"
+  const numeric = text.match(/^(?:size\s*)?w?(\d{1,3}(?:\.5)?)\s*(?:w\b.*|in(?:ch(?:es)?)?|cm)?$/);
+  if (numeric) return numeric[1];
+  // Anything else (kids' "2-3Y", "28B") stays as written
+  return String(label).replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+// Whether a normalized label reads as a size at all, for lists guessed from page state
+// where a "variants" array may just as well hold colours
+export function isSizeLabel(label) {
+  if (!label) return false;
+  return Object.values(LETTER_ALIASES).includes(label) || /^(?:UK|EU|US|IND) \d/.test(label) || /^\d/.test(label);
+}
+
+// Does the available `label` satisfy the `requested` size? A bare number ("8") matches
+// any system's 8, since Indian shoe listings mostly print the UK size without a prefix.
+export function sizeMatches(requested, label) {
+  const want = normalizeSize(requested);
+  const have = normalizeSize(label);
+  if (!want || !have) return false;
+  if (want === have) return true;
+  // Only when one side has no system: "UK 8" and "EU 8" are different shoes
+  const bare = value => value.replace(/^(?:UK|EU|US|IND) /, '');
+  return (/^\d/.test(want) || /^\d/.test(have)) && bare(want) === bare(have);
+}
+
+// sizes: [{ label, available }] -> true when the requested size is in stock, false when it is
+// sold out or not offered, null when the size list is unknown
+export function sizeInStock(sizes, requested) {
+  if (!Array.isArray(sizes) || !sizes.length || !requested) return null;
+  const matching = sizes.filter(size => sizeMatches(requested, size.label));
+  if (!matching.length) return false;
+  return matching.some(size => size.available !== false);
+}
+
+// Shoe sizes. Indian retailers list UK sizes; EU runs about 34 above UK on men's lasts and 33 on
+// women's, US one above UK for men and two for women. Brand charts differ by half a size at most.
+const SHOE_OFFSETS = {
+  men: { EU: 34, US: 1 },
+  women: { EU: 33, US: 2 }
+};
+
+// "UK 8", "EU 42", "US 9" or a bare "8" (UK; a bare 30+ is EU) -> { UK: 'UK 8', EU: 'EU 42', US: 'US 9' }
+export function convertShoeSize(size, department = 'men') {
+  const match = normalizeSize(size)?.match(/^(?:(UK|EU|US|IND) )?(\d{1,2}(?:\.5)?)$/);
+  if (!match) return null;
+  const offsets = SHOE_OFFSETS[department] || SHOE_OFFSETS.men;
+  const value = parseFloat(match[2]);
+  const system = match[1] || (value >= 30 ? 'EU' : 'UK');
+  const uk = system === 'EU' ? value - offsets.EU : system === 'US' ? value - offsets.US : value;
+  if (uk < 1 || uk > 15) return null;
+  const format = n => String(Math.round(n * 2) / 2);
+  return { UK: `UK ${format(uk)}`, EU: `EU ${format(uk + offsets.EU)}`, US: `US ${format(uk + offsets.US)}` };
+}
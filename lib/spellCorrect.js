@@ -0,0 +1,132 @@
+// Offline spelling correction for search text, run before Gemini or the local parser see it
+//
+// "blak jens" -> "black jeans", "snekers" -> "sneakers", "lehnga" -> "lehenga"
+// Two steps per word:
+//   1. SPELLING_VARIANTS: known regional and phonetic spellings ("lehnga", "dupata", "kurthi")
+//   2. the nearest word of the fashion dictionary within a few edits (insert, delete, substitute or
+//      swap two neighbours): every word of the query parser's vocabulary, the brand list and
+//      KNOWN_WORDS. Words of 3 letters or fewer, numbers, dictionary and PLAIN_WORDS and their plurals are
+//      left alone; plain words (price operators, filler) are never targets.
+// Synonyms are the parser's job: "chappal" is a sandals phrase in CATEGORY_TERMS and stays in the
+// provider query as a keyword, so correction only has to get it spelled the way the parser knows it.
+import { CATEGORY_TERMS, COLOR_TERMS, MATERIAL_TERMS, GENDER_TERMS, FIT_TERMS, OCCASION_TERMS } from './queryParser.js';
+import { FASHION_BRANDS } from './titleAttributes.js';
+
+// Spellings of regional garments (and common slips) that edit distance alone gets wrong or can't reach
+export const SPELLING_VARIANTS = {
+  lehnga: 'lehenga', lehanga: 'lehenga', lengha: 'lehenga', lehenge: 'lehenga', ghaghra: 'ghagra', gagra: 'ghagra',
+  dupata: 'dupatta', duppata: 'dupatta', dupptta: 'dupatta', chunari: 'chunri',
+  juti: 'jutti', jutis: 'juttis', juthi: 'jutti', joothi: 'jooti', mojri: 'mojari', mojdi: 'mojari',
+  kurthi: 'kurti', kurthis: 'kurtis', kurthe: 'kurta', kurtha: 'kurta', kurtaa: 'kurta',
+  salwaar: 'salwar', shalwar: 'salwar', salvar: 'salwar', churidaar: 'churidar', chudidar: 'churidar',
+  sherwaani: 'sherwani', saaree: 'saree', sadi: 'saree', chappel: 'chappal', chapal: 'chappal',
+  chappels: 'chappals', kolapuri: 'kolhapuri', chasma: 'chashma',
+  tshrt: 'tshirt', tshit: 'tshirt', jeens: 'jeans', jenas: 'jeans'
+};
+
+// Price and filler words: right as typed, but never what a misspelt word was meant to be. As targets they'd
+// turn product words into prices ("mobile cover 500" -> "mobile over 500" sets a minimum price).
+const PLAIN_WORDS = [
+  'under', 'below', 'above', 'between', 'less', 'than', 'more', 'upto', 'within', 'starting', 'over', 'rupees',
+  'with', 'from', 'look', 'looking', 'want', 'need', 'show', 'find', 'some', 'good', 'nice', 'best', 'latest',
+  'cheap', 'price', 'budget', 'size', 'colour', 'color', 'style', 'stylish', 'trendy', 'fashion', 'clothing'
+];
+
+// Catalog words that aren't vocabulary: common descriptors, garments, jewellery and Indian brands the brand
+// list lacks. They're right as typed and correction targets too ("flroal" -> "floral").
+const KNOWN_WORDS = [
+  'floral', 'printed', 'print', 'striped', 'stripes', 'checked', 'checks', 'check', 'plain', 'solid', 'embroidered',
+  'embroidery', 'sequin', 'sequins', 'lace', 'ruffle', 'pleated', 'ripped', 'distressed', 'cropped', 'crop',
+  'high', 'waist', 'waisted', 'rise', 'mini', 'long', 'short', 'ankle', 'length', 'sleeve', 'sleeves',
+  'sleeveless', 'full', 'half', 'collar', 'neck', 'round', 'hooded', 'button', 'pocket', 'graphic', 'logo',
+  'vintage', 'retro', 'boho', 'classic', 'basic', 'summer', 'winter', 'spring', 'autumn', 'monsoon', 'light',
+  'dark', 'pastel', 'bright', 'neon', 'pack', 'combo', 'pair', 'belt', 'wallet', 'socks', 'scarf', 'stole',
+  'shawl', 'plus', 'petite', 'cargo', 'shacket', 'skort', 'coord', 'jumpsuit', 'playsuit', 'romper', 'dungaree',
+  'bodysuit', 'tracksuit', 'kaftan', 'poncho', 'shrug', 'waistcoat', 'camisole', 'leggings', 'jeggings', 'capri',
+  'vest', 'brief', 'trunk', 'boxer', 'bra', 'bralette', 'panty', 'panties', 'lingerie', 'innerwear', 'underwear',
+  'thermal', 'slip', 'tank', 'henley', 'nighty', 'nightie', 'nightsuit', 'nightwear', 'loungewear', 'shapewear',
+  'anklet', 'sterling', 'cover', 'teen',
+  'choli', 'anarkali', 'phulkari', 'bandhani', 'chikankari', 'banarasi', 'kanjivaram',
+  'ikat', 'block', 'zari', 'mirror', 'work', 'nehru', 'pajama', 'pyjama', 'kameez', 'dhoti', 'bridal',
+  'biba', 'fabindia', 'libas', 'manyavar', 'allen', 'solly', 'peter', 'england', 'heusen', 'louis', 'philippe',
+  'roadster', 'hrx', 'dnmx', 'bata', 'woodland', 'campus', 'sparx', 'wildcraft', 'skechers', 'crocs', 'fila',
+  'jockey', 'dollar', 'rupa', 'macho', 'lux', 'vip'
+];
+
+const MIN_WORD_LENGTH = 4;
+
+function vocabularyWords() {
+  const phrases = [CATEGORY_TERMS, COLOR_TERMS, MATERIAL_TERMS, GENDER_TERMS, FIT_TERMS, OCCASION_TERMS]
+    .flatMap(terms => Object.values(terms).flat());
+  return [...phrases, ...FASHION_BRANDS, ...Object.values(SPELLING_VARIANTS), ...KNOWN_WORDS]
+    .flatMap(phrase => phrase.toLowerCase().split(/[^a-z]+/))
+    .filter(word => word.length >= 3);
+}
+
+// Dictionary words in order of preference for ties: categories first, then the other vocabularies
+const DICTIONARY = [...new Set(vocabularyWords())];
+// Words left alone: the dictionary plus the plain words
+const DICTIONARY_SET = new Set([...DICTIONARY, ...PLAIN_WORDS]);
+
+// Edits allowed for a word of a given length
+function allowedEdits(length) {
+  return length < MIN_WORD_LENGTH ? 0 : length <= 7 ? 1 : 2;
+}
+
+// Optimal string alignment distance, or Infinity once it must exceed `max`
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (prev2 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return Infinity;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length] <= max ? prev[b.length] : Infinity;
+}
+
+// The dictionary word a misspelt word was meant to be, or null when none is close enough. Ties go to
+// words starting with the same letter, then to the earlier vocabulary ("jens" -> "jeans", not "mens").
+export function correctWord(word) {
+  const w = String(word || '').toLowerCase();
+  if (SPELLING_VARIANTS[w]) return SPELLING_VARIANTS[w];
+  if (w.length < MIN_WORD_LENGTH || !/^[a-z]+$/.test(w)) return null;
+  // Known words and their plurals ("levis", "kurtis", "chinos")
+  if (DICTIONARY_SET.has(w) || DICTIONARY_SET.has(w.replace(/e?s$/, ''))) return null;
+
+  let best = null;
+  let bestRank = Infinity;
+  const max = allowedEdits(w.length);
+  for (const candidate of DICTIONARY) {
+    const distance = editDistance(w, candidate, max);
+    if (distance === Infinity) continue;
+    const rank = distance * 2 + (candidate[0] === w[0] ? 0 : 1);
+    if (rank < bestRank) {
+      best = candidate;
+      bestRank = rank;
+    }
+  }
+  return best;
+}
+
+// -> { text, corrections: [{ from, to }] }; text is unchanged when nothing needed fixing
+export function correctQuery(text) {
+  const source = String(text || '');
+  const corrections = [];
+  const corrected = source.replace(/[A-Za-z]+/g, word => {
+    const fixed = correctWord(word);
+    if (!fixed || fixed === word.toLowerCase()) return word;
+    corrections.push({ from: word, to: fixed });
+    return fixed;
+  });
+  return { text: corrected, corrections };
+}
@@ -0,0 +1,151 @@
+// Search box completions for GET /suggest
+//
+// Candidates come from several sources, each entry { text, type, popularity }:
+//   history    the signed-in user's own recent searches
+//   popular    searches run lately by several different users (SearchHistory), popularity = how many users
+//   trending   the keyword pool /trending scrapes with
+//   category, color, material, brand   the query parser's vocabulary and the brand list behind
+//              extractBrandFromTitle; popularity = how often the term shows up in popular searches
+//              (and, for brands, in trending product titles)
+// A candidate matches when the typed text is within a few edits of one of its prefixes, so "shrit"
+// and "adidsa" still complete. After a complete word or two the last word is also completed on its
+// own: "black sh" -> "black shirt", "black shorts".
+import { CATEGORY_TERMS, COLOR_TERMS, MATERIAL_TERMS } from './queryParser.js';
+import { FASHION_BRANDS } from './titleAttributes.js';
+
+const SOURCE_WEIGHTS = {
+  history: 3,
+  popular: 2,
+  trending: 1.5,
+  brand: 1.2,
+  category: 1.2,
+  color: 1,
+  material: 1
+};
+
+// Retailers in FASHION_BRANDS are shopping sites, not something to search for
+const RETAILER_NAMES = new Set(['myntra', 'ajio', 'amazon', 'flipkart', 'snapdeal']);
+
+export function normalizeSuggestText(text) {
+  return String(text || '').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}&'\s-]+/gu, ' ').replace(/\s+/g, ' ').trimStart();
+}
+
+// Edits allowed for typed text of a given length: none for 1-3 characters, one up to 8, then two
+function allowedEdits(length) {
+  return length <= 3 ? 0 : length <= 8 ? 1 : 2;
+}
+
+// Fewest edits (insert, delete, substitute, swap two neighbours) turning `typed` into some prefix of
+// `term`, or Infinity when that is more than `max`
+export function prefixDistance(typed, term, max = 2) {
+  if (term.startsWith(typed)) return 0;
+  if (max === 0) return Infinity;
+  const rows = [Array.from({ length: term.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= typed.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= term.length; j++) {
+      const cost = typed[i - 1] === term[j - 1] ? 0 : 1;
+      let d = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && typed[i - 1] === term[j - 2] && typed[i - 2] === term[j - 1]) {
+        d = Math.min(d, rows[i - 2][j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return Infinity;
+    rows.push(row);
+  }
+  const best = Math.min(...rows[typed.length]);
+  return best <= max ? best : Infinity;
+}
+
+function countTermUses(term, popular) {
+  const pattern = new RegExp(`(?:^|\\s)${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:\\s|$)`);
+  return popular.reduce((sum, p) => sum + (pattern.test(p.text) ? p.popularity : 0), 0);
+}
+
+// Every candidate, deduplicated by text with the higher-weighted source winning.
+//   history   ['black kurta', ...]              newest first
+//   popular   [{ text, count }]
+//   trending  ['streetwear', ...]
+//   titles    product titles to count brand mentions in
+//   brandOf   title -> brand name or null (extractBrandFromTitle)
+export function buildSuggestionIndex({ history = [], popular = [], trending = [], titles = [], brandOf = null } = {}) {
+  const popularEntries = popular
+    .map(p => ({ text: normalizeSuggestText(p.text).trim(), type: 'popular', popularity: p.count || 1 }))
+    .filter(p => p.text);
+  const brandCounts = new Map();
+  if (brandOf) {
+    for (const title of titles) {
+      const brand = brandOf(title || '');
+      if (brand) brandCounts.set(brand.toLowerCase(), (brandCounts.get(brand.toLowerCase()) || 0) + 1);
+    }
+  }
+
+  const vocabulary = [
+    ...Object.keys(CATEGORY_TERMS).map(text => ({ text, type: 'category' })),
+    ...Object.keys(COLOR_TERMS).map(text => ({ text, type: 'color' })),
+    ...Object.keys(MATERIAL_TERMS).map(text => ({ text, type: 'material' })),
+    ...FASHION_BRANDS.filter(brand => !RETAILER_NAMES.has(brand)).map(text => ({ text, type: 'brand' }))
+  ].map(entry => ({
+    ...entry,
+    popularity: 1 + countTermUses(entry.text, popularEntries) + (brandCounts.get(entry.text) || 0)
+  }));
+
+  const entries = [
+    // Own history: the more recent, the more popular
+    ...history.map((text, i) => ({ text: normalizeSuggestText(text).trim(), type: 'history', popularity: history.length - i })),
+    ...popularEntries,
+    ...trending.map(text => ({ text, type: 'trending', popularity: 1 + countTermUses(text, popularEntries) })),
+    ...vocabulary
+  ].filter(entry => entry.text);
+
+  const byText = new Map();
+  for (const entry of entries) {
+    const current = byText.get(entry.text);
+    if (!current || SOURCE_WEIGHTS[entry.type] > SOURCE_WEIGHTS[current.type]) byText.set(entry.text, entry);
+  }
+  return { entries: [...byText.values()], vocabulary };
+}
+
+function score(entry, distance) {
+  return (SOURCE_WEIGHTS[entry.type] + Math.log2(1 + entry.popularity)) / (1 + distance);
+}
+
+// Up to `limit` completions of `q`, best first: [{ text, type, score }]
+export function suggest(index, q, { limit = 8 } = {}) {
+  const typed = normalizeSuggestText(q);
+  const phrase = typed.trim();
+  if (!phrase) return [];
+  const results = new Map();
+  const add = (text, entry, distance) => {
+    if (text === phrase) return;
+    const s = score(entry, distance);
+    if (!results.has(text) || results.get(text).score < s) {
+      results.set(text, { text, type: entry.type, score: Math.round(s * 100) / 100 });
+    }
+  };
+
+  // Whole-phrase completions
+  for (const entry of index.entries) {
+    const distance = prefixDistance(phrase, entry.text, allowedEdits(phrase.length));
+    if (distance !== Infinity) add(entry.text, entry, distance);
+  }
+
+  // Last-word completions after the words already typed
+  const words = typed.split(' ');
+  const last = typed.endsWith(' ') ? '' : words.pop();
+  const head = words.filter(Boolean);
+  if (head.length && last) {
+    for (const entry of index.vocabulary) {
+      if (head.includes(entry.text)) continue;
+      const distance = prefixDistance(last, entry.text, allowedEdits(last.length));
+      if (distance !== Infinity) add(`${head.join(' ')} ${entry.text}`, entry, distance);
+    }
+  }
+
+  return [...results.values()]
+    .sort((a, b) => b.score - a.score || a.text.length - b.text.length)
+    .slice(0, limit);
+}
@@ -0,0 +1,53 @@
+// Tokenization and TF-IDF vectors shared by trending diversity (selectDiverse) and the ranker
+// Tokens are runs of letters, combining marks and digits in any script, so Devanagari and Gujarati
+// words keep their vowel signs ("कुर्ती" stays one token)
+export function tokenize(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(w => w && !stopwords.has(w));
+}
+
+export const stopwords = new Set('a,an,the,and,or,of,in,on,for,with,to,from,by,is,are,was,were,be,as,at,that,this,these,those,men,man,women,woman,unisex,kids,boys,girls,new,latest,online,shop,shopping,buy,style,styles,trend,trending,popular,best,seller,sellers,collection,collections,2024,2025'.split(','));
+
+// Number of token lists each term appears in
+export function documentFrequencies(docs) {
+  const df = new Map();
+  for (const doc of docs) {
+    const uniq = new Set(doc);
+    for (const w of uniq) df.set(w, (df.get(w) || 0) + 1);
+  }
+  return df;
+}
+
+export function buildTfIdfEmbeddings(texts) {
+  const docs = texts.map(t => tokenize(t));
+  const df = documentFrequencies(docs);
+  const N = docs.length;
+  const vecs = docs.map(doc => {
+    const tf = new Map();
+    for (const w of doc) tf.set(w, (tf.get(w) || 0) + 1);
+    const len = doc.length || 1;
+    const v = new Map();
+    for (const [w, c] of tf) {
+      const idf = Math.log((N + 1) / ((df.get(w) || 0) + 1)) + 1; // smoothed idf
+      v.set(w, (c / len) * idf);
+    }
+    return v;
+  });
+  return vecs;
+}
+
+export function cosineSim(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (const [k, va] of a) {
+    na += va * va;
+    const vb = b.get(k);
+    if (vb != null) dot += va * vb;
+  }
+  for (const [, vb] of b) nb += vb * vb;
+  if (!na || !nb) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
@@ -0,0 +1,46 @@
+// Title-derived product attributes shared by providers and ranking code
+
+// Popular fashion brands recognised in product titles
+export const FASHION_BRANDS = [
+  'nike', 'adidas', 'puma', 'reebok', 'under armour',
+  'levi', 'wrangler', 'lee', 'calvin klein', 'tommy hilfiger',
+  'ralph lauren', 'h&m', 'zara', 'uniqlo', 'gap',
+  'forever 21', 'mango', 'bershka', 'pull&bear', 'stradivarius',
+  'myntra', 'ajio', 'amazon', 'flipkart', 'snapdeal'
+];
+
+// Helper function to extract category from product title
+export function extractCategoryFromTitle(title) {
+  const titleLower = title.toLowerCase();
+
+  // Clothing categories
+  if (titleLower.includes('shirt') || titleLower.includes('top') || titleLower.includes('tee')) return 'shirts';
+  if (titleLower.includes('dress') || titleLower.includes('gown')) return 'dresses';
+  if (titleLower.includes('pant') || titleLower.includes('jean') || titleLower.includes('trouser')) return 'pants';
+  if (titleLower.includes('skirt')) return 'skirts';
+  if (titleLower.includes('hoodie') || titleLower.includes('sweatshirt')) return 'hoodies';
+  if (titleLower.includes('jacket') || titleLower.includes('coat')) return 'outerwear';
+  if (titleLower.includes('suit') || titleLower.includes('blazer')) return 'formal';
+
+  // Footwear categories
+  if (titleLower.includes('shoe') || titleLower.includes('sneaker') || titleLower.includes('boot')) return 'footwear';
+  if (titleLower.includes('sandal') || titleLower.includes('flip')) return 'sandals';
+
+  // Accessories categories
+  if (titleLower.includes('bag') || titleLower.includes('purse') || titleLower.includes('handbag')) return 'bags';
+  if (titleLower.includes('jewelry') || titleLower.includes('necklace') || titleLower.includes('ring')) return 'jewelry';
+  if (titleLower.includes('watch') || titleLower.includes('clock')) return 'watches';
+
+  return 'general';
+}
+
+// Helper function to extract brand from product title
+export function extractBrandFromTitle(title) {
+  const titleLower = title.toLowerCase();
+
+  for (const brand of FASHION_BRANDS) {
+    if (titleLower.includes(brand)) return brand.toUpperCase();
+  }
+
+  return null;
+}
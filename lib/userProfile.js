@@ -0,0 +1,142 @@
+// Shopper profile saved on the user: sizes, fit, department, budget and preferred retailers
+//
+// profile = {
+//   sizes: { tops: 'M', bottoms: '32', shoes: 'UK 8' },
+//   measurements: { chest: 98, waist: 82, footLength: 26 },   body measurements in cm (bust for chest)
+//   fit: 'slim', department: 'men',
+//   budget: { min: 500, max: 2500 },
+//   retailers: ['myntra', 'ajio']
+// }
+// Every field is optional. /search and /ootd/suggestions fill in from it whatever the request and the
+// query leave unset: department and fit go into the provider query, sizes, budget and retailers
+// become default filters (profileFilters). Measurements, or failing them the saved sizes, give the
+// recommended size per product (lib/sizeCharts.js).
+import { FIT_TERMS, GENDER_TERMS } from './queryParser.js';
+import { normalizeSize, isSizeLabel, convertShoeSize } from './sizes.js';
+
+const MAX_RETAILERS = 10;
+
+// Plausible adult and kids' ranges in cm, to catch inches typed into a cm field
+const MEASUREMENT_LIMITS = {
+  chest: [50, 170],
+  waist: [40, 160],
+  footLength: [12, 35]
+};
+
+// Query categories (CATEGORY_TERMS in lib/queryParser.js) whose size comes from each profile size
+export const SIZE_GROUPS = {
+  tops: ['t-shirt', 'polo', 'shirt', 'top', 'kurta', 'kurti', 'sherwani', 'dress', 'jacket', 'coat', 'blazer', 'hoodie', 'sweatshirt', 'sweater'],
+  bottoms: ['jeans', 'trousers', 'salwar', 'shorts', 'skirt'],
+  shoes: ['sneakers', 'shoes', 'boots', 'sandals', 'heels', 'jutti']
+};
+
+export function sizeGroupOf(category) {
+  if (!category) return null;
+  return Object.keys(SIZE_GROUPS).find(group => SIZE_GROUPS[group].includes(category)) || null;
+}
+
+function shoeDepartment(profile) {
+  return profile?.department === 'women' ? 'women' : 'men';
+}
+
+// Validate a PUT /profile body; the result replaces the saved profile
+export function normalizeProfileInput(input = {}) {
+  const profile = { sizes: {}, measurements: {}, fit: null, department: null, budget: null, retailers: [] };
+
+  if (input.department != null && input.department !== '') {
+    const department = String(input.department).toLowerCase();
+    if (!GENDER_TERMS[department]) return { error: `department must be one of ${Object.keys(GENDER_TERMS).join(', ')}` };
+    profile.department = department;
+  }
+
+  for (const group of Object.keys(SIZE_GROUPS)) {
+    const raw = input.sizes?.[group];
+    if (raw == null || raw === '') continue;
+    if (group === 'shoes') {
+      const converted = convertShoeSize(raw, shoeDepartment(profile));
+      if (!converted) return { error: 'sizes.shoes must be a shoe size like UK 8, EU 42 or US 9' };
+      // Kept in the system it was entered in; a bare number or an IND size is stored as UK/EU
+      const label = normalizeSize(raw);
+      profile.sizes.shoes = /^(?:UK|EU|US) /.test(label) ? label : converted[parseFloat(label) >= 30 ? 'EU' : 'UK'];
+    } else {
+      const size = normalizeSize(raw);
+      if (!isSizeLabel(size)) return { error: `sizes.${group} must be a size like M, XL or 32` };
+      profile.sizes[group] = size;
+    }
+  }
+
+  for (const [field, [low, high]] of Object.entries(MEASUREMENT_LIMITS)) {
+    const raw = input.measurements?.[field];
+    if (raw == null || raw === '') continue;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < low || value > high) {
+      return { error: `measurements.${field} must be in cm, between ${low} and ${high}` };
+    }
+    profile.measurements[field] = Math.round(value * 10) / 10;
+  }
+
+  if (input.fit != null && input.fit !== '') {
+    const fit = String(input.fit).toLowerCase();
+    if (!FIT_TERMS[fit]) return { error: `fit must be one of ${Object.keys(FIT_TERMS).join(', ')}` };
+    profile.fit = fit;
+  }
+
+  const budget = input.budget || {};
+  const min = budget.min == null || budget.min === '' ? null : Number(budget.min);
+  const max = budget.max == null || budget.max === '' ? null : Number(budget.max);
+  if ((min != null && (!Number.isFinite(min) || min < 0)) || (max != null && (!Number.isFinite(max) || max <= 0))) {
+    return { error: 'budget.min and budget.max must be positive numbers' };
+  }
+  if (min != null && max != null && min > max) return { error: 'budget.min must not be above budget.max' };
+  if (min != null || max != null) profile.budget = { min: min != null ? Math.round(min) : null, max: max != null ? Math.round(max) : null };
+
+  const retailers = Array.isArray(input.retailers) ? input.retailers : String(input.retailers || '').split(',');
+  profile.retailers = [...new Set(retailers.map(r => String(r).trim().toLowerCase()).filter(Boolean))];
+  if (profile.retailers.length > MAX_RETAILERS) return { error: `At most ${MAX_RETAILERS} retailers` };
+  if (profile.retailers.some(r => !/^[a-z0-9][a-z0-9 .&-]*$/.test(r))) return { error: 'retailers must be retailer names like myntra or ajio' };
+
+  return { profile };
+}
+
+// The profile as the API returns it, with the shoe size in all three systems
+export function profileView(profile) {
+  const saved = profile || {};
+  return {
+    sizes: { tops: null, bottoms: null, shoes: null, ...(saved.sizes || {}) },
+    shoeSizes: saved.sizes?.shoes ? convertShoeSize(saved.sizes.shoes, shoeDepartment(saved)) : null,
+    measurements: { chest: null, waist: null, footLength: null, ...(saved.measurements || {}) },
+    fit: saved.fit || null,
+    department: saved.department || null,
+    budget: saved.budget?.min != null || saved.budget?.max != null ? { min: saved.budget.min ?? null, max: saved.budget.max ?? null } : null,
+    retailers: saved.retailers || [],
+    updatedAt: saved.updatedAt || null
+  };
+}
+
+// Department and fit for the provider query where the query names none. Fit is left off footwear
+// and accessories, which don't come in fits.
+export function profileAttributes(attributes, profile) {
+  if (!profile || !attributes) return attributes;
+  const next = { ...attributes };
+  if (!next.gender && profile.department) next.gender = profile.department;
+  const group = sizeGroupOf(next.category);
+  if (!next.fit && profile.fit && (group === 'tops' || group === 'bottoms')) next.fit = profile.fit;
+  return next;
+}
+
+// Default applyFilters arguments from the profile. The size is the one saved for `group` (tops, bottoms
+// or shoes, see sizeGroupOf) and is left out without one; a shoe size is matched in UK and EU, since
+// listings print bare UK numbers that a US size would be confused with.
+export function profileFilters(profile, group = null) {
+  if (!profile) return {};
+  const filters = {};
+  const size = group ? profile.sizes?.[group] : null;
+  if (size) {
+    const shoe = group === 'shoes' ? convertShoeSize(size, shoeDepartment(profile)) : null;
+    filters.sizes = shoe ? [shoe.UK, shoe.EU] : [size];
+  }
+  if (profile.budget?.min != null) filters.minPrice = profile.budget.min;
+  if (profile.budget?.max != null) filters.maxPrice = profile.budget.max;
+  if (profile.retailers?.length) filters.retailers = [...profile.retailers];
+  return filters;
+}
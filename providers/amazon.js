@@ -0,0 +1,54 @@
+// Amazon.in via SerpAPI's amazon engine
+import fetch from 'node-fetch';
+import { withFixtures } from '../lib/fixtures.js';
+import { collectOffers, toAmount } from '../lib/pricing.js';
+
+async function searchAmazonInLive(searchQuery, { signal } = {}) {
+  const url = new URL('https://serpapi.com/search.json');
+  url.searchParams.set('engine', 'amazon');
+  url.searchParams.set('amazon_domain', 'amazon.in');
+  url.searchParams.set('gl', 'in');
+  url.searchParams.set('hl', 'en');
+  url.searchParams.set('k', searchQuery);
+  url.searchParams.set('num', '10'); // Get more results
+  url.searchParams.set('api_key', process.env.SERPAPI_API_KEY);
+
+  const resp = await fetch(url.toString(), { signal });
+  if (!resp.ok) throw new Error(`SerpAPI amazon error: ${resp.status} ${await resp.text()}`);
+  const json = await resp.json();
+  const items = json?.organic_results || [];
+  return items.map(item => {
+    // prefer INR price if present
+    let price = item.price || item.price_raw || null;
+    if (price && typeof price === 'string' && !price.includes('₹') && item.currency === 'INR') {
+      price = `₹${price.replace(/[^\d.]/g, '')}`;
+    }
+    return {
+      title: item.title ?? null,
+      price,
+      link: item.link ?? null,
+      source: 'Amazon',
+      thumbnail: item.thumbnail ?? null,
+      currency: item.currency || 'INR',
+      // old_price is the struck-through M.R.P.; badges/offers hold "Limited time deal", coupons, bank offers
+      mrp: toAmount(item.extracted_old_price ?? item.old_price),
+      offers: collectOffers(item.badges || [], item.badge, item.offers || [], item.coupon),
+      rating: item.rating ?? null,
+      reviews: item.reviews ?? null,
+      // stock is only set when low ("Only 3 left in stock."); delivery is a list of lines
+      availability: item.stock ?? null,
+      shipping: item.delivery ?? null
+    };
+  });
+}
+
+export const searchAmazonIn = withFixtures('serpapi_amazon', searchAmazonInLive, {
+  keyOf: searchQuery => [searchQuery]
+});
+
+export default {
+  name: 'amazon',
+  label: 'Amazon.in',
+  timeoutMs: 8000,
+  search: searchAmazonIn
+};
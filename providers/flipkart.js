@@ -0,0 +1,4 @@
+// Flipkart via Google site: search
+import { createSiteProvider } from './googleSite.js';
+
+export default createSiteProvider({ name: 'flipkart', label: 'Flipkart', site: 'flipkart.com' });
@@ -0,0 +1,60 @@
+// Google Shopping India via SerpAPI
+import fetch from 'node-fetch';
+import { withFixtures } from '../lib/fixtures.js';
+import { collectOffers, parseDiscountText, toAmount } from '../lib/pricing.js';
+import { availabilityLabel } from '../lib/listingDetails.js';
+
+async function searchSerpApiLive(searchQuery, { signal } = {}) {
+  const serpUrl = new URL('https://serpapi.com/search.json');
+  serpUrl.searchParams.set('engine', 'google_shopping');
+  serpUrl.searchParams.set('q', searchQuery);
+  serpUrl.searchParams.set('gl', 'in'); // country: India
+  serpUrl.searchParams.set('hl', 'en');
+  serpUrl.searchParams.set('google_domain', 'google.co.in');
+  serpUrl.searchParams.set('num', '20'); // Get more results
+  serpUrl.searchParams.set('api_key', process.env.SERPAPI_API_KEY);
+
+  const serpResp = await fetch(serpUrl.toString(), { signal });
+  if (!serpResp.ok) {
+    throw new Error(`SerpAPI error: ${serpResp.status} ${await serpResp.text()}`);
+  }
+  const serpJson = await serpResp.json();
+  const products = (serpJson?.shopping_results || []).map(item => {
+    const currency = item.currency || item.currency_symbol;
+    let priceStr = item.price || null;
+    if (!priceStr && item.extracted_price != null) {
+      // Only format INR explicitly; otherwise leave null to be filtered later
+      if (currency === 'INR' || currency === '₹') priceStr = `₹${item.extracted_price}`;
+    }
+    // tag is "30% OFF" or "SALE"; extensions carry "Free delivery", "Bank offer" and the like
+    const offers = collectOffers(item.tag, item.extensions || [], item.delivery);
+    return {
+      title: item.title ?? null,
+      price: priceStr,
+      link: item.link ?? null,
+      source: item.source ?? null,
+      thumbnail: item.thumbnail ?? null,
+      currency: currency === '₹' ? 'INR' : currency || null,
+      mrp: toAmount(item.extracted_old_price ?? item.old_price),
+      discountPercent: parseDiscountText(item.tag) ?? (item.extensions || []).map(parseDiscountText).find(pct => pct != null) ?? null,
+      offers,
+      rating: item.rating ?? null,
+      reviews: item.reviews ?? null,
+      // "In stock" / "Out of stock" only ever shows up among the extensions
+      availability: (item.extensions || []).map(availabilityLabel).find(Boolean) || null,
+      shipping: item.delivery ?? null
+    };
+  });
+  return products;
+}
+
+export const searchSerpApi = withFixtures('serpapi_shopping', searchSerpApiLive, {
+  keyOf: searchQuery => [searchQuery]
+});
+
+export default {
+  name: 'google_shopping',
+  label: 'Google Shopping',
+  timeoutMs: 8000,
+  search: searchSerpApi
+};
@@ -0,0 +1,126 @@
+// Search provider registry
+// Each retailer source lives in its own module and exports a provider:
+//   { name, label, search(query, { signal }) => Promise<product[]>, timeoutMs?, enabled? }
+// To add a retailer (e.g. Ajio), create providers/ajio.js with
+// createSiteProvider({ name: 'ajio', label: 'Ajio', site: 'ajio.com' }) and add it to BUILTIN_PROVIDERS.
+//
+// Per-provider config can be overridden from the environment without code changes:
+//   PROVIDER_<NAME>_ENABLED=0        turn a provider off (e.g. PROVIDER_MYNTRA_ENABLED=0)
+//   PROVIDER_<NAME>_TIMEOUT_MS=5000  per-provider timeout
+//   PROVIDER_TIMEOUT_MS=8000         default timeout for providers without their own
+import googleShopping from './googleShopping.js';
+import amazon from './amazon.js';
+import flipkart from './flipkart.js';
+import myntra from './myntra.js';
+
+const BUILTIN_PROVIDERS = [googleShopping, amazon, flipkart, myntra];
+const DEFAULT_TIMEOUT_MS = 8000;
+
+const registry = new Map();
+
+function envKey(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+function readBoolEnv(key) {
+  const raw = process.env[key];
+  if (raw == null || raw === '') return null;
+  const v = String(raw).toLowerCase();
+  return v === '1' || v === 'true';
+}
+
+export function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.search !== 'function') {
+    throw new Error('Provider must have a name and a search function');
+  }
+  registry.set(provider.name, provider);
+  return provider;
+}
+
+function readTimeoutEnv(key) {
+  const ms = Number(process.env[key]);
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
+}
+
+// Effective config for a provider: module defaults overridden by env vars.
+// Timeout: PROVIDER_<NAME>_TIMEOUT_MS, then the module's timeoutMs, then PROVIDER_TIMEOUT_MS, then 8000
+export function getProviderConfig(provider) {
+  const key = envKey(provider.name);
+  const enabledEnv = readBoolEnv(`PROVIDER_${key}_ENABLED`);
+  return {
+    enabled: enabledEnv != null ? enabledEnv : provider.enabled !== false,
+    timeoutMs: readTimeoutEnv(`PROVIDER_${key}_TIMEOUT_MS`) || provider.timeoutMs ||
+      readTimeoutEnv('PROVIDER_TIMEOUT_MS') || DEFAULT_TIMEOUT_MS
+  };
+}
+
+export function listProviders() {
+  return [...registry.values()].map(p => ({
+    name: p.name,
+    label: p.label || p.name,
+    ...getProviderConfig(p)
+  }));
+}
+
+// Run one provider with its timeout; never throws, returns a report entry
+async function runProvider(provider, searchQuery, timeoutMs) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    const items = await Promise.race([provider.search(searchQuery, { signal: controller.signal }), timeout]);
+    const products = Array.isArray(items) ? items : [];
+    return {
+      products,
+      report: { name: provider.name, status: 'ok', count: products.length, durationMs: Date.now() - startedAt }
+    };
+  } catch (error) {
+    const timedOut = controller.signal.aborted;
+    // Request URLs carry the SerpAPI key; keep it out of logs and responses
+    const message = String(error.message || error).replace(/api_key=[^&\s]+/g, 'api_key=***');
+    console.error(`Provider ${provider.name} failed:`, message);
+    return {
+      products: [],
+      report: {
+        name: provider.name,
+        status: timedOut ? 'timeout' : 'failed',
+        count: 0,
+        durationMs: Date.now() - startedAt,
+        error: message
+      }
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Run every enabled provider concurrently.
+// onResult(products, report) is called as each provider settles; the returned
+// reports keep registry order.
+export async function runProviders(searchQuery, { onResult } = {}) {
+  const runs = [...registry.values()].map(provider => {
+    const { enabled, timeoutMs } = getProviderConfig(provider);
+    if (!enabled) {
+      return { products: [], report: { name: provider.name, status: 'disabled', count: 0, durationMs: 0 } };
+    }
+    return runProvider(provider, searchQuery, timeoutMs).then(result => {
+      if (onResult) onResult(result.products, result.report);
+      return result;
+    });
+  });
+
+  const results = await Promise.all(runs);
+  return {
+    products: results.flatMap(r => r.products),
+    reports: results.map(r => r.report)
+  };
+}
+
+BUILTIN_PROVIDERS.forEach(registerProvider);
@@ -0,0 +1,4 @@
+// Myntra via Google site: search
+import { createSiteProvider } from './googleSite.js';
+
+export default createSiteProvider({ name: 'myntra', label: 'Myntra', site: 'myntra.com' });
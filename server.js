@@ -17,6 +17,34 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { OAuth2Client } from 'google-auth-library';
 import cors from 'cors';
+import crypto from 'crypto';
+import { runProviders, listProviders } from './providers/index.js';
+import { searchGoogleSite } from './providers/googleSite.js';
+import { withFixtures, isReplay } from './lib/fixtures.js';
+import { createCache, cacheKey, normalizeQuery, hashValue } from './lib/cache.js';
+import { parseQueryLocal, normalizeAttributes, buildSearchQuery, attributesToFilters } from './lib/queryParser.js';
+import { matchProducts } from './lib/productMatching.js';
+import { buildTfIdfEmbeddings, cosineSim } from './lib/textVectors.js';
+import { rankProducts } from './lib/ranking.js';
+import { createFeedbackStore, createFeedbackGuard, feedbackItemKey, FEEDBACK_EVENT_TYPES } from './lib/feedback.js';
+import { parseProductPage, extractSizes, siteForProduct } from './lib/pageParser.js';
+import { createPriceHistory, summarizePriceHistory, priceLinkKey } from './lib/priceHistory.js';
+import { createMailer } from './lib/mailer.js';
+import { normalizeAlertInput, evaluateAlert, alertThreshold, priceDropMessage } from './lib/priceAlerts.js';
+import { createScheduler } from './lib/scheduler.js';
+import { createScrapeClient, ScrapeBlockedError } from './lib/scrapeClient.js';
+import { pricingFields, collectOffers } from './lib/pricing.js';
+import { listingFields } from './lib/listingDetails.js';
+import { sizeInStock } from './lib/sizes.js';
+import { normalizeProfileInput, profileView, profileAttributes, profileFilters, sizeGroupOf } from './lib/userProfile.js';
+import { recommendSize } from './lib/sizeCharts.js';
+import { normalizeSavedSearchInput, nextAlertRun, findNewItems, newItemsMessage } from './lib/savedSearches.js';
+import { buildSuggestionIndex, suggest } from './lib/suggest.js';
+import { extractBrandFromTitle } from './lib/titleAttributes.js';
+import { correctQuery } from './lib/spellCorrect.js';
+import { translateQuery } from './lib/queryLanguage.js';
+import { extractPalette, paletteColorNames, imageHasColor } from './lib/imageColors.js';
+import { normalizeBbox, cropImageBuffer, normalizeDetectedItems, layoutItems, ITEM_TYPES } from './lib/imageRegions.js';
 
 // Load env vars from .env if present
 dotenv.config();
@@ -118,6 +146,61 @@ const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || '';
 const MOCK = String(process.env.MOCK || '').toLowerCase() === '1' || String(process.env.MOCK || '').toLowerCase() === 'true';
 const SPELL_ONLY = String(process.env.SPELL_ONLY || '').toLowerCase() === '1' || String(process.env.SPELL_ONLY || '').toLowerCase() === 'true';
+const SEARCH_CACHE_QUERY_TTL_SEC = Number(process.env.SEARCH_CACHE_QUERY_TTL_SEC || 24 * 3600);
+const SEARCH_CACHE_RESULTS_TTL_SEC = Number(process.env.SEARCH_CACHE_RESULTS_TTL_SEC || 15 * 60);
+
+// Cache for Gemini query rewrites and provider results (see lib/cache.js)
+const searchCache = createCache({
+  backend: process.env.SEARCH_CACHE || 'memory',
+  maxEntries: Number(process.env.SEARCH_CACHE_MAX_ENTRIES || 500)
+});
+const feedbackStore = createFeedbackStore({
+  backend: process.env.FEEDBACK_STORE || 'memory'
+});
+// Per-client rate limit and dedupe for feedback sent from outside (see lib/feedback.js)
+const feedbackGuard = createFeedbackGuard({
+  maxEvents: Number(process.env.FEEDBACK_RATE_LIMIT || 300),
+  dedupeWindowMs: Number(process.env.FEEDBACK_DEDUPE_WINDOW_SEC || 3600) * 1000
+});
+// Every price seen for a product link (see lib/priceHistory.js)
+const priceHistory = createPriceHistory({
+  backend: process.env.PRICE_HISTORY_STORE || 'mongo'
+});
+// Retailer page fetches: per-domain rate limits, robots.txt, caching and circuit breaker (see lib/scrapeClient.js)
+const scrapeClient = createScrapeClient();
+const REFRESH_PRICES_MAX = Number(process.env.REFRESH_PRICES_MAX || 30);
+// Size lists read off product pages, per link (see extractSizes in lib/pageParser.js)
+const productSizesCache = createCache({
+  backend: process.env.SIZE_CACHE || 'memory',
+  maxEntries: Number(process.env.SIZE_CACHE_MAX_ENTRIES || 2000)
+});
+const SIZE_CACHE_TTL_SEC = Number(process.env.SIZE_CACHE_TTL_SEC || 3 * 3600);
+const SIZE_LOOKUP_LIMIT = Number(process.env.SIZE_LOOKUP_LIMIT || 8);
+const SIZE_LOOKUP_TIMEOUT_MS = Number(process.env.SIZE_LOOKUP_TIMEOUT_MS || 3000);
+// Dominant colors of product thumbnails, per image URL (see lib/imageColors.js)
+const imageColorsCache = createCache({
+  backend: process.env.IMAGE_COLORS_CACHE || 'memory',
+  maxEntries: Number(process.env.IMAGE_COLORS_CACHE_MAX_ENTRIES || 5000)
+});
+const IMAGE_COLORS_TTL_SEC = Number(process.env.IMAGE_COLORS_TTL_SEC || 7 * 24 * 3600);
+const IMAGE_COLORS_LOOKUP_LIMIT = Number(process.env.IMAGE_COLORS_LOOKUP_LIMIT || 24);
+const IMAGE_COLORS_TIMEOUT_MS = Number(process.env.IMAGE_COLORS_TIMEOUT_MS || 2500);
+const IMAGE_COLORS_MAX_BYTES = Number(process.env.IMAGE_COLORS_MAX_BYTES || 1024 * 1024);
+// Email for price alerts (see lib/mailer.js); MAILER=smtp with `node smtp-sink.js` for local testing
+const mailer = createMailer({ transport: process.env.MAILER || 'log' });
+const PRICE_ALERTS_INTERVAL_MIN = Number(process.env.PRICE_ALERTS_INTERVAL_MIN || 60);
+const PRICE_ALERTS_BATCH = Number(process.env.PRICE_ALERTS_BATCH || 25);
+// Search history and saved searches (see lib/savedSearches.js)
+const SEARCH_HISTORY_MAX_PER_USER = Number(process.env.SEARCH_HISTORY_MAX_PER_USER || 200);
+const SEARCH_THUMBNAIL_MAX_BYTES = Number(process.env.SEARCH_THUMBNAIL_MAX_BYTES || 64 * 1024);
+const SAVED_SEARCHES_MAX_PER_USER = Number(process.env.SAVED_SEARCHES_MAX_PER_USER || 50);
+const SAVED_SEARCH_ALERTS_BATCH = Number(process.env.SAVED_SEARCH_ALERTS_BATCH || 10);
+// Background jobs (see lib/scheduler.js and the "Scheduled jobs" section near the end of this file)
+const scheduler = createScheduler({
+  backend: process.env.JOB_SCHEDULER || 'mongo',
+  tickMs: Number(process.env.SCHEDULER_TICK_SEC || 30) * 1000
+});
+const ADMIN_EMAILS = String(process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
 
 // Connect to MongoDB (after env vars are defined)
 if (MONGODB_URI) {
@@ -132,7 +215,7 @@ const GEMINI_TEXT_MODEL = 'gemini-1.5-flash';
 const GEMINI_VISION_MODEL = 'gemini-1.5-flash';
 
 // Helper: fetch image and convert to base64 for Gemini inline_data
-async function fetchImageAsBase64(url) {
+async function fetchImageAsBase64Live(url) {
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Failed to fetch image: ${res.status}`);
   const contentType = res.headers.get('content-type') || 'image/jpeg';
@@ -141,6 +224,8 @@ async function fetchImageAsBase64(url) {
   return { base64, contentType };
 }
 
+const fetchImageAsBase64 = withFixtures('image_fetch', fetchImageAsBase64Live, { keyOf: url => [url] });
+
 // Helper: parse Gemini generateContent response to text
 function parseGeminiText(json) {
   return (json?.candidates?.[0]?.content?.parts || [])
@@ -150,16 +235,19 @@ function parseGeminiText(json) {
     .trim();
 }
 
-async function queryGeminiFromText(text) {
+async function queryGeminiFromTextLive(text) {
   const taskPrompt = SPELL_ONLY
     ? [
         'You are a shopping assistant.',
         'Task: Correct spelling and normalize the phrase for product search.',
+        'The phrase may be in Hindi, Gujarati or romanized Hindi (Hinglish); translate it to English.',
         'Return ONLY the corrected phrase without quotes.'
       ].join('\n')
     : [
         'You are a fashion expert creating shopping search queries.',
         'TASK: Convert this description into a precise shopping search query for fashion items.',
+        'The description may be in Hindi, Gujarati or romanized Hindi (Hinglish); always write the query in English',
+        '(e.g. "मर्दों के लिए काली जींस" → "black jeans men", "laal lehenga shaadi ke liye" → "red lehenga wedding women").',
         '',
         'HANDLE THESE TYPES OF QUERIES:',
         '1. SPECIFIC ITEMS: "red shirt" → "red shirt fashion casual"',
@@ -240,7 +328,66 @@ async function queryGeminiFromText(text) {
   return out;
 }
 
-async function queryGeminiFromImage({ base64, contentType }, caption) {
+const queryGeminiFromText = withFixtures('gemini_text', queryGeminiFromTextLive, {
+  keyOf: text => [text, SPELL_ONLY]
+});
+
+// Structured query understanding: Gemini fills the attribute JSON, normalizeAttributes
+// maps it onto our vocabulary and fills gaps (e.g. price intent) from the local parser.
+async function queryGeminiAttributesLive(text) {
+  const prompt = [
+    'You are a fashion shopping assistant. Extract structured search attributes from the user query.',
+    'The query may be in Hindi, Gujarati or romanized Hindi (Hinglish); always answer with English values.',
+    'Respond with ONLY a JSON object with these keys (use null when not mentioned):',
+    '- category: product type, singular (e.g. "t-shirt", "jeans", "kurti", "sneakers", "handbag")',
+    '- color: main color (e.g. "black", "navy")',
+    '- material: fabric or material (e.g. "cotton", "denim", "leather")',
+    '- gender: one of "men", "women", "kids", "unisex"',
+    '- fit: e.g. "slim", "regular", "relaxed", "oversized"',
+    '- occasion: one of "casual", "formal", "office", "party", "wedding", "festive", "sports", "beach", "lounge"',
+    '- size: size label as written (e.g. "m", "xl", "UK 8", "32")',
+    '- brand: brand name if mentioned',
+    '- minPrice, maxPrice: numbers in INR from phrases like "under 1000" or "between 500 and 1500"',
+    '- keywords: array of other descriptive words worth searching for (e.g. ["floral", "summer"]), fix spelling',
+    '',
+    'Example: "black slim fit cotton shirt for men under 1500" ->',
+    '{"category":"shirt","color":"black","material":"cotton","gender":"men","fit":"slim","occasion":null,"size":null,"brand":null,"minPrice":null,"maxPrice":1500,"keywords":[]}',
+    '',
+    `User query:\n${text}`
+  ].join('\n');
+
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_TEXT_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
+  const body = {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: { responseMimeType: 'application/json' }
+  };
+
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!resp.ok) {
+    throw new Error(`Gemini attributes error: ${resp.status} ${await resp.text()}`);
+  }
+  const json = await resp.json();
+  const out = parseGeminiText(json).replace(/^```(?:json)?\s*|\s*```$/g, '');
+  if (!out) throw new Error('Empty Gemini attributes result');
+  let parsed;
+  try {
+    parsed = JSON.parse(out);
+  } catch (e) {
+    throw new Error(`Gemini returned invalid attributes JSON: ${out.slice(0, 200)}`);
+  }
+  console.log('Parsed Gemini query attributes:', parsed);
+  return parsed;
+}
+
+const queryGeminiAttributes = withFixtures('gemini_attributes', queryGeminiAttributesLive, {
+  keyOf: text => [text]
+});
+
+async function queryGeminiFromImageLive({ base64, contentType }, caption) {
   // Always use enhanced prompt for image analysis, regardless of SPELL_ONLY setting
   const task = `You are a fashion expert analyzing clothing images. Look at this image carefully and identify the specific fashion items.
 
@@ -334,244 +481,52 @@ IMPORTANT:
   }
 }
 
-async function searchSerpApi(searchQuery) {
-  const serpUrl = new URL('https://serpapi.com/search.json');
-  serpUrl.searchParams.set('engine', 'google_shopping');
-  serpUrl.searchParams.set('q', searchQuery);
-  serpUrl.searchParams.set('gl', 'in'); // country: India
-  serpUrl.searchParams.set('hl', 'en');
-  serpUrl.searchParams.set('google_domain', 'google.co.in');
-  serpUrl.searchParams.set('num', '20'); // Get more results
-  serpUrl.searchParams.set('api_key', SERPAPI_API_KEY);
+const queryGeminiFromImage = withFixtures('gemini_image', queryGeminiFromImageLive, {
+  keyOf: ({ base64, contentType }, caption) => [base64, contentType, caption || '']
+});
 
-  const serpResp = await fetch(serpUrl.toString());
-  if (!serpResp.ok) {
-    throw new Error(`SerpAPI error: ${serpResp.status} ${await serpResp.text()}`);
-  }
-  const serpJson = await serpResp.json();
-  const products = (serpJson?.shopping_results || []).map(item => {
-    const currency = item.currency || item.currency_symbol;
-    let priceStr = item.price || null;
-    if (!priceStr && item.extracted_price != null) {
-      // Only format INR explicitly; otherwise leave null to be filtered later
-      if (currency === 'INR' || currency === '₹') priceStr = `₹${item.extracted_price}`;
-    }
-    return {
-      title: item.title ?? null,
-      price: priceStr,
-      link: item.link ?? null,
-      source: item.source ?? null,
-      thumbnail: item.thumbnail ?? null
-    };
-  });
-  return products;
-}
+// Every fashion item in an outfit photo with its box and a query of its own (see lib/imageRegions.js)
+async function queryGeminiItemsLive({ base64, contentType }) {
+  const prompt = [
+    'You are a fashion expert. Find each fashion item worn or carried in this photo.',
+    'Respond with ONLY a JSON object {"items": [...]} with at most 6 items, each with these keys:',
+    `- type: one of ${ITEM_TYPES.map(type => `"${type}"`).join(', ')}`,
+    '- label: the item in a few words (e.g. "navy denim jacket")',
+    '- query: a shopping search query for just this item (e.g. "navy denim jacket women cropped")',
+    '- box_2d: [ymin, xmin, ymax, xmax] of the item, each from 0 to 1000',
+    'Return {"items": []} when no fashion item is visible.'
+  ].join('\n');
 
-async function searchAmazonIn(searchQuery) {
-  const url = new URL('https://serpapi.com/search.json');
-  url.searchParams.set('engine', 'amazon');
-  url.searchParams.set('amazon_domain', 'amazon.in');
-  url.searchParams.set('gl', 'in');
-  url.searchParams.set('hl', 'en');
-  url.searchParams.set('k', searchQuery);
-  url.searchParams.set('num', '10'); // Get more results
-  url.searchParams.set('api_key', SERPAPI_API_KEY);
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_VISION_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
+  const body = {
+    contents: [{ role: 'user', parts: [{ text: prompt }, { inline_data: { mime_type: contentType, data: base64 } }] }],
+    generationConfig: { responseMimeType: 'application/json' }
+  };
 
-  const resp = await fetch(url.toString());
-  if (!resp.ok) throw new Error(`SerpAPI amazon error: ${resp.status} ${await resp.text()}`);
-  const json = await resp.json();
-  const items = json?.organic_results || [];
-  return items.map(item => {
-    // prefer INR price if present
-    let price = item.price || item.price_raw || null;
-    if (price && typeof price === 'string' && !price.includes('₹') && item.currency === 'INR') {
-      price = `₹${price.replace(/[^\d.]/g, '')}`;
-    }
-    return {
-      title: item.title ?? null,
-      price,
-      link: item.link ?? null,
-      source: 'Amazon',
-      thumbnail: item.thumbnail ?? null
-    };
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(15000)
   });
-}
-
-async function searchGoogleSite(searchQuery, site) {
-  const url = new URL('https://serpapi.com/search.json');
-  url.searchParams.set('engine', 'google');
-  url.searchParams.set('google_domain', 'google.co.in');
-  url.searchParams.set('gl', 'in');
-  url.searchParams.set('hl', 'en');
-  url.searchParams.set('q', `site:${site} ${searchQuery}`);
-  url.searchParams.set('api_key', SERPAPI_API_KEY);
-
-  const resp = await fetch(url.toString());
-  if (!resp.ok) throw new Error(`SerpAPI google(site:${site}) error: ${resp.status} ${await resp.text()}`);
-  const json = await resp.json();
-  const items = json?.organic_results || [];
-  
-  return items.map(item => {
-    // Generate a placeholder image based on the site and search query
-    let thumbnail = item.thumbnail ?? item.thumbnail_url ?? null;
-    
-    if (!thumbnail) {
-      // Create a placeholder image URL based on the site and content
-      const siteName = site.replace(/^www\./, '').replace('.com', '').replace('.in', '');
-      const queryWords = searchQuery.split(' ').slice(0, 2).join('-');
-      
-      // Platform-specific themed placeholders for all major e-commerce sites
-      if (site.includes('flipkart.com')) {
-        // Flipkart: Blue theme (#2874f0) - Flipkart's brand color
-        const flipkartMatch = item.link?.match(/flipkart\.com\/([^\/]+)\/([^\/]+)\/([^\/]+)/);
-        if (flipkartMatch) {
-          const category = flipkartMatch[1];
-          const subcategory = flipkartMatch[2];
-          const productId = flipkartMatch[3];
-          
-          // Create a more specific Flipkart-themed placeholder with category info
-          thumbnail = `https://via.placeholder.com/300x400/2874f0/ffffff?text=FLIPKART%5Cn${encodeURIComponent(category.toUpperCase())}%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-        } else {
-          // Generic Flipkart placeholder with blue theme
-          thumbnail = `https://via.placeholder.com/300x400/2874f0/ffffff?text=FLIPKART%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-        }
-      } else if (site.includes('myntra.com')) {
-        // Myntra: Pink theme (#ff3f6c) - Myntra's brand color
-        thumbnail = `https://via.placeholder.com/300x400/ff3f6c/ffffff?text=MYNTRA%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      } else if (site.includes('ajio.com')) {
-        // Ajio: Green theme (#00a9a9) - Ajio's brand color
-        thumbnail = `https://via.placeholder.com/300x400/00a9a9/ffffff?text=AJIO%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      } else if (site.includes('amazon.in')) {
-        // Amazon: Orange theme (#ff9900) - Amazon's brand color
-        thumbnail = `https://via.placeholder.com/300x400/ff9900/ffffff?text=AMAZON%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      } else if (site.includes('snapdeal.com')) {
-        // Snapdeal: Red theme (#ff6b35) - Snapdeal's brand color
-        thumbnail = `https://via.placeholder.com/300x400/ff6b35/ffffff?text=SNAPDEAL%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      } else if (site.includes('nykaa.com')) {
-        // Nykaa: Pink theme (#ff3f6c) - Nykaa's brand color
-        thumbnail = `https://via.placeholder.com/300x400/ff3f6c/ffffff?text=NYKAA%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      } else if (site.includes('purplle.com')) {
-        // Purplle: Purple theme (#8b5cf6) - Purplle's brand color
-        thumbnail = `https://via.placeholder.com/300x400/8b5cf6/ffffff?text=PURPLLE%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      } else if (site.includes('meesho.com')) {
-        // Meesho: Pink theme (#ff6b6b) - Meesho's brand color
-        thumbnail = `https://via.placeholder.com/300x400/ff6b6b/ffffff?text=MEESHO%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      } else if (site.includes('jiomart.com')) {
-        // JioMart: Blue theme (#0052cc) - JioMart's brand color
-        thumbnail = `https://via.placeholder.com/300x400/0052cc/ffffff?text=JIOMART%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      } else {
-        // Generic placeholder for other sites with neutral theme
-        thumbnail = `https://via.placeholder.com/300x400/6b7280/ffffff?text=${encodeURIComponent(siteName.toUpperCase())}%5Cn${encodeURIComponent(queryWords.toUpperCase())}`;
-      }
-    }
-    
-          // Enhanced logging for debugging
-      console.log(`Product: ${item.title?.substring(0, 50)}... | Site: ${site} | Has thumbnail: ${!!thumbnail} | Thumbnail: ${thumbnail?.substring(0, 100)}...`);
-      
-      return {
-        title: item.title ?? null,
-        price: null, // price not extracted from organic results; fallback to null
-        link: item.link ?? null,
-        source: site.replace(/^www\./, ''),
-        thumbnail: thumbnail,
-        // Add additional metadata for better product categorization
-        category: extractCategoryFromTitle(item.title || ''),
-        brand: extractBrandFromTitle(item.title || ''),
-        hasRealImage: !!item.thumbnail || !!item.thumbnail_url
-      };
-    });
-  }
-  
-  // Helper function to extract category from product title
-  function extractCategoryFromTitle(title) {
-    const titleLower = title.toLowerCase();
-    
-    // Clothing categories
-    if (titleLower.includes('shirt') || titleLower.includes('top') || titleLower.includes('tee')) return 'shirts';
-    if (titleLower.includes('dress') || titleLower.includes('gown')) return 'dresses';
-    if (titleLower.includes('pant') || titleLower.includes('jean') || titleLower.includes('trouser')) return 'pants';
-    if (titleLower.includes('skirt')) return 'skirts';
-    if (titleLower.includes('hoodie') || titleLower.includes('sweatshirt')) return 'hoodies';
-    if (titleLower.includes('jacket') || titleLower.includes('coat')) return 'outerwear';
-    if (titleLower.includes('suit') || titleLower.includes('blazer')) return 'formal';
-    
-    // Footwear categories
-    if (titleLower.includes('shoe') || titleLower.includes('sneaker') || titleLower.includes('boot')) return 'footwear';
-    if (titleLower.includes('sandal') || titleLower.includes('flip')) return 'sandals';
-    
-    // Accessories categories
-    if (titleLower.includes('bag') || titleLower.includes('purse') || titleLower.includes('handbag')) return 'bags';
-    if (titleLower.includes('jewelry') || titleLower.includes('necklace') || titleLower.includes('ring')) return 'jewelry';
-    if (titleLower.includes('watch') || titleLower.includes('clock')) return 'watches';
-    
-    return 'general';
+  if (!resp.ok) {
+    throw new Error(`Gemini items error: ${resp.status} ${await resp.text()}`);
   }
-  
-  // Helper function to extract brand from product title
-  function extractBrandFromTitle(title) {
-    const titleLower = title.toLowerCase();
-    
-    // Popular fashion brands
-    const brands = [
-      'nike', 'adidas', 'puma', 'reebok', 'under armour',
-      'levi', 'wrangler', 'lee', 'calvin klein', 'tommy hilfiger',
-      'ralph lauren', 'h&m', 'zara', 'uniqlo', 'gap',
-      'forever 21', 'mango', 'bershka', 'pull&bear', 'stradivarius',
-      'myntra', 'ajio', 'amazon', 'flipkart', 'snapdeal'
-    ];
-    
-    for (const brand of brands) {
-      if (titleLower.includes(brand)) return brand.toUpperCase();
-    }
-    
-    return null;
+  const json = await resp.json();
+  const out = parseGeminiText(json).replace(/^```(?:json)?\s*|\s*```$/g, '');
+  if (!out) throw new Error('Empty Gemini items result');
+  try {
+    return JSON.parse(out);
+  } catch (e) {
+    throw new Error(`Gemini returned invalid items JSON: ${out.slice(0, 200)}`);
   }
-
-// ---- Trending: simple scraping via SERP + TF-IDF diversity ----
-function tokenize(text) {
-  return (text || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w && !stopwords.has(w));
-}
-
-const stopwords = new Set('a,an,the,and,or,of,in,on,for,with,to,from,by,is,are,was,were,be,as,at,that,this,these,those,men,man,women,woman,unisex,kids,boys,girls,new,latest,online,shop,shopping,buy,style,styles,trend,trending,popular,best,seller,sellers,collection,collections,2024,2025'.split(','));
-
-function buildTfIdfEmbeddings(texts) {
-  const docs = texts.map(t => tokenize(t));
-  const df = new Map();
-  for (const doc of docs) {
-    const uniq = new Set(doc);
-    for (const w of uniq) df.set(w, (df.get(w) || 0) + 1);
-  }
-  const N = docs.length;
-  const vecs = docs.map(doc => {
-    const tf = new Map();
-    for (const w of doc) tf.set(w, (tf.get(w) || 0) + 1);
-    const len = doc.length || 1;
-    const v = new Map();
-    for (const [w, c] of tf) {
-      const idf = Math.log((N + 1) / ((df.get(w) || 0) + 1)) + 1; // smoothed idf
-      v.set(w, (c / len) * idf);
-    }
-    return v;
-  });
-  return vecs;
 }
 
-function cosineSim(a, b) {
-  let dot = 0, na = 0, nb = 0;
-  for (const [k, va] of a) {
-    na += va * va;
-    const vb = b.get(k);
-    if (vb != null) dot += va * vb;
-  }
-  for (const [, vb] of b) nb += vb * vb;
-  if (!na || !nb) return 0;
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
-}
+const queryGeminiItems = withFixtures('gemini_items', queryGeminiItemsLive, {
+  keyOf: ({ base64, contentType }) => [base64, contentType]
+});
 
+// ---- Trending: simple scraping via SERP + TF-IDF diversity ----
 function selectDiverse(items, titles, k) {
   if (items.length <= k) return items;
   const vecs = buildTfIdfEmbeddings(titles);
@@ -598,18 +553,21 @@ function selectDiverse(items, titles, k) {
   return selected.map(s => s.it);
 }
 
+// Keywords /trending scrapes with; also offered as search suggestions
+const TRENDING_KEYWORDS = [
+  'trending fashion', 'best sellers', 'new arrivals', 'most popular',
+  'streetwear', 'summer collection', 'ethnic wear', 'sneakers', 't-shirts', 'hoodies',
+  'casual wear', 'formal wear', 'party wear', 'office wear', 'beach wear',
+  'men clothing', 'women dresses', 'kids fashion', 'accessories', 'footwear',
+  'winter wear', 'summer wear', 'party dresses', 'casual shirts', 'formal suits',
+  'denim jeans', 'cotton shirts', 'silk dresses', 'leather bags', 'sports shoes',
+  'ethnic kurtas', 'western tops', 'party gowns', 'casual sneakers', 'formal blazers'
+];
+
 async function getTrending({ limit = 12 }) {
   console.log(`Getting trending products with limit: ${limit}`);
   
-  const kwPool = [
-    'trending fashion', 'best sellers', 'new arrivals', 'most popular',
-    'streetwear', 'summer collection', 'ethnic wear', 'sneakers', 't-shirts', 'hoodies',
-    'casual wear', 'formal wear', 'party wear', 'office wear', 'beach wear',
-    'men clothing', 'women dresses', 'kids fashion', 'accessories', 'footwear',
-    'winter wear', 'summer wear', 'party dresses', 'casual shirts', 'formal suits',
-    'denim jeans', 'cotton shirts', 'silk dresses', 'leather bags', 'sports shoes',
-    'ethnic kurtas', 'western tops', 'party gowns', 'casual sneakers', 'formal blazers'
-  ];
+  const kwPool = [...TRENDING_KEYWORDS];
   const sites = ['myntra.com', 'ajio.com', 'amazon.in', 'flipkart.com', 'snapdeal.com', 'meesho.com'];
 
   const results = [];
@@ -669,43 +627,37 @@ async function getTrending({ limit = 12 }) {
   return diverse;
 }
 
-async function searchProducts(searchQuery) {
-  // Aggregate: Google Shopping India + Amazon.in + Flipkart + Myntra via site search
-  const providers = [
-    () => searchSerpApi(searchQuery),
-    () => searchAmazonIn(searchQuery),
-    () => searchGoogleSite(searchQuery, 'flipkart.com'),
-    () => searchGoogleSite(searchQuery, 'myntra.com'),
-  ];
-  
-  // Run all providers concurrently for better performance
-  const results = await Promise.allSettled(providers.map(provider => provider()));
-  
-  const out = [];
-  for (const result of results) {
-    if (result.status === 'fulfilled' && Array.isArray(result.value)) {
-      out.push(...result.value);
-    }
-  }
-  
-  // Deduplicate by link+title with better matching
+// Dedup key: link without query string + title
+function productKey(it) {
+  const linkKey = (it.link || '').split('?')[0].toLowerCase();
+  const titleKey = (it.title || '').toLowerCase().trim();
+  return `${linkKey}|${titleKey}`;
+}
+
+// Deduplicate by link+title with better matching
+function dedupeProducts(items) {
   const seen = new Set();
   const deduped = [];
-  for (const it of out) {
+  for (const it of items) {
     if (!it || !it.title || !it.link) continue; // Skip invalid items
     
-    // Create a more robust key for deduplication
-    const linkKey = (it.link || '').split('?')[0].toLowerCase();
-    const titleKey = (it.title || '').toLowerCase().trim();
-    const key = `${linkKey}|${titleKey}`;
-    
+    const key = productKey(it);
     if (seen.has(key)) continue;
     seen.add(key);
     deduped.push(it);
   }
+  return deduped;
+}
+
+// Aggregate every enabled provider in the registry (see providers/index.js).
+// Returns { products, providers } where providers reports status/count/duration per source.
+// onResult(products, report) is called as each provider settles (used by /search/stream).
+async function searchProducts(searchQuery, { onResult } = {}) {
+  const { products: out, reports } = await runProviders(searchQuery, { onResult });
+  const deduped = dedupeProducts(out);
   
   console.log(`Search results: ${out.length} total, ${deduped.length} after deduplication`);
-  return deduped;
+  return { products: deduped, providers: reports };
 }
 
 // Filtering & sorting helpers
@@ -773,11 +725,16 @@ function parsePriceToNumber(price) {
   return null;
 }
 
+// mrp, discountPercent, offers and currency (lib/pricing.js) and rating, reviews, availability and
+// shipping (lib/listingDetails.js) are public product fields; the underscored ones and priceNumber
+// are stripped before responding
 function normalizeProduct(p) {
   const title = p.title || '';
   const priceNumber = parsePriceToNumber(p.price);
   return {
     ...p,
+    ...pricingFields(p, priceNumber),
+    ...listingFields(p),
     priceNumber,
     _titleLower: title.toLowerCase(),
     _sourceLower: (p.source || '').toLowerCase(),
@@ -794,96 +751,83 @@ function toArray(val) {
     .filter(Boolean);
 }
 
-function applyFilters(products, { minPrice, maxPrice, colors, sizes, brands }) {
+function isTruthyParam(value) {
+  return value === true || ['1', 'true', 'yes', 'on'].includes(String(value ?? '').toLowerCase());
+}
+
+function applyFilters(products, { minPrice, maxPrice, minDiscount, minRating, inStockOnly, colors, sizes, brands, retailers }) {
   const colorList = toArray(colors).map(s => s.toLowerCase());
-  const sizeList = toArray(sizes).map(s => s.toLowerCase());
+  const sizeList = toArray(sizes);
   const brandList = toArray(brands).map(s => s.toLowerCase());
+  const retailerList = toArray(retailers).map(s => s.toLowerCase());
   const minP = minPrice != null && minPrice !== '' ? Number(minPrice) : null;
   const maxP = maxPrice != null && maxPrice !== '' ? Number(maxPrice) : null;
+  const minD = minDiscount != null && minDiscount !== '' && Number(minDiscount) > 0 ? Number(minDiscount) : null;
+  const minR = minRating != null && minRating !== '' && Number(minRating) > 0 ? Number(minRating) : null;
+  const inStock = isTruthyParam(inStockOnly);
 
   return products.filter(p => {
     // Only filter by price if a numeric price exists; unknown prices pass through
     if (minP != null && p.priceNumber != null && p.priceNumber < minP) return false;
     if (maxP != null && p.priceNumber != null && p.priceNumber > maxP) return false;
+    // Asking for a discount means wanting a known one: products without a discount are left out
+    if (minD != null && (p.discountPercent == null || p.discountPercent < minD)) return false;
+    // Same for ratings; stock is rarely known though, so only listings known to be unavailable are dropped
+    if (minR != null && (p.rating == null || p.rating < minR)) return false;
+    if (inStock && p.availability === 'out_of_stock') return false;
 
+    // A color matches the title, or the thumbnail's colors once addThumbnailColors has looked them up
     if (colorList.length) {
-      const match = colorList.some(c => p._titleLower.includes(c));
+      const match = colorList.some(c => p._titleLower.includes(c) || imageHasColor(p.imageColors, c));
       if (!match) return false;
     }
-    if (sizeList.length) {
-      const match = sizeList.some(s => p._titleLower.includes(s));
-      if (!match) return false;
+    // Sizes are checked against the product page's size list once it has been looked up
+    // (checkSizeAvailability); a product whose sizes are unknown is kept
+    if (sizeList.length && p.sizes?.length) {
+      if (!sizeList.some(s => sizeInStock(p.sizes, s))) return false;
     }
     if (brandList.length) {
       const hay = p._titleLower + ' ' + p._sourceLower + ' ' + p._linkLower;
       const match = brandList.some(b => hay.includes(b));
       if (!match) return false;
     }
+    if (retailerList.length) {
+      const hay = p._sourceLower + ' ' + p._linkLower;
+      if (!retailerList.some(r => hay.includes(r))) return false;
+    }
     return true;
   });
 }
 
-// Enhanced semantic re-rank: prioritize titles closer to the query tokens
-function rerankByQueryHeuristics(products, query) {
-  if (!query || !products.length) return products;
-  
-  const q = query.toLowerCase();
-  const tokens = q.split(/[^a-z0-9]+/).filter(Boolean);
-  if (!tokens.length) return products;
-  
-  const scored = products.map(p => {
-    const t = (p.title || '').toLowerCase();
-    const s = (p.source || '').toLowerCase();
-    let score = 0;
-    
-    // Score based on token matches
-    for (const tok of tokens) {
-      if (!tok || tok.length < 2) continue; // Skip very short tokens
-      
-      // Higher weight for full-word matches
-      if (new RegExp(`\\b${tok}\\b`).test(t)) score += 5;
-      else if (t.includes(tok)) score += 2;
-      
-      // Bonus for source matching
-      if (s.includes(tok)) score += 1;
-    }
-    
-    // Bonus for fashion-specific terms in title
-    const fashionTerms = ['shirt', 'dress', 'pant', 'jean', 'shoe', 'bag', 'jacket', 'coat', 'skirt', 'top', 'blouse', 'sneaker', 'boot', 'handbag', 'purse', 'jewelry', 'accessory', 'fashion', 'style', 'wear', 'clothing'];
-    const titleFashionMatches = fashionTerms.filter(term => t.includes(term)).length;
-    score += titleFashionMatches * 0.5;
-    
-    // Bonus for color matches
-    const colors = ['red', 'blue', 'green', 'yellow', 'black', 'white', 'pink', 'purple', 'orange', 'brown', 'gray', 'grey', 'navy', 'maroon', 'beige', 'cream'];
-    const colorMatches = colors.filter(color => t.includes(color)).length;
-    score += colorMatches * 0.3;
-    
-    // Bonus for having a price
-    if (p.price && p.price !== 'null') score += 1;
-    
-    // Bonus for having a thumbnail
-    if (p.thumbnail) score += 0.5;
-    
-    return { p, score };
-  });
-  
-  scored.sort((a, b) => b.score - a.score);
-  return scored.map(s => s.p);
+// Numeric sort keys, later ones breaking ties; products missing a value go last in either direction.
+// Popularity is the retailer's review count: how many people bought and rated the item.
+const SORT_KEYS = {
+  price: [p => p.priceNumber],
+  discount: [p => p.discountPercent],
+  rating: [p => p.rating, p => p.reviews],
+  popularity: [p => p.reviews, p => p.rating]
+};
+
+// Biggest discount, best rating and most reviews first unless asked otherwise; price defaults to ascending
+function defaultSortOrder(sortBy) {
+  return ['discount', 'rating', 'popularity'].includes((sortBy || '').toLowerCase()) ? 'desc' : 'asc';
 }
 
 function applySort(products, sortBy, sortOrder) {
-  const order = (sortOrder || 'asc').toLowerCase();
+  const keys = SORT_KEYS[(sortBy || '').toLowerCase()];
+  if (!keys) return products;
+  const order = (sortOrder || defaultSortOrder(sortBy)).toLowerCase();
   const dir = order === 'desc' ? -1 : 1;
-  if ((sortBy || '').toLowerCase() === 'price') {
-    return [...products].sort((a, b) => {
-      const pa = a.priceNumber, pb = b.priceNumber;
-      if (pa == null && pb == null) return 0;
+  return [...products].sort((a, b) => {
+    for (const key of keys) {
+      const pa = key(a), pb = key(b);
+      if (pa == null && pb == null) continue;
       if (pa == null) return 1; // nulls last
       if (pb == null) return -1;
-      return (pa - pb) * dir;
-    });
-  }
-  return products;
+      if (pa !== pb) return (pa - pb) * dir;
+    }
+    return 0;
+  });
 }
 
 function stripInternalFields(products) {
@@ -891,38 +835,57 @@ function stripInternalFields(products) {
 }
 
 // Real-time price fetching from original sites
-async function fetchRealTimePrice(product) {
+// Pages are fetched through scrapeClient and parsed by lib/pageParser.js: JSON-LD, OpenGraph and
+// embedded state first, the old per-site class-name rules only when none of those carry a price.
+
+// Fetch a product page's HTML, or null when blocked, failed or timed out
+async function fetchProductPage(url) {
+  try {
+    const response = await scrapeClient.fetchPage(url);
+    if (!response.ok) {
+      console.log(`Page fetch for ${url} returned ${response.status}`);
+      return null;
+    }
+    return response.text;
+  } catch (error) {
+    if (error instanceof ScrapeBlockedError) console.log(`Skipping page fetch: ${error.message}`);
+    else console.error(`Page fetch error for ${url}:`, error.message);
+    return null;
+  }
+}
+
+async function fetchRealTimePriceLive(product) {
   if (!product.link) return product;
   
   try {
-    const source = product.source?.toLowerCase() || '';
-    let price = null;
-    
-    console.log(`Fetching price for ${product.title} from ${source}`);
-    
-    // Fetch price based on the source
-    if (source.includes('amazon')) {
-      price = await fetchAmazonPrice(product.link);
-      console.log(`Amazon price result: ${price}`);
-    } else if (source.includes('myntra')) {
-      price = await fetchMyntraPrice(product.link);
-      console.log(`Myntra price result: ${price}`);
-    } else if (source.includes('ajio')) {
-      price = await fetchAjioPrice(product.link);
-      console.log(`Ajio price result: ${price}`);
-    } else if (source.includes('flipkart')) {
-      price = await fetchFlipkartPrice(product.link);
-      console.log(`Flipkart price result: ${price}`);
-    } else if (source.includes('snapdeal')) {
-      price = await fetchSnapdealPrice(product.link);
-      console.log(`Snapdeal price result: ${price}`);
-    }
-    
-    if (price) {
-      console.log(`Price updated for ${product.title}: ₹${price}`);
-      return { ...product, price: `₹${price}`, priceUpdated: true };
+    const site = siteForProduct(product);
+    if (!site) return product;
+    
+    console.log(`Fetching price for ${product.title} from ${site}`);
+    
+    const html = await fetchProductPage(product.link);
+    const parsed = parseProductPage(html, { site });
+    
+    if (parsed?.sizes?.length) rememberProductSizes(product.link, parsed.sizes);
+    if (parsed) {
+      console.log(`Price updated for ${product.title}: ₹${parsed.price} (${parsed.method})`);
+      // The page's MRP replaces the listing's and the discount is worked out again; offers from both are kept.
+      // Rating, stock and delivery from the page win over the listing's where the page shows them.
+      const updated = {
+        ...product,
+        price: `₹${parsed.price}`,
+        currency: parsed.currency,
+        mrp: parsed.mrp ?? product.mrp,
+        discountPercent: null,
+        offers: collectOffers(parsed.offers, product.offers || []),
+        rating: parsed.rating ?? product.rating,
+        reviews: parsed.rating != null ? parsed.reviews : product.reviews,
+        availability: parsed.availability ?? product.availability,
+        shipping: parsed.shipping ?? product.shipping
+      };
+      return { ...updated, ...pricingFields(updated, parsed.price), ...listingFields(updated), priceUpdated: true };
     } else {
-      console.log(`No price found for ${product.title} from ${source}`);
+      console.log(`No price found for ${product.title} from ${site}`);
     }
   } catch (error) {
     console.error(`Failed to fetch real-time price for ${product.title}:`, error);
@@ -931,296 +894,148 @@ async function fetchRealTimePrice(product) {
   return product;
 }
 
-// Fetch price from Amazon
-async function fetchAmazonPrice(url) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) return null;
-    
-    const html = await response.text();
-    
-    // Try multiple price selectors for Amazon
-    const priceSelectors = [
-      '.a-price-whole',
-      '.a-price .a-offscreen',
-      '#priceblock_ourprice',
-      '#priceblock_dealprice',
-      '.a-price-range .a-price-whole'
-    ];
-    
-    for (const selector of priceSelectors) {
-      const priceMatch = html.match(new RegExp(`<span[^>]*class="[^"]*${selector.replace('.', '')}[^"]*"[^>]*>([^<]+)</span>`));
-      if (priceMatch) {
-        const price = priceMatch[1].replace(/[^\d]/g, '');
-        if (price && !isNaN(parseInt(price))) {
-          return parseInt(price);
-        }
-      }
-    }
-    
-    return null;
-  } catch (error) {
-    console.error('Amazon price fetch error:', error);
-    return null;
-  }
+// Replay without a matching fixture keeps the product's search price
+const fetchRealTimePrice = withFixtures('price_fetch', fetchRealTimePriceLive, {
+  keyOf: product => [product.link, product.source || ''],
+  fallback: product => product
+});
+
+// Size availability per product link
+// A page fetch for a price already reads the size list, so it is cached from there too.
+// { sizes: [{ label, available }], checkedAt }; sizes is empty when the page lists none.
+
+function productSizesKey(link) {
+  return cacheKey('sizes', [priceLinkKey(link)]);
 }
 
-// Fetch price from Myntra
-async function fetchMyntraPrice(url) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) return null;
-    
-    const html = await response.text();
-    
-    // Enhanced Myntra price selectors with multiple patterns
-    const pricePatterns = [
-      // Pattern 1: Standard price classes
-      /<span[^>]*class="[^"]*(?:pdp-price|pdp-discounted-price|pdp-mrp)[^"]*"[^>]*>([^<]+)<\/span>/gi,
-      // Pattern 2: Data testid attributes
-      /<span[^>]*data-testid="[^"]*price[^"]*"[^>]*>([^<]+)<\/span>/gi,
-      // Pattern 3: Generic price patterns
-      /<span[^>]*class="[^"]*price[^"]*"[^>]*>([^<]+)<\/span>/gi,
-      // Pattern 4: Strong tags with price content
-      /<strong[^>]*>₹\s*([\d,]+)<\/strong>/gi,
-      // Pattern 5: Any span with price-like content
-      /<span[^>]*>₹\s*([\d,]+)<\/span>/gi,
-      // Pattern 6: Price in text content
-      /₹\s*([\d,]+)/gi
-    ];
-    
-    for (const pattern of pricePatterns) {
-      const matches = html.match(pattern);
-      if (matches && matches.length > 0) {
-        for (const match of matches) {
-          const priceMatch = match.match(/₹\s*([\d,]+)/);
-          if (priceMatch) {
-            const price = priceMatch[1].replace(/,/g, '');
-            if (price && !isNaN(parseInt(price)) && parseInt(price) > 100) {
-              console.log(`Myntra price found: ₹${price}`);
-              return parseInt(price);
-            }
-          }
-        }
-      }
-    }
-    
-    console.log('Myntra: No price found with any pattern');
-    return null;
-  } catch (error) {
-    console.error('Myntra price fetch error:', error);
-    return null;
-  }
+function rememberProductSizes(link, sizes) {
+  productSizesCache.set(productSizesKey(link), { sizes, checkedAt: new Date().toISOString() }, SIZE_CACHE_TTL_SEC)
+    .catch(error => console.error('Size cache write failed:', error.message));
 }
 
-// Fetch price from Ajio
-async function fetchAjioPrice(url) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) return null;
-    
-    const html = await response.text();
-    
-    // Enhanced Ajio price selectors with multiple patterns
-    const pricePatterns = [
-      // Pattern 1: Standard Ajio price classes
-      /<span[^>]*class="[^"]*(?:prod-sp|prod-mrp|price|discounted-price)[^"]*"[^>]*>([^<]+)<\/span>/gi,
-      // Pattern 2: Generic price classes
-      /<span[^>]*class="[^"]*price[^"]*"[^>]*>([^<]+)<\/span>/gi,
-      // Pattern 3: Strong tags with price content
-      /<strong[^>]*>₹\s*([\d,]+)<\/strong>/gi,
-      // Pattern 4: Any span with price-like content
-      /<span[^>]*>₹\s*([\d,]+)<\/span>/gi,
-      // Pattern 5: Price in text content
-      /₹\s*([\d,]+)/gi
-    ];
-    
-    for (const pattern of pricePatterns) {
-      const matches = html.match(pattern);
-      if (matches && matches.length > 0) {
-        for (const match of matches) {
-          const priceMatch = match.match(/₹\s*([\d,]+)/);
-          if (priceMatch) {
-            const price = priceMatch[1].replace(/,/g, '');
-            if (price && !isNaN(parseInt(price)) && parseInt(price) > 100) {
-              console.log(`Ajio price found: ₹${price}`);
-              return parseInt(price);
-            }
-          }
-        }
-      }
-    }
-    
-    console.log('Ajio: No price found with any pattern');
-    return null;
-  } catch (error) {
-    console.error('Ajio price fetch error:', error);
-    return null;
-  }
+async function fetchProductSizesLive(product) {
+  const site = siteForProduct(product);
+  if (!site) return null;
+  const html = await fetchProductPage(product.link);
+  return html ? extractSizes(html, { site }) : null;
 }
 
-  // Fetch price from Flipkart
-async function fetchFlipkartPrice(url) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) return null;
-    
-    const html = await response.text();
-    
-    // Enhanced Flipkart price selectors with multiple patterns
-    const pricePatterns = [
-      // Pattern 1: Standard Flipkart price classes
-      /<div[^>]*class="[^"]*(?:30jeq3|16Jk6d|1vC4OE)[^"]*"[^>]*>([^<]+)<\/div>/gi,
-      // Pattern 2: Generic price classes
-      /<div[^>]*class="[^"]*price[^"]*"[^>]*>([^<]+)<\/div>/gi,
-      // Pattern 3: Span tags with price content
-      /<span[^>]*class="[^"]*price[^"]*"[^>]*>([^<]+)<\/span>/gi,
-      // Pattern 4: Strong tags with price content
-      /<strong[^>]*>₹\s*([\d,]+)<\/strong>/gi,
-      // Pattern 5: Any div with price-like content
-      /<div[^>]*>₹\s*([\d,]+)<\/div>/gi,
-      // Pattern 6: Price in text content
-      /₹\s*([\d,]+)/gi
-    ];
-    
-    for (const pattern of pricePatterns) {
-      const matches = html.match(pattern);
-      if (matches && matches.length > 0) {
-        for (const match of matches) {
-          const priceMatch = match.match(/₹\s*([\d,]+)/);
-          if (priceMatch) {
-            const price = priceMatch[1].replace(/,/g, '');
-            if (price && !isNaN(parseInt(price)) && parseInt(price) > 100) {
-              console.log(`Flipkart price found: ₹${price}`);
-              return parseInt(price);
-            }
-          }
-        }
-      }
-    }
-    
-    console.log('Flipkart: No price found with any pattern');
-    return null;
-  } catch (error) {
-    console.error('Flipkart price fetch error:', error);
-    return null;
-  }
+// Replay without a matching fixture leaves sizes unknown
+const fetchProductSizes = withFixtures('product_sizes', fetchProductSizesLive, {
+  keyOf: product => [product.link],
+  fallback: () => null
+});
+
+// Cached size list for a product, or null when its page couldn't be read
+async function lookupProductSizes(product) {
+  if (!product.link) return null;
+  const { value } = await productSizesCache.wrap(productSizesKey(product.link), SIZE_CACHE_TTL_SEC, async () => {
+    const sizes = await fetchProductSizes(product);
+    return sizes ? { sizes, checkedAt: new Date().toISOString() } : null;
+  }, { shouldStore: value => value != null });
+  return value;
 }
 
-// Fetch price from Snapdeal
-async function fetchSnapdealPrice(url) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) return null;
-    
-    const html = await response.text();
-    
-    // Snapdeal price selectors
-    const priceSelectors = [
-      '.payBlkBig',
-      '.pdp-final-price',
-      '.price'
-    ];
-    
-    for (const selector of priceSelectors) {
-      const priceMatch = html.match(new RegExp(`<span[^>]*class="[^"]*${selector.replace('.', '')}[^"]*"[^>]*>([^<]+)</span>`));
-      if (priceMatch) {
-        const price = priceMatch[1].replace(/[^\d]/g, '');
-        if (price && !isNaN(parseInt(price))) {
-          return parseInt(price);
-        }
-      }
-    }
-    
-    return null;
-  } catch (error) {
-    console.error('Snapdeal price fetch error:', error);
-    return null;
+// Looks up the top SIZE_LOOKUP_LIMIT products' size lists within SIZE_LOOKUP_TIMEOUT_MS and marks
+// sizeAvailable (true/false, null when unknown) for the requested sizes. Products whose page shows
+// every requested size sold out or not offered are dropped. Lookups still running at the deadline
+// finish in the background and fill the cache for the next search.
+async function checkSizeAvailability(products, sizes) {
+  const wanted = toArray(sizes);
+  if (!wanted.length) return products;
+  const deadline = new Promise(resolve => setTimeout(resolve, SIZE_LOOKUP_TIMEOUT_MS, null));
+  const found = await Promise.all(products.slice(0, SIZE_LOOKUP_LIMIT).map(product =>
+    Promise.race([
+      lookupProductSizes(product).catch(error => {
+        console.error(`Size lookup failed for ${product.link}:`, error.message);
+        return null;
+      }),
+      deadline
+    ])
+  ));
+  return products
+    .map((product, i) => {
+      const entry = found[i];
+      if (!entry) return product;
+      const answers = wanted.map(size => sizeInStock(entry.sizes, size));
+      const sizeAvailable = answers.includes(true) ? true : answers.includes(false) ? false : null;
+      return { ...product, sizes: entry.sizes, sizeAvailable };
+    })
+    .filter(product => product.sizeAvailable !== false);
+}
+
+// Palette of an image URL; data: URLs (inline thumbnails) are decoded in place
+async function fetchImagePaletteLive(url) {
+  const inline = /^data:image\/[\w.+-]+;base64,(.+)$/i.exec(url);
+  let buffer;
+  if (inline) {
+    buffer = Buffer.from(inline[1], 'base64');
+  } else {
+    const res = await fetch(url, { size: IMAGE_COLORS_MAX_BYTES, signal: AbortSignal.timeout(IMAGE_COLORS_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`Failed to fetch image: ${res.status}`);
+    buffer = Buffer.from(await res.arrayBuffer());
   }
+  return extractPalette(buffer);
+}
+
+// Replay without a matching fixture leaves the colors unknown
+const fetchImagePalette = withFixtures('image_palette', fetchImagePaletteLive, {
+  keyOf: url => [url],
+  fallback: () => null
+});
+
+// Cached palette for an image URL, or null when it couldn't be fetched or decoded
+async function lookupImagePalette(url) {
+  const { value } = await imageColorsCache.wrap(cacheKey('palette', [url]), IMAGE_COLORS_TTL_SEC,
+    () => fetchImagePalette(url), { shouldStore: value => value != null });
+  return value;
+}
+
+// Titles often leave the color out. For a color filter, the thumbnails of the first
+// IMAGE_COLORS_LOOKUP_LIMIT products whose title names none of the wanted colors are looked up within
+// IMAGE_COLORS_TIMEOUT_MS, and imageColors (the palette's main color names) lets applyFilters match them.
+// Lookups still running at the deadline finish in the background and fill the cache for the next search.
+async function addThumbnailColors(products, colors) {
+  const wanted = toArray(colors).map(c => c.toLowerCase());
+  if (!wanted.length) return products;
+  const pending = products
+    .filter(p => p.thumbnail && !p.imageColors && !wanted.some(c => p._titleLower.includes(c)))
+    .slice(0, IMAGE_COLORS_LOOKUP_LIMIT);
+  if (!pending.length) return products;
+  const deadline = new Promise(resolve => setTimeout(resolve, IMAGE_COLORS_TIMEOUT_MS, null));
+  const palettes = await Promise.all(pending.map(product =>
+    Promise.race([
+      lookupImagePalette(product.thumbnail).catch(error => {
+        console.error(`Thumbnail colors failed for ${product.thumbnail.slice(0, 100)}:`, error.message);
+        return null;
+      }),
+      deadline
+    ])
+  ));
+  const found = new Map(pending.map((product, i) => [product, palettes[i]]));
+  return products.map(product => {
+    const palette = found.get(product);
+    return palette ? { ...product, imageColors: paletteColorNames(palette) } : product;
+  });
 }
 
-  // Enhance products with real-time price fetching (optimized)
-async function enhanceProductPrices(products) {
+// Append prices to the link's history without holding up the response
+function observePrices(products, source) {
+  priceHistory.record(products, source, { parsePrice: p => p.priceNumber ?? parsePriceToNumber(p.price) })
+    .catch(error => console.error(`Price history write failed (${source}):`, error.message));
+}
+
+// Enhance products with real-time price fetching (optimized)
+// realTimeLimit = 0 skips page fetches and only extracts prices from titles
+// (/search/stream fetches real-time prices itself and reports them as events).
+async function enhanceProductPrices(products, { realTimeLimit = 5 } = {}) {
   console.log(`Starting price enhancement for ${products.length} products`);
   
   // Create a copy of all products to work with
   const enhancedProducts = [...products];
   
-  // Limit to first 5 products for real-time price fetching (performance optimization)
-  const productsToEnhance = products.slice(0, 5).filter(product => product.link);
+  // Limit to first few products for real-time price fetching (performance optimization)
+  const productsToEnhance = products.slice(0, realTimeLimit).filter(product => product.link);
   console.log(`Will fetch real-time prices for ${productsToEnhance.length} products with links`);
   
   // Fetch real-time prices concurrently with timeout
@@ -1234,6 +1049,9 @@ async function enhanceProductPrices(products) {
   );
   
   // Update the enhanced products array with real-time prices
+  observePrices(enhancedProductsWithLinks
+    .filter(result => result.status === 'fulfilled' && result.value.priceUpdated)
+    .map(result => result.value), 'realtime');
   enhancedProductsWithLinks.forEach((result, index) => {
     if (result.status === 'fulfilled' && result.value.priceUpdated) {
       const originalIndex = products.indexOf(productsToEnhance[index]);
@@ -1290,7 +1108,8 @@ function generateComparisonData(products) {
       companies: [],
       companyGroups: {},
       priceStats: null,
-      bestDeals: []
+      bestDeals: [],
+      matches: []
     };
   }
 
@@ -1357,11 +1176,15 @@ function generateComparisonData(products) {
     companyGroups[b].length - companyGroups[a].length
   );
 
+  // Same item listed by several retailers, most sellers first
+  const { clusters: matches } = matchProducts(products, { priceOf: p => parsePriceToNumber(p.price) });
+
   return {
     companies,
     companyGroups,
     priceStats: priceStats.count > 0 ? priceStats : null,
     bestDeals,
+    matches,
     totalProducts: products.length,
     priceRange: priceStats.count > 0 ? {
       lowest: priceStats.min,
@@ -1372,14 +1195,37 @@ function generateComparisonData(products) {
 }
 
 // --- Models ---
+// Sizes and shopping preferences used as search defaults (see lib/userProfile.js)
+const userProfileSchema = new mongoose.Schema({
+  sizes: { tops: String, bottoms: String, shoes: String },
+  measurements: { chest: Number, waist: Number, footLength: Number },
+  fit: String,
+  department: String,
+  budget: { min: Number, max: Number },
+  retailers: [String],
+  updatedAt: Date
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: { type: String, unique: true, required: true },
   name: String,
   passwordHash: String,
   provider: { type: String, default: 'local' }, // local | google
   avatar: String,
+  profile: { type: userProfileSchema, default: null },
 }, { timestamps: true });
 
+// Price-drop alert on a wishlist item (rules in lib/priceAlerts.js)
+const priceAlertSchema = new mongoose.Schema({
+  targetPrice: Number,
+  dropPercent: Number,
+  basePrice: Number, // item price when the alert was set, for dropPercent
+  armed: { type: Boolean, default: true },
+  lastNotifiedPrice: Number,
+  lastCheckedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const wishlistItemSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   title: String,
@@ -1387,6 +1233,20 @@ const wishlistItemSchema = new mongoose.Schema({
   link: String,
   image: String,
   source: String,
+  alert: { type: priceAlertSchema, default: null },
+}, { timestamps: true });
+
+const notificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  type: { type: String, default: 'price_drop' }, // price_drop | saved_search
+  title: String,
+  message: String,
+  link: String,
+  image: String,
+  wishlistItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'WishlistItem' },
+  data: Object,
+  readAt: Date,
+  emailedAt: Date,
 }, { timestamps: true });
 
 const ootdSchema = new mongoose.Schema({
@@ -1397,9 +1257,45 @@ const ootdSchema = new mongoose.Schema({
   styleTags: [String],
 }, { timestamps: true });
 
-const User = mongoose.models.User || mongoose.model('User', userSchema);
+// One entry per search a signed-in user runs; `filters` and `sort` are the ones the results were
+// ranked with. thumbnail is the image URL searched, or a small copy of an uploaded image in /uploads.
+const searchFields = {
+  text: String,
+  query: String,
+  attributes: Object,
+  filters: Object,
+  sort: Object,
+  platform: String,
+  imageUrl: String,
+  thumbnail: String,
+};
+
+const searchHistorySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ...searchFields,
+  resultCount: Number,
+}, { timestamps: true });
+searchHistorySchema.index({ userId: 1, createdAt: -1 });
+
+// Named search the user can re-run; with an alert the `saved-search-alerts` job re-runs it
+// and notifies about new items (see lib/savedSearches.js)
+const savedSearchSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  name: String,
+  ...searchFields,
+  alert: { type: String, default: 'off' }, // off | daily | weekly
+  nextRunAt: { type: Date, default: null, index: true },
+  lastRunAt: Date,
+  lastNewCount: Number,
+  seenKeys: [String],
+}, { timestamps: true });
+
+const User = mongoose.models.User || mongoose.model('User', userSchema);
 const WishlistItem = mongoose.models.WishlistItem || mongoose.model('WishlistItem', wishlistItemSchema);
 const OOTD = mongoose.models.OOTD || mongoose.model('OOTD', ootdSchema);
+const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
+const SearchHistory = mongoose.models.SearchHistory || mongoose.model('SearchHistory', searchHistorySchema);
+const SavedSearch = mongoose.models.SavedSearch || mongoose.model('SavedSearch', savedSearchSchema);
 
 // Comparison session schema
 const comparisonSessionSchema = new mongoose.Schema({
@@ -1410,6 +1306,10 @@ const comparisonSessionSchema = new mongoose.Schema({
     title: String,
     price: String,
     priceNumber: Number,
+    currency: String,
+    mrp: Number,
+    discountPercent: Number,
+    offers: [{ _id: false, type: { type: String }, text: String }],
     link: String,
     source: String, // Company/site name (Myntra, Ajio, etc.)
     thumbnail: String,
@@ -1435,6 +1335,21 @@ function auth(req, res, next) {
   try { req.user = jwt.verify(token, JWT_SECRET); return next(); }
   catch { return res.status(401).json({ error: 'Invalid token' }); }
 }
+// Sets req.user when a valid token is sent but lets anonymous requests through (public routes that personalize)
+function optionalAuth(req, res, next) {
+  const h = req.headers.authorization || '';
+  const token = h.startsWith('Bearer ') ? h.slice(7) : getCookieToken(req);
+  if (token) {
+    try { req.user = jwt.verify(token, JWT_SECRET); } catch { req.user = undefined; }
+  }
+  return next();
+}
+// Use after auth; admins are listed by email in ADMIN_EMAILS
+function requireAdmin(req, res, next) {
+  const email = String(req.user?.email || '').toLowerCase();
+  if (!email || !ADMIN_EMAILS.includes(email)) return res.status(403).json({ error: 'Admin only' });
+  return next();
+}
 
 // --- Outfit Analysis Helpers ---
 
@@ -1508,6 +1423,47 @@ app.post('/auth/logout', (req, res) => {
   res.json({ ok: true });
 });
 
+// --- Profile routes ---
+// Saved profile for search defaults, or null (anonymous, no profile, or no database)
+async function loadUserProfile(uid) {
+  if (!uid || mongoose.connection.readyState !== 1) return null;
+  try {
+    const user = await User.findById(uid).select('profile').lean();
+    return user?.profile || null;
+  } catch (error) {
+    console.error('Failed to load user profile:', error.message);
+    return null;
+  }
+}
+
+app.get('/profile', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.uid).select('profile').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ profile: profileView(user.profile) });
+  } catch (error) {
+    console.error('Error loading profile:', error);
+    res.status(500).json({ error: 'Failed to load profile' });
+  }
+});
+
+app.put('/profile', auth, async (req, res) => {
+  try {
+    const { profile, error } = normalizeProfileInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const user = await User.findByIdAndUpdate(
+      req.user.uid,
+      { $set: { profile: { ...profile, updatedAt: new Date() } } },
+      { new: true }
+    ).select('profile').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ profile: profileView(user.profile) });
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    res.status(500).json({ error: 'Failed to save profile' });
+  }
+});
+
 // --- Wishlist routes ---
 app.get('/wishlist', auth, async (req, res) => {
   const items = await WishlistItem.find({ userId: req.user.uid }).sort({ createdAt: -1 });
@@ -1522,6 +1478,104 @@ app.delete('/wishlist/:id', auth, async (req, res) => {
   await WishlistItem.deleteOne({ _id: req.params.id, userId: req.user.uid });
   res.json({ ok: true });
 });
+// Price history for a saved item: every observation of its link plus a summary
+// (lowest/highest/average and whether the current price is a deal)
+app.get('/wishlist/:id/history', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+    const item = await WishlistItem.findOne({ _id: req.params.id, userId: req.user.uid });
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 90));
+    const observations = await priceHistory.history(item.link, { days });
+    res.json({
+      item: { _id: item._id, title: item.title, link: item.link, price: item.price },
+      days,
+      observations,
+      summary: summarizePriceHistory(observations, parsePriceToNumber(item.price))
+    });
+  } catch (error) {
+    console.error('Error loading price history:', error);
+    res.status(500).json({ error: 'Failed to load price history' });
+  }
+});
+
+// Set or replace the price-drop alert on a saved item (body: { targetPrice } and/or { dropPercent })
+app.put('/wishlist/:id/alert', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+    const item = await WishlistItem.findOne({ _id: req.params.id, userId: req.user.uid });
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+
+    const { alert, error } = normalizeAlertInput(req.body || {}, parsePriceToNumber(item.price));
+    if (error) return res.status(400).json({ error });
+    item.alert = alert;
+    await item.save();
+    res.json({ item, threshold: alertThreshold(alert) });
+  } catch (error) {
+    console.error('Error setting price alert:', error);
+    res.status(500).json({ error: 'Failed to set price alert' });
+  }
+});
+
+app.delete('/wishlist/:id/alert', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Item not found' });
+    const item = await WishlistItem.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.uid },
+      { $set: { alert: null } },
+      { new: true }
+    );
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    res.json({ item });
+  } catch (error) {
+    console.error('Error removing price alert:', error);
+    res.status(500).json({ error: 'Failed to remove price alert' });
+  }
+});
+
+// --- Notification routes ---
+app.get('/notifications', auth, async (req, res) => {
+  try {
+    const filter = { userId: req.user.uid };
+    if (req.query.unread === '1' || req.query.unread === 'true') filter.readAt = null;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 30));
+    const [items, unread] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ userId: req.user.uid, readAt: null })
+    ]);
+    res.json({ items, unread });
+  } catch (error) {
+    console.error('Error loading notifications:', error);
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+app.post('/notifications/read-all', auth, async (req, res) => {
+  try {
+    await Notification.updateMany({ userId: req.user.uid, readAt: null }, { $set: { readAt: new Date() } });
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+app.post('/notifications/:id/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Notification not found' });
+    const item = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.uid },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!item) return res.status(404).json({ error: 'Notification not found' });
+    res.json({ item });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
 
 // --- OOTD routes ---
 app.get('/ootd', auth, async (req, res) => {
@@ -1529,6 +1583,19 @@ app.get('/ootd', auth, async (req, res) => {
   res.json({ items });
 });
 
+// Named dominant colors of an OOTD photo; [] when it can't be read or decoded (e.g. WebP)
+async function ootdColors(file, imageUrl) {
+  try {
+    const palette = file?.path
+      ? extractPalette(await fs.promises.readFile(file.path))
+      : await lookupImagePalette(imageUrl);
+    return paletteColorNames(palette);
+  } catch (error) {
+    console.error('OOTD color extraction failed:', error.message);
+    return [];
+  }
+}
+
 // Accept either multipart file (image) or JSON (imageUrl)
 app.post('/ootd', auth, upload.single('image'), async (req, res) => {
   try {
@@ -1541,10 +1608,12 @@ app.post('/ootd', auth, upload.single('image'), async (req, res) => {
       imageUrl = `/uploads${rel}`;
     }
 
-    const colors = Array.isArray(req.body?.colors) ? req.body.colors : [];
+    let colors = Array.isArray(req.body?.colors) ? req.body.colors : [];
     const styleTags = Array.isArray(req.body?.styleTags) ? req.body.styleTags : [];
 
     if (!imageUrl) return res.status(400).json({ error: 'image or imageUrl required' });
+    // Without colors from the client, the photo's dominant colors are used
+    if (!colors.length) colors = await ootdColors(req.file, imageUrl);
     const item = await OOTD.create({ userId: req.user.uid, caption, imageUrl, colors, styleTags });
     return res.json({ item });
   } catch (e) {
@@ -1556,7 +1625,7 @@ app.post('/ootd', auth, upload.single('image'), async (req, res) => {
 // New endpoint for outfit suggestions
 app.post('/ootd/suggestions', auth, upload.single('image'), async (req, res) => {
   try {
-    if (!GEMINI_API_KEY) {
+    if (!GEMINI_API_KEY && !isReplay()) {
       return res.status(500).json({ error: 'Gemini API not configured' });
     }
 
@@ -1587,8 +1656,9 @@ app.post('/ootd/suggestions', auth, upload.single('image'), async (req, res) =>
       outfitAnalysis = await analyzeOutfitForSuggestions({ imageUrl }, caption);
     }
 
-    // Get product suggestions for each category
-    const suggestions = await getOutfitSuggestions(outfitAnalysis);
+    // Get product suggestions for each category, sized and priced for the user's profile
+    const profile = isTruthyParam(req.body?.useProfile ?? true) ? await loadUserProfile(req.user.uid) : null;
+    const suggestions = await getOutfitSuggestions(outfitAnalysis, profile);
 
     res.json({
       analysis: outfitAnalysis,
@@ -1621,6 +1691,7 @@ app.post('/comparison', auth, async (req, res) => {
       title: product.title || '',
       price: product.price || '',
       priceNumber: product.priceNumber || parsePriceToNumber(product.price) || null,
+      ...pricingFields(product, product.priceNumber || parsePriceToNumber(product.price)),
       link: product.link || '',
       source: product.source || '',
       thumbnail: product.thumbnail || product.image || '',
@@ -1637,6 +1708,12 @@ app.post('/comparison', auth, async (req, res) => {
       products: normalizedProducts
     });
 
+    // Comparison adds count as feedback for the search they came from (optional `query` in the body)
+    const { events } = feedbackGuard.admit(feedbackClient(req), readFeedbackEvents({
+      events: products.map(product => ({ type: 'comparison', query: req.body.query, product }))
+    }));
+    feedbackStore.record(events).catch(err => console.error('Failed to record comparison feedback:', err.message));
+
     res.json({ session });
   } catch (error) {
     console.error('Error creating comparison:', error);
@@ -1669,7 +1746,11 @@ app.get('/comparison/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Comparison not found' });
     }
 
-    res.json({ session });
+    // Each product's recommended size for the viewer, worked out fresh so profile edits show up
+    const profile = await loadUserProfile(req.user.uid);
+    const body = session.toObject();
+    body.products = withRecommendedSizes(body.products, profile);
+    res.json({ session: body });
   } catch (error) {
     console.error('Error fetching comparison:', error);
     res.status(500).json({ error: 'Failed to fetch comparison' });
@@ -1689,6 +1770,7 @@ app.put('/comparison/:id', auth, async (req, res) => {
         title: product.title || '',
         price: product.price || '',
         priceNumber: product.priceNumber || parsePriceToNumber(product.price) || null,
+        ...pricingFields(product, product.priceNumber || parsePriceToNumber(product.price)),
         link: product.link || '',
         source: product.source || '',
         thumbnail: product.thumbnail || product.image || '',
@@ -1809,6 +1891,7 @@ app.get('/comparison/:id/analytics', auth, async (req, res) => {
       })),
       priceStats,
       bestDeals,
+      matches: matchProducts(session.products).clusters,
       priceRange: priceStats.max !== -Infinity ? {
         lowest: priceStats.min,
         highest: priceStats.max,
@@ -1827,10 +1910,15 @@ app.get('/comparison/:id/analytics', auth, async (req, res) => {
 // GET /trending?limit=12 (aggregated for India)
 app.get('/trending', async (req, res) => {
   try {
-    if (!SERPAPI_API_KEY) {
+    if (!SERPAPI_API_KEY && !isReplay()) {
       return res.status(500).json({ error: 'Missing SERPAPI_API_KEY' });
     }
-    const limit = req.query.limit || 12;
+    const limit = Number(req.query.limit) || 12;
+    // Served from the trending-precompute job when it has run and covers the requested size
+    const precomputed = await searchCache.get(TRENDING_CACHE_KEY).catch(() => undefined);
+    if (precomputed?.items?.length >= limit) {
+      return res.json({ platform: 'all', items: precomputed.items.slice(0, limit), computedAt: precomputed.computedAt });
+    }
     const items = await getTrending({ limit });
     return res.json({ platform: 'all', items });
   } catch (e) {
@@ -1839,6 +1927,112 @@ app.get('/trending', async (req, res) => {
   }
 });
 
+// --- Suggestions ---
+// GET /suggest?q=&limit=8 -> { q, suggestions: [{ text, type, score }] }, completions for the search box
+// from the user's history, everyone's recent searches, the trending keywords and the query vocabulary
+// (see lib/suggest.js). Searches counted as popular are cached for SUGGEST_POPULAR_TTL_SEC.
+// Another user's search is only suggested once SUGGEST_POPULAR_MIN_USERS different users have run it,
+// so one person's searches never show up for anyone else.
+const SUGGEST_POPULAR_TTL_SEC = Number(process.env.SUGGEST_POPULAR_TTL_SEC || 10 * 60);
+const SUGGEST_POPULAR_DAYS = Number(process.env.SUGGEST_POPULAR_DAYS || 30);
+const SUGGEST_POPULAR_MIN_USERS = Math.max(2, Number(process.env.SUGGEST_POPULAR_MIN_USERS || 5));
+const SUGGEST_POPULAR_LIMIT = 500;
+const SUGGEST_HISTORY_LIMIT = 50;
+
+async function popularSearches() {
+  if (mongoose.connection.readyState !== 1) return [];
+  const { value } = await searchCache.wrap('suggest:popular', SUGGEST_POPULAR_TTL_SEC, async () => {
+    const since = new Date(Date.now() - SUGGEST_POPULAR_DAYS * 24 * 3600 * 1000);
+    const rows = await SearchHistory.aggregate([
+      { $match: { createdAt: { $gte: since }, userId: { $ne: null }, text: { $nin: [null, ''] } } },
+      { $group: { _id: { $toLower: '$text' }, users: { $addToSet: '$userId' } } },
+      { $project: { users: { $size: '$users' } } },
+      { $match: { users: { $gte: SUGGEST_POPULAR_MIN_USERS } } },
+      { $sort: { users: -1 } },
+      { $limit: SUGGEST_POPULAR_LIMIT }
+    ]);
+    return rows.map(row => ({ text: row._id, count: row.users }));
+  });
+  return value;
+}
+
+async function recentSearchTexts(uid) {
+  if (!uid || mongoose.connection.readyState !== 1) return [];
+  const entries = await SearchHistory.find({ userId: uid }).sort({ createdAt: -1 }).limit(SUGGEST_HISTORY_LIMIT).select('text query').lean();
+  return [...new Set(entries.map(entry => entry.text || entry.query).filter(Boolean))];
+}
+
+app.get('/suggest', optionalAuth, async (req, res) => {
+  const q = String(req.query.q || '').slice(0, 100);
+  const limit = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 8));
+  if (!q.trim()) return res.json({ q, suggestions: [] });
+  try {
+    const [history, popular, trending] = await Promise.all([
+      recentSearchTexts(req.user?.uid).catch(() => []),
+      popularSearches().catch(() => []),
+      searchCache.get(TRENDING_CACHE_KEY).catch(() => undefined)
+    ]);
+    const index = buildSuggestionIndex({
+      history,
+      popular,
+      trending: TRENDING_KEYWORDS,
+      titles: (trending?.items || []).map(item => item.title),
+      brandOf: extractBrandFromTitle
+    });
+    res.json({ q, suggestions: suggest(index, q, { limit }) });
+  } catch (error) {
+    console.error('Error building suggestions:', error);
+    res.status(500).json({ error: 'Failed to load suggestions' });
+  }
+});
+
+// GET /providers -> registered search providers with their effective config
+app.get('/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// --- Feedback events ---
+// POST /events { events: [{ type, query?, product: { link?, title? } }] } (or a single event object)
+// type: impression | click | wishlist | comparison. No auth needed and nothing user-identifying is stored;
+// events only bump aggregate counters that feed the /search ranker. feedbackGuard rate-limits each client
+// and counts a (type, product) once per window from it; 429 when a whole batch is over the limit.
+const FEEDBACK_MAX_BATCH = 100;
+
+function readFeedbackEvents(body) {
+  const raw = Array.isArray(body?.events) ? body.events : body?.type ? [body] : [];
+  return raw
+    .slice(0, FEEDBACK_MAX_BATCH)
+    .filter(e => e && FEEDBACK_EVENT_TYPES[e.type] && (e.product?.link || e.product?.title))
+    .map(e => ({
+      type: e.type,
+      query: typeof e.query === 'string' ? e.query.slice(0, 200) : '',
+      product: { link: String(e.product.link || ''), title: String(e.product.title || '') }
+    }));
+}
+
+// Who sent feedback, for the guard's limits: the signed-in user, else the connection's IP
+function feedbackClient(req) {
+  return req.user?.uid ? `user:${req.user.uid}` : `ip:${req.ip}`;
+}
+
+app.post('/events', optionalAuth, async (req, res) => {
+  try {
+    const events = readFeedbackEvents(req.body);
+    if (!events.length) {
+      return res.status(400).json({ error: `Provide events with type (${Object.keys(FEEDBACK_EVENT_TYPES).join(', ')}) and product link or title` });
+    }
+    const admitted = feedbackGuard.admit(feedbackClient(req), events);
+    if (admitted.limited && !admitted.events.length) {
+      return res.status(429).json({ error: 'Too many events, try again in a minute' });
+    }
+    await feedbackStore.record(admitted.events);
+    res.json({ recorded: admitted.events.length });
+  } catch (error) {
+    console.error('Error recording feedback events:', error);
+    res.status(500).json({ error: 'Failed to record events' });
+  }
+});
+
 // Error handling middleware for multer
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -1853,360 +2047,552 @@ app.use((error, req, res, next) => {
   next(error);
 });
 
-app.post('/search', searchUpload.single('image'), async (req, res) => {
+// --- Search pagination ---
+// The full, filtered and ranked result set of a search is kept server-side under a
+// searchId so later pages are served without re-querying providers.
+// A signed-in user's results are only readable by that user. Anonymous searches have no owner, so their
+// searchId (96 random bits) is the only thing guarding them, and a signed-in user can't read them.
+const SEARCH_PAGE_SIZE_DEFAULT = 24;
+const SEARCH_PAGE_SIZE_MAX = 100;
+const SEARCH_RESULTS_TTL_SEC = Number(process.env.SEARCH_RESULTS_TTL_SEC || 30 * 60);
+const searchResultStore = createCache({
+  backend: process.env.SEARCH_RESULTS_STORE || 'memory',
+  maxEntries: Number(process.env.SEARCH_RESULTS_MAX_ENTRIES || 200)
+});
+
+function parsePageSize(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return SEARCH_PAGE_SIZE_DEFAULT;
+  return Math.min(n, SEARCH_PAGE_SIZE_MAX);
+}
+
+function encodeCursor({ searchId, offset, pageSize }) {
+  return Buffer.from(JSON.stringify({ s: searchId, o: offset, n: pageSize })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
   try {
-    console.log('Search request received:', {
-      contentType: req.headers['content-type'],
-      hasFile: !!req.file,
-      body: req.body,
-      hasGeminiKey: !!GEMINI_API_KEY,
-      hasSerpKey: !!SERPAPI_API_KEY
-    });
+    const { s, o, n } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!s || !Number.isInteger(o) || o < 0) return null;
+    return { searchId: s, offset: o, pageSize: parsePageSize(n) };
+  } catch {
+    return null;
+  }
+}
 
-    if (!GEMINI_API_KEY || !SERPAPI_API_KEY) {
-      console.error('Missing API keys: GEMINI_API_KEY or SERPAPI_API_KEY');
-      return res.status(500).json({ error: 'Something went wrong' });
+// Keep a ranked result set for later pages; returns its searchId
+async function storeSearchResults(searchQuery, products, ownerId = null) {
+  const searchId = crypto.randomBytes(12).toString('hex');
+  await searchResultStore.set(`search:${searchId}`, { query: searchQuery, products, ownerId: ownerId ? String(ownerId) : null }, SEARCH_RESULTS_TTL_SEC);
+  return searchId;
+}
+
+// A stored result set, or null when it has expired or belongs to someone else
+async function loadSearchResults(searchId, uid) {
+  if (!searchId) return null;
+  const stored = await searchResultStore.get(`search:${searchId}`);
+  if (!stored || (stored.ownerId ?? null) !== (uid ? String(uid) : null)) return null;
+  return stored;
+}
+
+// Slice one page out of a stored result set; real-time prices are only fetched for that page
+async function buildSearchPage(stored, searchId, offset, pageSize, { realTimeLimit } = {}) {
+  const total = stored.products.length;
+  const slice = stored.products.slice(offset, offset + pageSize);
+
+  let products = await enhanceProductPrices(slice, { realTimeLimit });
+  products = stripInternalFields(products);
+
+  const nextOffset = offset + slice.length;
+  const hasMore = nextOffset < total;
+  return {
+    products,
+    pagination: {
+      searchId,
+      page: Math.floor(offset / pageSize) + 1,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ searchId, offset: nextOffset, pageSize }) : null
     }
+  };
+}
 
-    const isMultipart = req.headers['content-type']?.includes('multipart/form-data');
-    let text = undefined;
-    let imageBuffer = undefined;
-    let imageMime = undefined;
-    let imageUrl = undefined;
-    let useRaw = false;
-
-    if (isMultipart) {
-      text = req.body?.text;
-      imageUrl = req.body?.imageUrl;
-      console.log('Multipart request details:', {
-        hasFile: !!req.file,
-        fileField: req.file?.fieldname,
-        fileSize: req.file?.size,
-        fileMime: req.file?.mimetype,
-        bodyKeys: Object.keys(req.body || {})
-      });
-      if (req.file) {
-        // Validate MIME type for images
-        const validImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'];
-        if (!validImageTypes.includes(req.file.mimetype)) {
-          return res.status(400).json({ 
-            error: 'Invalid image format. Please upload a JPEG, PNG, GIF, WebP, or BMP image.' 
-          });
-        }
-        
-        imageBuffer = req.file.buffer;
-        imageMime = req.file.mimetype;
-        console.log('File uploaded successfully:', {
-          fieldName: req.file.fieldname,
-          originalName: req.file.originalname,
-          size: req.file.size,
-          mimeType: req.file.mimetype
-        });
-      } else {
-        console.log('No file found in multipart request');
+// Serve a later page from { cursor } or { searchId, page, pageSize }
+async function handleSearchPageRequest(req, res) {
+  const body = req.body || {};
+  const decoded = body.cursor
+    ? decodeCursor(body.cursor)
+    : { searchId: body.searchId, pageSize: parsePageSize(body.pageSize), offset: 0 };
+  if (!decoded || !decoded.searchId) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+  if (!body.cursor) {
+    const page = Math.max(parseInt(body.page, 10) || 1, 1);
+    decoded.offset = (page - 1) * decoded.pageSize;
+  }
+
+  // Someone else's results look expired, so a searchId can't be probed
+  const stored = await loadSearchResults(decoded.searchId, req.user?.uid);
+  if (!stored) {
+    return res.status(410).json({ error: 'Search results expired, please search again' });
+  }
+
+  const page = await buildSearchPage(stored, decoded.searchId, decoded.offset, decoded.pageSize);
+  return res.json({ query: stored.query, ...page });
+}
+
+// Pull text/image/imageUrl out of a JSON or multipart search request.
+// Returns { status, error } when the request is unusable.
+function readSearchInput(req) {
+  const isMultipart = req.headers['content-type']?.includes('multipart/form-data');
+  let text = undefined;
+  let imageBuffer = undefined;
+  let imageMime = undefined;
+  let imageUrl = undefined;
+  let useRaw = false;
+
+  if (isMultipart) {
+    text = req.body?.text;
+    imageUrl = req.body?.imageUrl;
+    console.log('Multipart request details:', {
+      hasFile: !!req.file,
+      fileField: req.file?.fieldname,
+      fileSize: req.file?.size,
+      fileMime: req.file?.mimetype,
+      bodyKeys: Object.keys(req.body || {})
+    });
+    if (req.file) {
+      // Validate MIME type for images
+      const validImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'];
+      if (!validImageTypes.includes(req.file.mimetype)) {
+        return { status: 400, error: 'Invalid image format. Please upload a JPEG, PNG, GIF, WebP, or BMP image.' };
       }
+      
+      imageBuffer = req.file.buffer;
+      imageMime = req.file.mimetype;
+      console.log('File uploaded successfully:', {
+        fieldName: req.file.fieldname,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        mimeType: req.file.mimetype
+      });
     } else {
-      // JSON
-      const { text: bodyText, imageUrl: bodyImageUrl, raw: bodyRaw, platform: bodyPlatform } = req.body || {};
-      text = bodyText;
-      imageUrl = bodyImageUrl;
-      useRaw = Boolean(bodyRaw);
-      req.platform = bodyPlatform;
-    }
-
-    console.log('Validation check:', {
-      hasText: !!text,
-      hasImageUrl: !!imageUrl,
-      hasImageBuffer: !!imageBuffer,
-      imageBufferLength: imageBuffer?.length
-    });
-    
-    if (!text && !imageUrl && !imageBuffer) {
-      return res.status(400).json({ error: 'Provide text, imageUrl, or image file (field name: image)' });
+      console.log('No file found in multipart request');
     }
+  } else {
+    // JSON
+    const { text: bodyText, imageUrl: bodyImageUrl, raw: bodyRaw } = req.body || {};
+    text = bodyText;
+    imageUrl = bodyImageUrl;
+    useRaw = Boolean(bodyRaw);
+  }
+
+  console.log('Validation check:', {
+    hasText: !!text,
+    hasImageUrl: !!imageUrl,
+    hasImageBuffer: !!imageBuffer,
+    imageBufferLength: imageBuffer?.length
+  });
+  
+  if (!text && !imageUrl && !imageBuffer) {
+    return { status: 400, error: 'Provide text, imageUrl, or image file (field name: image)' };
+  }
 
+  // Region of the image to search (see lib/imageRegions.js), and the query /search gave for it when it
+  // is a detected item
+  const { bbox, error: bboxError } = normalizeBbox(req.body?.bbox);
+  if (bboxError) return { status: 400, error: bboxError };
+  if (bbox && !imageUrl && !imageBuffer) return { status: 400, error: 'bbox needs an image or imageUrl' };
+  const itemQuery = bbox ? String(req.body?.itemQuery || '').replace(/\s+/g, ' ').trim().slice(0, 120) : '';
+
+  console.log('Search parameters:', {
+    text: text,
+    imageUrl: imageUrl,
+    hasImageBuffer: !!imageBuffer,
+    imageMime: imageMime,
+    useRaw: useRaw
+  });
 
+  return {
+    isMultipart,
+    text,
+    imageBuffer,
+    imageMime,
+    imageUrl,
+    useRaw,
+    bbox,
+    itemQuery,
+    platform: req.body?.platform || 'google_shopping'
+  };
+}
 
-    console.log('Search parameters:', {
-      text: text,
-      imageUrl: imageUrl,
-      hasImageBuffer: !!imageBuffer,
-      imageMime: imageMime,
-      useRaw: useRaw
-    });
+// Uploaded or linked search image as Gemini inline data: { base64, contentType }
+async function imagePayload({ imageBuffer, imageMime, imageUrl }) {
+  if (imageBuffer) {
+    console.log('Using uploaded image buffer, size:', imageBuffer.length);
+    console.log('Image MIME type:', imageMime);
+    return { base64: Buffer.from(imageBuffer).toString('base64'), contentType: imageMime };
+  }
+  console.log('Using image URL:', imageUrl);
+  return fetchImageAsBase64(imageUrl);
+}
+
+// Items in a search image for the client to pick from: Gemini's detections, else the usual places of
+// top, bottom and shoes in a full-length photo. -> { items, detector: 'gemini' | 'layout' }
+async function detectImageItems(input) {
+  const payload = await imagePayload(input);
+  try {
+    if (!GEMINI_API_KEY && !isReplay()) {
+      throw new Error('Gemini API key not configured');
+    }
+    const { value } = await searchCache.wrap(
+      cacheKey('query:items', [hashValue(payload.base64)]),
+      SEARCH_CACHE_QUERY_TTL_SEC,
+      async () => normalizeDetectedItems(await queryGeminiItems(payload))
+    );
+    return { items: value, detector: 'gemini' };
+  } catch (error) {
+    console.warn('Gemini item detection failed, using outfit layout:', error.message);
+    return { items: layoutItems(Buffer.from(payload.base64, 'base64')), detector: 'layout' };
+  }
+}
 
-    let searchQuery = '';
+// Only the region is searched; images that can't be decoded here (GIF, WebP, BMP) are sent whole
+function cropPayload(payload, bbox) {
+  try {
+    const crop = cropImageBuffer(Buffer.from(payload.base64, 'base64'), bbox);
+    if (crop) return { base64: crop.buffer.toString('base64'), contentType: crop.contentType };
+    console.warn(`Cannot crop ${payload.contentType} images, searching the whole image`);
+  } catch (error) {
+    console.warn('Image crop failed, searching the whole image:', error.message);
+  }
+  return payload;
+}
 
-    if (useRaw && text && text.trim()) {
-      // Use the provided text directly as the shopping query
-      searchQuery = text.trim();
-      console.log('Using raw text, search query:', searchQuery);
-    } else if (text && text.trim()) {
-      // Prefer text if provided (Gemini: spell-only or full query depending on SPELL_ONLY)
-      try {
-        if (!GEMINI_API_KEY) {
-          throw new Error('Gemini API key not configured');
-        }
-        searchQuery = await queryGeminiFromText(text.trim());
-        console.log('Using Gemini text processing, search query:', searchQuery);
-      } catch (error) {
-        console.warn('Gemini API failed, using enhanced fallback:', error.message);
-        console.warn('Error details:', error.stack);
-        
-        // Enhanced fallback: improve the text query with fashion-specific terms
-        const originalText = text.trim().toLowerCase();
-        
-        // Check if the text already contains fashion-related terms
-        const fashionTerms = ['shirt', 'dress', 'pant', 'jean', 'shoe', 'bag', 'jacket', 'coat', 'skirt', 'top', 'blouse', 'sneaker', 'boot', 'handbag', 'purse', 'jewelry', 'accessory'];
-        const hasFashionTerms = fashionTerms.some(term => originalText.includes(term));
-        
-        // Check for style-based queries
-        const styleTerms = ['summer', 'winter', 'spring', 'autumn', 'casual', 'formal', 'party', 'elegant', 'sporty', 'vintage', 'modern', 'classic', 'trendy', 'outfit', 'clothes', 'clothing', 'wear', 'style', 'beach', 'office', 'weekend', 'everyday', 'seasonal', 'light', 'warm', 'professional', 'relaxed', 'attire'];
-        const hasStyleTerms = styleTerms.some(term => originalText.includes(term));
-        
-        if (hasFashionTerms && hasStyleTerms) {
-          // Text contains both fashion and style terms, enhance with context
-          searchQuery = `${originalText} fashion clothing`;
-        } else if (hasStyleTerms) {
-          // Style-based query (like "summer outfits")
-          if (originalText.includes('summer')) {
-            searchQuery = `summer dresses summer shirts summer pants summer shorts casual wear`;
-          } else if (originalText.includes('winter')) {
-            searchQuery = `winter jackets winter sweaters winter pants winter coats warm wear`;
-          } else if (originalText.includes('spring')) {
-            searchQuery = `spring dresses spring tops spring jackets spring pants light wear`;
-          } else if (originalText.includes('autumn') || originalText.includes('fall')) {
-            searchQuery = `autumn jackets autumn sweaters autumn dresses autumn pants seasonal wear`;
-          } else if (originalText.includes('casual')) {
-            searchQuery = `casual t-shirts casual jeans casual dresses casual shirts everyday wear`;
-          } else if (originalText.includes('party')) {
-            searchQuery = `party dresses party shirts party pants elegant formal wear`;
-          } else if (originalText.includes('formal')) {
-            searchQuery = `formal shirts formal pants formal dresses professional wear`;
-          } else if (originalText.includes('beach')) {
-            searchQuery = `beach dresses beach shorts beach shirts beach wear summer casual`;
-          } else if (originalText.includes('office')) {
-            searchQuery = `office shirts office pants office dresses professional formal wear`;
-          } else if (originalText.includes('weekend')) {
-            searchQuery = `weekend t-shirts weekend jeans weekend dresses casual relaxed wear`;
-          } else {
-            searchQuery = `${originalText} fashion clothing style`;
-          }
-        } else if (hasFashionTerms) {
-          // Text already contains fashion terms, just add some context
-          searchQuery = `${originalText} fashion style`;
-        } else {
-          // Check if it's a general style or outfit query
-          if (originalText.includes('outfit') || originalText.includes('clothes') || originalText.includes('clothing') || originalText.includes('wear')) {
-            // General outfit/clothing query
-            if (originalText.includes('summer')) {
-              searchQuery = `summer dresses summer shirts summer pants summer shorts casual wear`;
-            } else if (originalText.includes('winter')) {
-              searchQuery = `winter jackets winter sweaters winter pants winter coats warm wear`;
-            } else if (originalText.includes('spring')) {
-              searchQuery = `spring dresses spring tops spring jackets spring pants light wear`;
-            } else if (originalText.includes('autumn') || originalText.includes('fall')) {
-              searchQuery = `autumn jackets autumn sweaters autumn dresses autumn pants seasonal wear`;
-            } else if (originalText.includes('casual')) {
-              searchQuery = `casual t-shirts casual jeans casual dresses casual shirts everyday wear`;
-            } else if (originalText.includes('party')) {
-              searchQuery = `party dresses party shirts party pants elegant formal wear`;
-            } else if (originalText.includes('formal')) {
-              searchQuery = `formal shirts formal pants formal dresses professional wear`;
-            } else if (originalText.includes('beach')) {
-              searchQuery = `beach dresses beach shorts beach shirts beach wear summer casual`;
-            } else if (originalText.includes('office')) {
-              searchQuery = `office shirts office pants office dresses professional formal wear`;
-            } else if (originalText.includes('weekend')) {
-              searchQuery = `weekend t-shirts weekend jeans weekend dresses casual relaxed wear`;
-            } else {
-              searchQuery = `fashion dresses fashion shirts fashion pants trendy clothing`;
-            }
-          } else {
-            // Text doesn't contain fashion terms, add clothing context
-            searchQuery = `${originalText} fashion clothing style`;
+// Turn the search input into a shopping query plus structured attributes
+// (Gemini with cached parses, else the local parser in lib/queryParser.js).
+// Hindi, Gujarati and Hinglish text is translated to English offline first (lib/queryLanguage.js), then
+// spell-corrected (lib/spellCorrect.js). Gemini still reads non-English text as typed, since it translates
+// better than the dictionary; the local parser and image captions get the offline English.
+// Returns { searchQuery, attributes, cacheInfo }; attributes.translation and attributes.corrections
+// record what the offline steps changed.
+// profile: the user's saved department and fit join text queries that don't name their own
+async function resolveSearchQuery({ text, imageBuffer, imageMime, imageUrl, useRaw, bbox, itemQuery }, profile = null) {
+  let searchQuery = '';
+  let attributes = null;
+  // 'hit' | 'miss' | 'off'; query stays 'bypass' when no Gemini call is used (raw text or local parser)
+  const cacheInfo = { backend: searchCache.backend, query: 'bypass', products: 'off' };
+  // Raw text is searched exactly as typed
+  const typed = text;
+  const translation = useRaw ? null : translateQuery(text);
+  const translated = Boolean(translation) && translation.language !== 'en';
+  if (translated) {
+    console.log(`Translated ${translation.language} search text:`, translation.text);
+    text = translation.text;
+  }
+  const correction = useRaw ? null : correctQuery(text);
+  if (correction?.corrections.length) {
+    console.log('Corrected search text:', correction.text);
+    text = correction.text;
+  }
+
+  if (useRaw && text && text.trim()) {
+    // Use the provided text directly as the shopping query; attributes still drive filters
+    searchQuery = text.trim();
+    attributes = { ...parseQueryLocal(searchQuery), parser: 'local' };
+    console.log('Using raw text, search query:', searchQuery);
+  } else if (text && text.trim()) {
+    // SPELL_ONLY: Gemini only corrects spelling and the local parser extracts attributes;
+    // otherwise Gemini returns the attributes directly
+    try {
+      if (!GEMINI_API_KEY && !isReplay()) {
+        throw new Error('Gemini API key not configured');
+      }
+      const geminiText = (translated ? typed : text).trim();
+      const cachedQuery = await searchCache.wrap(
+        cacheKey('query:attributes', [normalizeQuery(geminiText), SPELL_ONLY]),
+        SEARCH_CACHE_QUERY_TTL_SEC,
+        async () => {
+          if (SPELL_ONLY) {
+            return { ...parseQueryLocal(await queryGeminiFromText(geminiText)), parser: 'gemini' };
           }
+          return { ...normalizeAttributes(await queryGeminiAttributes(geminiText), text), parser: 'gemini' };
         }
+      );
+      attributes = cachedQuery.value;
+      cacheInfo.query = cachedQuery.status;
+      console.log('Using Gemini query attributes:', attributes);
+    } catch (error) {
+      console.warn('Gemini API failed, using local query parser:', error.message);
+      attributes = { ...parseQueryLocal(text), parser: 'local' };
+    }
+    attributes = profileAttributes(attributes, profile);
+    searchQuery = buildSearchQuery(attributes);
+  } else if (itemQuery) {
+    // A detected item picked from the photo: detection already wrote its query
+    searchQuery = itemQuery;
+    attributes = { ...parseQueryLocal(itemQuery), parser: 'local' };
+    console.log('Using detected item query:', searchQuery);
+  } else if (imageBuffer || imageUrl) {
+    // Handle image (+ optional caption fusion)
+    console.log('Processing image search...');
+    let payload = await imagePayload({ imageBuffer, imageMime, imageUrl });
+    if (bbox) {
+      payload = cropPayload(payload, bbox);
+      imageBuffer = Buffer.from(payload.base64, 'base64');
+      console.log('Searching image region:', bbox);
+    }
+    console.log('Base64 length:', payload.base64.length);
+    try {
+      if (!GEMINI_API_KEY && !isReplay()) {
+        throw new Error('Gemini API key not configured');
       }
-    } else if (imageBuffer || imageUrl) {
-      // Handle image (+ optional caption fusion)
-      console.log('Processing image search...');
-      let payload;
-      if (imageBuffer) {
-        payload = { base64: Buffer.from(imageBuffer).toString('base64'), contentType: imageMime };
-        console.log('Using uploaded image buffer, size:', imageBuffer.length);
-        console.log('Image MIME type:', imageMime);
-        console.log('Base64 length:', payload.base64.length);
+      const cachedQuery = await searchCache.wrap(
+        cacheKey('query:image', [hashValue(payload.base64), normalizeQuery(text)]),
+        SEARCH_CACHE_QUERY_TTL_SEC,
+        () => queryGeminiFromImage(payload, text)
+      );
+      searchQuery = cachedQuery.value;
+      cacheInfo.query = cachedQuery.status;
+      // Attributes come from Gemini's description plus the caption (e.g. "under 2000")
+      attributes = { ...parseQueryLocal(`${searchQuery} ${text || ''}`), parser: 'gemini' };
+      console.log('Image search query generated:', searchQuery);
+    } catch (error) {
+      console.warn('Gemini image API failed, using intelligent fallback:', error.message);
+      console.warn('Error details:', error.stack);
+      
+      // Fall back to the caption, parsed like a text query
+      if (text && text.trim()) {
+        attributes = { ...parseQueryLocal(text), parser: 'local' };
+        searchQuery = buildSearchQuery(attributes);
       } else {
-        payload = await fetchImageAsBase64(imageUrl);
-        console.log('Using image URL:', imageUrl);
-        console.log('Base64 length:', payload.base64.length);
-      }
-      try {
-        if (!GEMINI_API_KEY) {
-          throw new Error('Gemini API key not configured');
+        // Enhanced image analysis fallback based on image properties and URL
+        const imageSize = imageBuffer ? imageBuffer.length : 0;
+        const imageUrlLower = (imageUrl || '').toLowerCase();
+        
+        // Try to extract clues from image URL if available
+        let urlClues = '';
+        if (imageUrlLower.includes('shirt') || imageUrlLower.includes('top') || imageUrlLower.includes('tee')) {
+          urlClues = 'shirt top clothing';
+        } else if (imageUrlLower.includes('dress') || imageUrlLower.includes('gown')) {
+          urlClues = 'dress women fashion';
+        } else if (imageUrlLower.includes('pant') || imageUrlLower.includes('jean')) {
+          urlClues = 'pants jeans bottoms';
+        } else if (imageUrlLower.includes('shoe') || imageUrlLower.includes('sneaker') || imageUrlLower.includes('boot')) {
+          urlClues = 'shoes footwear';
+        } else if (imageUrlLower.includes('bag') || imageUrlLower.includes('purse') || imageUrlLower.includes('handbag')) {
+          urlClues = 'bag accessories';
+        } else if (imageUrlLower.includes('jacket') || imageUrlLower.includes('coat')) {
+          urlClues = 'jacket coat outerwear';
         }
-        searchQuery = await queryGeminiFromImage(payload, text);
-        console.log('Image search query generated:', searchQuery);
-      } catch (error) {
-        console.warn('Gemini image API failed, using intelligent fallback:', error.message);
-        console.warn('Error details:', error.stack);
         
-        // Enhanced intelligent fallback based on image metadata and text
-        if (text && text.trim()) {
-          // Try to improve the text query with specific fashion terms
-          const improvedText = text.trim().toLowerCase();
-          
-          // Clothing categories with specific search terms
-          if (improvedText.includes('shirt') || improvedText.includes('top') || improvedText.includes('blouse') || improvedText.includes('tee')) {
-            searchQuery = `${improvedText} clothing fashion casual wear`;
-          } else if (improvedText.includes('pant') || improvedText.includes('jean') || improvedText.includes('trouser') || improvedText.includes('legging')) {
-            searchQuery = `${improvedText} bottoms fashion casual wear`;
-          } else if (improvedText.includes('dress') || improvedText.includes('gown') || improvedText.includes('frock')) {
-            searchQuery = `${improvedText} women fashion casual elegant`;
-          } else if (improvedText.includes('shoe') || improvedText.includes('sneaker') || improvedText.includes('boot') || improvedText.includes('footwear')) {
-            searchQuery = `${improvedText} footwear fashion casual`;
-          } else if (improvedText.includes('bag') || improvedText.includes('purse') || improvedText.includes('handbag') || improvedText.includes('backpack')) {
-            searchQuery = `${improvedText} accessories fashion`;
-          } else if (improvedText.includes('jacket') || improvedText.includes('coat') || improvedText.includes('blazer')) {
-            searchQuery = `${improvedText} outerwear fashion casual formal`;
-          } else if (improvedText.includes('skirt') || improvedText.includes('short')) {
-            searchQuery = `${improvedText} women fashion casual`;
-          } else if (improvedText.includes('jewelry') || improvedText.includes('necklace') || improvedText.includes('earring') || improvedText.includes('ring')) {
-            searchQuery = `${improvedText} accessories fashion jewelry`;
-          } else {
-                                 // Check for style-based queries in the text
-           const styleTerms = ['summer', 'winter', 'spring', 'autumn', 'casual', 'formal', 'party', 'elegant', 'sporty', 'vintage', 'modern', 'classic', 'trendy', 'outfit', 'clothes', 'clothing', 'wear', 'style', 'beach', 'office', 'weekend', 'everyday', 'seasonal', 'light', 'warm', 'professional', 'relaxed', 'attire'];
-          const hasStyleTerms = styleTerms.some(term => improvedText.includes(term));
-          
-                     if (hasStyleTerms) {
-             // Style-based query
-             if (improvedText.includes('summer')) {
-               searchQuery = `summer dresses summer shirts summer pants summer shorts casual wear`;
-             } else if (improvedText.includes('winter')) {
-               searchQuery = `winter jackets winter sweaters winter pants winter coats warm wear`;
-             } else if (improvedText.includes('spring')) {
-               searchQuery = `spring dresses spring tops spring jackets spring pants light wear`;
-             } else if (improvedText.includes('autumn') || improvedText.includes('fall')) {
-               searchQuery = `autumn jackets autumn sweaters autumn dresses autumn pants seasonal wear`;
-             } else if (improvedText.includes('casual')) {
-               searchQuery = `casual t-shirts casual jeans casual dresses casual shirts everyday wear`;
-             } else if (improvedText.includes('party')) {
-               searchQuery = `party dresses party shirts party pants elegant formal wear`;
-             } else if (improvedText.includes('formal')) {
-               searchQuery = `formal shirts formal pants formal dresses professional wear`;
-             } else if (improvedText.includes('beach')) {
-               searchQuery = `beach dresses beach shorts beach shirts beach wear summer casual`;
-             } else if (improvedText.includes('office')) {
-               searchQuery = `office shirts office pants office dresses professional formal wear`;
-             } else if (improvedText.includes('weekend')) {
-               searchQuery = `weekend t-shirts weekend jeans weekend dresses casual relaxed wear`;
-             } else {
-               searchQuery = `${improvedText} fashion clothing style`;
-             }
-           } else {
-             // Generic fashion search with the provided text
-             searchQuery = `${improvedText} fashion clothing style trendy`;
-           }
-          }
+        // Combine URL clues with size-based analysis
+        const isLargeImage = imageSize > 200000; // > 200KB
+        const isMediumImage = imageSize > 50000; // > 50KB
+        const isSmallImage = imageSize < 20000; // < 20KB
+        
+        if (urlClues) {
+          // Use URL clues if available
+          searchQuery = `${urlClues} fashion style`;
+        } else if (isLargeImage) {
+          // Large images likely contain full outfits or detailed clothing
+          searchQuery = 'fashion clothing outfit style casual wear trendy';
+        } else if (isMediumImage) {
+          // Medium images likely contain specific clothing items
+          searchQuery = 'fashion clothing style casual wear';
+        } else if (isSmallImage) {
+          // Small images likely contain accessories or jewelry
+          searchQuery = 'fashion accessories jewelry bags shoes';
         } else {
-          // Enhanced image analysis fallback based on image properties and URL
-          const imageSize = imageBuffer ? imageBuffer.length : 0;
-          const imageUrlLower = (imageUrl || '').toLowerCase();
-          
-          // Try to extract clues from image URL if available
-          let urlClues = '';
-          if (imageUrlLower.includes('shirt') || imageUrlLower.includes('top') || imageUrlLower.includes('tee')) {
-            urlClues = 'shirt top clothing';
-          } else if (imageUrlLower.includes('dress') || imageUrlLower.includes('gown')) {
-            urlClues = 'dress women fashion';
-          } else if (imageUrlLower.includes('pant') || imageUrlLower.includes('jean')) {
-            urlClues = 'pants jeans bottoms';
-          } else if (imageUrlLower.includes('shoe') || imageUrlLower.includes('sneaker') || imageUrlLower.includes('boot')) {
-            urlClues = 'shoes footwear';
-          } else if (imageUrlLower.includes('bag') || imageUrlLower.includes('purse') || imageUrlLower.includes('handbag')) {
-            urlClues = 'bag accessories';
-          } else if (imageUrlLower.includes('jacket') || imageUrlLower.includes('coat')) {
-            urlClues = 'jacket coat outerwear';
-          }
-          
-          // Combine URL clues with size-based analysis
-          const isLargeImage = imageSize > 200000; // > 200KB
-          const isMediumImage = imageSize > 50000; // > 50KB
-          const isSmallImage = imageSize < 20000; // < 20KB
-          
-          if (urlClues) {
-            // Use URL clues if available
-            searchQuery = `${urlClues} fashion style`;
-          } else if (isLargeImage) {
-            // Large images likely contain full outfits or detailed clothing
-            searchQuery = 'fashion clothing outfit style casual wear trendy';
-          } else if (isMediumImage) {
-            // Medium images likely contain specific clothing items
-            searchQuery = 'fashion clothing style casual wear';
-          } else if (isSmallImage) {
-            // Small images likely contain accessories or jewelry
-            searchQuery = 'fashion accessories jewelry bags shoes';
-          } else {
-            // Default fallback
-            searchQuery = 'fashion clothing style trendy casual wear';
-          }
+          // Default fallback
+          searchQuery = 'fashion clothing style trendy casual wear';
         }
-        console.log('Using enhanced intelligent fallback query:', searchQuery);
       }
-    } else {
-      // Fallback for edge cases
-      searchQuery = 'fashion clothing';
-      console.log('Using fallback search query:', searchQuery);
+      console.log('Using enhanced intelligent fallback query:', searchQuery);
     }
+  } else {
+    // Fallback for edge cases
+    searchQuery = 'fashion clothing';
+    console.log('Using fallback search query:', searchQuery);
+  }
 
-    console.log('Searching products with query:', searchQuery);
-    
-    let products = await searchProducts(searchQuery);
-    
-    console.log('Products found:', products.length);
-
-    // Normalize
-    products = products.map(normalizeProduct);
-
-    // Extract filters/sort from body or query
-    const {
-      minPrice, maxPrice,
-      colors, sizes, brands,
-      sortBy, sortOrder
-    } = isMultipart ? req.body || {} : (req.body || {});
-
-    // Apply filters
-    products = applyFilters(products, { minPrice, maxPrice, colors, sizes, brands });
-    // If no explicit sort, re-rank by query relevance; otherwise apply chosen sort
-    if (!sortBy) {
-      products = rerankByQueryHeuristics(products, searchQuery);
-    } else {
-      products = applySort(products, sortBy, sortOrder);
+  if (!attributes) attributes = { ...parseQueryLocal(searchQuery), parser: 'local' };
+  if (translated) attributes = { ...attributes, translation: { language: translation.language, from: typed.trim(), to: text } };
+  if (correction?.corrections.length) attributes = { ...attributes, corrections: correction.corrections };
+  return { searchQuery, attributes, cacheInfo };
+}
+
+// Run the providers (or serve a cached result set) for a query.
+// onResult(products, report) streams provider results as they arrive; it is not called on a cache hit.
+async function fetchSearchResults(searchQuery, platform, cacheInfo, { onResult } = {}) {
+  console.log('Searching products with query:', searchQuery);
+
+  // Only cache result sets where at least one provider answered
+  const cachedSearch = await searchCache.wrap(
+    cacheKey('products', [normalizeQuery(searchQuery), platform]),
+    SEARCH_CACHE_RESULTS_TTL_SEC,
+    () => searchProducts(searchQuery, { onResult }),
+    { shouldStore: result => result.providers.some(p => p.status === 'ok') }
+  );
+  cacheInfo.products = cachedSearch.status;
+  console.log('Products found:', cachedSearch.value.products.length);
+  return cachedSearch.value;
+}
+
+// Normalize, filter and order products using the filters/sort in the request body.
+// recommendedSize on each sized product, from the shopper's measurements or saved sizes (lib/sizeCharts.js)
+function withRecommendedSizes(products, profile) {
+  if (!profile) return products;
+  return products.map(product => {
+    const recommendedSize = recommendSize(product, profile);
+    return recommendedSize ? { ...product, recommendedSize } : product;
+  });
+}
+
+// Profile used for a search's defaults: the signed-in user's, unless the body sends useProfile: false
+async function searchProfileFor(req) {
+  if (!isTruthyParam(req.body?.useProfile ?? true)) return null;
+  return loadUserProfile(req.user?.uid);
+}
+
+// Filters implied by the query attributes (price intent, color, size, brand) fill in whatever the
+// body leaves unset, and the signed-in user's profile (size, budget, retailers) whatever is still
+// unset. If that would remove every product the profile defaults are dropped, then the query's,
+// leaving only the explicit filters.
+// Relevance order blends BM25 with click/save popularity for this query (see lib/feedback.js).
+async function rankSearchResults(rawProducts, searchQuery, body = {}, attributes = null, profile = null) {
+  const {
+    minPrice, maxPrice, minDiscount, minRating, inStockOnly,
+    colors, sizes, brands, retailers,
+    sortBy, sortOrder
+  } = body;
+
+  const explicitFilters = { minPrice, maxPrice, minDiscount, minRating, inStockOnly, colors, sizes, brands, retailers };
+  const isUnset = value => value == null || value === '' || (Array.isArray(value) && !value.length);
+  const withDefaults = (base, defaults) => {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(defaults)) {
+      if (isUnset(merged[key])) merged[key] = value;
     }
+    return merged;
+  };
+  const queryFilters = withDefaults(explicitFilters, attributesToFilters(attributes));
+  const fromProfile = profileFilters(profile, sizeGroupOf(attributes?.category));
+  const filters = withDefaults(queryFilters, fromProfile);
+  const normalized = await addThumbnailColors(rawProducts.map(normalizeProduct), filters.colors);
+
+  observePrices(normalized, 'search');
+
+  // Apply filters, loosening until something is left
+  let products = [];
+  let appliedFilters = explicitFilters;
+  for (const candidate of [filters, queryFilters, explicitFilters]) {
+    products = applyFilters(normalized, candidate);
+    appliedFilters = candidate;
+    if (products.length || !normalized.length) break;
+  }
+  // Tag listings sold by several retailers: "same item, N sellers, cheapest at X"
+  const { matchFor } = matchProducts(products);
+  products = products.map(p => {
+    const match = matchFor(p);
+    return match ? { ...p, match } : p;
+  });
 
-    // Enhance products with real-time price fetching BEFORE stripping fields
-    console.log(`Enhancing prices for ${products.length} products...`);
-    console.log(`Before enhancement - Sample products:`, products.slice(0, 3).map(p => ({ title: p.title, price: p.price, source: p.source })));
-    
-    products = await enhanceProductPrices(products);
-    console.log(`Price enhancement completed. Sample products:`, products.slice(0, 3).map(p => ({ title: p.title, price: p.price, source: p.source })));
+  // If no explicit sort, re-rank by query relevance; otherwise apply chosen sort
+  if (!sortBy) {
+    const popularity = await feedbackStore.popularity(searchQuery, products);
+    products = rankProducts(products, searchQuery, { popularityOf: p => popularity.get(feedbackItemKey(p)) });
+  } else {
+    products = applySort(products, sortBy, sortOrder);
+  }
+  // Titles rarely name a size, so stock for it comes from the product pages
+  products = await checkSizeAvailability(products, appliedFilters.sizes);
+  products = withRecommendedSizes(products, profile);
 
-    // Strip internal fields
-    products = stripInternalFields(products);
-    console.log(`After stripping fields - Sample products:`, products.slice(0, 3).map(p => ({ title: p.title, price: p.price, source: p.source })));
+  return {
+    products,
+    filters: appliedFilters,
+    // Filter keys the profile filled in, so the client can say "using your size and budget"
+    profileDefaults: appliedFilters === filters ? Object.keys(fromProfile).filter(key => isUnset(queryFilters[key])) : [],
+    sort: { sortBy: sortBy || null, sortOrder: (sortOrder || defaultSortOrder(sortBy)).toLowerCase() }
+  };
+}
+
+// Fetch, rank and keep a result set, and build the /search response for the requested page.
+// Also returns the full ranked list (internal fields included) for callers that diff it.
+async function runSearch({ searchQuery, attributes, cacheInfo, platform }, body, profile, ownerId = null) {
+  const searchResult = await fetchSearchResults(searchQuery, platform, cacheInfo);
+  const { products, filters, profileDefaults, sort } = await rankSearchResults(searchResult.products, searchQuery, body, attributes, profile);
 
-    // Generate comparison data by grouping products by company/source
-    const comparisonData = generateComparisonData(products);
+  // Comparison covers the whole result set, not just the first page
+  const comparisonData = generateComparisonData(stripInternalFields(products));
 
-    return res.json({
+  // Keep the full set server-side and return the requested page
+  const searchId = await storeSearchResults(searchQuery, products, ownerId);
+
+  const pageSize = parsePageSize(body.pageSize);
+  const pageNumber = Math.max(parseInt(body.page, 10) || 1, 1);
+  console.log(`Serving page ${pageNumber} (size ${pageSize}) of ${products.length} products`);
+  const page = await buildSearchPage({ products }, searchId, (pageNumber - 1) * pageSize, pageSize);
+
+  return {
+    products,
+    response: {
       query: searchQuery,
-      products,
+      attributes,
+      products: page.products,
+      pagination: page.pagination,
       comparison: comparisonData,
-      platform: req.platform || req.body?.platform || 'google_shopping',
-      filters: { minPrice, maxPrice, colors, sizes, brands },
-      sort: { sortBy: sortBy || null, sortOrder: (sortOrder || 'asc').toLowerCase() }
+      providers: searchResult.providers,
+      cache: cacheInfo,
+      platform,
+      filters,
+      profileDefaults,
+      sort
+    }
+  };
+}
+
+app.post('/search', optionalAuth, searchUpload.single('image'), async (req, res) => {
+  try {
+    console.log('Search request received:', {
+      contentType: req.headers['content-type'],
+      hasFile: !!req.file,
+      body: req.body,
+      hasGeminiKey: !!GEMINI_API_KEY,
+      hasSerpKey: !!SERPAPI_API_KEY
     });
+
+    // Later pages of an earlier search
+    if (req.body?.cursor || req.body?.searchId) {
+      return await handleSearchPageRequest(req, res);
+    }
+
+    if (!isReplay() && (!GEMINI_API_KEY || !SERPAPI_API_KEY)) {
+      console.error('Missing API keys: GEMINI_API_KEY or SERPAPI_API_KEY');
+      return res.status(500).json({ error: 'Something went wrong' });
+    }
+
+    const input = readSearchInput(req);
+    if (input.error) {
+      return res.status(input.status).json({ error: input.error });
+    }
+
+    // Items to pick from instead of results; the client then searches one with its bbox and itemQuery
+    if (isTruthyParam(req.body?.detectItems)) {
+      if (!input.imageBuffer && !input.imageUrl) {
+        return res.status(400).json({ error: 'detectItems needs an image or imageUrl' });
+      }
+      return res.json(await detectImageItems(input));
+    }
+
+    const profile = await searchProfileFor(req);
+    const resolved = await resolveSearchQuery(input, profile);
+    const { response } = await runSearch({ ...resolved, platform: input.platform }, req.body || {}, profile, req.user?.uid);
+    response.historyId = await recordSearchHistory(req, input, response);
+    return res.json(response);
   } catch (err) {
     console.error('Unhandled error in /search:', err);
     console.error('Error details:', {
@@ -2218,8 +2604,333 @@ app.post('/search', searchUpload.single('image'), async (req, res) => {
   }
 });
 
+// POST /search/stream: same input as /search, answered as Server-Sent Events so the
+// client can render before the slowest provider and price fetches finish.
+//   query     { query, attributes, cache }          once the shopping query is known
+//   provider  { provider, products }                as each provider settles (only products not sent yet)
+//   results   same body as /search                  ranked first page once all providers are done
+//   price     { link, price }                       as real-time price fetches for that page finish
+//   done      {}
+//   error     { error }
+const STREAM_PRICE_LIMIT = 5;
+const STREAM_PRICE_TIMEOUT_MS = 8000;
+
+app.post('/search/stream', optionalAuth, searchUpload.single('image'), async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    if (!isReplay() && (!GEMINI_API_KEY || !SERPAPI_API_KEY)) {
+      console.error('Missing API keys: GEMINI_API_KEY or SERPAPI_API_KEY');
+      send('error', { error: 'Something went wrong' });
+      return res.end();
+    }
+
+    const input = readSearchInput(req);
+    if (input.error) {
+      send('error', { error: input.error });
+      return res.end();
+    }
+
+    const profile = await searchProfileFor(req);
+    const { searchQuery, attributes, cacheInfo } = await resolveSearchQuery(input, profile);
+    send('query', { query: searchQuery, attributes, cache: cacheInfo });
+
+    const sentKeys = new Set();
+    const searchResult = await fetchSearchResults(searchQuery, input.platform, cacheInfo, {
+      onResult: (items, report) => {
+        const fresh = dedupeProducts(items).filter(it => {
+          const key = productKey(it);
+          if (sentKeys.has(key)) return false;
+          sentKeys.add(key);
+          return true;
+        });
+        send('provider', { provider: report, products: fresh });
+      }
+    });
+
+    const { products, filters, profileDefaults, sort } = await rankSearchResults(searchResult.products, searchQuery, req.body || {}, attributes, profile);
+    const comparisonData = generateComparisonData(stripInternalFields(products));
+    const searchId = await storeSearchResults(searchQuery, products, req.user?.uid);
+    const page = await buildSearchPage({ products }, searchId, 0, parsePageSize(req.body?.pageSize), { realTimeLimit: 0 });
+
+    const results = {
+      query: searchQuery,
+      attributes,
+      products: page.products,
+      pagination: page.pagination,
+      comparison: comparisonData,
+      providers: searchResult.providers,
+      cache: cacheInfo,
+      platform: input.platform,
+      filters,
+      profileDefaults,
+      sort
+    };
+    results.historyId = await recordSearchHistory(req, input, results);
+    send('results', results);
+
+    // Real-time prices for the top of the page, reported one by one as they land
+    await Promise.allSettled(
+      page.products.slice(0, STREAM_PRICE_LIMIT).filter(product => product.link).map(product =>
+        Promise.race([
+          fetchRealTimePrice(product),
+          new Promise(resolve => setTimeout(() => resolve(product), STREAM_PRICE_TIMEOUT_MS))
+        ]).then(updated => {
+          if (!updated.priceUpdated) return;
+          observePrices([updated], 'realtime');
+          const { price, mrp, discountPercent, offers, rating, reviews, availability, shipping } = updated;
+          send('price', { link: updated.link, price, mrp, discountPercent, offers, rating, reviews, availability, shipping });
+        })
+      )
+    );
+
+    send('done', {});
+  } catch (err) {
+    console.error('Unhandled error in /search/stream:', err);
+    send('error', { error: 'Something went wrong', details: err.message });
+  }
+  res.end();
+});
+
+// --- Search history and saved searches ---
+// Searches by signed-in users go into SearchHistory (newest SEARCH_HISTORY_MAX_PER_USER kept) unless the
+// body sends saveHistory: false. History entries and saved searches re-run from their stored query,
+// filters and sort, so a re-run skips Gemini and ranks the way the original search did.
+const THUMBNAIL_DATA_URL = /^data:image\/(jpeg|png|webp);base64,([A-Za-z0-9+/]+=*)$/;
+const THUMBNAIL_EXTENSIONS = { jpeg: 'jpg', jpg: 'jpg', png: 'png', gif: 'gif', webp: 'webp', bmp: 'bmp' };
+
+// Thumbnail kept with a history entry: the image URL searched, else the small preview the client sent
+// for an upload (field `thumbnail`, a data URL), else the upload itself when it is already small.
+// Files go to /uploads, where uploads-cleanup removes them once no entry references them.
+async function saveSearchThumbnail(input, clientThumbnail) {
+  if (input.imageUrl) return input.imageUrl;
+  if (!input.imageBuffer) return null;
+  const preview = typeof clientThumbnail === 'string' ? clientThumbnail.match(THUMBNAIL_DATA_URL) : null;
+  const buffer = preview ? Buffer.from(preview[2], 'base64') : input.imageBuffer;
+  const ext = THUMBNAIL_EXTENSIONS[preview ? preview[1] : String(input.imageMime).split('/')[1]] || 'jpg';
+  if (buffer.length > SEARCH_THUMBNAIL_MAX_BYTES) return null;
+  const name = `search_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.${ext}`;
+  await fs.promises.writeFile(path.join(uploadsDir, name), buffer);
+  return `/uploads/${name}`;
+}
+
+// Add a search to the signed-in user's history; returns the entry id, or null when nothing was recorded
+async function recordSearchHistory(req, input, response) {
+  if (!req.user?.uid || mongoose.connection.readyState !== 1) return null;
+  if (!isTruthyParam(req.body?.saveHistory ?? true)) return null;
+  try {
+    const entry = await SearchHistory.create({
+      userId: req.user.uid,
+      text: typeof input.text === 'string' && input.text.trim() ? input.text.trim() : null,
+      query: response.query,
+      attributes: response.attributes,
+      filters: response.filters,
+      sort: response.sort,
+      platform: response.platform,
+      imageUrl: input.imageUrl || null,
+      thumbnail: await saveSearchThumbnail(input, req.body?.thumbnail),
+      resultCount: response.pagination?.total ?? response.products.length
+    });
+    pruneSearchHistory(req.user.uid).catch(error => console.error('Search history prune failed:', error.message));
+    return entry._id;
+  } catch (error) {
+    console.error('Failed to record search history:', error.message);
+    return null;
+  }
+}
+
+async function pruneSearchHistory(userId) {
+  const stale = await SearchHistory.find({ userId }).sort({ createdAt: -1 }).skip(SEARCH_HISTORY_MAX_PER_USER).select('_id').lean();
+  if (stale.length) await SearchHistory.deleteMany({ _id: { $in: stale.map(entry => entry._id) } });
+}
+
+// rankSearchResults body that reproduces a stored search's filters and sort
+function storedSearchBody(stored) {
+  return {
+    ...(stored.filters || {}),
+    sortBy: stored.sort?.sortBy || undefined,
+    sortOrder: stored.sort?.sortOrder || undefined
+  };
+}
+
+function storedSearchQuery(stored) {
+  return {
+    searchQuery: stored.query,
+    attributes: stored.attributes || null,
+    cacheInfo: { backend: searchCache.backend, query: 'bypass', products: 'off' },
+    platform: stored.platform || 'google_shopping'
+  };
+}
+
+// A saved search as the API returns it, without the keys of every item seen
+function savedSearchView(item) {
+  const { seenKeys, ...view } = item.toObject();
+  return view;
+}
+
+function findOwned(Model, req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Model.findOne({ _id: req.params.id, userId: req.user.uid });
+}
+
+// GET /search/history?limit=30 -> { items } newest first
+app.get('/search/history', auth, async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 30));
+    const items = await SearchHistory.find({ userId: req.user.uid }).sort({ createdAt: -1 }).limit(limit);
+    res.json({ items });
+  } catch (error) {
+    console.error('Error loading search history:', error);
+    res.status(500).json({ error: 'Failed to load search history' });
+  }
+});
+
+app.delete('/search/history', auth, async (req, res) => {
+  try {
+    const { deletedCount } = await SearchHistory.deleteMany({ userId: req.user.uid });
+    res.json({ ok: true, deleted: deletedCount });
+  } catch (error) {
+    console.error('Error clearing search history:', error);
+    res.status(500).json({ error: 'Failed to clear search history' });
+  }
+});
+
+app.delete('/search/history/:id', auth, async (req, res) => {
+  try {
+    const entry = await findOwned(SearchHistory, req);
+    if (!entry) return res.status(404).json({ error: 'Search not found' });
+    await entry.deleteOne();
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error deleting search history entry:', error);
+    res.status(500).json({ error: 'Failed to delete search' });
+  }
+});
+
+// POST /search/history/:id/run { pageSize? } -> same body as /search
+app.post('/search/history/:id/run', auth, async (req, res) => {
+  try {
+    const entry = await findOwned(SearchHistory, req);
+    if (!entry) return res.status(404).json({ error: 'Search not found' });
+    const profile = await searchProfileFor(req);
+    const { response } = await runSearch(storedSearchQuery(entry), { ...storedSearchBody(entry), pageSize: req.body?.pageSize }, profile, req.user.uid);
+    res.json({ ...response, historyId: entry._id });
+  } catch (error) {
+    console.error('Error re-running search:', error);
+    res.status(500).json({ error: 'Failed to run search' });
+  }
+});
+
+// GET /saved-searches -> { items }
+app.get('/saved-searches', auth, async (req, res) => {
+  try {
+    const items = await SavedSearch.find({ userId: req.user.uid }).select('-seenKeys').sort({ createdAt: -1 });
+    res.json({ items });
+  } catch (error) {
+    console.error('Error loading saved searches:', error);
+    res.status(500).json({ error: 'Failed to load saved searches' });
+  }
+});
+
+// POST /saved-searches { historyId, name, alert?, searchId? } -> 201 { item }
+// searchId (from the search's pagination) marks the results already shown as seen, so the first
+// alert only reports items that appear after saving; without it the first alert run records them.
+app.post('/saved-searches', auth, async (req, res) => {
+  try {
+    const { savedSearch, error } = normalizeSavedSearchInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const historyId = req.body?.historyId;
+    const entry = mongoose.isValidObjectId(historyId)
+      ? await SearchHistory.findOne({ _id: historyId, userId: req.user.uid })
+      : null;
+    if (!entry) return res.status(404).json({ error: 'Search not found' });
+    if (await SavedSearch.countDocuments({ userId: req.user.uid }) >= SAVED_SEARCHES_MAX_PER_USER) {
+      return res.status(400).json({ error: `At most ${SAVED_SEARCHES_MAX_PER_USER} saved searches` });
+    }
+
+    const stored = await loadSearchResults(req.body?.searchId, req.user.uid);
+    const seen = stored?.query === entry.query ? findNewItems(stored.products, [], productKey).seenKeys : [];
+    const now = new Date();
+    const item = await SavedSearch.create({
+      userId: req.user.uid,
+      ...savedSearch,
+      ...Object.fromEntries(Object.keys(searchFields).map(field => [field, entry[field] ?? null])),
+      seenKeys: seen,
+      lastRunAt: seen.length ? now : null,
+      nextRunAt: nextAlertRun(savedSearch.alert, seen.length ? now : null)
+    });
+    res.status(201).json({ item: savedSearchView(item) });
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+// PUT /saved-searches/:id { name?, alert? } -> { item }
+app.put('/saved-searches/:id', auth, async (req, res) => {
+  try {
+    const { savedSearch, error } = normalizeSavedSearchInput(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ error });
+    const item = await findOwned(SavedSearch, req);
+    if (!item) return res.status(404).json({ error: 'Saved search not found' });
+
+    if (savedSearch.alert && savedSearch.alert !== item.alert) {
+      item.nextRunAt = nextAlertRun(savedSearch.alert, item.lastRunAt);
+    }
+    Object.assign(item, savedSearch);
+    await item.save();
+    res.json({ item: savedSearchView(item) });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+app.delete('/saved-searches/:id', auth, async (req, res) => {
+  try {
+    const item = await findOwned(SavedSearch, req);
+    if (!item) return res.status(404).json({ error: 'Saved search not found' });
+    await item.deleteOne();
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+// POST /saved-searches/:id/run { pageSize? } -> same body as /search plus newCount, the items not
+// seen in earlier runs; they count as seen from now on
+app.post('/saved-searches/:id/run', auth, async (req, res) => {
+  try {
+    const item = await findOwned(SavedSearch, req);
+    if (!item) return res.status(404).json({ error: 'Saved search not found' });
+    const profile = await searchProfileFor(req);
+    const { products, response } = await runSearch(storedSearchQuery(item), { ...storedSearchBody(item), pageSize: req.body?.pageSize }, profile, req.user.uid);
+    const { items, seenKeys } = findNewItems(products, item.seenKeys, productKey);
+    const now = new Date();
+    await SavedSearch.updateOne({ _id: item._id }, {
+      $set: { seenKeys, lastRunAt: now, nextRunAt: nextAlertRun(item.alert, now), lastNewCount: items.length }
+    });
+    res.json({ ...response, savedSearchId: item._id, newCount: items.length });
+  } catch (error) {
+    console.error('Error running saved search:', error);
+    res.status(500).json({ error: 'Failed to run saved search' });
+  }
+});
+
 // Analyze outfit image and generate suggestions
-async function analyzeOutfitForSuggestions(imageData, caption) {
+async function analyzeOutfitForSuggestionsLive(imageData, caption) {
   const prompt = `You are a fashion expert analyzing an outfit image. Look at this image carefully and provide detailed analysis.
 
 TASK: Analyze the clothing items in the image and suggest complementary pieces to complete the outfit.
@@ -2331,6 +3042,10 @@ Additional context: ${caption || 'No caption provided'}`;
   }
 }
 
+const analyzeOutfitForSuggestions = withFixtures('ootd_analysis', analyzeOutfitForSuggestionsLive, {
+  keyOf: (imageData, caption) => [imageData.base64 || imageData.imageUrl, caption || '']
+});
+
 // Helper functions for fallback analysis
 function extractMainItem(text) {
   if (text.includes('tshirt') || text.includes('shirt')) return 'tshirt';
@@ -2386,29 +3101,41 @@ function extractSuggestions(text) {
 }
 
 // Get product suggestions for outfit categories
-async function getOutfitSuggestions(analysis) {
+// Products for one suggestion category. With a profile the query leads with the department (and fit
+// for clothes), results are narrowed to the saved size, budget and retailers unless nothing is left,
+// and each carries its recommended size.
+async function searchSuggestionCategory(query, group, profile) {
+  const words = [profile?.department, group === 'tops' || group === 'bottoms' ? profile?.fit : null, query];
+  const { products } = await searchProducts(words.filter(Boolean).join(' '));
+  const filters = profileFilters(profile, group);
+  if (!Object.keys(filters).length) return withRecommendedSizes(products, profile);
+  const filtered = applyFilters(products.map(normalizeProduct), filters);
+  return withRecommendedSizes(filtered.length ? stripInternalFields(filtered) : products, profile);
+}
+
+async function getOutfitSuggestions(analysis, profile = null) {
   try {
     const suggestions = {};
     
     // Generate search queries for each suggestion category
     if (analysis.suggestions.bottoms && analysis.suggestions.bottoms.length > 0) {
       const query = `${analysis.suggestions.bottoms.join(' ')} ${analysis.style} ${analysis.colorScheme}`;
-      suggestions.bottoms = await searchProducts(query);
+      suggestions.bottoms = await searchSuggestionCategory(query, 'bottoms', profile);
     }
     
     if (analysis.suggestions.tops && analysis.suggestions.tops.length > 0) {
       const query = `${analysis.suggestions.tops.join(' ')} ${analysis.style} ${analysis.colorScheme}`;
-      suggestions.tops = await searchProducts(query);
+      suggestions.tops = await searchSuggestionCategory(query, 'tops', profile);
     }
     
     if (analysis.suggestions.shoes && analysis.suggestions.shoes.length > 0) {
       const query = `${analysis.suggestions.shoes.join(' ')} ${analysis.style} footwear`;
-      suggestions.shoes = await searchProducts(query);
+      suggestions.shoes = await searchSuggestionCategory(query, 'shoes', profile);
     }
     
     if (analysis.suggestions.accessories && analysis.suggestions.accessories.length > 0) {
       const query = `${analysis.suggestions.accessories.join(' ')} ${analysis.style} accessories`;
-      suggestions.accessories = await searchProducts(query);
+      suggestions.accessories = await searchSuggestionCategory(query, null, profile);
     }
 
     return suggestions;
@@ -2477,6 +3204,36 @@ app.post('/chat', async (req, res) => {
   }
 });
 
+// Write refreshed prices back to the user's wishlist items and comparison sessions with the same link
+async function persistRefreshedPrices(userId, products) {
+  if (!products.length || mongoose.connection.readyState !== 1) return;
+  try {
+    await Promise.all(products.map(product => Promise.all([
+      WishlistItem.updateMany({ userId, link: product.link }, { $set: { price: product.price } }),
+      ComparisonSession.updateMany(
+        { userId, 'products.link': product.link },
+        {
+          $set: {
+            'products.$[p].price': product.price,
+            'products.$[p].priceNumber': parsePriceToNumber(product.price),
+            'products.$[p].mrp': product.mrp ?? null,
+            'products.$[p].discountPercent': product.discountPercent ?? null,
+            'products.$[p].offers': product.offers || [],
+            // Only overwrite what the page actually showed
+            ...Object.fromEntries(['rating', 'reviews', 'availability', 'shipping']
+              .filter(field => product[field] != null)
+              .map(field => [`products.$[p].${field}`, product[field]])),
+            updatedAt: new Date()
+          }
+        },
+        { arrayFilters: [{ 'p.link': product.link }] }
+      )
+    ])));
+  } catch (error) {
+    console.error('Failed to persist refreshed prices:', error.message);
+  }
+}
+
 // Refresh prices for specific products
 app.post('/refresh-prices', auth, async (req, res) => {
   try {
@@ -2486,17 +3243,30 @@ app.post('/refresh-prices', auth, async (req, res) => {
       return res.status(400).json({ error: 'Products array is required' });
     }
     
-    const updatedProducts = [];
-    
-    for (const product of products) {
-      if (product.link) {
-        const updatedProduct = await fetchRealTimePrice(product);
-        updatedProducts.push(updatedProduct);
-      } else {
-        updatedProducts.push(product);
-      }
+    if (products.length > REFRESH_PRICES_MAX) {
+      return res.status(400).json({ error: `At most ${REFRESH_PRICES_MAX} products per refresh` });
     }
     
+    // One fetch per distinct link; scrapeClient spaces out requests to the same retailer
+    const fetches = new Map();
+    const updatedProducts = await Promise.all(products.map(product => {
+      if (!product?.link) return product;
+      // priceUpdated must come from our own fetch, not the request body
+      const { priceUpdated, ...input } = product;
+      if (!fetches.has(input.link)) fetches.set(input.link, fetchRealTimePrice(input));
+      return fetches.get(input.link).then(fetched => {
+        if (!fetched.priceUpdated) return input;
+        const { price, currency, mrp, discountPercent, offers, rating, reviews, availability, shipping } = fetched;
+        return {
+          ...input, price, currency, mrp, discountPercent, offers, rating, reviews, availability, shipping, priceUpdated: true
+        };
+      });
+    }));
+    
+    const refreshed = updatedProducts.filter(product => product.priceUpdated);
+    observePrices(refreshed, 'refresh');
+    await persistRefreshedPrices(req.user.uid, refreshed);
+    
     res.json({ products: updatedProducts });
   } catch (error) {
     console.error('Error refreshing prices:', error);
@@ -2504,6 +3274,230 @@ app.post('/refresh-prices', auth, async (req, res) => {
   }
 });
 
+// --- Price alerts ---
+// Re-check prices of wishlist items that have an alert and notify owners when a threshold is crossed.
+// Runs as the `price-refresh` job; each run checks at most PRICE_ALERTS_BATCH items not checked in the
+// last PRICE_ALERTS_INTERVAL_MIN minutes, least recently checked first, one page fetch at a time.
+async function notifyPriceDrop(item, price, previousPrice) {
+  const { title, message, email } = priceDropMessage({ item, price, previousPrice, alert: item.alert });
+  const notification = await Notification.create({
+    userId: item.userId,
+    type: 'price_drop',
+    title,
+    message,
+    link: item.link,
+    image: item.image,
+    wishlistItemId: item._id,
+    data: { price, previousPrice, targetPrice: item.alert.targetPrice, dropPercent: item.alert.dropPercent }
+  });
+
+  try {
+    const user = await User.findById(item.userId).select('email');
+    const sent = user?.email ? await mailer.send({ to: user.email, ...email }) : null;
+    if (sent) await Notification.updateOne({ _id: notification._id }, { $set: { emailedAt: new Date() } });
+  } catch (error) {
+    console.error(`Price alert email failed for ${item._id}:`, error.message);
+  }
+  return notification;
+}
+
+async function checkPriceAlerts({ limit = PRICE_ALERTS_BATCH } = {}) {
+  const result = { checked: 0, updated: 0, notified: 0 };
+  if (mongoose.connection.readyState !== 1) return result;
+
+  const cutoff = new Date(Date.now() - PRICE_ALERTS_INTERVAL_MIN * 60 * 1000);
+  const items = await WishlistItem.find({
+    alert: { $ne: null },
+    link: { $nin: [null, ''] },
+    $or: [{ 'alert.lastCheckedAt': null }, { 'alert.lastCheckedAt': { $lt: cutoff } }]
+  }).sort({ 'alert.lastCheckedAt': 1 }).limit(limit);
+
+  for (const item of items) {
+    result.checked++;
+    const update = { 'alert.lastCheckedAt': new Date() };
+    try {
+      const previousPrice = parsePriceToNumber(item.price);
+      const fetched = await fetchRealTimePrice({ title: item.title, link: item.link, source: item.source, price: item.price });
+      const price = fetched.priceUpdated ? parsePriceToNumber(fetched.price) : null;
+      if (price != null) {
+        result.updated++;
+        observePrices([fetched], 'realtime');
+        update.price = fetched.price;
+        const { notify, armed } = evaluateAlert(item.alert, price);
+        update['alert.armed'] = armed;
+        if (notify) {
+          update['alert.lastNotifiedPrice'] = price;
+          await notifyPriceDrop(item, price, previousPrice);
+          result.notified++;
+        }
+      }
+    } catch (error) {
+      console.error(`Price alert check failed for ${item._id}:`, error.message);
+    }
+    await WishlistItem.updateOne({ _id: item._id }, { $set: update });
+  }
+
+  if (result.checked) console.log(`Price alerts: checked ${result.checked}, updated ${result.updated}, notified ${result.notified}`);
+  return result;
+}
+
+// --- Saved search alerts ---
+// Re-run saved searches whose alert is due and notify owners about items not seen in earlier runs.
+// Runs as the `saved-search-alerts` job, at most SAVED_SEARCH_ALERTS_BATCH searches per run, most
+// overdue first. Only items passing the saved filters themselves count: when nothing does,
+// rankSearchResults loosens the filters, and those extra items aren't what the user asked for.
+async function notifySavedSearch(saved, items) {
+  const { title, message, email } = newItemsMessage({ savedSearch: saved, items });
+  const notification = await Notification.create({
+    userId: saved.userId,
+    type: 'saved_search',
+    title,
+    message,
+    link: items[0].link,
+    image: items[0].thumbnail || saved.thumbnail,
+    data: {
+      savedSearchId: saved._id,
+      count: items.length,
+      items: items.slice(0, 5).map(({ title, price, link, thumbnail, source }) => ({ title, price, link, thumbnail, source }))
+    }
+  });
+
+  try {
+    const user = await User.findById(saved.userId).select('email');
+    const sent = user?.email ? await mailer.send({ to: user.email, ...email }) : null;
+    if (sent) await Notification.updateOne({ _id: notification._id }, { $set: { emailedAt: new Date() } });
+  } catch (error) {
+    console.error(`Saved search email failed for ${saved._id}:`, error.message);
+  }
+  return notification;
+}
+
+async function checkSavedSearches({ limit = SAVED_SEARCH_ALERTS_BATCH } = {}) {
+  const result = { checked: 0, notified: 0 };
+  if (mongoose.connection.readyState !== 1) return result;
+
+  const due = await SavedSearch.find({ alert: { $ne: 'off' }, nextRunAt: { $lte: new Date() } })
+    .sort({ nextRunAt: 1 }).limit(limit);
+
+  for (const saved of due) {
+    result.checked++;
+    const now = new Date();
+    const update = { lastRunAt: now, nextRunAt: nextAlertRun(saved.alert, now) };
+    try {
+      const { searchQuery, attributes, cacheInfo, platform } = storedSearchQuery(saved);
+      const searchResult = await fetchSearchResults(searchQuery, platform, cacheInfo);
+      const { products } = await rankSearchResults(searchResult.products, searchQuery, storedSearchBody(saved), attributes);
+      const matching = applyFilters(products, saved.filters || {});
+      const { items, seenKeys } = findNewItems(matching, saved.seenKeys, productKey);
+      update.seenKeys = seenKeys;
+      update.lastNewCount = items.length;
+      // The first run only records what is already there
+      if (items.length && saved.lastRunAt) {
+        await notifySavedSearch(saved, stripInternalFields(items));
+        result.notified++;
+      }
+    } catch (error) {
+      console.error(`Saved search check failed for ${saved._id}:`, error.message);
+    }
+    await SavedSearch.updateOne({ _id: saved._id }, { $set: update });
+  }
+
+  if (result.checked) console.log(`Saved search alerts: checked ${result.checked}, notified ${result.notified}`);
+  return result;
+}
+
+// --- Scheduled jobs ---
+// Schedules can be overridden with JOB_<NAME>_CRON (e.g. JOB_PRICE_REFRESH_CRON="*/5 * * * *") or set to "off".
+const TRENDING_CACHE_KEY = 'trending:all';
+const TRENDING_PRECOMPUTE_LIMIT = Number(process.env.TRENDING_PRECOMPUTE_LIMIT || 24);
+const TRENDING_PRECOMPUTE_TTL_SEC = Number(process.env.TRENDING_PRECOMPUTE_TTL_SEC || 6 * 3600);
+const UPLOADS_ORPHAN_MAX_AGE_HOURS = Number(process.env.UPLOADS_ORPHAN_MAX_AGE_HOURS || 24);
+
+scheduler.define('price-refresh', async () => {
+  if (mongoose.connection.readyState !== 1) return { skipped: 'database not connected' };
+  return checkPriceAlerts();
+}, { schedule: '*/15 * * * *' });
+
+// Fill the /trending cache so the home page doesn't wait on a dozen SerpAPI calls
+scheduler.define('trending-precompute', async () => {
+  if (!SERPAPI_API_KEY && !isReplay()) return { skipped: 'SERPAPI_API_KEY not set' };
+  const items = await getTrending({ limit: TRENDING_PRECOMPUTE_LIMIT });
+  if (!items.length) throw new Error('No trending items found');
+  await searchCache.set(TRENDING_CACHE_KEY, { items, computedAt: new Date().toISOString() }, TRENDING_PRECOMPUTE_TTL_SEC);
+  return { items: items.length };
+}, { schedule: '0 */3 * * *' });
+
+scheduler.define('saved-search-alerts', async () => {
+  if (mongoose.connection.readyState !== 1) return { skipped: 'database not connected' };
+  return checkSavedSearches();
+}, { schedule: '0 * * * *' });
+
+// Delete files in uploads/ that no OOTD, search history entry or saved search references (left by
+// deleted OOTDs, pruned history and failed requests). Only files older than UPLOADS_ORPHAN_MAX_AGE_HOURS,
+// so an upload still being saved is never touched.
+scheduler.define('uploads-cleanup', async () => {
+  if (mongoose.connection.readyState !== 1) return { skipped: 'database not connected' };
+  const [ootds, history, saved] = await Promise.all([
+    OOTD.find({ imageUrl: /^\/uploads\// }).select('imageUrl').lean(),
+    SearchHistory.find({ thumbnail: /^\/uploads\// }).select('thumbnail').lean(),
+    SavedSearch.find({ thumbnail: /^\/uploads\// }).select('thumbnail').lean()
+  ]);
+  const referenced = new Set([
+    ...ootds.map(o => path.basename(o.imageUrl)),
+    ...[...history, ...saved].map(s => path.basename(s.thumbnail))
+  ]);
+  const cutoff = Date.now() - UPLOADS_ORPHAN_MAX_AGE_HOURS * 3600 * 1000;
+  const result = { scanned: 0, deleted: 0, bytes: 0 };
+  for (const name of await fs.promises.readdir(uploadsDir)) {
+    const file = path.join(uploadsDir, name);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (!stat?.isFile()) continue;
+    result.scanned++;
+    if (referenced.has(name) || stat.mtimeMs > cutoff) continue;
+    await fs.promises.unlink(file);
+    result.deleted++;
+    result.bytes += stat.size;
+  }
+  if (result.deleted) console.log(`Uploads cleanup: deleted ${result.deleted} orphaned files (${result.bytes} bytes)`);
+  return result;
+}, { schedule: '30 3 * * *' });
+
+// --- Admin: jobs ---
+// GET /admin/jobs?job=&limit=50 -> job states, recent runs and recent failures
+app.get('/admin/jobs', auth, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const job = req.query.job ? String(req.query.job) : undefined;
+    const [jobs, runs, failures] = await Promise.all([
+      scheduler.status(),
+      scheduler.runs({ job, limit }),
+      scheduler.runs({ job, status: 'failed', limit })
+    ]);
+    res.json({ scheduler: { backend: scheduler.backend, instanceId: scheduler.instanceId }, jobs, runs, failures });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// GET /admin/scraper -> per-domain queue, circuit breaker and robots.txt state of the scraping client
+app.get('/admin/scraper', auth, requireAdmin, (req, res) => {
+  res.json({ userAgent: scrapeClient.userAgent, domains: scrapeClient.stats() });
+});
+
+// POST /admin/jobs/:name/run -> run a job now (409 if it is already running)
+app.post('/admin/jobs/:name/run', auth, requireAdmin, async (req, res) => {
+  try {
+    const run = await scheduler.runNow(req.params.name);
+    if (!run) return res.status(409).json({ error: 'Job is already running' });
+    res.json({ run });
+  } catch (error) {
+    if (error.message.startsWith('Unknown job')) return res.status(404).json({ error: error.message });
+    console.error('Error running job:', error);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
 // Catch-all handler for React Router
 app.get('*', (req, res) => {
   // Serve the React app for any unmatched routes
@@ -2517,4 +3511,5 @@ app.get('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Fashion Search API listening on port ${PORT}`);
+  scheduler.start();
 });
\ No newline at end of file
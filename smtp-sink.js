@@ -0,0 +1,61 @@
+// Local SMTP sink for testing email (price alerts etc.) without a real mail server.
+// Accepts every message and prints it; nothing is delivered.
+//
+//   node smtp-sink.js                      # listens on 1025
+//   SMTP_SINK_PORT=2525 node smtp-sink.js
+// Then run the server with MAILER=smtp (SMTP_HOST/SMTP_PORT default to localhost:1025).
+import net from 'net';
+
+const PORT = Number(process.env.SMTP_SINK_PORT || 1025);
+let received = 0;
+
+const server = net.createServer(socket => {
+  socket.setEncoding('utf8');
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: '', to: [] };
+  let data = [];
+
+  const reply = line => socket.write(`${line}\r\n`);
+  reply('220 smtp-sink ready');
+
+  socket.on('data', chunk => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          received++;
+          console.log(`\n📨 Message #${received} from ${envelope.from} to ${envelope.to.join(', ')}`);
+          console.log(data.join('\n'));
+          envelope = { from: '', to: [] };
+          data = [];
+          reply('250 OK queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') reply('250-smtp-sink\r\n250 AUTH PLAIN LOGIN');
+      else if (command === 'AUTH') reply('235 Authenticated');
+      else if (command === 'MAIL') { envelope.from = line.slice(10).trim(); reply('250 OK'); }
+      else if (command === 'RCPT') { envelope.to.push(line.slice(8).trim()); reply('250 OK'); }
+      else if (command === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (command === 'RSET') { envelope = { from: '', to: [] }; data = []; reply('250 OK'); }
+      else if (command === 'NOOP') reply('250 OK');
+      else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+      else reply('502 Command not implemented');
+    }
+  });
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`📭 SMTP sink listening on port ${PORT}`);
+});
@@ -0,0 +1,44 @@
+// Offline check for lib/pageParser.js against saved retailer pages in fixtures/pages/
+// Each entry in fixtures/pages/expected.json names a page, its site and the fields the
+// parser must return (`offerTypes` is checked against the types of the parsed offers,
+// `inStockSizes`/`soldOutSizes` against the labels of the parsed sizes).
+// No server or network needed.
+//
+//   node test-page-parser.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseProductPage } from './lib/pageParser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'pages');
+
+function main() {
+  const { pages } = JSON.parse(fs.readFileSync(path.join(PAGES_DIR, 'expected.json'), 'utf8'));
+  console.log('🧪 Product page parsing\n');
+
+  let failures = 0;
+  for (const { file, site, ...expected } of pages) {
+    const html = fs.readFileSync(path.join(PAGES_DIR, file), 'utf8');
+    const parsed = parseProductPage(html, { site }) || {};
+    const sizes = parsed.sizes || [];
+    const actual = {
+      ...parsed,
+      offerTypes: (parsed.offers || []).map(o => o.type),
+      inStockSizes: sizes.filter(size => size.available !== false).map(size => size.label),
+      soldOutSizes: sizes.filter(size => size.available === false).map(size => size.label)
+    };
+    const wrong = Object.entries(expected).filter(([field, value]) => JSON.stringify(actual[field]) !== JSON.stringify(value));
+    if (wrong.length) {
+      failures++;
+      console.log(`❌ ${file}: ` + wrong.map(([field, value]) => `${field} expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[field])}`).join('; '));
+    } else {
+      console.log(`✅ ${file}: ₹${parsed.price}${parsed.mrp ? ` (MRP ₹${parsed.mrp})` : ''} via ${parsed.method}${parsed.offers.length ? `, ${parsed.offers.length} offers` : ''}`);
+    }
+  }
+
+  console.log(`\n${pages.length - failures}/${pages.length} pages parsed as expected`);
+  if (failures) process.exit(1);
+}
+
+main();
@@ -0,0 +1,72 @@
+// Offline check for cross-retailer product matching (lib/productMatching.js)
+// Each case is two listings from different retailers and whether matchProducts must cluster them as the
+// same item. No server, network or API keys needed.
+//
+//   node test-product-matching.js
+import { matchProducts } from './lib/productMatching.js';
+
+const CASES = [
+  {
+    same: true,
+    a: { title: "Levi's 511 Slim Fit Jeans", source: 'Amazon.in', priceNumber: 2399 },
+    b: { title: "Levi's Men's 511 Slim Fit Jeans", source: 'Flipkart', priceNumber: 2199 }
+  },
+  {
+    same: true,
+    a: { title: 'Nike Air Max 90 Sneakers', source: 'Ajio', priceNumber: 7995 },
+    b: { title: 'Nike Air Max 90 Sneakers for Men', source: 'Myntra', priceNumber: 8495 }
+  },
+  {
+    same: true,
+    a: { title: 'Roadster Men Black Cotton T-shirt', source: 'Myntra', priceNumber: 399 },
+    b: { title: "Roadster Men's Black Cotton T-shirt", source: 'Flipkart', priceNumber: 449 }
+  },
+  // Different models of the same line
+  {
+    same: false,
+    a: { title: 'Nike Air Max 90 Sneakers', source: 'Ajio', priceNumber: 7995 },
+    b: { title: 'Nike Air Max 270 Sneakers', source: 'Myntra', priceNumber: 8995 }
+  },
+  {
+    same: false,
+    a: { title: "Levi's 511 Slim Fit Jeans", source: 'Amazon.in', priceNumber: 2399 },
+    b: { title: "Levi's 512 Slim Fit Jeans", source: 'Flipkart', priceNumber: 2499 }
+  },
+  // Different brand, color or price range
+  {
+    same: false,
+    a: { title: 'Puma Smash v2 Sneakers', source: 'Ajio', priceNumber: 2999 },
+    b: { title: 'Nike Court Vision Sneakers', source: 'Myntra', priceNumber: 3295 }
+  },
+  {
+    same: false,
+    a: { title: 'Roadster Men Black Cotton T-shirt', source: 'Myntra', priceNumber: 399 },
+    b: { title: 'Roadster Men White Cotton T-shirt', source: 'Flipkart', priceNumber: 399 }
+  },
+  {
+    same: false,
+    a: { title: "Levi's 511 Slim Fit Jeans", source: 'Amazon.in', priceNumber: 999 },
+    b: { title: "Levi's 511 Slim Fit Jeans", source: 'Flipkart', priceNumber: 3999 }
+  }
+];
+
+function main() {
+  console.log('🧪 Product matching\n');
+
+  let failures = 0;
+  for (const { same, a, b } of CASES) {
+    const matched = matchProducts([a, b]).clusters.length === 1;
+    const pair = `"${a.title}" (${a.source}) / "${b.title}" (${b.source})`;
+    if (matched !== same) {
+      failures++;
+      console.log(`❌ ${pair}: expected ${same ? 'one item' : 'different items'}, got ${matched ? 'one item' : 'different items'}`);
+    } else {
+      console.log(`✅ ${pair}: ${same ? 'one item' : 'different items'}`);
+    }
+  }
+
+  console.log(`\n${CASES.length - failures}/${CASES.length} pairs matched as expected`);
+  if (failures) process.exit(1);
+}
+
+main();
@@ -0,0 +1,54 @@
+// Offline check for the local query parser (lib/queryParser.js)
+// Each case gives a search text and the attributes parseQueryLocal must return for it; `query` is checked
+// against buildSearchQuery. Fields a case doesn't name aren't checked. No server, network or API keys needed.
+//
+//   node test-query-parser.js
+import { parseQueryLocal, buildSearchQuery } from './lib/queryParser.js';
+
+const CASES = [
+  { text: 'men black cotton slim fit shirt under 1000', category: 'shirt', color: 'black', material: 'cotton', gender: 'men', fit: 'slim', maxPrice: 1000 },
+  { text: 'kurti 500-999', category: 'kurti', minPrice: 500, maxPrice: 999 },
+  { text: 'dress between 1k and 2k', category: 'dress', minPrice: 1000, maxPrice: 2000 },
+  { text: 'nike running shoes size uk 8', category: 'shoes', brand: 'nike', size: 'UK 8', keywords: ['running'] },
+  { text: 'women red saree for wedding above 3000', category: 'saree', gender: 'women', occasion: 'wedding', minPrice: 3000 },
+  { text: 'xl hoodie from 800', category: 'hoodie', size: 'xl', minPrice: 800 },
+  { text: 'shirts under rs. 999', category: 'shirt', maxPrice: 999 },
+  { text: 'jeans rs 500 - 1000', category: 'jeans', minPrice: 500, maxPrice: 1000 },
+  { text: 'kurta ₹500-₹1000', category: 'kurta', minPrice: 500, maxPrice: 1000 },
+  { text: 'tops inr 300 to 600', category: 'top', minPrice: 300, maxPrice: 600 },
+  { text: 'watch 1,299-2,499', category: 'watch', minPrice: 1299, maxPrice: 2499 },
+  // "max" is a budget only with "price"/"budget" or a currency after it
+  { text: 'nike air max 90 shoes', category: 'shoes', brand: 'nike', minPrice: null, maxPrice: null, query: 'nike shoes air max 90' },
+  { text: 'jeans max rs 1500', category: 'jeans', maxPrice: 1500 },
+  { text: 'kurta max price 2000', category: 'kurta', maxPrice: 2000, keywords: [] },
+  // Model numbers stay in the query; only numbers read as a price or size leave it
+  { text: 'levis 511 jeans', category: 'jeans', keywords: ['511'], query: 'levi jeans 511' },
+  { text: 'men black shirt under 1000 size 40', category: 'shirt', size: '40', maxPrice: 1000, keywords: [] },
+  // Words ending in "rs" before a price range keep their letters
+  { text: 'trousers 500-1000', category: 'trousers', minPrice: 500, maxPrice: 1000, keywords: [], query: 'trousers' },
+  { text: 'sneakers 500 to 1500', category: 'sneakers', minPrice: 500, maxPrice: 1500, keywords: [], query: 'sneakers' },
+  { text: 'slippers 200-400', category: 'sandals', minPrice: 200, maxPrice: 400, keywords: ['slippers'] },
+  { text: 'boxers 300-500', minPrice: 300, maxPrice: 500, keywords: ['boxers'] }
+];
+
+function main() {
+  console.log('🧪 Local query parser\n');
+
+  let failures = 0;
+  for (const { text, ...expected } of CASES) {
+    const attributes = parseQueryLocal(text);
+    const actual = { ...attributes, query: buildSearchQuery(attributes) };
+    const wrong = Object.entries(expected).filter(([field, value]) => JSON.stringify(actual[field]) !== JSON.stringify(value));
+    if (wrong.length) {
+      failures++;
+      console.log(`❌ "${text}": ` + wrong.map(([field, value]) => `${field} expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[field])}`).join('; '));
+    } else {
+      console.log(`✅ "${text}" -> "${actual.query}"`);
+    }
+  }
+
+  console.log(`\n${CASES.length - failures}/${CASES.length} queries parsed as expected`);
+  if (failures) process.exit(1);
+}
+
+main();
@@ -0,0 +1,55 @@
+// Offline relevance check for the /search ranker (lib/ranking.js)
+// Scores every query in fixtures/relevance/judgements.json with NDCG@5 and compares
+// against the unranked provider order. No server, network or API keys needed.
+//
+//   node test-ranking.js                          # default weights (or RANKING_WEIGHTS)
+//   RANKING_WEIGHTS='{"sourceTrust":0}' node test-ranking.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { rankProducts, getRankingWeights } from './lib/ranking.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const JUDGEMENTS = path.join(__dirname, 'fixtures', 'relevance', 'judgements.json');
+const K = 5;
+// Fail when mean NDCG@5 drops below this
+const MIN_NDCG = 0.85;
+
+function dcg(grades) {
+  return grades.slice(0, K).reduce((sum, g, i) => sum + (2 ** g - 1) / Math.log2(i + 2), 0);
+}
+
+function ndcg(ranked) {
+  const grades = ranked.map(p => p.grade || 0);
+  const ideal = dcg([...grades].sort((a, b) => b - a));
+  return ideal ? dcg(grades) / ideal : 1;
+}
+
+function main() {
+  const { queries } = JSON.parse(fs.readFileSync(JUDGEMENTS, 'utf8'));
+  console.log('🧪 Ranking relevance (NDCG@' + K + ')');
+  console.log('Weights:', JSON.stringify(getRankingWeights()), '\n');
+
+  let totalBaseline = 0;
+  let totalRanked = 0;
+  for (const { query, products } of queries) {
+    const baseline = ndcg(products);
+    const ranked = rankProducts(products, query);
+    const score = ndcg(ranked);
+    totalBaseline += baseline;
+    totalRanked += score;
+    console.log(`${score >= baseline ? '✅' : '❌'} "${query}": ${score.toFixed(3)} (provider order ${baseline.toFixed(3)})`);
+    console.log(`   top: ${ranked.slice(0, 3).map(p => `${p.title} [${p.grade}]`).join(' | ')}`);
+  }
+
+  const meanBaseline = totalBaseline / queries.length;
+  const meanRanked = totalRanked / queries.length;
+  console.log(`\nMean NDCG@${K}: ${meanRanked.toFixed(3)} (provider order ${meanBaseline.toFixed(3)}, minimum ${MIN_NDCG})`);
+  if (meanRanked < MIN_NDCG) {
+    console.error('❌ Ranking quality below threshold');
+    process.exit(1);
+  }
+  console.log('✅ Ranking quality OK');
+}
+
+main();
@@ -0,0 +1,56 @@
+// Offline check for search spelling correction (lib/spellCorrect.js)
+// Each case gives a search text and what correctQuery must turn it into; cases whose text equals the
+// expected one pin words that must be left alone. No server, network or API keys needed.
+//
+//   node test-spell-correct.js
+import { correctQuery } from './lib/spellCorrect.js';
+
+const CASES = [
+  // Typos and regional spellings that get fixed
+  ['blak jens', 'black jeans'],
+  ['snekers for men', 'sneakers for men'],
+  ['red lehnga', 'red lehenga'],
+  ['cotton dupata', 'cotton dupatta'],
+  ['flroal kurthi', 'floral kurti'],
+  ['jockey vets', 'jockey vest'],
+  // Right as typed
+  ['jockey vest', 'jockey vest'],
+  ['white cotton vests', 'white cotton vests'],
+  ['boxer briefs pack of 3', 'boxer briefs pack of 3'],
+  ['cotton trunks', 'cotton trunks'],
+  ['padded bra', 'padded bra'],
+  ['cotton panty', 'cotton panty'],
+  ['satin nighty', 'satin nighty'],
+  ['slip dress', 'slip dress'],
+  ['tank top', 'tank top'],
+  ['thermal innerwear', 'thermal innerwear'],
+  ['dollar vest', 'dollar vest'],
+  ['levis jeans', 'levis jeans'],
+  ['salwar kameez', 'salwar kameez'],
+  ['best shirts under 1000', 'best shirts under 1000'],
+  // Product words never become price or filler words
+  ['mobile cover 500', 'mobile cover 500'],
+  ['sterling silver ring 925', 'sterling silver ring 925'],
+  ['silver anklet', 'silver anklet'],
+  ['teen dresses', 'teen dresses']
+];
+
+function main() {
+  console.log('🧪 Spelling correction\n');
+
+  let failures = 0;
+  for (const [text, expected] of CASES) {
+    const { text: actual } = correctQuery(text);
+    if (actual !== expected) {
+      failures++;
+      console.log(`❌ "${text}": expected "${expected}", got "${actual}"`);
+    } else {
+      console.log(`✅ "${text}"${actual !== text ? ` -> "${actual}"` : ''}`);
+    }
+  }
+
+  console.log(`\n${CASES.length - failures}/${CASES.length} searches corrected as expected`);
+  if (failures) process.exit(1);
+}
+
+main();